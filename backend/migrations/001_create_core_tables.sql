@@ -0,0 +1,125 @@
+-- Users, workspaces and the content inside them: task boards, chat,
+-- documents with their version history, and uploaded files.
+
+CREATE TABLE users (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email text NOT NULL UNIQUE,
+  password text NOT NULL,
+  first_name text NOT NULL,
+  last_name text NOT NULL,
+  avatar_url text,
+  bio text,
+  phone text,
+  job_title text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE workspaces (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  description text,
+  created_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE workspace_members (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  role text NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+  joined_at timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (workspace_id, user_id)
+);
+
+CREATE INDEX workspace_members_user_id_idx ON workspace_members (user_id);
+
+CREATE TABLE task_lists (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  name text NOT NULL,
+  position integer NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX task_lists_workspace_id_idx ON task_lists (workspace_id, position);
+
+CREATE TABLE task_items (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  list_id uuid NOT NULL REFERENCES task_lists (id) ON DELETE CASCADE,
+  title text NOT NULL,
+  description text,
+  position integer NOT NULL DEFAULT 0,
+  priority text NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+  assignee_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  due_date timestamptz,
+  created_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX task_items_list_id_idx ON task_items (list_id, position);
+CREATE INDEX task_items_assignee_id_idx ON task_items (assignee_id, due_date);
+
+CREATE TABLE chat_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  content text NOT NULL,
+  message_type text NOT NULL DEFAULT 'text',
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX chat_messages_workspace_id_idx ON chat_messages (workspace_id, created_at);
+
+CREATE TABLE message_reads (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id uuid NOT NULL REFERENCES chat_messages (id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  read_at timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (message_id, user_id)
+);
+
+CREATE INDEX message_reads_user_id_idx ON message_reads (user_id);
+
+-- `content` is the Yjs document state, base64 encoded
+CREATE TABLE documents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  title text NOT NULL,
+  content text,
+  current_version integer NOT NULL DEFAULT 1,
+  created_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX documents_workspace_id_idx ON documents (workspace_id, updated_at);
+
+CREATE TABLE document_snapshots (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id uuid NOT NULL REFERENCES documents (id) ON DELETE CASCADE,
+  content text,
+  version integer NOT NULL,
+  description text,
+  created_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX document_snapshots_document_id_idx ON document_snapshots (document_id, created_at);
+
+CREATE TABLE files (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  uploaded_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  file_name text NOT NULL,
+  file_size integer NOT NULL,
+  file_type text,
+  file_url text NOT NULL,
+  storage_path text NOT NULL,
+  description text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX files_workspace_id_idx ON files (workspace_id, created_at);
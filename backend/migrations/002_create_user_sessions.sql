@@ -0,0 +1,19 @@
+-- Signed-in sessions. Each holds the hash of its current refresh token and
+-- the one it replaced, so a rotated token being replayed can be spotted.
+
+CREATE TABLE user_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  refresh_token_hash text NOT NULL,
+  previous_token_hash text,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz
+);
+
+CREATE INDEX user_sessions_user_id_idx ON user_sessions (user_id);
+CREATE INDEX user_sessions_refresh_token_hash_idx ON user_sessions (refresh_token_hash);
+CREATE INDEX user_sessions_previous_token_hash_idx ON user_sessions (previous_token_hash);
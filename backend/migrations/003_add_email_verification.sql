@@ -0,0 +1,19 @@
+-- Email verification, and the one-time tokens behind password reset and
+-- verification links.
+
+ALTER TABLE users ADD COLUMN email_verified_at timestamptz;
+
+-- Accounts from before verification existed can't be asked to verify now
+UPDATE users SET email_verified_at = created_at;
+
+-- Password reset and email verification links; `id` is the token's jti
+CREATE TABLE user_tokens (
+  id uuid PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  purpose text NOT NULL,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX user_tokens_user_id_idx ON user_tokens (user_id, purpose);
@@ -0,0 +1,14 @@
+-- Trail of sign-in attempts that failed or were refused, kept for auditing
+-- (throttling itself is tracked in memory).
+
+CREATE TABLE login_attempts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email text,
+  user_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  ip_address text,
+  user_agent text,
+  outcome text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX login_attempts_email_idx ON login_attempts (email, created_at);
@@ -0,0 +1,19 @@
+-- TOTP two-factor authentication: the secret and last used time step per
+-- user, hashed single-use recovery codes, and workspaces that require it.
+
+ALTER TABLE users
+  ADD COLUMN totp_secret text,
+  ADD COLUMN totp_enabled_at timestamptz,
+  ADD COLUMN totp_last_used_step integer;
+
+ALTER TABLE workspaces ADD COLUMN require_two_factor boolean NOT NULL DEFAULT false;
+
+CREATE TABLE user_recovery_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX user_recovery_codes_user_id_idx ON user_recovery_codes (user_id);
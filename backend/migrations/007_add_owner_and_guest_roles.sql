@@ -0,0 +1,13 @@
+-- Workspace roles become owner/admin/member/guest. Each workspace's creator,
+-- who was an admin until now, becomes its owner.
+
+ALTER TABLE workspace_members DROP CONSTRAINT workspace_members_role_check;
+ALTER TABLE workspace_members
+  ADD CONSTRAINT workspace_members_role_check CHECK (role IN ('owner', 'admin', 'member', 'guest'));
+
+UPDATE workspace_members
+SET role = 'owner'
+FROM workspaces
+WHERE workspaces.id = workspace_members.workspace_id
+  AND workspaces.created_by = workspace_members.user_id
+  AND workspace_members.role = 'admin';
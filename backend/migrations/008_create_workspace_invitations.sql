@@ -0,0 +1,18 @@
+-- Emailed workspace invitations. The token in the link is signed, so only
+-- the invitation it points at is stored.
+
+CREATE TABLE workspace_invitations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  email text NOT NULL,
+  role text NOT NULL,
+  invited_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  expires_at timestamptz NOT NULL,
+  last_sent_at timestamptz,
+  accepted_at timestamptz,
+  accepted_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  revoked_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX workspace_invitations_workspace_id_idx ON workspace_invitations (workspace_id, email);
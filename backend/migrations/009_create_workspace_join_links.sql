@@ -0,0 +1,16 @@
+-- Shareable workspace join links, with optional use limits and expiry.
+
+CREATE TABLE workspace_join_links (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  code text NOT NULL UNIQUE,
+  role text NOT NULL,
+  max_uses integer,
+  use_count integer NOT NULL DEFAULT 0,
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  created_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX workspace_join_links_workspace_id_idx ON workspace_join_links (workspace_id);
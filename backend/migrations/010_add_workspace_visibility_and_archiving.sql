@@ -0,0 +1,10 @@
+-- Workspace settings: whether anyone with a join link may join, and when
+-- the workspace was archived (read-only) if it was.
+
+ALTER TABLE workspaces
+  ADD COLUMN visibility text NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'public')),
+  ADD COLUMN archived_at timestamptz;
+
+-- Join links only work for public workspaces now; keep existing ones working
+UPDATE workspaces SET visibility = 'public'
+WHERE id IN (SELECT workspace_id FROM workspace_join_links WHERE revoked_at IS NULL);
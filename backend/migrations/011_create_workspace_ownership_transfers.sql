@@ -0,0 +1,14 @@
+-- Ownership transfers wait here until the new owner accepts them.
+
+CREATE TABLE workspace_ownership_transfers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  from_user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  to_user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  expires_at timestamptz NOT NULL,
+  accepted_at timestamptz,
+  cancelled_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX workspace_ownership_transfers_workspace_id_idx ON workspace_ownership_transfers (workspace_id);
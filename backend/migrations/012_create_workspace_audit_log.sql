@@ -0,0 +1,17 @@
+-- Workspace audit log of administrative actions.
+
+-- Append-only; actor emails are copied into `metadata` so entries stay
+-- readable after members leave
+CREATE TABLE workspace_audit_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  actor_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  action text NOT NULL,
+  target_type text,
+  target_id text,
+  metadata jsonb NOT NULL DEFAULT '{}',
+  ip_address text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX workspace_audit_log_workspace_id_idx ON workspace_audit_log (workspace_id, created_at);
@@ -0,0 +1,20 @@
+-- The workspace activity feed, and when tasks were completed for the
+-- overview stats.
+
+CREATE TABLE workspace_activity (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+  actor_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  type text NOT NULL,
+  target_id text,
+  metadata jsonb NOT NULL DEFAULT '{}',
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX workspace_activity_workspace_id_idx ON workspace_activity (workspace_id, created_at);
+
+ALTER TABLE task_items ADD COLUMN completed_at timestamptz;
+
+-- Assigned work that's still open
+DROP INDEX task_items_assignee_id_idx;
+CREATE INDEX task_items_assignee_id_idx ON task_items (assignee_id, due_date) WHERE completed_at IS NULL;
@@ -0,0 +1,14 @@
+-- The notification center.
+
+CREATE TABLE notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  workspace_id uuid REFERENCES workspaces (id) ON DELETE CASCADE,
+  actor_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  type text NOT NULL,
+  data jsonb NOT NULL DEFAULT '{}',
+  read_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX notifications_user_id_idx ON notifications (user_id, created_at);
@@ -0,0 +1,35 @@
+-- Notification preferences per channel, quiet hours and email digests.
+
+-- Whether each notification shows in the app, and whether it still has to
+-- go out by email (alone or in the next digest)
+ALTER TABLE notifications
+  ADD COLUMN in_app boolean NOT NULL DEFAULT true,
+  ADD COLUMN email_status text CHECK (email_status IN ('pending', 'sent'));
+
+CREATE INDEX notifications_pending_email_idx ON notifications (created_at) WHERE email_status = 'pending';
+
+-- Channels per notification type; the row without a workspace holds the
+-- user's defaults
+CREATE TABLE notification_preferences (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  workspace_id uuid REFERENCES workspaces (id) ON DELETE CASCADE,
+  channels jsonb NOT NULL DEFAULT '{}',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX notification_preferences_user_id_idx ON notification_preferences (user_id);
+
+-- Quiet hours are "HH:MM" in the user's time zone
+CREATE TABLE user_notification_settings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL UNIQUE REFERENCES users (id) ON DELETE CASCADE,
+  quiet_hours_start text,
+  quiet_hours_end text,
+  timezone text NOT NULL DEFAULT 'UTC',
+  digest_frequency text NOT NULL DEFAULT 'off',
+  last_digest_sent_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
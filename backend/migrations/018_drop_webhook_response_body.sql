@@ -0,0 +1,4 @@
+-- Webhook deliveries no longer read what the endpoint sends back, so there
+-- is no response body to keep.
+
+ALTER TABLE webhook_deliveries DROP COLUMN response_body;
@@ -0,0 +1,70 @@
+// Bring the PostgreSQL database at DATABASE_URL up to date for
+// DATA_STORE=postgres by running the migrations/ files it hasn't had yet.
+//
+//   npm run migrate
+//
+// Migrations run in file name order, each in its own transaction, and are
+// recorded in schema_migrations so running this again only applies new ones.
+// Never edit a migration that has been applied; add a new file instead.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import pg from 'pg';
+
+dotenv.config();
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const MIGRATION_FILE = /^\d+_[\w-]+\.sql$/;
+
+// Held for the whole run so two deploys can't migrate at the same time
+const MIGRATION_LOCK_ID = 4210;
+
+if (!process.env.DATABASE_URL) {
+  console.error('❌ DATABASE_URL is not set');
+  process.exit(1);
+}
+
+const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
+await client.connect();
+
+try {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version text PRIMARY KEY,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+
+  const { rows } = await client.query('SELECT version FROM schema_migrations');
+  const applied = new Set(rows.map((row) => row.version));
+
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter((file) => MIGRATION_FILE.test(file)).sort();
+  const pending = files.filter((file) => !applied.has(path.basename(file, '.sql')));
+
+  for (const file of pending) {
+    const version = path.basename(file, '.sql');
+    const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [version]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${version} failed: ${error.message}`);
+    }
+
+    console.log(`✅ Applied ${version}`);
+  }
+
+  console.log(pending.length ? `🗄️  Applied ${pending.length} migration(s)` : '🗄️  Database is up to date');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await client.end();
+}
@@ -0,0 +1,183 @@
+// Minimal OpenID Connect provider for trying single sign-on locally.
+//
+//   npm run mock-oidc
+//
+// then start the API with
+//
+//   OIDC_ISSUER=http://localhost:4010
+//   OIDC_CLIENT_ID=collab-suite
+//   OIDC_CLIENT_SECRET=collab-suite-secret
+//
+// The sign-in page lets you pick any email/name, so you can test linking to
+// existing users, just-in-time provisioning and unverified emails.
+// Not for production use: everything is kept in memory.
+
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '4010');
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'collab-suite';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'collab-suite-secret';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const authorizationCodes = new Map(); // code -> { clientId, redirectUri, nonce, codeChallenge, profile }
+const accessTokens = new Map(); // token -> profile
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const subjectFor = (email) => crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in page
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+
+  if (clientId !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+  if (responseType !== 'code') return res.status(400).send('Only response_type=code is supported');
+  if (!redirectUri) return res.status(400).send('redirect_uri is required');
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<html>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+    <h2>Mock identity provider</h2>
+    <form method="post" action="/authorize">
+      ${hidden}
+      <p><label>Email<br><input name="email" type="email" required value="jane@example.com" style="width: 100%"></label></p>
+      <p><label>Name<br><input name="name" value="Jane Doe" style="width: 100%"></label></p>
+      <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+      <p>
+        <button type="submit" name="decision" value="allow">Sign in</button>
+        <button type="submit" name="decision" value="deny">Cancel</button>
+      </p>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, email, name, decision } = req.body;
+  const redirect = new URL(redirectUri);
+  if (state) redirect.searchParams.set('state', state);
+
+  if (decision !== 'allow') {
+    redirect.searchParams.set('error', 'access_denied');
+    redirect.searchParams.set('error_description', 'The user cancelled sign-in');
+    return res.redirect(redirect.toString());
+  }
+
+  const [givenName, ...rest] = (name || '').trim().split(/\s+/);
+  const code = crypto.randomBytes(24).toString('base64url');
+
+  authorizationCodes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri,
+    nonce,
+    codeChallenge,
+    profile: {
+      sub: subjectFor(email),
+      email,
+      email_verified: req.body.email_verified === 'on',
+      name: name || undefined,
+      given_name: givenName || undefined,
+      family_name: rest.join(' ') || undefined
+    }
+  });
+  setTimeout(() => authorizationCodes.delete(code), 60 * 1000).unref();
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+const readClientCredentials = (req) => {
+  const header = req.headers.authorization;
+  if (header?.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+};
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const client = readClientCredentials(req);
+
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (grantType !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  const grant = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  if (!grant || grant.clientId !== client.id || grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.profile);
+  setTimeout(() => accessTokens.delete(accessToken), 60 * 60 * 1000).unref();
+
+  const idToken = jwt.sign({ ...grant.profile, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: client.id,
+    expiresIn: '5m'
+  });
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 3600, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = req.headers.authorization?.replace(/^Bearer /, '');
+  const profile = accessTokens.get(token);
+
+  if (!profile) return res.status(401).json({ error: 'invalid_token' });
+  res.json(profile);
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider running at ${ISSUER}`);
+  console.log(`   client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+});
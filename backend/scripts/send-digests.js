@@ -0,0 +1,19 @@
+// Send notification digests once, without waiting for the server's timer.
+//
+//   npm run digests             # only digests that are due
+//   npm run digests -- --force  # every subscriber, due or not
+//
+// Combine with MAIL_TRANSPORT=file to write the emails to MAIL_FILE_DIR
+// instead of sending them.
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Imported after loading .env because the services read it at import time
+const { sendDueDigests } = await import('../src/services/digests.js');
+
+const force = process.argv.includes('--force');
+const sent = await sendDueDigests({ force });
+
+console.log(`📬 Sent ${sent} digest(s)${force ? ' (forced)' : ''}`);
@@ -0,0 +1,47 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// URL of a stored object served by the /api/storage route in server.js
+export const localStorageUrl = (bucket, objectPath) => {
+  const base = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+  return `${base}/api/storage/${bucket}/${objectPath.split('/').map(encodeURIComponent).join('/')}`;
+};
+
+// Uploads kept as files under `root`, one directory per bucket
+export const createDiskStorage = (root) => {
+  const base = path.resolve(root);
+
+  // Refuse paths that would end up outside the storage directory
+  const locate = (bucket, objectPath) => {
+    const location = path.resolve(base, bucket, objectPath);
+    if (!location.startsWith(`${base}${path.sep}`)) {
+      throw new Error(`Invalid storage path: ${bucket}/${objectPath}`);
+    }
+    return location;
+  };
+
+  return {
+    async upload(bucket, objectPath, buffer) {
+      const location = locate(bucket, objectPath);
+      await fs.mkdir(path.dirname(location), { recursive: true });
+      await fs.writeFile(location, buffer);
+    },
+
+    publicUrl: localStorageUrl,
+
+    async remove(bucket, paths) {
+      await Promise.all(paths.map((objectPath) => fs.rm(locate(bucket, objectPath), { force: true })));
+    },
+
+    // The stored object, or null when there is none. The content type is
+    // left to the route, which goes by the file extension.
+    async read(bucket, objectPath) {
+      try {
+        return { buffer: await fs.readFile(locate(bucket, objectPath)), contentType: null };
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+        throw error;
+      }
+    }
+  };
+};
@@ -0,0 +1,77 @@
+import dotenv from 'dotenv';
+
+// The store is picked as soon as this module loads, before server.js gets
+// to load .env itself
+dotenv.config();
+
+// The data store behind the repositories and models. DATA_STORE picks it:
+// "supabase" (the default), "postgres" for a database of our own at
+// DATABASE_URL, or "memory", which keeps everything in this process so the
+// backend runs with no database at all.
+//
+// A store provides table(name) with:
+//   find(where, { columns, orderBy, limit, offset }) -> rows
+//   findOne(where, { columns, orderBy })             -> row or null
+//   count(where)                                     -> number
+//   insert(row) -> row, insert([rows]) -> rows
+//   upsert(rows, { onConflict, ignoreDuplicates })   -> saved rows
+//   update(where, changes)                           -> updated rows
+//   delete(where)                                    -> deleted rows
+// and fileStorage with upload(bucket, path, buffer, contentType),
+// publicUrl(bucket, path) and remove(bucket, paths). Stores that keep files
+// themselves also have read(bucket, path) -> { buffer, contentType } or null.
+// Stores throw on errors; unique violations have code '23505' as in Postgres.
+//
+// `where` maps columns to a value (null meaning IS NULL) or to operators:
+//   { neq, in, gt, gte, lt, lte, ilike, contains }, with { neq: null } for
+//   IS NOT NULL, and { or: [where, ...] } matching any of several clauses.
+// orderBy is a column or a list of them, "-column" sorting descending.
+//
+// Stores are loaded on demand, so only the driver of the one in use has to
+// be installed.
+const STORES = {
+  supabase: async () => (await import('./supabase.js')).createSupabaseStore(),
+  postgres: async () => (await import('./postgres.js')).createPostgresStore(),
+  memory: async () => (await import('./memory.js')).createMemoryStore()
+};
+
+const storeName = process.env.DATA_STORE || 'supabase';
+if (!STORES[storeName]) {
+  throw new Error(`Unknown DATA_STORE "${storeName}"; expected one of: ${Object.keys(STORES).join(', ')}`);
+}
+
+let store;
+try {
+  store = await STORES[storeName]();
+} catch (error) {
+  // A driver that isn't there yet most likely means dependencies are stale
+  if (error.code === 'ERR_MODULE_NOT_FOUND') {
+    throw new Error(`DATA_STORE=${storeName} needs a package that isn't installed; run npm install in backend/ (${error.message})`);
+  }
+  throw error;
+}
+
+export const db = { table: store.table };
+export const fileStorage = store.fileStorage;
+
+// Attach to each row the row of another table it points at, as a PostgREST
+// embed like `user:users(id, email)` would: row[as] is that row or null.
+// Works on a single row (or null) as well as on a list.
+export const embed = async (rows, { as, table, foreignKey, columns }) => {
+  const list = [].concat(rows || []);
+  const ids = [...new Set(list.map((row) => row[foreignKey]).filter(Boolean))];
+  const lookupColumns = columns && !columns.includes('id') ? [...columns, 'id'] : columns;
+  const related = await db.table(table).find({ id: { in: ids } }, { columns: lookupColumns });
+  const byId = new Map(related.map((row) => [row.id, row]));
+
+  for (const row of list) {
+    const target = byId.get(row[foreignKey]);
+    row[as] = (lookupColumns === columns ? target : pick(target, columns)) || null;
+  }
+  return rows;
+};
+
+// Only some columns of a row (or null), for returning what a select() of
+// those columns would have
+export const pick = (row, columns) =>
+  row && Object.fromEntries(columns.map((column) => [column, row[column] ?? null]));
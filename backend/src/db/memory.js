@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { TABLES } from './tables.js';
+import { localStorageUrl } from './diskStorage.js';
+
+// Everything lives in this process and is gone on restart. Meant for local
+// development and tests; see db/index.js for the interface.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+// Like a JSON request body, undefined values are left out
+const defined = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+// Timestamps are compared as instants whatever their string format
+const comparable = (value) => (typeof value === 'string' && ISO_DATE.test(value) ? Date.parse(value) : value);
+
+const compare = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return 1;
+  if (right === null || right === undefined) return -1;
+  return left < right ? -1 : 1;
+};
+
+const equal = (a, b) => compare(a, b) === 0;
+
+// SQL LIKE pattern (with backslash escapes) as a case-insensitive RegExp
+const likeToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (char === '%') source += '.*';
+    else if (char === '_') source += '.';
+    else source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, 'is');
+};
+
+const isCondition = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const matchesOperator = (value, operator, operand) => {
+  switch (operator) {
+    case 'neq':
+      return operand === null ? value !== null && value !== undefined : value !== null && value !== undefined && !equal(value, operand);
+    case 'in':
+      return operand.some((item) => equal(value, item));
+    case 'gt':
+      return value !== null && value !== undefined && compare(value, operand) > 0;
+    case 'gte':
+      return value !== null && value !== undefined && compare(value, operand) >= 0;
+    case 'lt':
+      return value !== null && value !== undefined && compare(value, operand) < 0;
+    case 'lte':
+      return value !== null && value !== undefined && compare(value, operand) <= 0;
+    case 'ilike':
+      return typeof value === 'string' && likeToRegExp(operand).test(value);
+    case 'contains':
+      return Array.isArray(value) && operand.every((item) => value.includes(item));
+    default:
+      throw new Error(`Unknown filter operator: ${operator}`);
+  }
+};
+
+const matches = (row, where = {}) => Object.entries(where).every(([column, condition]) => {
+  if (column === 'or') return condition.some((clause) => matches(row, clause));
+
+  const value = row[column] ?? null;
+  if (condition === null) return value === null;
+  if (!isCondition(condition)) return equal(value, condition);
+  return Object.entries(condition).every(([operator, operand]) => matchesOperator(value, operator, operand));
+});
+
+const sortRows = (rows, orderBy) => {
+  const orders = [].concat(orderBy || []).map((order) => (order.startsWith('-') ? [order.slice(1), -1] : [order, 1]));
+  if (orders.length === 0) return rows;
+
+  return [...rows].sort((a, b) => {
+    for (const [column, direction] of orders) {
+      const order = compare(a[column] ?? null, b[column] ?? null);
+      if (order !== 0) return order * direction;
+    }
+    return 0;
+  });
+};
+
+const pick = (row, columns) => (columns ? Object.fromEntries(columns.map((column) => [column, clone(row[column] ?? null)])) : clone(row));
+
+const uniqueViolation = (table, key) => {
+  const error = new Error(`duplicate key value violates unique constraint on ${table} (${key.join(', ')})`);
+  error.code = '23505';
+  return error;
+};
+
+export const createMemoryStore = () => {
+  const tables = new Map();
+  const files = new Map();
+
+  const rowsOf = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  const definition = (name) => TABLES[name] || {};
+
+  // Unique keys of a table, the primary key first
+  const uniqueKeys = (name) => [['id'], ...(definition(name).unique || [])];
+
+  const findConflict = (name, row, key, ignore) => rowsOf(name).find((existing) => existing !== ignore
+    && key.every((column) => row[column] !== null && row[column] !== undefined && equal(existing[column], row[column])));
+
+  const checkUnique = (name, row, ignore = null) => {
+    for (const key of uniqueKeys(name)) {
+      if (findConflict(name, row, key, ignore)) throw uniqueViolation(name, key);
+    }
+  };
+
+  const withDefaults = (name, values) => {
+    const now = new Date().toISOString();
+    const defaults = definition(name).defaults?.() || {};
+    return { id: crypto.randomUUID(), created_at: now, ...defaults, ...clone(defined(values)) };
+  };
+
+  const table = (name) => ({
+    async find(where, { columns, orderBy, limit, offset = 0 } = {}) {
+      const rows = sortRows(rowsOf(name).filter((row) => matches(row, where)), orderBy);
+      return rows.slice(offset, limit === undefined ? undefined : offset + limit).map((row) => pick(row, columns));
+    },
+
+    async findOne(where, options = {}) {
+      const [row] = await this.find(where, { ...options, limit: 1 });
+      return row || null;
+    },
+
+    async count(where) {
+      return rowsOf(name).filter((row) => matches(row, where)).length;
+    },
+
+    // All rows or none, like a single INSERT statement
+    async insert(values) {
+      const rows = [].concat(values).map((value) => withDefaults(name, value));
+      const existing = rowsOf(name);
+      const before = existing.length;
+
+      try {
+        for (const row of rows) {
+          checkUnique(name, row);
+          existing.push(row);
+        }
+      } catch (error) {
+        existing.splice(before);
+        throw error;
+      }
+
+      return Array.isArray(values) ? rows.map((row) => clone(row)) : clone(rows[0]);
+    },
+
+    async upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+      const key = onConflict.split(',').map((column) => column.trim());
+      const saved = [];
+
+      for (const value of [].concat(values)) {
+        const existing = findConflict(name, value, key, null);
+        if (existing) {
+          if (ignoreDuplicates) continue;
+          const updated = { ...existing, ...clone(defined(value)) };
+          checkUnique(name, updated, existing);
+          Object.assign(existing, updated);
+          saved.push(clone(existing));
+        } else {
+          saved.push(await this.insert(value));
+        }
+      }
+      return saved;
+    },
+
+    async update(where, changes) {
+      const rows = rowsOf(name).filter((row) => matches(row, where));
+      for (const row of rows) {
+        checkUnique(name, { ...row, ...defined(changes) }, row);
+      }
+      for (const row of rows) {
+        Object.assign(row, clone(defined(changes)));
+      }
+      return rows.map((row) => clone(row));
+    },
+
+    async delete(where) {
+      const rows = rowsOf(name);
+      const deleted = rows.filter((row) => matches(row, where));
+      tables.set(name, rows.filter((row) => !deleted.includes(row)));
+      return deleted.map((row) => clone(row));
+    }
+  });
+
+  const fileStorage = {
+    async upload(bucket, path, buffer, contentType) {
+      files.set(`${bucket}/${path}`, { buffer: Buffer.from(buffer), contentType });
+    },
+
+    publicUrl: localStorageUrl,
+
+    async remove(bucket, paths) {
+      for (const path of paths) files.delete(`${bucket}/${path}`);
+    },
+
+    async read(bucket, path) {
+      return files.get(`${bucket}/${path}`) || null;
+    }
+  };
+
+  return { table, fileStorage };
+};
@@ -0,0 +1,147 @@
+import pg from 'pg';
+import { createDiskStorage } from './diskStorage.js';
+
+// A PostgreSQL database of our own, set up with `npm run migrate` (see
+// migrations/). Uploads are kept on disk under STORAGE_DIR.
+
+const TIMESTAMPTZ_OID = 1184;
+
+// Timestamps come back as ISO 8601 strings, the way Supabase returns them,
+// rather than as Date objects (which would also drop the microseconds)
+pg.types.setTypeParser(TIMESTAMPTZ_OID, (value) =>
+  value.replace(' ', 'T').replace(/([+-]\d{2})$/, '$1:00'));
+
+const OPERATORS = { neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', ilike: 'ILIKE', contains: '@>' };
+
+const isCondition = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Like a JSON request body, undefined values are left out
+const defined = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+const identifier = (name) => `"${name.replace(/"/g, '""')}"`;
+
+// Collects query parameters and hands out their $n placeholders
+const parameters = () => {
+  const values = [];
+  return {
+    values,
+    add(value) {
+      values.push(value);
+      return `$${values.length}`;
+    }
+  };
+};
+
+const condition = (column, value, params) => {
+  const name = identifier(column);
+  if (value === null) return `${name} IS NULL`;
+  if (!isCondition(value)) return `${name} = ${params.add(value)}`;
+
+  return Object.entries(value).map(([operator, operand]) => {
+    if (operator === 'neq' && operand === null) return `${name} IS NOT NULL`;
+    if (operator === 'in') return `${name} = ANY(${params.add(operand)})`;
+    if (!OPERATORS[operator]) throw new Error(`Unknown filter operator: ${operator}`);
+    return `${name} ${OPERATORS[operator]} ${params.add(operand)}`;
+  }).join(' AND ');
+};
+
+const conditions = (where, params) => Object.entries(where).map(([column, value]) => (column === 'or'
+  ? `(${value.map((clause) => `(${conditions(clause, params) || 'TRUE'})`).join(' OR ')})`
+  : condition(column, value, params))).join(' AND ');
+
+const whereClause = (where = {}, params) => {
+  const sql = conditions(where, params);
+  return sql ? ` WHERE ${sql}` : '';
+};
+
+const orderClause = (orderBy) => {
+  const orders = [].concat(orderBy || []).map((order) => (order.startsWith('-')
+    ? `${identifier(order.slice(1))} DESC`
+    : identifier(order)));
+  return orders.length ? ` ORDER BY ${orders.join(', ')}` : '';
+};
+
+const selectList = (columns) => (columns ? columns.map(identifier).join(', ') : '*');
+
+// VALUES rows for an INSERT; a column missing from a row gets its default
+const valuesClause = (rows, params) => {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const tuples = rows.map((row) => `(${columns.map((column) => (column in row ? params.add(row[column]) : 'DEFAULT')).join(', ')})`);
+  return { columns, sql: `(${columns.map(identifier).join(', ')}) VALUES ${tuples.join(', ')}` };
+};
+
+const createTable = (pool) => (name) => {
+  const table = identifier(name);
+  const run = async (sql, values) => (await pool.query(sql, values)).rows;
+
+  return {
+    async find(where, { columns, orderBy, limit, offset = 0 } = {}) {
+      const params = parameters();
+      let sql = `SELECT ${selectList(columns)} FROM ${table}${whereClause(where, params)}${orderClause(orderBy)}`;
+      if (limit !== undefined) sql += ` LIMIT ${params.add(limit)}`;
+      if (offset) sql += ` OFFSET ${params.add(offset)}`;
+      return run(sql, params.values);
+    },
+
+    async findOne(where, options = {}) {
+      const [row] = await this.find(where, { ...options, limit: 1 });
+      return row || null;
+    },
+
+    async count(where) {
+      const params = parameters();
+      const [{ count }] = await run(`SELECT count(*)::int AS count FROM ${table}${whereClause(where, params)}`, params.values);
+      return count;
+    },
+
+    async insert(values) {
+      const rows = [].concat(values).map(defined);
+      if (rows.length === 0) return [];
+
+      const params = parameters();
+      const inserted = await run(`INSERT INTO ${table} ${valuesClause(rows, params).sql} RETURNING *`, params.values);
+      return Array.isArray(values) ? inserted : inserted[0];
+    },
+
+    async upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+      const rows = [].concat(values).map(defined);
+      if (rows.length === 0) return [];
+
+      const key = onConflict.split(',').map((column) => column.trim());
+      const params = parameters();
+      const { columns, sql } = valuesClause(rows, params);
+      const changed = columns.filter((column) => !key.includes(column));
+
+      // Updating the key to itself still returns rows that had nothing else to change
+      const action = ignoreDuplicates
+        ? 'DO NOTHING'
+        : `DO UPDATE SET ${(changed.length ? changed : key).map((column) => `${identifier(column)} = EXCLUDED.${identifier(column)}`).join(', ')}`;
+
+      return run(`INSERT INTO ${table} ${sql} ON CONFLICT (${key.map(identifier).join(', ')}) ${action} RETURNING *`, params.values);
+    },
+
+    async update(where, changes) {
+      const assignments = Object.entries(defined(changes));
+      if (assignments.length === 0) return this.find(where);
+
+      const params = parameters();
+      const set = assignments.map(([column, value]) => `${identifier(column)} = ${params.add(value)}`).join(', ');
+      return run(`UPDATE ${table} SET ${set}${whereClause(where, params)} RETURNING *`, params.values);
+    },
+
+    async delete(where) {
+      const params = parameters();
+      return run(`DELETE FROM ${table}${whereClause(where, params)} RETURNING *`, params.values);
+    }
+  };
+};
+
+export const createPostgresStore = () => {
+  const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+
+  // Timestamps are formatted in UTC whatever the server's time zone
+  pool.on('connect', (client) => client.query("SET TIME ZONE 'UTC'"));
+  pool.on('error', (error) => console.error('PostgreSQL pool error:', error));
+
+  return { table: createTable(pool), fileStorage: createDiskStorage(process.env.STORAGE_DIR || 'storage') };
+};
@@ -0,0 +1,141 @@
+import { createClient } from '@supabase/supabase-js';
+
+const OPERATORS = ['neq', 'gt', 'gte', 'lt', 'lte', 'ilike'];
+
+const isCondition = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// A PostgREST filter value; lists are written as (a,b) and strings quoted
+// when they contain reserved characters
+const filterValue = (value) => {
+  if (Array.isArray(value)) return `(${value.map(filterValue).join(',')})`;
+  if (value === null) return 'null';
+  const text = String(value);
+  return /[,().":]/.test(text) ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+};
+
+// `where` as PostgREST filter strings, for `or`
+const filterStrings = (where) => Object.entries(where).flatMap(([column, condition]) => {
+  if (column === 'or') return [`or(${condition.map((clause) => conjunction(clause)).join(',')})`];
+  if (condition === null) return [`${column}.is.null`];
+  if (!isCondition(condition)) return [`${column}.eq.${filterValue(condition)}`];
+
+  return Object.entries(condition).map(([operator, value]) => {
+    if (operator === 'neq' && value === null) return `${column}.not.is.null`;
+    if (operator === 'contains') return `${column}.cs.{${value.map(filterValue).join(',')}}`;
+    return `${column}.${operator}.${filterValue(value)}`;
+  });
+});
+
+const conjunction = (where) => {
+  const filters = filterStrings(where);
+  return filters.length === 1 ? filters[0] : `and(${filters.join(',')})`;
+};
+
+const applyWhere = (query, where = {}) => {
+  for (const [column, condition] of Object.entries(where)) {
+    if (column === 'or') {
+      query = query.or(condition.map(conjunction).join(','));
+    } else if (condition === null) {
+      query = query.is(column, null);
+    } else if (!isCondition(condition)) {
+      query = query.eq(column, condition);
+    } else {
+      for (const [operator, value] of Object.entries(condition)) {
+        if (operator === 'in') query = query.in(column, value);
+        else if (operator === 'contains') query = query.contains(column, value);
+        else if (operator === 'neq' && value === null) query = query.not(column, 'is', null);
+        else if (OPERATORS.includes(operator)) query = query[operator](column, value);
+        else throw new Error(`Unknown filter operator: ${operator}`);
+      }
+    }
+  }
+  return query;
+};
+
+// An `in` filter with no values matches nothing; PostgREST rejects it
+const matchesNothing = (where = {}) =>
+  Object.values(where).some((condition) => isCondition(condition) && Array.isArray(condition.in) && condition.in.length === 0);
+
+const applyOrder = (query, orderBy) => {
+  for (const order of [].concat(orderBy || [])) {
+    const descending = order.startsWith('-');
+    query = query.order(descending ? order.slice(1) : order, { ascending: !descending });
+  }
+  return query;
+};
+
+const result = async (query) => {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+};
+
+const createTable = (client) => (name) => ({
+  async find(where, { columns, orderBy, limit, offset = 0 } = {}) {
+    if (matchesNothing(where)) return [];
+
+    let query = applyOrder(applyWhere(client.from(name).select(columns ? columns.join(', ') : '*'), where), orderBy);
+    if (limit !== undefined) query = query.range(offset, offset + limit - 1);
+    return (await result(query)) || [];
+  },
+
+  async findOne(where, options = {}) {
+    const [row] = await this.find(where, { ...options, limit: 1 });
+    return row || null;
+  },
+
+  async count(where) {
+    if (matchesNothing(where)) return 0;
+
+    const { count, error } = await applyWhere(client.from(name).select('*', { count: 'exact', head: true }), where);
+    if (error) throw error;
+    return count || 0;
+  },
+
+  async insert(values) {
+    const rows = await result(client.from(name).insert([].concat(values)).select());
+    return Array.isArray(values) ? rows : rows[0];
+  },
+
+  async upsert(values, { onConflict, ignoreDuplicates = false } = {}) {
+    return result(client.from(name).upsert([].concat(values), { onConflict, ignoreDuplicates }).select());
+  },
+
+  async update(where, changes) {
+    if (matchesNothing(where)) return [];
+    return result(applyWhere(client.from(name).update(changes), where).select());
+  },
+
+  async delete(where) {
+    if (matchesNothing(where)) return [];
+    return result(applyWhere(client.from(name).delete(), where).select());
+  }
+});
+
+const createFileStorage = (client) => ({
+  async upload(bucket, path, buffer, contentType) {
+    const { error } = await client.storage.from(bucket).upload(path, buffer, { contentType, cacheControl: '3600' });
+    if (error) throw error;
+  },
+
+  publicUrl(bucket, path) {
+    return client.storage.from(bucket).getPublicUrl(path).data.publicUrl;
+  },
+
+  async remove(bucket, paths) {
+    if (paths.length === 0) return;
+    const { error } = await client.storage.from(bucket).remove(paths);
+    if (error) throw error;
+  }
+});
+
+// One client for the whole backend. The service role key is used when set,
+// since the server does its own authorization and needs storage access.
+export const createSupabaseStore = () => {
+  const client = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
+  );
+
+  return { table: createTable(client), fileStorage: createFileStorage(client) };
+};
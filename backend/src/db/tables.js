@@ -0,0 +1,101 @@
+// What the in-memory store needs to know about the database schema: the
+// column defaults a new row gets and the unique keys besides `id`. Every row
+// also gets an `id` and `created_at` when they aren't given.
+
+const now = () => new Date().toISOString();
+
+export const TABLES = {
+  users: {
+    defaults: () => ({ avatar_url: null, email_verified_at: null, totp_secret: null, totp_enabled_at: null, totp_last_used_step: null }),
+    unique: [['email']]
+  },
+  user_sessions: {
+    defaults: () => ({ revoked_at: null })
+  },
+  user_tokens: {
+    defaults: () => ({ used_at: null })
+  },
+  user_identities: {
+    unique: [['issuer', 'subject']]
+  },
+  user_recovery_codes: {
+    defaults: () => ({ used_at: null })
+  },
+  personal_access_tokens: {
+    defaults: () => ({ last_used_at: null, revoked_at: null }),
+    unique: [['token_hash']]
+  },
+  workspaces: {
+    defaults: () => ({ description: null, visibility: 'private', require_two_factor: false, archived_at: null })
+  },
+  workspace_members: {
+    defaults: () => ({ role: 'member', joined_at: now() }),
+    unique: [['workspace_id', 'user_id']]
+  },
+  workspace_invitations: {
+    defaults: () => ({ accepted_at: null, revoked_at: null })
+  },
+  workspace_join_links: {
+    defaults: () => ({ max_uses: null, use_count: 0, expires_at: null, revoked_at: null }),
+    unique: [['code']]
+  },
+  workspace_ownership_transfers: {
+    defaults: () => ({ accepted_at: null, cancelled_at: null })
+  },
+  task_lists: {
+    defaults: () => ({ position: 0 })
+  },
+  task_items: {
+    defaults: () => ({
+      description: null,
+      position: 0,
+      assignee_id: null,
+      due_date: null,
+      priority: 'medium',
+      completed_at: null,
+      updated_at: now()
+    })
+  },
+  chat_messages: {
+    defaults: () => ({ message_type: 'text' })
+  },
+  message_reads: {
+    defaults: () => ({ read_at: now() }),
+    unique: [['message_id', 'user_id']]
+  },
+  documents: {
+    defaults: () => ({ content: null, current_version: 1, updated_at: now() })
+  },
+  document_snapshots: {
+    defaults: () => ({ description: null })
+  },
+  files: {
+    defaults: () => ({ description: null })
+  },
+  notifications: {
+    defaults: () => ({ in_app: true, email_status: null, read_at: null })
+  },
+  notification_preferences: {
+    defaults: () => ({ workspace_id: null, updated_at: now() })
+  },
+  user_notification_settings: {
+    defaults: () => ({
+      quiet_hours_start: null,
+      quiet_hours_end: null,
+      timezone: 'UTC',
+      digest_frequency: 'off',
+      last_digest_sent_at: null,
+      updated_at: now()
+    }),
+    unique: [['user_id']]
+  },
+  webhooks: {
+    defaults: () => ({ description: null, active: true, updated_at: now() })
+  },
+  webhook_deliveries: {
+    defaults: () => ({ status: 'pending', attempts: 0, response_status: null })
+  },
+  workspace_activity: {},
+  workspace_audit_log: {},
+  login_attempts: {}
+};
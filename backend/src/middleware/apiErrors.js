@@ -0,0 +1,67 @@
+// Every API error body has the same shape: { error: <message>, code: <CODE> }
+// plus any route-specific fields. Routes that only set a message get a code
+// from their status.
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR'
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// Fill in `error` and `code` on error responses sent with res.json
+export const normalizeErrorBodies = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      const { message, ...rest } = body;
+      return json({
+        ...rest,
+        error: body.error || message || 'Request failed',
+        code: body.code || codeForStatus(res.statusCode)
+      });
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+// JSON 404 for API paths no router handled
+export const apiNotFound = (req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.originalUrl.split('?')[0]}`, code: 'NOT_FOUND' });
+};
+
+// Errors thrown before or outside a route's own handling, e.g. malformed
+// JSON bodies or oversized uploads
+export const apiErrorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: 'File is too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    console.error('Unhandled API error:', error);
+  }
+
+  res.status(status).json({
+    error: status >= 500 ? 'Internal server error' : error.message,
+    code: codeForStatus(status)
+  });
+};
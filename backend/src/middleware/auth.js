@@ -0,0 +1,162 @@
+import jwt from 'jsonwebtoken';
+import { authenticateApiToken, isApiToken } from '../services/apiTokens.js';
+import { isSessionActive } from '../services/sessions.js';
+import { rateLimit } from './rateLimit.js';
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Per-user API limit, applied once the user is known (the per-IP limit is
+// applied to every request in server.js)
+const limitUserRequests = rateLimit('api', { by: ['user'] });
+
+// Verify a JWT issued by generateToken in routes/auth.js and return its claims
+export const verifyToken = (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!payload?.userId) {
+    throw new jwt.JsonWebTokenError('Token is missing user claims');
+  }
+
+  return payload;
+};
+
+// Pull the token out of an "Authorization: Bearer <token>" header
+export const extractBearerToken = (header) => {
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  return token;
+};
+
+// Mount before a router to let personal access tokens call it. Reads need
+// the `<area>:read` scope and every other method `<area>:write`; routers
+// mounted without it only accept session tokens.
+export const tokenScope = (area) => (req, res, next) => {
+  req.tokenScope = `${area}:${READ_METHODS.has(req.method) ? 'read' : 'write'}`;
+  next();
+};
+
+// Authenticate with a personal access token, which must carry the scope
+// the route was mounted with
+const authenticateWithApiToken = async (token, req, res, next) => {
+  try {
+    const record = await authenticateApiToken(token);
+
+    if (!record) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    if (!req.tokenScope) {
+      return res.status(403).json({
+        error: 'Personal access tokens cannot be used for this endpoint',
+        code: 'TOKEN_NOT_ALLOWED'
+      });
+    }
+
+    if (!record.scopes.includes(req.tokenScope)) {
+      return res.status(403).json({
+        error: `This token is missing the ${req.tokenScope} scope`,
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    req.userId = record.user_id;
+    req.apiTokenId = record.id;
+    limitUserRequests(req, res, next);
+  } catch (error) {
+    console.error('Error authenticating personal access token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Middleware to authenticate requests with a Bearer token: a session JWT,
+// or a personal access token on routes that allow them
+export const authenticateUser = async (req, res, next) => {
+  const token = extractBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'TOKEN_MISSING'
+    });
+  }
+
+  if (isApiToken(token)) {
+    return authenticateWithApiToken(token, req, res, next);
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({
+        error: 'Token expired',
+        code: 'TOKEN_EXPIRED'
+      });
+    }
+
+    return res.status(401).json({
+      error: 'Invalid token',
+      code: 'TOKEN_INVALID'
+    });
+  }
+
+  try {
+    // The token stays valid after a logout, but its session doesn't
+    if (!(await isSessionActive(payload.sessionId))) {
+      return res.status(401).json({
+        error: 'Session has ended',
+        code: 'SESSION_REVOKED'
+      });
+    }
+  } catch (error) {
+    console.error('Error checking session:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  req.userId = payload.userId;
+  req.sessionId = payload.sessionId;
+  limitUserRequests(req, res, next);
+};
+
+// Socket.io middleware to authenticate connections with a handshake token
+export const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+
+  if (!token) {
+    const error = new Error('Authentication required');
+    error.data = { code: 'TOKEN_MISSING' };
+    return next(error);
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    const expired = error instanceof jwt.TokenExpiredError;
+    const authError = new Error(expired ? 'Token expired' : 'Invalid token');
+    authError.data = { code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID' };
+    return next(authError);
+  }
+
+  try {
+    if (!(await isSessionActive(payload.sessionId))) {
+      const error = new Error('Session has ended');
+      error.data = { code: 'SESSION_REVOKED' };
+      return next(error);
+    }
+  } catch (error) {
+    console.error('Error checking socket session:', error);
+    return next(new Error('Internal server error'));
+  }
+
+  socket.data.userId = payload.userId;
+  socket.data.sessionId = payload.sessionId;
+  next();
+};
@@ -0,0 +1,31 @@
+import { checkPermission } from '../services/permissions.js';
+
+// Workspace id taken straight from the route or request body
+const workspaceFromRequest = (req) => req.params.workspaceId || req.body?.workspaceId;
+
+// Middleware requiring a workspace capability (see services/permissions.js).
+// `resolve` maps the request to a workspace id, e.g. by looking up the document
+// in the URL; when it finds nothing the request fails with 404 `notFound`.
+export const requirePermission = (capability, { resolve, notFound = 'Not found' } = {}) =>
+  async (req, res, next) => {
+    try {
+      const workspaceId = resolve ? await resolve(req) : workspaceFromRequest(req);
+
+      if (resolve && !workspaceId) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      const access = await checkPermission(req.userId, workspaceId, capability);
+      if (!access.allowed) {
+        return res.status(access.status).json({ error: access.error, code: access.code });
+      }
+
+      req.workspaceId = workspaceId;
+      req.workspaceRole = access.role;
+      req.workspaceArchived = access.archived;
+      next();
+    } catch (error) {
+      console.error('Error checking workspace permission:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
@@ -0,0 +1,49 @@
+import { HTTP_LIMITS, RATE_LIMITS_ENABLED, consume, socketLimitFor } from '../services/rateLimit.js';
+
+const THROTTLED_MESSAGE = 'Too many requests. Please slow down.';
+
+// Limit HTTP requests with the HTTP_LIMITS entry `name`, counting them per
+// client IP and/or per signed-in user (`by`). User limits need req.userId,
+// so they only apply after authenticateUser.
+export const rateLimit = (name, { by = ['ip', 'user'] } = {}) => async (req, res, next) => {
+  if (!RATE_LIMITS_ENABLED) return next();
+
+  const limits = HTTP_LIMITS[name];
+  const buckets = [];
+  if (by.includes('ip')) buckets.push({ key: `${name}:ip:${req.ip}`, limit: limits.ip });
+  if (by.includes('user') && req.userId) buckets.push({ key: `${name}:user:${req.userId}`, limit: limits.user });
+
+  const result = await consume(buckets);
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({ error: THROTTLED_MESSAGE, code: 'RATE_LIMITED', retryAfter: result.retryAfter });
+  }
+
+  next();
+};
+
+// Limit a socket's incoming events per user and event name. A throttled
+// event is dropped; its acknowledgement callback, if it has one, gets
+// { error: { code: 'RATE_LIMITED', ... } }. Events sent without one get a
+// single 'rate-limited' event per throttled period instead.
+export const limitSocketEvents = (socket) => {
+  const notifiedUntil = new Map();
+
+  socket.use(async ([event, ...args], next) => {
+    // Events nothing handles are ignored by Socket.io anyway
+    if (!RATE_LIMITS_ENABLED || socket.listenerCount(event) === 0) return next();
+
+    const result = await consume([{ key: `socket:${socket.data.userId}:${event}`, limit: socketLimitFor(event) }]);
+    if (result.allowed) return next();
+
+    const error = { message: THROTTLED_MESSAGE, code: 'RATE_LIMITED', event, retryAfter: result.retryAfter };
+    const acknowledge = args[args.length - 1];
+
+    if (typeof acknowledge === 'function') {
+      acknowledge({ error });
+    } else if ((notifiedUntil.get(event) || 0) <= Date.now()) {
+      notifiedUntil.set(event, Date.now() + result.retryAfter * 1000);
+      socket.emit('rate-limited', error);
+    }
+  });
+};
@@ -0,0 +1,47 @@
+import { coerceValue, validateValue } from '../services/validation.js';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Query values as their schema types, leaving req.query itself untouched.
+// Empty values count as missing.
+const coerceQuery = (schema, query) => Object.fromEntries(
+  Object.entries(query)
+    .filter(([, value]) => value !== '')
+    .map(([key, value]) => [key, coerceValue(schema.properties?.[key] || {}, value)])
+);
+
+// Middleware checking a request against schemas for its route params (a map
+// of name to schema), query string and body (object schemas). Invalid
+// requests get a 400 listing every problem by field. The schemas, summary
+// and upload fields are kept on the middleware for the OpenAPI document
+// (see services/openapi.js).
+export const validate = ({ summary, params, query, body, files } = {}) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    for (const [name, schema] of Object.entries(params || {})) {
+      validateValue(schema, coerceValue(schema, req.params[name]), name, errors);
+    }
+
+    if (query) {
+      validateValue(query, coerceQuery(query, req.query), '', errors);
+    }
+
+    if (body) {
+      validateValue(body, req.body ?? {}, '', errors);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: capitalize(errors[0].message),
+        code: 'VALIDATION_FAILED',
+        fields: errors
+      });
+    }
+
+    next();
+  };
+
+  middleware.apiSchema = { summary, params, query, body, files };
+  return middleware;
+};
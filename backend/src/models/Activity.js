@@ -0,0 +1,38 @@
+import { db, embed } from '../db/index.js';
+
+const activities = () => db.table('workspace_activity');
+
+const withActor = (rows) => embed(rows, {
+  as: 'actor',
+  table: 'users',
+  foreignKey: 'actor_id',
+  columns: ['id', 'first_name', 'last_name', 'avatar_url']
+});
+
+// Things members did in a workspace, shown in the overview's activity feed
+export class ActivityModel {
+  // Append an activity and return it with its actor
+  static async record({ workspaceId, actorId, type, targetId = null, metadata = {} }) {
+    const activity = await activities().insert({
+      workspace_id: workspaceId,
+      actor_id: actorId,
+      type,
+      target_id: targetId,
+      metadata,
+      created_at: new Date().toISOString()
+    });
+
+    return withActor(activity);
+  }
+
+  // A page of activity, newest first. `before` is the created_at of the last
+  // item already shown, so new activity arriving live doesn't shift the pages.
+  static async list(workspaceId, { before = null, limit = 20 } = {}) {
+    const rows = await activities().find({
+      workspace_id: workspaceId,
+      ...(before ? { created_at: { lt: before } } : {})
+    }, { orderBy: '-created_at', limit });
+
+    return withActor(rows);
+  }
+}
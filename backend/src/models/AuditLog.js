@@ -0,0 +1,50 @@
+import { db, embed } from '../db/index.js';
+
+const entries = () => db.table('workspace_audit_log');
+
+// Append-only record of who did what in a workspace. Entries are never
+// updated or deleted individually; they only go away with the workspace.
+export class AuditLogModel {
+  // Append an entry
+  static async record({ workspaceId, actorId, action, targetType, targetId = null, metadata = {}, ipAddress = null }) {
+    await entries().insert({
+      workspace_id: workspaceId,
+      actor_id: actorId,
+      action,
+      target_type: targetType,
+      target_id: targetId,
+      metadata,
+      ip_address: ipAddress,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  // Entries for a workspace, newest first, with the total matching count
+  static async list(workspaceId, { action, actorId, targetType, since, until, limit = 50, offset = 0 } = {}) {
+    const createdAt = {
+      ...(since ? { gte: since } : {}),
+      ...(until ? { lte: until } : {})
+    };
+    const where = {
+      workspace_id: workspaceId,
+      ...(action ? { action } : {}),
+      ...(actorId ? { actor_id: actorId } : {}),
+      ...(targetType ? { target_type: targetType } : {}),
+      ...(since || until ? { created_at: createdAt } : {})
+    };
+
+    const [rows, total] = await Promise.all([
+      entries().find(where, { orderBy: '-created_at', limit, offset }),
+      entries().count(where)
+    ]);
+
+    await embed(rows, {
+      as: 'actor',
+      table: 'users',
+      foreignKey: 'actor_id',
+      columns: ['id', 'first_name', 'last_name', 'email']
+    });
+
+    return { entries: rows, total };
+  }
+}
@@ -0,0 +1,15 @@
+import { db } from '../db/index.js';
+
+export class LoginAttemptModel {
+  // Append a login event to the audit trail
+  static async record({ email, userId = null, ipAddress, userAgent, outcome }) {
+    await db.table('login_attempts').insert({
+      email,
+      user_id: userId,
+      ip_address: ipAddress || null,
+      user_agent: userAgent || null,
+      outcome, // 'invalid_credentials' | 'invalid_second_factor' | 'throttled' | 'locked_out' | 'ip_locked_out'
+      created_at: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,76 @@
+import { db, embed } from '../db/index.js';
+
+const notifications = () => db.table('notifications');
+
+// Each notification with its actor and workspace
+const withRelated = async (rows) => {
+  await embed(rows, {
+    as: 'actor',
+    table: 'users',
+    foreignKey: 'actor_id',
+    columns: ['id', 'first_name', 'last_name', 'avatar_url']
+  });
+  return embed(rows, { as: 'workspace', table: 'workspaces', foreignKey: 'workspace_id', columns: ['id', 'name'] });
+};
+
+// Per-user notifications. Rows with `in_app` set show in the notification
+// center; `email_status` is 'pending' until the email copy is sent, then
+// 'sent' (null when the user doesn't get this type by email).
+export class NotificationModel {
+  // Store a notification and return it with its actor and workspace
+  static async create({ userId, workspaceId = null, actorId = null, type, data = {}, inApp = true, emailPending = false }) {
+    const notification = await notifications().insert({
+      user_id: userId,
+      workspace_id: workspaceId,
+      actor_id: actorId,
+      type,
+      data,
+      in_app: inApp,
+      email_status: emailPending ? 'pending' : null,
+      created_at: new Date().toISOString()
+    });
+
+    return withRelated(notification);
+  }
+
+  // A page of the user's notifications, newest first. `before` is the
+  // created_at of the last one already shown.
+  static async list(userId, { unreadOnly = false, before = null, limit = 20 } = {}) {
+    const rows = await notifications().find({
+      user_id: userId,
+      in_app: true,
+      ...(unreadOnly ? { read_at: null } : {}),
+      ...(before ? { created_at: { lt: before } } : {})
+    }, { orderBy: '-created_at', limit });
+
+    return withRelated(rows);
+  }
+
+  static async countUnread(userId) {
+    return notifications().count({ user_id: userId, in_app: true, read_at: null });
+  }
+
+  // Notifications whose email copy hasn't gone out yet, with their recipient
+  static async listPendingEmails(limit = 200) {
+    const rows = await notifications().find({ email_status: 'pending' }, { orderBy: 'created_at', limit });
+
+    await withRelated(rows);
+    return embed(rows, { as: 'recipient', table: 'users', foreignKey: 'user_id', columns: ['id', 'first_name', 'email'] });
+  }
+
+  static async markEmailed(notificationId) {
+    await notifications().update({ id: notificationId }, { email_status: 'sent' });
+  }
+
+  // Mark some of the user's notifications read, or all of them when `ids`
+  // is omitted. Returns the ids that changed.
+  static async markRead(userId, ids = null) {
+    const updated = await notifications().update({
+      user_id: userId,
+      read_at: null,
+      ...(ids ? { id: { in: ids } } : {})
+    }, { read_at: new Date().toISOString() });
+
+    return updated.map((notification) => notification.id);
+  }
+}
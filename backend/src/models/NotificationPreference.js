@@ -0,0 +1,57 @@
+import { db, embed } from '../db/index.js';
+
+const preferences = () => db.table('notification_preferences');
+const settings = () => db.table('user_notification_settings');
+
+// Which channels each notification type uses, per user. The row without a
+// workspace holds the user's defaults; workspace rows override them. Quiet
+// hours and digests live in user_notification_settings, one row per user.
+export class NotificationPreferenceModel {
+  // All of a user's channel preference rows
+  static async listChannels(userId) {
+    return preferences().find({ user_id: userId }, { columns: ['workspace_id', 'channels', 'updated_at'] });
+  }
+
+  // Store the channels for a workspace, or the defaults when `workspaceId`
+  // is null. Looked up first because a null workspace never conflicts on
+  // the unique key.
+  static async setChannels(userId, workspaceId, channels) {
+    const existing = await preferences().findOne({ user_id: userId, workspace_id: workspaceId }, { columns: ['id'] });
+    const updatedAt = new Date().toISOString();
+
+    if (existing) {
+      await preferences().update({ id: existing.id }, { channels, updated_at: updatedAt });
+    } else {
+      await preferences().insert({ user_id: userId, workspace_id: workspaceId, channels, updated_at: updatedAt });
+    }
+  }
+
+  // Drop a workspace override so the defaults apply again
+  static async clearChannels(userId, workspaceId) {
+    await preferences().delete({ user_id: userId, workspace_id: workspaceId });
+  }
+
+  static async getSettings(userId) {
+    return settings().findOne({ user_id: userId });
+  }
+
+  static async saveSettings(userId, updates) {
+    const [saved] = await settings().upsert({
+      user_id: userId,
+      ...updates,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' });
+
+    return saved;
+  }
+
+  // Users who get a digest, with their email address
+  static async listDigestSubscribers() {
+    const subscribers = await settings().find({ digest_frequency: { neq: 'off' } });
+    return embed(subscribers, { as: 'user', table: 'users', foreignKey: 'user_id', columns: ['id', 'first_name', 'email'] });
+  }
+
+  static async markDigestSent(userId, sentAt) {
+    await settings().update({ user_id: userId }, { last_digest_sent_at: sentAt });
+  }
+}
@@ -0,0 +1,66 @@
+import { db, embed } from '../db/index.js';
+
+const transfers = () => db.table('workspace_ownership_transfers');
+
+const USER_COLUMNS = ['id', 'first_name', 'last_name', 'email'];
+
+const withUsers = async (rows) => {
+  await embed(rows, { as: 'from_user', table: 'users', foreignKey: 'from_user_id', columns: USER_COLUMNS });
+  return embed(rows, { as: 'to_user', table: 'users', foreignKey: 'to_user_id', columns: USER_COLUMNS });
+};
+
+// Ownership transfers offered by a workspace owner and waiting for the new
+// owner to confirm. A workspace has at most one pending transfer.
+export class OwnershipTransferModel {
+  // Offer ownership to another member, replacing any pending offer
+  static async create({ workspaceId, fromUserId, toUserId, expiresAt }) {
+    await this.cancelPending(workspaceId);
+
+    const transfer = await transfers().insert({
+      workspace_id: workspaceId,
+      from_user_id: fromUserId,
+      to_user_id: toUserId,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    });
+
+    return withUsers(transfer);
+  }
+
+  // The workspace's pending transfer, if any
+  static async findPending(workspaceId) {
+    const transfer = await transfers().findOne({
+      workspace_id: workspaceId,
+      accepted_at: null,
+      cancelled_at: null,
+      expires_at: { gt: new Date().toISOString() }
+    });
+
+    return withUsers(transfer);
+  }
+
+  // Cancel the pending transfer; when `userId` is given only if it was
+  // offered by or to that user. Returns the cancelled transfer or null.
+  static async cancelPending(workspaceId, userId = null) {
+    const cancelled = await transfers().update({
+      workspace_id: workspaceId,
+      accepted_at: null,
+      cancelled_at: null,
+      ...(userId ? { or: [{ from_user_id: userId }, { to_user_id: userId }] } : {})
+    }, { cancelled_at: new Date().toISOString() });
+
+    return cancelled[0] || null;
+  }
+
+  // Mark a transfer accepted; returns null if it was no longer pending
+  static async markAccepted(transferId) {
+    const [transfer] = await transfers().update({
+      id: transferId,
+      accepted_at: null,
+      cancelled_at: null,
+      expires_at: { gt: new Date().toISOString() }
+    }, { accepted_at: new Date().toISOString() });
+
+    return transfer || null;
+  }
+}
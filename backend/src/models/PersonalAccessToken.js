@@ -0,0 +1,51 @@
+import { db, pick } from '../db/index.js';
+
+const tokens = () => db.table('personal_access_tokens');
+
+const TOKEN_FIELDS = ['id', 'user_id', 'name', 'token_prefix', 'scopes', 'expires_at', 'last_used_at', 'revoked_at', 'created_at'];
+
+// Personal access tokens for scripts and integrations. Only a SHA-256 hash
+// of each token is stored; the prefix is kept so users can tell them apart.
+export class PersonalAccessTokenModel {
+  static async create({ userId, name, tokenHash, tokenPrefix, scopes, expiresAt }) {
+    const token = await tokens().insert({
+      user_id: userId,
+      name,
+      token_hash: tokenHash,
+      token_prefix: tokenPrefix,
+      scopes,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    });
+
+    return pick(token, TOKEN_FIELDS);
+  }
+
+  // The user's tokens that haven't been revoked, newest first (expired ones
+  // are included so users can see why a script stopped working)
+  static async listForUser(userId) {
+    return tokens().find({ user_id: userId, revoked_at: null }, { columns: TOKEN_FIELDS, orderBy: '-created_at' });
+  }
+
+  // Look up a usable token by its hash
+  static async findActiveByHash(tokenHash) {
+    const token = await tokens().findOne({ token_hash: tokenHash, revoked_at: null }, { columns: TOKEN_FIELDS });
+
+    if (!token || (token.expires_at && new Date(token.expires_at) <= new Date())) return null;
+    return token;
+  }
+
+  static async touch(tokenId, usedAt) {
+    await tokens().update({ id: tokenId }, { last_used_at: usedAt });
+  }
+
+  // Revoke one of the user's tokens. Returns whether it was active.
+  static async revoke(userId, tokenId) {
+    const revoked = await tokens().update(
+      { user_id: userId, id: tokenId, revoked_at: null },
+      { revoked_at: new Date().toISOString() }
+    );
+
+    return revoked.length > 0;
+  }
+}
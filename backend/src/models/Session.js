@@ -0,0 +1,95 @@
+import { db } from '../db/index.js';
+
+const sessions = () => db.table('user_sessions');
+
+// Columns safe to return to the session owner (never the token hashes)
+const PUBLIC_COLUMNS = ['id', 'user_agent', 'ip_address', 'created_at', 'last_used_at', 'expires_at'];
+
+export class SessionModel {
+  // Create a new session for a user
+  static async createSession(userId, { refreshTokenHash, userAgent, ipAddress, expiresAt }) {
+    const now = new Date().toISOString();
+
+    return sessions().insert({
+      user_id: userId,
+      refresh_token_hash: refreshTokenHash,
+      user_agent: userAgent || null,
+      ip_address: ipAddress || null,
+      created_at: now,
+      last_used_at: now,
+      expires_at: expiresAt
+    });
+  }
+
+  // Find an active session by the hash of its current refresh token
+  static async findActiveByTokenHash(refreshTokenHash) {
+    return sessions().findOne({
+      refresh_token_hash: refreshTokenHash,
+      revoked_at: null,
+      expires_at: { gt: new Date().toISOString() }
+    });
+  }
+
+  // Find a session whose previous (already rotated) refresh token matches
+  static async findByPreviousTokenHash(refreshTokenHash) {
+    return sessions().findOne({ previous_token_hash: refreshTokenHash });
+  }
+
+  // Swap the refresh token of a session for a new one
+  static async rotateToken(sessionId, currentHash, nextHash, expiresAt) {
+    const [session] = await sessions().update({
+      id: sessionId,
+      refresh_token_hash: currentHash, // Guard against concurrent rotation
+      revoked_at: null
+    }, {
+      refresh_token_hash: nextHash,
+      previous_token_hash: currentHash,
+      last_used_at: new Date().toISOString(),
+      expires_at: expiresAt
+    });
+
+    return session || null;
+  }
+
+  // Whether a session is neither revoked nor expired
+  static async isActive(sessionId) {
+    const session = await sessions().findOne({
+      id: sessionId,
+      revoked_at: null,
+      expires_at: { gt: new Date().toISOString() }
+    }, { columns: ['id'] });
+
+    return !!session;
+  }
+
+  // Get active sessions for a user
+  static async getActiveSessions(userId) {
+    return sessions().find({
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { gt: new Date().toISOString() }
+    }, { columns: PUBLIC_COLUMNS, orderBy: '-last_used_at' });
+  }
+
+  // Revoke a single session belonging to a user
+  static async revokeSession(sessionId, userId) {
+    const revoked = await sessions().update(
+      { id: sessionId, user_id: userId, revoked_at: null },
+      { revoked_at: new Date().toISOString() }
+    );
+
+    return revoked.length > 0;
+  }
+
+  // Revoke every session of a user, optionally keeping one, and return the
+  // ids of the sessions revoked
+  static async revokeAllSessions(userId, exceptSessionId = null) {
+    const revoked = await sessions().update({
+      user_id: userId,
+      revoked_at: null,
+      ...(exceptSessionId ? { id: { neq: exceptSessionId } } : {})
+    }, { revoked_at: new Date().toISOString() });
+
+    return revoked.map((session) => session.id);
+  }
+}
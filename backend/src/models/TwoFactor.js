@@ -0,0 +1,88 @@
+import { db } from '../db/index.js';
+
+const users = () => db.table('users');
+const recoveryCodes = () => db.table('user_recovery_codes');
+
+// TOTP secrets live on the users row; recovery codes are stored hashed
+export class TwoFactorModel {
+  // Get the two-factor columns of a user
+  static async getSettings(userId) {
+    const user = await users().findOne(
+      { id: userId },
+      { columns: ['id', 'email', 'totp_secret', 'totp_enabled_at', 'totp_last_used_step'] }
+    );
+
+    if (!user) throw new Error(`User ${userId} not found`);
+    return user;
+  }
+
+  // Store a secret that is waiting to be confirmed with a first code
+  static async setPendingSecret(userId, secret) {
+    await users().update({ id: userId }, {
+      totp_secret: secret,
+      totp_enabled_at: null,
+      totp_last_used_step: null
+    });
+  }
+
+  // Turn two-factor on once the pending secret has been confirmed
+  static async enable(userId, usedStep) {
+    await users().update({ id: userId }, {
+      totp_enabled_at: new Date().toISOString(),
+      totp_last_used_step: usedStep
+    });
+  }
+
+  // Turn two-factor off and drop every recovery code
+  static async disable(userId) {
+    await users().update({ id: userId }, {
+      totp_secret: null,
+      totp_enabled_at: null,
+      totp_last_used_step: null
+    });
+
+    await this.deleteRecoveryCodes(userId);
+  }
+
+  // Record the time step of an accepted code; returns false if that step
+  // (or a later one) was already used, so a code can't be replayed
+  static async markStepUsed(userId, step) {
+    const updated = await users().update({
+      id: userId,
+      or: [{ totp_last_used_step: null }, { totp_last_used_step: { lt: step } }]
+    }, { totp_last_used_step: step });
+
+    return updated.length > 0;
+  }
+
+  // Replace all recovery codes of a user with a fresh set of hashes
+  static async replaceRecoveryCodes(userId, codeHashes) {
+    await this.deleteRecoveryCodes(userId);
+
+    const now = new Date().toISOString();
+    await recoveryCodes().insert(codeHashes.map(codeHash => ({
+      user_id: userId,
+      code_hash: codeHash,
+      created_at: now
+    })));
+  }
+
+  // Mark a recovery code as used; returns false if it is unknown or spent
+  static async consumeRecoveryCode(userId, codeHash) {
+    const codes = await recoveryCodes().update(
+      { user_id: userId, code_hash: codeHash, used_at: null },
+      { used_at: new Date().toISOString() }
+    );
+
+    return codes.length > 0;
+  }
+
+  // Count the recovery codes a user has left
+  static async countRemainingRecoveryCodes(userId) {
+    return recoveryCodes().count({ user_id: userId, used_at: null });
+  }
+
+  static async deleteRecoveryCodes(userId) {
+    await recoveryCodes().delete({ user_id: userId });
+  }
+}
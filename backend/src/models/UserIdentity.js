@@ -0,0 +1,30 @@
+import { db } from '../db/index.js';
+
+const identities = () => db.table('user_identities');
+
+// Links between local users and accounts at external identity providers
+export class UserIdentityModel {
+  // Find the identity for a provider account (issuer + subject)
+  static async findByProviderSubject(issuer, subject) {
+    return identities().findOne({ issuer, subject });
+  }
+
+  // Link a provider account to a user
+  static async linkIdentity(userId, { issuer, subject, email }) {
+    const now = new Date().toISOString();
+
+    return identities().insert({
+      user_id: userId,
+      issuer,
+      subject,
+      email,
+      created_at: now,
+      last_login_at: now
+    });
+  }
+
+  // Record a sign-in through an identity
+  static async touchIdentity(identityId, email) {
+    await identities().update({ id: identityId }, { email, last_login_at: new Date().toISOString() });
+  }
+}
@@ -0,0 +1,50 @@
+import { db } from '../db/index.js';
+
+const tokens = () => db.table('user_tokens');
+
+// One-time tokens (password reset, email verification, two-factor sign-in
+// challenges) tracked by their JWT id
+export class UserTokenModel {
+  // Record a newly issued token
+  static async createToken(userId, purpose, jti, expiresAt) {
+    return tokens().insert({
+      id: jti,
+      user_id: userId,
+      purpose,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  // Whether a token is still unused and unexpired
+  static async isActive(jti, purpose) {
+    const token = await tokens().findOne({
+      id: jti,
+      purpose,
+      used_at: null,
+      expires_at: { gt: new Date().toISOString() }
+    }, { columns: ['id'] });
+
+    return !!token;
+  }
+
+  // Mark a token as used; returns null if it was already used or expired
+  static async consumeToken(jti, purpose) {
+    const [token] = await tokens().update({
+      id: jti,
+      purpose,
+      used_at: null,
+      expires_at: { gt: new Date().toISOString() }
+    }, { used_at: new Date().toISOString() });
+
+    return token || null;
+  }
+
+  // Invalidate every outstanding token of a purpose for a user
+  static async invalidateTokens(userId, purpose) {
+    await tokens().update(
+      { user_id: userId, purpose, used_at: null },
+      { used_at: new Date().toISOString() }
+    );
+  }
+}
@@ -0,0 +1,119 @@
+import { db, pick } from '../db/index.js';
+
+const webhooks = () => db.table('webhooks');
+const deliveries = () => db.table('webhook_deliveries');
+
+const DELIVERY_FIELDS = [
+  'id',
+  'webhook_id',
+  'event',
+  'payload',
+  'status',
+  'attempts',
+  'next_attempt_at',
+  'last_attempt_at',
+  'response_status',
+  'error',
+  'duration_ms',
+  'created_at',
+  'delivered_at'
+];
+
+// Outgoing webhooks registered on a workspace, and the log of every
+// delivery attempt made to them. A delivery stays 'pending' while it has
+// retries left, then ends up 'succeeded' or 'failed'.
+export class WebhookModel {
+  static async create({ workspaceId, url, description, events, secret, createdBy }) {
+    return webhooks().insert({
+      workspace_id: workspaceId,
+      url,
+      description,
+      events,
+      secret,
+      active: true,
+      created_by: createdBy,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  static async list(workspaceId) {
+    return webhooks().find({ workspace_id: workspaceId }, { orderBy: '-created_at' });
+  }
+
+  // Get a webhook, scoped to its workspace
+  static async find(workspaceId, webhookId) {
+    return webhooks().findOne({ workspace_id: workspaceId, id: webhookId });
+  }
+
+  static async findById(webhookId) {
+    return webhooks().findOne({ id: webhookId });
+  }
+
+  // Active webhooks in a workspace subscribed to `event`
+  static async listSubscribed(workspaceId, event) {
+    return webhooks().find({ workspace_id: workspaceId, active: true, events: { contains: [event] } });
+  }
+
+  // Returns the updated webhook, or null if it doesn't exist in the workspace
+  static async update(workspaceId, webhookId, updates) {
+    const [webhook] = await webhooks().update(
+      { workspace_id: workspaceId, id: webhookId },
+      { ...updates, updated_at: new Date().toISOString() }
+    );
+
+    return webhook || null;
+  }
+
+  // Delete a webhook and its delivery log. Returns whether it existed.
+  static async delete(workspaceId, webhookId) {
+    await deliveries().delete({ webhook_id: webhookId, workspace_id: workspaceId });
+
+    const deleted = await webhooks().delete({ workspace_id: workspaceId, id: webhookId });
+    return deleted.length > 0;
+  }
+
+  static async createDelivery({ webhookId, workspaceId, event, payload, nextAttemptAt }) {
+    const delivery = await deliveries().insert({
+      webhook_id: webhookId,
+      workspace_id: workspaceId,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: nextAttemptAt,
+      created_at: new Date().toISOString()
+    });
+
+    return pick(delivery, DELIVERY_FIELDS);
+  }
+
+  static async findDelivery(webhookId, deliveryId) {
+    return deliveries().findOne({ webhook_id: webhookId, id: deliveryId }, { columns: DELIVERY_FIELDS });
+  }
+
+  // A page of a webhook's deliveries, newest first. `before` is the
+  // created_at of the last one already shown.
+  static async listDeliveries(webhookId, { status = null, before = null, limit = 20 } = {}) {
+    return deliveries().find({
+      webhook_id: webhookId,
+      ...(status ? { status } : {}),
+      ...(before ? { created_at: { lt: before } } : {})
+    }, { columns: DELIVERY_FIELDS, orderBy: '-created_at', limit });
+  }
+
+  // Pending deliveries whose next attempt is due
+  static async listDueDeliveries(now, limit = 50) {
+    return deliveries().find(
+      { status: 'pending', next_attempt_at: { lte: now.toISOString() } },
+      { columns: DELIVERY_FIELDS, orderBy: 'next_attempt_at', limit }
+    );
+  }
+
+  static async updateDelivery(deliveryId, updates) {
+    const [delivery] = await deliveries().update({ id: deliveryId }, updates);
+
+    if (!delivery) throw new Error(`Webhook delivery ${deliveryId} not found`);
+    return pick(delivery, DELIVERY_FIELDS);
+  }
+}
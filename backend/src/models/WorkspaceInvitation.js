@@ -0,0 +1,88 @@
+import { db, embed, pick } from '../db/index.js';
+
+const invitations = () => db.table('workspace_invitations');
+
+// Each invitation with its workspace and inviter
+const withRelated = async (rows) => {
+  await embed(rows, { as: 'workspace', table: 'workspaces', foreignKey: 'workspace_id', columns: ['id', 'name'] });
+  return embed(rows, {
+    as: 'inviter',
+    table: 'users',
+    foreignKey: 'invited_by',
+    columns: ['id', 'first_name', 'last_name', 'email']
+  });
+};
+
+// Still open: not accepted, revoked or expired
+const pending = () => ({
+  accepted_at: null,
+  revoked_at: null,
+  expires_at: { gt: new Date().toISOString() }
+});
+
+// Invitations to join a workspace, addressed to an email address.
+// The row id doubles as the invite token's JWT id.
+export class WorkspaceInvitationModel {
+  // Record a new invitation
+  static async create({ workspaceId, email, role, invitedBy, expiresAt }) {
+    const now = new Date().toISOString();
+
+    const invitation = await invitations().insert({
+      workspace_id: workspaceId,
+      email,
+      role,
+      invited_by: invitedBy,
+      expires_at: expiresAt,
+      last_sent_at: now,
+      created_at: now
+    });
+
+    return withRelated(invitation);
+  }
+
+  // Get an invitation with its workspace and inviter
+  static async findById(invitationId) {
+    return withRelated(await invitations().findOne({ id: invitationId }));
+  }
+
+  // Invitations that can still be accepted, newest first
+  static async listPending(workspaceId) {
+    const rows = await invitations().find({ workspace_id: workspaceId, ...pending() }, { orderBy: '-created_at' });
+    return withRelated(rows);
+  }
+
+  // The pending invitation for an email address, if any
+  static async findPendingByEmail(workspaceId, email) {
+    return invitations().findOne({ workspace_id: workspaceId, email, ...pending() }, { columns: ['id'] });
+  }
+
+  // Give a pending invitation a fresh expiry before sending it again
+  static async renew(workspaceId, invitationId, expiresAt) {
+    const [invitation] = await invitations().update(
+      { id: invitationId, workspace_id: workspaceId, accepted_at: null, revoked_at: null },
+      { expires_at: expiresAt, last_sent_at: new Date().toISOString() }
+    );
+
+    return withRelated(invitation || null);
+  }
+
+  // Revoke a pending invitation; returns null if there was nothing to revoke
+  static async revoke(workspaceId, invitationId) {
+    const [invitation] = await invitations().update(
+      { id: invitationId, workspace_id: workspaceId, accepted_at: null, revoked_at: null },
+      { revoked_at: new Date().toISOString() }
+    );
+
+    return pick(invitation || null, ['id', 'email', 'role']);
+  }
+
+  // Mark an invitation accepted; returns null if it was already used, revoked or expired
+  static async markAccepted(invitationId, userId) {
+    const [invitation] = await invitations().update(
+      { id: invitationId, ...pending() },
+      { accepted_at: new Date().toISOString(), accepted_by: userId }
+    );
+
+    return invitation || null;
+  }
+}
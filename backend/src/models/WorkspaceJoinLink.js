@@ -0,0 +1,68 @@
+import { db, embed, pick } from '../db/index.js';
+
+const joinLinks = () => db.table('workspace_join_links');
+
+// Each link with its workspace and creator
+const withRelated = async (rows) => {
+  await embed(rows, {
+    as: 'workspace',
+    table: 'workspaces',
+    foreignKey: 'workspace_id',
+    columns: ['id', 'name', 'visibility', 'archived_at']
+  });
+  return embed(rows, { as: 'creator', table: 'users', foreignKey: 'created_by', columns: ['id', 'first_name', 'last_name'] });
+};
+
+// Shareable links that let anyone signed in join a workspace with a default
+// role, optionally limited in number of uses and lifetime.
+export class WorkspaceJoinLinkModel {
+  // Record a new join link
+  static async create({ workspaceId, code, role, maxUses, expiresAt, createdBy }) {
+    const link = await joinLinks().insert({
+      workspace_id: workspaceId,
+      code,
+      role,
+      max_uses: maxUses,
+      use_count: 0,
+      expires_at: expiresAt,
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    });
+
+    return withRelated(link);
+  }
+
+  // Get a join link by its code
+  static async findByCode(code) {
+    return withRelated(await joinLinks().findOne({ code }));
+  }
+
+  // Links that haven't been revoked, newest first (expired and used-up
+  // links are included so admins can see why a link stopped working)
+  static async listActive(workspaceId) {
+    const links = await joinLinks().find({ workspace_id: workspaceId, revoked_at: null }, { orderBy: '-created_at' });
+    return withRelated(links);
+  }
+
+  // Revoke a link; returns null if there was nothing to revoke
+  static async revoke(workspaceId, linkId) {
+    const [link] = await joinLinks().update(
+      { id: linkId, workspace_id: workspaceId, revoked_at: null },
+      { revoked_at: new Date().toISOString() }
+    );
+
+    return pick(link || null, ['id']);
+  }
+
+  // Count one use of a link. The update only applies if nobody else used the
+  // link since it was read, so concurrent joins can't overshoot max_uses.
+  // Returns null when the count had changed.
+  static async recordUse(linkId, seenUseCount) {
+    const [link] = await joinLinks().update(
+      { id: linkId, use_count: seenUseCount, revoked_at: null },
+      { use_count: seenUseCount + 1 }
+    );
+
+    return pick(link || null, ['id', 'use_count']);
+  }
+}
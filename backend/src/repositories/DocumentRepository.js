@@ -0,0 +1,68 @@
+import { db, embed } from '../db/index.js';
+import { PUBLIC_USER_COLUMNS } from './UserRepository.js';
+
+const documents = () => db.table('documents');
+
+const withCreator = (rows) =>
+  embed(rows, { as: 'creator', table: 'users', foreignKey: 'created_by', columns: PUBLIC_USER_COLUMNS });
+
+// Collaborative documents. `content` is the Yjs state, base64 encoded.
+export class DocumentRepository {
+  // A workspace's documents with their creators, most recently updated first
+  static async listForWorkspace(workspaceId) {
+    return withCreator(await documents().find({ workspace_id: workspaceId }, { orderBy: '-updated_at' }));
+  }
+
+  // Some columns of a workspace's documents
+  static async listColumnsForWorkspace(workspaceId, columns) {
+    return documents().find({ workspace_id: workspaceId }, { columns });
+  }
+
+  // Documents updated after `since`, most recent first
+  static async listChangedSince(workspaceId, since, limit) {
+    return documents().find(
+      { workspace_id: workspaceId, updated_at: { gt: since } },
+      { columns: ['id', 'title', 'updated_at'], orderBy: '-updated_at', limit }
+    );
+  }
+
+  // Some columns of the documents with the given ids
+  static async findByIds(documentIds, columns) {
+    return documents().find({ id: { in: documentIds } }, { columns });
+  }
+
+  // Get a document (null when there is none), optionally only some columns
+  static async findById(documentId, columns) {
+    return documents().findOne({ id: documentId }, { columns });
+  }
+
+  static async findWithCreator(documentId) {
+    return withCreator(await documents().findOne({ id: documentId }));
+  }
+
+  static async create(values) {
+    return withCreator(await documents().insert(values));
+  }
+
+  // Returns the updated document, or null if there is none
+  static async update(documentId, changes) {
+    const [document] = await documents().update({ id: documentId }, changes);
+    return document || null;
+  }
+
+  // Create or update a document by id
+  static async upsert(values) {
+    const [document] = await documents().upsert(values, { onConflict: 'id' });
+    return document;
+  }
+
+  static async updateWithCreator(documentId, changes) {
+    return withCreator(await this.update(documentId, changes));
+  }
+
+  // Returns the deleted document, or null if there was none
+  static async delete(documentId) {
+    const [document] = await documents().delete({ id: documentId });
+    return document || null;
+  }
+}
@@ -0,0 +1,64 @@
+import { db, embed, fileStorage } from '../db/index.js';
+import { PUBLIC_USER_COLUMNS } from './UserRepository.js';
+
+const files = () => db.table('files');
+
+export const FILE_BUCKET = 'workspace-files';
+
+const withUploader = (rows) =>
+  embed(rows, { as: 'uploader', table: 'users', foreignKey: 'uploaded_by', columns: PUBLIC_USER_COLUMNS });
+
+// Files shared in a workspace: a row of metadata per object in storage
+export class FileRepository {
+  // A page of a workspace's files with their uploaders, newest first, and
+  // the total number of files
+  static async listForWorkspace(workspaceId, { limit = 50, offset = 0 } = {}) {
+    const where = { workspace_id: workspaceId };
+    const [rows, total] = await Promise.all([
+      files().find(where, { orderBy: '-created_at', limit, offset }),
+      files().count(where)
+    ]);
+
+    return { files: await withUploader(rows), total };
+  }
+
+  // Get a file's metadata (null when there is none)
+  static async findById(fileId) {
+    return files().findOne({ id: fileId });
+  }
+
+  // Get the file stored at `storagePath` (null when there is none)
+  static async findByStoragePath(storagePath) {
+    return files().findOne({ storage_path: storagePath });
+  }
+
+  static async findWithUploader(fileId) {
+    return withUploader(await this.findById(fileId));
+  }
+
+  static async create(values) {
+    return withUploader(await files().insert(values));
+  }
+
+  // Files whose `column` matches the LIKE `pattern` (case-insensitive), newest first
+  static async findMatching(workspaceId, column, pattern, limit) {
+    return files().find(
+      { workspace_id: workspaceId, [column]: { ilike: pattern } },
+      { columns: ['id', 'file_name', 'description', 'file_type', 'file_url', 'created_at'], orderBy: '-created_at', limit }
+    );
+  }
+
+  static async delete(fileId) {
+    await files().delete({ id: fileId });
+  }
+
+  // Store an uploaded file's content and return its public URL
+  static async storeObject(path, buffer, contentType) {
+    await fileStorage.upload(FILE_BUCKET, path, buffer, contentType);
+    return fileStorage.publicUrl(FILE_BUCKET, path);
+  }
+
+  static async removeObjects(paths) {
+    await fileStorage.remove(FILE_BUCKET, paths);
+  }
+}
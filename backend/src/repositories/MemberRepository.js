@@ -0,0 +1,59 @@
+import { db, embed } from '../db/index.js';
+
+const members = () => db.table('workspace_members');
+
+// Workspace memberships: who belongs to which workspace, with what role
+export class MemberRepository {
+  // A user's membership of a workspace, or null when they aren't a member
+  static async find(workspaceId, userId) {
+    return members().findOne({ workspace_id: workspaceId, user_id: userId });
+  }
+
+  // The member's role, or null when they aren't a member
+  static async findRole(workspaceId, userId) {
+    return (await this.find(workspaceId, userId))?.role || null;
+  }
+
+  // The membership with the workspace and user columns `checkPermission`
+  // needs, or null
+  static async findAccess(workspaceId, userId) {
+    const membership = await this.find(workspaceId, userId);
+
+    await embed(membership, {
+      as: 'workspace',
+      table: 'workspaces',
+      foreignKey: 'workspace_id',
+      columns: ['require_two_factor', 'archived_at']
+    });
+    return embed(membership, { as: 'user', table: 'users', foreignKey: 'user_id', columns: ['totp_enabled_at'] });
+  }
+
+  // A workspace's members with `userColumns` of each user, longest-standing first
+  static async listForWorkspace(workspaceId, userColumns) {
+    const rows = await members().find({ workspace_id: workspaceId }, { orderBy: 'joined_at' });
+    return embed(rows, { as: 'user', table: 'users', foreignKey: 'user_id', columns: userColumns });
+  }
+
+  // A user's memberships with `workspaceColumns` of each workspace, most recently joined first
+  static async listForUser(userId, workspaceColumns) {
+    const rows = await members().find({ user_id: userId }, { orderBy: '-joined_at' });
+    return embed(rows, { as: 'workspace', table: 'workspaces', foreignKey: 'workspace_id', columns: workspaceColumns });
+  }
+
+  // Number of members, optionally only those with one of `roles`
+  static async count(workspaceId, { roles } = {}) {
+    return members().count({ workspace_id: workspaceId, ...(roles ? { role: { in: roles } } : {}) });
+  }
+
+  static async add(workspaceId, userId, role) {
+    return members().insert({ workspace_id: workspaceId, user_id: userId, role });
+  }
+
+  static async setRole(workspaceId, userId, role) {
+    await members().update({ workspace_id: workspaceId, user_id: userId }, { role });
+  }
+
+  static async remove(workspaceId, userId) {
+    await members().delete({ workspace_id: workspaceId, user_id: userId });
+  }
+}
@@ -0,0 +1,76 @@
+import { db, embed } from '../db/index.js';
+import { PUBLIC_USER_COLUMNS } from './UserRepository.js';
+
+const messages = () => db.table('chat_messages');
+const reads = () => db.table('message_reads');
+
+// Unread counts look at this many of the latest messages from others
+const UNREAD_COUNT_LIMIT = 500;
+
+const withUser = (rows, columns = PUBLIC_USER_COLUMNS) =>
+  embed(rows, { as: 'user', table: 'users', foreignKey: 'user_id', columns });
+
+// Workspace chat messages and who has read them
+export class MessageRepository {
+  // Create a new message and return it with its author
+  static async createMessage(workspaceId, userId, content, messageType = 'text') {
+    const message = await messages().insert({
+      workspace_id: workspaceId,
+      user_id: userId,
+      content,
+      message_type: messageType,
+      created_at: new Date().toISOString()
+    });
+
+    return withUser(message);
+  }
+
+  // A page of message history, counted back from the newest message and
+  // returned in chronological order
+  static async getMessages(workspaceId, limit = 50, offset = 0) {
+    const rows = await messages().find({ workspace_id: workspaceId }, { orderBy: '-created_at', limit, offset });
+    return (await withUser(rows)).reverse();
+  }
+
+  // Messages whose `column` matches the LIKE `pattern` (case-insensitive),
+  // newest first, with their authors' names
+  static async findMatching(workspaceId, column, pattern, limit) {
+    const rows = await messages().find(
+      { workspace_id: workspaceId, [column]: { ilike: pattern } },
+      { columns: ['id', 'content', 'created_at', 'user_id'], orderBy: '-created_at', limit }
+    );
+
+    await withUser(rows, ['id', 'first_name', 'last_name']);
+    return rows.map(({ user_id, ...message }) => message);
+  }
+
+  // The ids among `messageIds` of messages in the workspace
+  static async idsInWorkspace(workspaceId, messageIds) {
+    const rows = await messages().find({ workspace_id: workspaceId, id: { in: messageIds } }, { columns: ['id'] });
+    return rows.map((message) => message.id);
+  }
+
+  // Mark message as read; reading it again changes nothing
+  static async markAsRead(messageId, userId) {
+    await reads().upsert({
+      message_id: messageId,
+      user_id: userId,
+      read_at: new Date().toISOString()
+    }, { onConflict: 'message_id,user_id', ignoreDuplicates: true });
+  }
+
+  // Number of messages from others in a workspace the user hasn't read,
+  // optionally only those sent after `since`
+  static async getUnreadCount(workspaceId, userId, { since = null } = {}) {
+    const received = await messages().find({
+      workspace_id: workspaceId,
+      user_id: { neq: userId },
+      ...(since ? { created_at: { gt: since } } : {})
+    }, { columns: ['id'], orderBy: '-created_at', limit: UNREAD_COUNT_LIMIT });
+
+    if (received.length === 0) return 0;
+
+    const read = await reads().count({ user_id: userId, message_id: { in: received.map((message) => message.id) } });
+    return received.length - read;
+  }
+}
@@ -0,0 +1,39 @@
+import { db, embed } from '../db/index.js';
+import { PUBLIC_USER_COLUMNS } from './UserRepository.js';
+
+const snapshots = () => db.table('document_snapshots');
+
+const withCreator = (rows) =>
+  embed(rows, { as: 'creator', table: 'users', foreignKey: 'created_by', columns: PUBLIC_USER_COLUMNS });
+
+// Saved versions of documents, for version history and restores
+export class SnapshotRepository {
+  // A page of a document's snapshots with their creators, newest first
+  static async listForDocument(documentId, { limit = 50, offset = 0 } = {}) {
+    const rows = await snapshots().find({ document_id: documentId }, { orderBy: '-created_at', limit, offset });
+    return withCreator(rows);
+  }
+
+  // Get a snapshot (null when there is none), optionally only some columns
+  static async findById(snapshotId, columns) {
+    return snapshots().findOne({ id: snapshotId }, { columns });
+  }
+
+  static async create({ documentId, content, version, createdBy, description }) {
+    return snapshots().insert({
+      document_id: documentId,
+      content,
+      version,
+      created_by: createdBy,
+      description
+    });
+  }
+
+  static async createWithCreator(values) {
+    return withCreator(await this.create(values));
+  }
+
+  static async delete(snapshotId) {
+    await snapshots().delete({ id: snapshotId });
+  }
+}
@@ -0,0 +1,228 @@
+import { db, embed } from '../db/index.js';
+import { NOTIFICATION_TYPES, notify } from '../services/notifications.js';
+import { PUBLIC_USER_COLUMNS } from './UserRepository.js';
+
+const lists = () => db.table('task_lists');
+const tasks = () => db.table('task_items');
+
+// Each task with its assignee and creator
+const withPeople = async (rows) => {
+  await embed(rows, { as: 'assignee', table: 'users', foreignKey: 'assignee_id', columns: PUBLIC_USER_COLUMNS });
+  return embed(rows, { as: 'creator', table: 'users', foreignKey: 'created_by', columns: PUBLIC_USER_COLUMNS });
+};
+
+// Let a task's assignee know it was assigned to them
+const notifyAssignee = async (task, actorId) => {
+  let list = null;
+  try {
+    list = await lists().findOne({ id: task.list_id }, { columns: ['name', 'workspace_id'] });
+  } catch (error) {
+    console.error('Error looking up list for assignment notification:', error);
+  }
+  if (!list) return;
+
+  await notify({
+    userIds: [task.assignee_id],
+    workspaceId: list.workspace_id,
+    actorId,
+    type: NOTIFICATION_TYPES.TASK_ASSIGNED,
+    data: { taskId: task.id, title: task.title, listName: list.name }
+  });
+};
+
+// Next position at the end of the rows matching `where`
+const nextPosition = async (table, where) => {
+  const [last] = await table.find(where, { columns: ['position'], orderBy: '-position', limit: 1 });
+  return last ? last.position + 1 : 0;
+};
+
+// Task board lists and the tasks in them
+export class TaskRepository {
+  // Get all lists for a workspace, each with its tasks
+  static async getLists(workspaceId) {
+    console.log('🔍 Getting lists for workspace:', workspaceId);
+
+    const workspaceLists = await lists().find({ workspace_id: workspaceId }, { orderBy: 'position' });
+    if (workspaceLists.length === 0) return [];
+
+    const listTasks = await withPeople(await tasks().find(
+      { list_id: { in: workspaceLists.map((list) => list.id) } },
+      { orderBy: 'position' }
+    ));
+
+    return workspaceLists.map((list) => ({
+      ...list,
+      tasks: listTasks.filter((task) => task.list_id === list.id)
+    }));
+  }
+
+  // Ids of a workspace's lists
+  static async listIdsForWorkspace(workspaceId) {
+    return (await lists().find({ workspace_id: workspaceId }, { columns: ['id'] })).map((list) => list.id);
+  }
+
+  // The workspace a list belongs to, or null when there is no such list
+  static async workspaceOfList(listId) {
+    return (await lists().findOne({ id: listId }, { columns: ['workspace_id'] }))?.workspace_id || null;
+  }
+
+  // The workspace a task belongs to, or null when there is no such task
+  static async workspaceOfTask(taskId) {
+    const task = await tasks().findOne({ id: taskId }, { columns: ['list_id'] });
+    return task ? this.workspaceOfList(task.list_id) : null;
+  }
+
+  // Create a new list, at the end unless a position is given
+  static async createList(workspaceId, name, position = 0) {
+    if (position === 0) {
+      position = await nextPosition(lists(), { workspace_id: workspaceId });
+    }
+
+    return lists().insert({
+      workspace_id: workspaceId,
+      name,
+      position,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  // Update list
+  static async updateList(listId, updates) {
+    const [list] = await lists().update({ id: listId }, updates);
+    if (!list) throw new Error(`Task list ${listId} not found`);
+    return list;
+  }
+
+  // Delete list and its tasks
+  static async deleteList(listId) {
+    const deletedTasks = await tasks().delete({ list_id: listId });
+    const [list] = await lists().delete({ id: listId });
+
+    return {
+      success: true,
+      list: list ? { id: list.id, name: list.name } : null,
+      taskCount: deletedTasks.length
+    };
+  }
+
+  // Reorder lists of a workspace. Changes nothing and returns false when
+  // any of the lists isn't in the workspace.
+  static async reorderLists(workspaceId, listOrders) {
+    const found = await lists().count({ workspace_id: workspaceId, id: { in: listOrders } });
+    if (found !== listOrders.length) return false;
+
+    await Promise.all(listOrders.map((listId, index) =>
+      lists().update({ id: listId, workspace_id: workspaceId }, { position: index })));
+    return true;
+  }
+
+  // Create a new task at the end of a list
+  static async createTask(listId, taskData, userId) {
+    const task = await tasks().insert({
+      list_id: listId,
+      title: taskData.title.trim(),
+      description: taskData.description?.trim() || null,
+      position: await nextPosition(tasks(), { list_id: listId }),
+      created_by: userId,
+      assignee_id: taskData.assigneeId || null,
+      due_date: taskData.dueDate || null,
+      priority: taskData.priority || 'medium',
+      created_at: new Date().toISOString()
+    });
+
+    console.log('✅ Task created successfully with ID:', task.id);
+
+    if (task.assignee_id) {
+      await notifyAssignee(task, userId);
+    }
+
+    return withPeople(task);
+  }
+
+  // Update task. `actorId` is who made the change; a new assignee is
+  // notified unless they assigned the task to themselves.
+  static async updateTask(taskId, updates, actorId = null) {
+    let previousAssigneeId = null;
+
+    if (updates.assignee_id !== undefined) {
+      const previous = await tasks().findOne({ id: taskId }, { columns: ['assignee_id'] });
+      previousAssigneeId = previous?.assignee_id || null;
+    }
+
+    const [task] = await tasks().update({ id: taskId }, updates);
+    if (!task) throw new Error(`Task ${taskId} not found`);
+
+    if (updates.assignee_id !== undefined && task.assignee_id && task.assignee_id !== previousAssigneeId) {
+      await notifyAssignee(task, actorId);
+    }
+
+    return withPeople(task);
+  }
+
+  // Delete task
+  static async deleteTask(taskId) {
+    const [task] = await tasks().delete({ id: taskId });
+    return { success: true, task: task ? { id: task.id, title: task.title, list_id: task.list_id } : null };
+  }
+
+  // Get a task's title, list and completion state
+  static async getTaskSummary(taskId) {
+    const task = await tasks().findOne({ id: taskId }, { columns: ['id', 'title', 'list_id', 'completed_at'] });
+    return embed(task, { as: 'list', table: 'task_lists', foreignKey: 'list_id', columns: ['id', 'name'] });
+  }
+
+  // Get a list's name
+  static async getListName(listId) {
+    return (await lists().findOne({ id: listId }, { columns: ['name'] }))?.name || null;
+  }
+
+  // Move task to different list
+  static async moveTask(taskId, newListId, newPosition = 0) {
+    const [task] = await tasks().update({ id: taskId }, {
+      list_id: newListId,
+      position: newPosition,
+      updated_at: new Date().toISOString()
+    });
+
+    if (!task) throw new Error(`Task ${taskId} not found`);
+    return withPeople(task);
+  }
+
+  // Reorder tasks within a list. Changes nothing and returns false when any
+  // of the tasks isn't in the list.
+  static async reorderTasks(listId, taskOrders) {
+    const found = await tasks().count({ list_id: listId, id: { in: taskOrders } });
+    if (found !== taskOrders.length) return false;
+
+    await Promise.all(taskOrders.map((taskId, index) =>
+      tasks().update({ id: taskId, list_id: listId }, { position: index })));
+    return true;
+  }
+
+  // Tasks in the given lists whose `column` matches the LIKE `pattern`
+  // (case-insensitive), newest first, each with its list
+  static async findMatching(listIds, column, pattern, limit) {
+    const rows = await tasks().find(
+      { list_id: { in: listIds }, [column]: { ilike: pattern } },
+      { columns: ['id', 'title', 'description', 'completed_at', 'created_at', 'list_id'], orderBy: '-created_at', limit }
+    );
+
+    return embed(rows, { as: 'list', table: 'task_lists', foreignKey: 'list_id', columns: ['id', 'name', 'workspace_id'] });
+  }
+
+  // Open tasks assigned to a user in the given lists, due by `dueBy` (or
+  // overdue), soonest first
+  static async listOpenDueBy(userId, listIds, dueBy) {
+    return tasks().find({
+      assignee_id: userId,
+      list_id: { in: listIds },
+      completed_at: null,
+      due_date: { neq: null, lte: dueBy }
+    }, { columns: ['id', 'title', 'due_date', 'list_id'], orderBy: 'due_date' });
+  }
+
+  // Number of open or completed tasks in the given lists
+  static async countTasks(listIds, { completed }) {
+    return tasks().count({ list_id: { in: listIds }, completed_at: completed ? { neq: null } : null });
+  }
+}
@@ -0,0 +1,54 @@
+import { db, fileStorage, pick } from '../db/index.js';
+
+const users = () => db.table('users');
+
+export const AVATAR_BUCKET = 'avatars';
+
+// Columns that are safe to show other members
+export const PUBLIC_USER_COLUMNS = ['id', 'first_name', 'last_name', 'email', 'avatar_url'];
+
+export class UserRepository {
+  // Get a user by id (null when there is none), optionally only some columns
+  static async findById(userId, columns) {
+    return users().findOne({ id: userId }, { columns });
+  }
+
+  static async findByEmail(email, columns) {
+    return users().findOne({ email }, { columns });
+  }
+
+  // Users whose email starts with `prefix`
+  static async searchByEmail(prefix, limit = 10) {
+    return users().find({ email: { ilike: `${prefix}%` } }, { columns: PUBLIC_USER_COLUMNS, limit });
+  }
+
+  // Create a user. Throws an error with code '23505' if the email is taken.
+  static async create(values) {
+    return users().insert(values);
+  }
+
+  // Returns the updated user (only `columns` when given), or null if there is none
+  static async update(userId, changes, columns) {
+    const [user] = await users().update({ id: userId }, changes);
+    return (columns ? pick(user, columns) : user) || null;
+  }
+
+  // Store an avatar image and return its public URL
+  static async storeAvatar(path, buffer, contentType) {
+    await fileStorage.upload(AVATAR_BUCKET, path, buffer, contentType);
+    return fileStorage.publicUrl(AVATAR_BUCKET, path);
+  }
+
+  // Remove a stored avatar given its public URL. A leftover image is only
+  // logged, so it never blocks changing the avatar.
+  static async removeAvatar(avatarUrl) {
+    const path = avatarUrl?.split(`/${AVATAR_BUCKET}/`)[1];
+    if (!path) return;
+
+    try {
+      await fileStorage.remove(AVATAR_BUCKET, [decodeURIComponent(path)]);
+    } catch (error) {
+      console.error('Error removing old avatar:', error);
+    }
+  }
+}
@@ -0,0 +1,25 @@
+import { db } from '../db/index.js';
+
+const workspaces = () => db.table('workspaces');
+
+export class WorkspaceRepository {
+  // Get a workspace by id (null when there is none), optionally only some columns
+  static async findById(workspaceId, columns) {
+    return workspaces().findOne({ id: workspaceId }, { columns });
+  }
+
+  static async create(values) {
+    return workspaces().insert(values);
+  }
+
+  // Returns the updated workspace, or null if there is none
+  static async update(workspaceId, changes) {
+    const [workspace] = await workspaces().update({ id: workspaceId }, changes);
+    return workspace || null;
+  }
+
+  // Delete the workspace row only; see services/workspaces.js for its content
+  static async delete(workspaceId) {
+    await workspaces().delete({ id: workspaceId });
+  }
+}
@@ -0,0 +1,76 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { PersonalAccessTokenModel } from '../models/PersonalAccessToken.js';
+import {
+  TOKEN_SCOPES,
+  formatApiToken,
+  generateApiToken,
+  tokenRequestSchema
+} from '../services/apiTokens.js';
+import { validate } from '../middleware/validate.js';
+import { uuid } from '../services/validation.js';
+
+const router = express.Router();
+
+// Tokens are managed with a signed-in session only; this router is mounted
+// without a token scope, so a token can't be used to mint more tokens
+router.use(authenticateUser);
+
+// List the user's personal access tokens and the scopes they can have
+router.get('/', validate({ summary: 'List personal access tokens' }), async (req, res) => {
+  try {
+    const tokens = await PersonalAccessTokenModel.listForUser(req.userId);
+    res.json({ tokens: tokens.map(formatApiToken), scopes: TOKEN_SCOPES });
+  } catch (error) {
+    console.error('Error fetching access tokens:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a token. The token itself is only returned here.
+router.post('/', validate({
+  summary: 'Create a personal access token',
+  body: tokenRequestSchema
+}), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = null } = req.body;
+
+    const { token, hash, prefix } = generateApiToken();
+    const record = await PersonalAccessTokenModel.create({
+      userId: req.userId,
+      name: name.trim(),
+      tokenHash: hash,
+      tokenPrefix: prefix,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null
+    });
+
+    console.log(`🔑 User ${req.userId} created access token ${record.id}`);
+    res.status(201).json({ token: formatApiToken(record), secret: token });
+  } catch (error) {
+    console.error('Error creating access token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a token; requests using it fail from then on
+router.delete('/:tokenId', validate({
+  summary: 'Revoke a personal access token',
+  params: { tokenId: uuid }
+}), async (req, res) => {
+  try {
+    const revoked = await PersonalAccessTokenModel.revoke(req.userId, req.params.tokenId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    console.error('Error revoking access token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
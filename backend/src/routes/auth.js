@@ -1,68 +1,238 @@
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { SessionModel } from '../models/Session.js';
+import { UserTokenModel } from '../models/UserToken.js';
+import { LoginAttemptModel } from '../models/LoginAttempt.js';
+import { UserIdentityModel } from '../models/UserIdentity.js';
+import { authenticateUser } from '../middleware/auth.js';
+import { sendMail } from '../services/mailer.js';
+import { passwordResetEmail, verificationEmail } from '../services/emails.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../services/loginThrottle.js';
+import { verifySecondFactor } from '../services/twoFactor.js';
+import { getOidcConfig, createAuthRequest, buildAuthorizationUrl, exchangeCode } from '../services/oidc.js';
+import { acceptInvitation } from '../services/invitations.js';
+import { validate } from '../middleware/validate.js';
+import { email, object, string, uuid } from '../services/validation.js';
+import { UserRepository } from '../repositories/UserRepository.js';
+import { endSessions } from '../sockets/sessionHandlers.js';
 dotenv.config();
 const router = express.Router();
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+// Access tokens are short-lived; refresh tokens keep the session going
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Generate JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 };
 
-// Register endpoint
-router.post('/register', async (req, res) => {
+// Refresh tokens are opaque random strings; only their hash is stored
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Start a new session and return its token pair
+const issueSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await SessionModel.createSession(userId, {
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return {
+    token: generateToken(userId, session.id),
+    refreshToken
+  };
+};
+
+// One-time token settings
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30');
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48');
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Issue a signed, expiring one-time token. The purpose is used as the JWT
+// audience and there is no `userId` claim, so these can never pass as access tokens.
+const issueOneTimeToken = async (userId, purpose, ttlSeconds) => {
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+
+  await UserTokenModel.createToken(userId, purpose, jti, expiresAt);
+
+  return jwt.sign({ purpose }, process.env.JWT_SECRET, {
+    subject: userId,
+    jwtid: jti,
+    audience: purpose,
+    expiresIn: ttlSeconds
+  });
+};
+
+// Verify and consume a one-time token; returns the user id or null
+const redeemOneTimeToken = async (token, purpose) => {
+  let payload;
   try {
-    const { email, password, firstName, lastName } = req.body;
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+  } catch {
+    return null;
+  }
 
-    if (!email || !password || !firstName || !lastName) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
+  const record = await UserTokenModel.consumeToken(payload.jti, purpose);
+  return record ? record.user_id : null;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueOneTimeToken(user.id, 'email-verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60);
+  await sendMail({ to: user.email, ...verificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS) });
+};
+
+// Short-lived token proving the password step passed; exchanged once at
+// /login/2fa
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const issueTwoFactorChallenge = (userId) =>
+  issueOneTimeToken(userId, '2fa-challenge', TWO_FACTOR_CHALLENGE_TTL_SECONDS);
+
+// Shape a users row for API responses
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  emailVerified: !!user.email_verified_at,
+  twoFactorEnabled: !!user.totp_enabled_at
+});
+
+// Write a failed login to the audit trail without failing the request
+const auditLoginFailure = async (req, email, outcome, userId = null) => {
+  try {
+    await LoginAttemptModel.record({
+      email,
+      userId,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      outcome
+    });
+  } catch (error) {
+    console.error('Error recording login attempt:', error);
+  }
+};
+
+// How each checkLoginAllowed refusal is recorded and explained
+const THROTTLE_REFUSALS = {
+  ACCOUNT_LOCKED: {
+    outcome: 'locked_out',
+    error: 'Too many failed attempts. Sign-in is temporarily locked.'
+  },
+  IP_LOCKED: {
+    outcome: 'ip_locked_out',
+    error: 'Too many failed attempts from your network. Sign-in is temporarily blocked.'
+  },
+  TOO_MANY_ATTEMPTS: {
+    outcome: 'throttled',
+    error: 'Too many failed attempts. Please wait before trying again.'
+  }
+};
+
+// Answer a login attempt refused by the throttle with 429
+const refuseThrottledLogin = async (req, res, email, throttle, userId = null) => {
+  const refusal = THROTTLE_REFUSALS[throttle.code];
+  await auditLoginFailure(req, email, refusal.outcome, userId);
+
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    error: refusal.error,
+    code: throttle.code,
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Request fields shared by several endpoints
+const newPassword = string({ minLength: 6, maxLength: 200 });
+const requiredString = string({ minLength: 1, maxLength: 500 });
+
+// Register endpoint
+router.post('/register', validate({
+  summary: 'Create an account',
+  body: object({
+    email,
+    password: newPassword,
+    firstName: string({ minLength: 1, maxLength: 100 }),
+    lastName: string({ minLength: 1, maxLength: 100 }),
+    inviteToken: requiredString
+  }, ['email', 'password', 'firstName', 'lastName'])
+}), async (req, res) => {
+  try {
+    const { email, password, firstName, lastName, inviteToken } = req.body;
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12);
 
-    // Insert user into Supabase
-    const { data: user, error } = await supabase
-      .from('users')
-      .insert([
-        {
-          email,
-          password: hashedPassword,
-          first_name: firstName,
-          last_name: lastName,
-          created_at: new Date().toISOString()
-        }
-      ])
-      .select()
-      .single();
-
-    if (error) {
+    let user;
+    try {
+      user = await UserRepository.create({
+        email,
+        password: hashedPassword,
+        first_name: firstName,
+        last_name: lastName,
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
       if (error.code === '23505') { // Unique violation
         return res.status(400).json({ error: 'Email already exists' });
       }
       throw error;
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Join the workspace from an invite link. Receiving the link proves the
+    // user owns the invited address, so accepting it also verifies the email.
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await acceptInvitation(inviteToken, user);
+
+      if (invitation.ok) {
+        const verifiedAt = new Date().toISOString();
+        await UserRepository.update(user.id, { email_verified_at: verifiedAt });
+        user.email_verified_at = verifiedAt;
+      } else {
+        console.warn(`✉️  Invitation not accepted at registration for ${email}: ${invitation.code}`);
+      }
+    }
+
+    // Send verification email; a mail failure shouldn't fail registration
+    if (!user.email_verified_at) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError);
+      }
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      return res.status(201).json({
+        message: 'User registered successfully. Please verify your email address.',
+        requiresVerification: true,
+        user: formatUser(user)
+      });
+    }
+
+    // Start session
+    const { token, refreshToken } = await issueSession(user.id, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name
-      }
+      refreshToken,
+      user: formatUser(user),
+      workspaceId: invitation?.ok ? invitation.workspaceId : undefined
     });
 
   } catch (error) {
@@ -72,47 +242,571 @@ router.post('/register', async (req, res) => {
 });
 
 // Login endpoint
-router.post('/login', async (req, res) => {
+router.post('/login', validate({
+  summary: 'Sign in with email and password',
+  body: object({ email: string({ minLength: 1, maxLength: 320 }), password: string({ minLength: 1, maxLength: 200 }) }, ['email', 'password'])
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+    // Refuse attempts while the account or IP is backing off or locked out
+    const throttle = checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      return refuseThrottledLogin(req, res, email, throttle);
     }
 
-    // Get user from Supabase
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .single();
+    const user = await UserRepository.findByEmail(email);
+
+    // Check password
+    const isValidPassword = !!user && await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      const failure = recordLoginFailure(email, req.ip);
+      await auditLoginFailure(req, email, 'invalid_credentials', user?.id);
+
+      if (failure.accountLocked || failure.ipLocked) {
+        console.warn(`Login locked out for ${email} from ${req.ip}`);
+      }
 
-    if (error || !user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      recordLoginSuccess(email);
+      return res.status(403).json({
+        error: 'Please verify your email address before signing in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Password is correct but a second factor is still needed
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: await issueTwoFactorChallenge(user.id)
+      });
+    }
+
+    recordLoginSuccess(email);
+
+    // Start session
+    const { token, refreshToken } = await issueSession(user.id, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: formatUser(user)
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Second login step: exchange a challenge token plus an authenticator or
+// recovery code for a session
+router.post('/login/2fa', validate({
+  summary: 'Finish signing in with a two-factor code',
+  body: object({
+    challengeToken: requiredString,
+    code: string({ minLength: 1, maxLength: 20 }),
+    recoveryCode: string({ minLength: 1, maxLength: 20 })
+  }, ['challengeToken'])
+}), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Code or recovery code is required' });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: '2fa-challenge' });
+      if (!(await UserTokenModel.isActive(challenge.jti, '2fa-challenge'))) throw new Error('Challenge already used');
+    } catch {
+      return res.status(401).json({
+        error: 'Sign-in attempt has expired. Please sign in again.',
+        code: 'CHALLENGE_INVALID'
+      });
+    }
+
+    const user = await UserRepository.findById(challenge.sub);
+
+    if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Code guesses count against the same backoff as password guesses
+    const throttle = checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      return refuseThrottledLogin(req, res, user.email, throttle, user.id);
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      recordLoginFailure(user.email, req.ip);
+      await auditLoginFailure(req, user.email, 'invalid_second_factor', user.id);
+
+      return res.status(401).json({ error: 'Invalid verification code', code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+
+    recordLoginSuccess(user.email);
+
+    // Spend the challenge only now so a mistyped code can be retried, but a
+    // challenge never starts more than one session
+    if (!(await UserTokenModel.consumeToken(challenge.jti, '2fa-challenge'))) {
+      return res.status(401).json({
+        error: 'Sign-in attempt has expired. Please sign in again.',
+        code: 'CHALLENGE_INVALID'
+      });
+    }
+
+    // Start session
+    const { token, refreshToken } = await issueSession(user.id, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: formatUser(user)
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Single sign-on (OpenID Connect)
+
+const OIDC_COOKIE = 'oidc_auth';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+const SSO_LOGIN_CODE_TTL_SECONDS = 120;
+
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+// Send the browser back to the frontend with a login code or an error
+const redirectToClient = (res, params) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  res.redirect(`${clientUrl}/sso/callback?${new URLSearchParams(params).toString()}`);
+};
+
+const splitName = (claims) => {
+  if (claims.given_name || claims.family_name) {
+    return { firstName: claims.given_name || '', lastName: claims.family_name || '' };
+  }
+  if (claims.name) {
+    const [firstName, ...rest] = claims.name.trim().split(/\s+/);
+    return { firstName, lastName: rest.join(' ') };
+  }
+  return { firstName: claims.email.split('@')[0], lastName: '' };
+};
+
+// Find the local user for a provider account: an existing link, else an
+// existing user with the same (provider-verified) email, else a new user.
+// Returns null when the account can't be linked safely.
+const provisionSsoUser = async (issuer, claims) => {
+  const identity = await UserIdentityModel.findByProviderSubject(issuer, claims.sub);
+
+  if (identity) {
+    await UserIdentityModel.touchIdentity(identity.id, claims.email || identity.email);
+
+    const user = await UserRepository.findById(identity.user_id);
+    if (!user) throw new Error(`User ${identity.user_id} of identity ${identity.id} not found`);
+    return user;
+  }
+
+  // Only trust the email for linking if the provider has verified it
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  if (!claims.email || !emailVerified) return null;
+
+  let user = await UserRepository.findByEmail(claims.email);
+
+  if (user && !user.email_verified_at) {
+    user = await UserRepository.update(user.id, { email_verified_at: new Date().toISOString() });
+  }
+
+  if (!user) {
+    // Just-in-time provisioning; the random password can only be replaced
+    // through a password reset
+    const { firstName, lastName } = splitName(claims);
+    const now = new Date().toISOString();
+
+    user = await UserRepository.create({
+      email: claims.email,
+      password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+      first_name: firstName,
+      last_name: lastName,
+      email_verified_at: now,
+      created_at: now
+    });
+    console.log(`👤 Provisioned user ${user.email} from ${issuer}`);
+  }
+
+  await UserIdentityModel.linkIdentity(user.id, { issuer, subject: claims.sub, email: claims.email });
+  return user;
+};
+
+// Tell the frontend whether to offer single sign-on
+router.get('/oidc/config', validate({ summary: 'Get single sign-on settings' }), (req, res) => {
+  const config = getOidcConfig();
+
+  res.json({
+    enabled: !!config,
+    providerName: config?.providerName || null
+  });
+});
+
+// Start single sign-on: redirect the browser to the identity provider
+router.get('/oidc/login', validate({ summary: 'Start single sign-on' }), async (req, res) => {
+  try {
+    const config = getOidcConfig();
+    if (!config) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    const authRequest = createAuthRequest();
+
+    // Keep state, nonce and PKCE verifier in a short-lived signed cookie so
+    // the callback can only be completed by the browser that started it
+    const cookieValue = jwt.sign(
+      { state: authRequest.state, nonce: authRequest.nonce, codeVerifier: authRequest.codeVerifier },
+      process.env.JWT_SECRET,
+      { audience: 'oidc-auth', expiresIn: '10m' }
+    );
+
+    res.cookie(OIDC_COOKIE, cookieValue, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: 10 * 60 * 1000,
+      path: OIDC_COOKIE_PATH
+    });
+
+    res.redirect(await buildAuthorizationUrl(config, authRequest));
+  } catch (error) {
+    console.error('SSO login error:', error);
+    redirectToClient(res, { error: 'Single sign-on is unavailable right now' });
+  }
+});
+
+// Identity provider redirects back here with an authorization code
+router.get('/oidc/callback', validate({
+  summary: 'Single sign-on callback from the identity provider',
+  query: object({ code: string(), state: string(), error: string(), error_description: string() })
+}), async (req, res) => {
+  const cookieValue = readCookie(req, OIDC_COOKIE);
+  res.clearCookie(OIDC_COOKIE, { path: OIDC_COOKIE_PATH });
+
+  try {
+    const config = getOidcConfig();
+    if (!config) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+
+    if (providerError) {
+      return redirectToClient(res, { error: providerErrorDescription || 'Sign-in was cancelled' });
+    }
+
+    let authRequest;
+    try {
+      authRequest = jwt.verify(cookieValue || '', process.env.JWT_SECRET, { audience: 'oidc-auth' });
+    } catch {
+      return redirectToClient(res, { error: 'Sign-in attempt has expired. Please try again.' });
+    }
+
+    if (!code || !state || state !== authRequest.state) {
+      return redirectToClient(res, { error: 'Sign-in attempt could not be verified. Please try again.' });
+    }
+
+    const claims = await exchangeCode(config, {
+      code,
+      codeVerifier: authRequest.codeVerifier,
+      nonce: authRequest.nonce
+    });
+
+    const user = await provisionSsoUser(config.issuer, claims);
+    if (!user) {
+      return redirectToClient(res, { error: 'Your identity provider did not share a verified email address' });
+    }
+
+    // Hand the frontend a short-lived, single-use code instead of tokens in the URL
+    const loginCode = await issueOneTimeToken(user.id, 'sso-login', SSO_LOGIN_CODE_TTL_SECONDS);
+    redirectToClient(res, { code: loginCode });
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectToClient(res, { error: 'Single sign-on failed' });
+  }
+});
+
+// Exchange the single-use code from the SSO callback for a session
+router.post('/oidc/exchange', validate({
+  summary: 'Exchange a single sign-on code for a session',
+  body: object({ code: requiredString }, ['code'])
+}), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const userId = await redeemOneTimeToken(code, 'sso-login');
+    if (!userId) {
+      return res.status(401).json({ error: 'Sign-in link is invalid or has expired', code: 'TOKEN_INVALID' });
+    }
+
+    const user = await UserRepository.findById(userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign-in link is invalid or has expired', code: 'TOKEN_INVALID' });
+    }
+
+    // Accounts with two-factor still need their second factor
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: await issueTwoFactorChallenge(user.id)
+      });
+    }
+
+    // Start session
+    const { token, refreshToken } = await issueSession(user.id, req);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name
+      refreshToken,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request a password reset link. Always answers the same way so the
+// endpoint can't be used to find out which emails have accounts.
+router.post('/forgot-password', validate({
+  summary: 'Email a password reset link',
+  body: object({ email }, ['email'])
+}), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await UserRepository.findByEmail(email, ['id', 'email', 'first_name']);
+
+    if (user) {
+      // Only the most recent link should work
+      await UserTokenModel.invalidateTokens(user.id, 'password-reset');
+
+      const token = await issueOneTimeToken(user.id, 'password-reset', PASSWORD_RESET_TTL_MINUTES * 60);
+      await sendMail({ to: user.email, ...passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES) });
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password using a reset token
+router.post('/reset-password', validate({
+  summary: 'Set a new password with a reset link',
+  body: object({ token: requiredString, password: newPassword }, ['token', 'password'])
+}), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await redeemOneTimeToken(token, 'password-reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired', code: 'TOKEN_INVALID' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    await UserRepository.update(userId, { password: hashedPassword });
+
+    // Sign out everywhere - whoever had the old password loses access
+    endSessions(await SessionModel.revokeAllSessions(userId));
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm an email address using a verification token
+router.post('/verify-email', validate({
+  summary: 'Verify an email address',
+  body: object({ token: requiredString }, ['token'])
+}), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const userId = await redeemOneTimeToken(token, 'email-verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired', code: 'TOKEN_INVALID' });
+    }
+
+    const user = await UserRepository.update(userId, { email_verified_at: new Date().toISOString() });
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired', code: 'TOKEN_INVALID' });
+    }
+
+    res.json({ message: 'Email verified successfully', user: formatUser(user) });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a fresh verification email
+router.post('/resend-verification', validate({
+  summary: 'Resend the verification email',
+  body: object({ email }, ['email'])
+}), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await UserRepository.findByEmail(email, ['id', 'email', 'first_name', 'email_verified_at']);
+
+    if (user && !user.email_verified_at) {
+      await UserTokenModel.invalidateTokens(user.id, 'email-verification');
+      await sendVerificationEmail(user);
+    }
+
+    res.json({ message: 'If the account still needs verification, a new link has been sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new token pair (rotating the refresh token)
+router.post('/refresh', validate({
+  summary: 'Exchange a refresh token for new tokens',
+  body: object({ refreshToken: requiredString }, ['refreshToken'])
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await SessionModel.findActiveByTokenHash(tokenHash);
+
+    if (!session) {
+      // A rotated token being replayed means it was leaked - kill the session
+      const reused = await SessionModel.findByPreviousTokenHash(tokenHash);
+      if (reused && !reused.revoked_at) {
+        console.warn(`Refresh token reuse detected for session ${reused.id}`);
+        await SessionModel.revokeSession(reused.id, reused.user_id);
+        endSessions([reused.id]);
       }
+
+      return res.status(401).json({ error: 'Invalid refresh token', code: 'REFRESH_INVALID' });
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+    const rotated = await SessionModel.rotateToken(
+      session.id,
+      tokenHash,
+      hashToken(nextRefreshToken),
+      refreshTokenExpiry()
+    );
+
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid refresh token', code: 'REFRESH_INVALID' });
+    }
+
+    res.json({
+      token: generateToken(session.user_id, session.id),
+      refreshToken: nextRefreshToken
     });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout endpoint - revokes the session behind the refresh token
+router.post('/logout', validate({
+  summary: 'Sign out and revoke the session',
+  body: object({ refreshToken: requiredString }, ['refreshToken'])
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = await SessionModel.findActiveByTokenHash(hashToken(refreshToken));
+    if (session) {
+      await SessionModel.revokeSession(session.id, session.user_id);
+      endSessions([session.id]);
+    }
 
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticateUser, validate({ summary: 'List your active sessions' }), async (req, res) => {
+  try {
+    const sessions = await SessionModel.getActiveSessions(req.userId);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', authenticateUser, validate({ summary: 'Sign out other sessions' }), async (req, res) => {
+  try {
+    const revokedIds = await SessionModel.revokeAllSessions(req.userId, req.sessionId);
+    endSessions(revokedIds);
+
+    res.json({ message: 'Other sessions revoked successfully', revokedCount: revokedIds.length });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', authenticateUser, validate({
+  summary: 'Revoke a session',
+  params: { sessionId: uuid }
+}), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await SessionModel.revokeSession(sessionId, req.userId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    endSessions([sessionId]);
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -1,44 +1,26 @@
 import express from 'express';
-import { ChatModel } from '../models/Chat.js';
-import { createClient } from '@supabase/supabase-js';
+import { MessageRepository } from '../repositories/MessageRepository.js';
+import { authenticateUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { CAPABILITIES } from '../services/permissions.js';
+import { validate } from '../middleware/validate.js';
+import { arrayOf, integer, object, uuid } from '../services/validation.js';
 
 const router = express.Router();
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-// Middleware to extract user ID
-const authenticateUser = (req, res, next) => {
-  const userId = req.headers['user-id'];
-  if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  req.userId = userId;
-  next();
-};
 
 router.use(authenticateUser);
 
 // Get chat history for workspace
-router.get('/workspace/:workspaceId/messages', async (req, res) => {
+router.get('/workspace/:workspaceId/messages', validate({
+  summary: 'Get chat history',
+  params: { workspaceId: uuid },
+  query: object({ limit: integer({ minimum: 1, maximum: 200 }), offset: integer({ minimum: 0 }) })
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
 
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to workspace' });
-    }
-
-    const messages = await ChatModel.getMessages(workspaceId, parseInt(limit), parseInt(offset));
+    const messages = await MessageRepository.getMessages(workspaceId, parseInt(limit), parseInt(offset));
     
     res.json({ messages });
   } catch (error) {
@@ -48,23 +30,14 @@ router.get('/workspace/:workspaceId/messages', async (req, res) => {
 });
 
 // Get unread message count for workspace
-router.get('/workspace/:workspaceId/unread-count', async (req, res) => {
+router.get('/workspace/:workspaceId/unread-count', validate({
+  summary: 'Count unread chat messages',
+  params: { workspaceId: uuid }
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to workspace' });
-    }
-
-    const unreadCount = await ChatModel.getUnreadCount(workspaceId, req.userId);
+    const unreadCount = await MessageRepository.getUnreadCount(workspaceId, req.userId);
     
     res.json({ unreadCount });
   } catch (error) {
@@ -74,18 +47,18 @@ router.get('/workspace/:workspaceId/unread-count', async (req, res) => {
 });
 
 // Mark multiple messages as read
-router.post('/messages/mark-read', async (req, res) => {
+router.post('/messages/mark-read', validate({
+  summary: 'Mark chat messages read',
+  body: object({ messageIds: arrayOf(uuid, { maxItems: 500 }), workspaceId: uuid }, ['messageIds', 'workspaceId'])
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
   try {
     const { messageIds, workspaceId } = req.body;
 
-    if (!messageIds || !Array.isArray(messageIds)) {
-      return res.status(400).json({ error: 'Message IDs array is required' });
-    }
-
-    // Mark each message as read
+    // Mark each message as read, skipping any from other workspaces
+    const ownMessageIds = await MessageRepository.idsInWorkspace(workspaceId, messageIds);
     await Promise.all(
-      messageIds.map(messageId => 
-        ChatModel.markAsRead(messageId, req.userId)
+      ownMessageIds.map(messageId => 
+        MessageRepository.markAsRead(messageId, req.userId)
       )
     );
 
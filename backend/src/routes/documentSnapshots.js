@@ -1,74 +1,48 @@
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
 import * as Y from 'yjs';
+import { authenticateUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { CAPABILITIES, workspaceOfDocument, workspaceOfSnapshot } from '../services/permissions.js';
+import { AUDIT_ACTIONS, recordAudit } from '../services/auditLog.js';
+import { validate } from '../middleware/validate.js';
+import { integer, nullable, object, string, uuid } from '../services/validation.js';
+import { DocumentRepository } from '../repositories/DocumentRepository.js';
+import { SnapshotRepository } from '../repositories/SnapshotRepository.js';
 
 const router = express.Router();
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
 
-// Middleware to extract user ID
-const authenticateUser = (req, res, next) => {
-  const userId = req.headers['user-id'];
-  if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  req.userId = userId;
-  next();
+router.use(authenticateUser);
+
+const documentWorkspace = {
+  resolve: (req) => workspaceOfDocument(req.params.documentId),
+  notFound: 'Document not found'
 };
 
-router.use(authenticateUser);
+const snapshotWorkspace = {
+  resolve: (req) => workspaceOfSnapshot(req.params.snapshotId),
+  notFound: 'Snapshot not found'
+};
+
+const documentParams = { documentId: uuid };
+const snapshotParams = { snapshotId: uuid };
 
 // Get all snapshots for a document
-router.get('/document/:documentId', async (req, res) => {
+router.get('/document/:documentId', validate({
+  summary: 'List snapshots of a document',
+  params: documentParams,
+  query: object({ limit: integer({ minimum: 1, maximum: 100 }), offset: integer({ minimum: 0 }) })
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE, documentWorkspace), async (req, res) => {
   try {
     const { documentId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
 
-    // Verify user has access to document
-    const { data: document, error: docError } = await supabase
-      .from('documents')
-      .select('workspace_id')
-      .eq('id', documentId)
-      .single();
-
-    if (docError) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
-
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', document.workspace_id)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to document' });
-    }
-
     // Get snapshots with creator info
-    const { data: snapshots, error } = await supabase
-      .from('document_snapshots')
-      .select(`
-        *,
-        creator:users (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .eq('document_id', documentId)
-      .order('created_at', { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-
-    if (error) throw error;
+    const snapshots = await SnapshotRepository.listForDocument(documentId, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
 
-    res.json({ snapshots: snapshots || [] });
+    res.json({ snapshots });
   } catch (error) {
     console.error('Error fetching document snapshots:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -76,66 +50,36 @@ router.get('/document/:documentId', async (req, res) => {
 });
 
 // Create a manual snapshot
-router.post('/document/:documentId', async (req, res) => {
+router.post('/document/:documentId', validate({
+  summary: 'Take a manual snapshot of a document',
+  params: documentParams,
+  body: object({ description: nullable(string({ maxLength: 500 })) })
+}), requirePermission(CAPABILITIES.EDIT_DOCUMENTS, documentWorkspace), async (req, res) => {
   try {
     const { documentId } = req.params;
     const { description } = req.body;
 
     // Get current document content
-    const { data: document, error: docError } = await supabase
-      .from('documents')
-      .select('content, current_version, workspace_id')
-      .eq('id', documentId)
-      .single();
+    const document = await DocumentRepository.findById(documentId, ['content', 'current_version']);
 
-    if (docError) {
+    if (!document) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', document.workspace_id)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to document' });
-    }
-
     // Create snapshot
-    const { data: snapshot, error } = await supabase
-      .from('document_snapshots')
-      .insert([{
-        document_id: documentId,
-        content: document.content,
-        version: document.current_version + 1,
-        created_by: req.userId,
-        description: description || 'Manual snapshot'
-      }])
-      .select(`
-        *,
-        creator:users (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .single();
-
-    if (error) throw error;
+    const snapshot = await SnapshotRepository.createWithCreator({
+      documentId,
+      content: document.content,
+      version: document.current_version + 1,
+      createdBy: req.userId,
+      description: description || 'Manual snapshot'
+    });
 
     // Update document version
-    await supabase
-      .from('documents')
-      .update({ 
-        current_version: document.current_version + 1,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', documentId);
+    await DocumentRepository.update(documentId, {
+      current_version: document.current_version + 1,
+      updated_at: new Date().toISOString()
+    });
 
     res.status(201).json({ snapshot });
   } catch (error) {
@@ -145,68 +89,45 @@ router.post('/document/:documentId', async (req, res) => {
 });
 
 // Restore document from snapshot
-router.post('/:snapshotId/restore', async (req, res) => {
+router.post('/:snapshotId/restore', validate({
+  summary: 'Restore a document to a snapshot',
+  params: snapshotParams
+}), requirePermission(CAPABILITIES.EDIT_DOCUMENTS, snapshotWorkspace), async (req, res) => {
   try {
     const { snapshotId } = req.params;
 
     // Get snapshot
-    const { data: snapshot, error: snapshotError } = await supabase
-      .from('document_snapshots')
-      .select('document_id, content, version')
-      .eq('id', snapshotId)
-      .single();
+    const snapshot = await SnapshotRepository.findById(snapshotId, ['document_id', 'content', 'version']);
 
-    if (snapshotError) {
+    if (!snapshot) {
       return res.status(404).json({ error: 'Snapshot not found' });
     }
 
-    // Get document to verify access
-    const { data: document, error: docError } = await supabase
-      .from('documents')
-      .select('workspace_id')
-      .eq('id', snapshot.document_id)
-      .single();
+    // Update document with snapshot content
+    const updatedDocument = await DocumentRepository.update(snapshot.document_id, {
+      content: snapshot.content,
+      current_version: snapshot.version + 1,
+      updated_at: new Date().toISOString()
+    });
 
-    if (docError) {
+    if (!updatedDocument) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', document.workspace_id)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to document' });
-    }
-
-    // Update document with snapshot content
-    const { data: updatedDocument, error: updateError } = await supabase
-      .from('documents')
-      .update({
-        content: snapshot.content,
-        current_version: snapshot.version + 1,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', snapshot.document_id)
-      .select()
-      .single();
-
-    if (updateError) throw updateError;
-
     // Create a new snapshot for the restore action
-    await supabase
-      .from('document_snapshots')
-      .insert([{
-        document_id: snapshot.document_id,
-        content: snapshot.content,
-        version: snapshot.version + 1,
-        created_by: req.userId,
-        description: `Restored from version ${snapshot.version}`
-      }]);
+    await SnapshotRepository.create({
+      documentId: snapshot.document_id,
+      content: snapshot.content,
+      version: snapshot.version + 1,
+      createdBy: req.userId,
+      description: `Restored from version ${snapshot.version}`
+    });
+
+    await recordAudit(req, AUDIT_ACTIONS.SNAPSHOT_RESTORED, {
+      targetType: 'document',
+      targetId: snapshot.document_id,
+      metadata: { title: updatedDocument.title, snapshotId, restoredVersion: snapshot.version }
+    });
 
     res.json({ 
       success: true, 
@@ -220,56 +141,34 @@ router.post('/:snapshotId/restore', async (req, res) => {
 });
 
 // Delete a snapshot
-router.delete('/:snapshotId', async (req, res) => {
+router.delete('/:snapshotId', validate({
+  summary: 'Delete a snapshot',
+  params: snapshotParams
+}), requirePermission(CAPABILITIES.EDIT_DOCUMENTS, snapshotWorkspace), async (req, res) => {
   try {
     const { snapshotId } = req.params;
 
-    // Get snapshot to verify access
-    const { data: snapshot, error: snapshotError } = await supabase
-      .from('document_snapshots')
-      .select('document_id, version')
-      .eq('id', snapshotId)
-      .single();
+    // Get snapshot
+    const snapshot = await SnapshotRepository.findById(snapshotId, ['document_id', 'version']);
 
-    if (snapshotError) {
+    if (!snapshot) {
       return res.status(404).json({ error: 'Snapshot not found' });
     }
 
-    // Get document to verify access
-    const { data: document, error: docError } = await supabase
-      .from('documents')
-      .select('workspace_id, current_version')
-      .eq('id', snapshot.document_id)
-      .single();
+    // Get the document's current version
+    const document = await DocumentRepository.findById(snapshot.document_id, ['current_version']);
 
-    if (docError) {
+    if (!document) {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', document.workspace_id)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to document' });
-    }
-
     // Prevent deleting current version
     if (snapshot.version === document.current_version) {
       return res.status(400).json({ error: 'Cannot delete current version' });
     }
 
     // Delete snapshot
-    const { error } = await supabase
-      .from('document_snapshots')
-      .delete()
-      .eq('id', snapshotId);
-
-    if (error) throw error;
+    await SnapshotRepository.delete(snapshotId);
 
     res.json({ success: true, message: 'Snapshot deleted successfully' });
   } catch (error) {
@@ -1,60 +1,41 @@
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
 import * as Y from 'yjs';
+import { authenticateUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { CAPABILITIES, workspaceOfDocument } from '../services/permissions.js';
+import { AUDIT_ACTIONS, recordAudit } from '../services/auditLog.js';
+import { forgetDocumentText } from '../services/search.js';
+import { closeDocuments } from '../sockets/documentServer.js';
+import { validate } from '../middleware/validate.js';
+import { object, string, uuid } from '../services/validation.js';
+import { DocumentRepository } from '../repositories/DocumentRepository.js';
+import { MemberRepository } from '../repositories/MemberRepository.js';
+import { PUBLIC_USER_COLUMNS } from '../repositories/UserRepository.js';
 
 const router = express.Router();
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
 
-// Middleware to extract user ID
-const authenticateUser = (req, res, next) => {
-  const userId = req.headers['user-id'];
-  if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  req.userId = userId;
-  next();
+router.use(authenticateUser);
+
+// Resolve the workspace from the document in the URL
+const documentWorkspace = {
+  resolve: (req) => workspaceOfDocument(req.params.documentId),
+  notFound: 'Document not found'
 };
 
-router.use(authenticateUser);
+const documentTitle = string({ minLength: 1, maxLength: 200 });
+const documentParams = { documentId: uuid };
 
 // Get all documents for a workspace
-router.get('/workspace/:workspaceId', async (req, res) => {
+router.get('/workspace/:workspaceId', validate({
+  summary: 'List documents in a workspace',
+  params: { workspaceId: uuid }
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to workspace' });
-    }
+    const documents = await DocumentRepository.listForWorkspace(workspaceId);
 
-    const { data: documents, error } = await supabase
-      .from('documents')
-      .select(`
-        *,
-        creator:users (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .eq('workspace_id', workspaceId)
-      .order('updated_at', { ascending: false });
-
-    if (error) throw error;
-
-    res.json({ documents: documents || [] });
+    res.json({ documents });
   } catch (error) {
     console.error('Error fetching documents:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -62,51 +43,21 @@ router.get('/workspace/:workspaceId', async (req, res) => {
 });
 
 // Get specific document
-router.get('/:documentId', async (req, res) => {
+router.get('/:documentId', validate({
+  summary: 'Get a document',
+  params: documentParams
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE, documentWorkspace), async (req, res) => {
   try {
     const { documentId } = req.params;
 
-    const { data: document, error } = await supabase
-      .from('documents')
-      .select(`
-        *,
-        creator:users (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .eq('id', documentId)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Document not found' });
-      }
-      throw error;
-    }
-
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', document.workspace_id)
-      .eq('user_id', req.userId)
-      .single();
+    const document = await DocumentRepository.findWithCreator(documentId);
 
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to document' });
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Convert binary content to base64 for transmission
-    const documentWithContent = {
-      ...document,
-      content: document.content ? document.content.toString('base64') : null
-    };
-
-    res.json({ document: documentWithContent });
+    // Content is stored base64 encoded, ready for transmission
+    res.json({ document: { ...document, content: document.content || null } });
   } catch (error) {
     console.error('Error fetching document:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -114,55 +65,27 @@ router.get('/:documentId', async (req, res) => {
 });
 
 // Create new document
-router.post('/', async (req, res) => {
+router.post('/', validate({
+  summary: 'Create a document',
+  body: object({ workspaceId: uuid, title: documentTitle }, ['workspaceId', 'title'])
+}), requirePermission(CAPABILITIES.EDIT_DOCUMENTS), async (req, res) => {
   try {
-    const { workspaceId, title, content } = req.body;
-
-    if (!workspaceId || !title) {
-      return res.status(400).json({ error: 'Workspace ID and title are required' });
-    }
-
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
+    const { workspaceId, title } = req.body;
 
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to workspace' });
-    }
-
-    // Create empty Yjs document state
+    // Create empty Yjs document state, base64 encoded like every later save
     const ydoc = new Y.Doc();
     const update = Y.encodeStateAsUpdate(ydoc);
-    const buffer = Buffer.from(update);
-
-    const { data: document, error } = await supabase
-      .from('documents')
-      .insert([{
-        workspace_id: workspaceId,
-        title,
-        content: buffer,
-        created_by: req.userId,
-        current_version: 1,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      }])
-      .select(`
-        *,
-        creator:users (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .single();
-
-    if (error) throw error;
+    const content = Buffer.from(update).toString('base64');
+
+    const document = await DocumentRepository.create({
+      workspace_id: workspaceId,
+      title,
+      content,
+      created_by: req.userId,
+      current_version: 1,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
 
     res.status(201).json({ document });
   } catch (error) {
@@ -172,58 +95,19 @@ router.post('/', async (req, res) => {
 });
 
 // Update document metadata (not content)
-router.put('/:documentId', async (req, res) => {
+router.put('/:documentId', validate({
+  summary: 'Rename a document',
+  params: documentParams,
+  body: object({ title: documentTitle }, ['title'])
+}), requirePermission(CAPABILITIES.EDIT_DOCUMENTS, documentWorkspace), async (req, res) => {
   try {
     const { documentId } = req.params;
     const { title } = req.body;
 
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
-    }
-
-    // Get document to verify access
-    const { data: existingDocument, error: fetchError } = await supabase
-      .from('documents')
-      .select('workspace_id')
-      .eq('id', documentId)
-      .single();
-
-    if (fetchError) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
-
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', existingDocument.workspace_id)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to document' });
-    }
-
-    const { data: document, error } = await supabase
-      .from('documents')
-      .update({
-        title,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', documentId)
-      .select(`
-        *,
-        creator:users (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .single();
-
-    if (error) throw error;
+    const document = await DocumentRepository.updateWithCreator(documentId, {
+      title,
+      updated_at: new Date().toISOString()
+    });
 
     res.json({ document });
   } catch (error) {
@@ -233,39 +117,24 @@ router.put('/:documentId', async (req, res) => {
 });
 
 // Delete document
-router.delete('/:documentId', async (req, res) => {
+router.delete('/:documentId', validate({
+  summary: 'Delete a document',
+  params: documentParams
+}), requirePermission(CAPABILITIES.EDIT_DOCUMENTS, documentWorkspace), async (req, res) => {
   try {
     const { documentId } = req.params;
 
-    // Get document to verify access
-    const { data: existingDocument, error: fetchError } = await supabase
-      .from('documents')
-      .select('workspace_id')
-      .eq('id', documentId)
-      .single();
+    // Disconnect editors without saving, so nothing writes the document back
+    await closeDocuments([documentId], { discard: true });
 
-    if (fetchError) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
+    const document = await DocumentRepository.delete(documentId);
+    forgetDocumentText(documentId);
 
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', existingDocument.workspace_id)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to document' });
-    }
-
-    const { error } = await supabase
-      .from('documents')
-      .delete()
-      .eq('id', documentId);
-
-    if (error) throw error;
+    await recordAudit(req, AUDIT_ACTIONS.DOCUMENT_DELETED, {
+      targetType: 'document',
+      targetId: documentId,
+      metadata: { title: document?.title }
+    });
 
     res.json({ success: true, message: 'Document deleted successfully' });
   } catch (error) {
@@ -275,36 +144,13 @@ router.delete('/:documentId', async (req, res) => {
 });
 
 // Get document collaborators
-router.get('/:documentId/collaborators', async (req, res) => {
+router.get('/:documentId/collaborators', validate({
+  summary: 'List who can edit a document',
+  params: documentParams
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE, documentWorkspace), async (req, res) => {
   try {
-    const { documentId } = req.params;
-
-    // Get document workspace
-    const { data: document, error: docError } = await supabase
-      .from('documents')
-      .select('workspace_id')
-      .eq('id', documentId)
-      .single();
-
-    if (docError) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
-
     // Get workspace members
-    const { data: members, error: membersError } = await supabase
-      .from('workspace_members')
-      .select(`
-        user:users (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .eq('workspace_id', document.workspace_id);
-
-    if (membersError) throw membersError;
+    const members = await MemberRepository.listForWorkspace(req.workspaceId, PUBLIC_USER_COLUMNS);
 
     const collaborators = members.map(m => m.user);
 
@@ -1,23 +1,18 @@
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
+import { authenticateUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { CAPABILITIES, hasCapability, workspaceOfFile } from '../services/permissions.js';
+import { AUDIT_ACTIONS, recordAudit } from '../services/auditLog.js';
+import { ACTIVITY_TYPES, recordActivity } from '../services/activity.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from '../services/webhooks.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { integer, object, string, uuid } from '../services/validation.js';
+import { FileRepository } from '../repositories/FileRepository.js';
 
 const router = express.Router();
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY // Use service key for storage operations
-);
-
-// Middleware to extract user ID from token
-const authenticateUser = (req, res, next) => {
-  const userId = req.headers['user-id'];
-  if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  req.userId = userId;
-  next();
-};
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -35,30 +30,27 @@ const upload = multer({
 // Apply authentication to all routes
 router.use(authenticateUser);
 
+const fileWorkspace = {
+  resolve: (req) => workspaceOfFile(req.params.fileId),
+  notFound: 'File not found'
+};
+
 // Upload file to workspace
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', rateLimit('upload'), upload.single('file'), validate({
+  summary: 'Upload a file (multipart form)',
+  body: object({ workspaceId: uuid, description: string({ maxLength: 1000 }) }, ['workspaceId']),
+  files: ['file']
+}), requirePermission(CAPABILITIES.UPLOAD_FILES), async (req, res) => {
   try {
     const { workspaceId, description } = req.body;
     const file = req.file;
 
     if (!file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    if (!workspaceId) {
-      return res.status(400).json({ error: 'Workspace ID is required' });
-    }
-
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to workspace' });
+      return res.status(400).json({
+        error: 'No file uploaded',
+        code: 'VALIDATION_FAILED',
+        fields: [{ field: 'file', message: 'file is required' }]
+      });
     }
 
     // Generate unique file path
@@ -66,56 +58,59 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     const fileName = `${uuidv4()}.${fileExt}`;
     const filePath = `${req.userId}/${workspaceId}/${fileName}`;
 
-    // Upload to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from('workspace-files')
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        cacheControl: '3600',
-      });
-
-    if (uploadError) {
+    // Upload to storage
+    let fileUrl;
+    try {
+      fileUrl = await FileRepository.storeObject(filePath, file.buffer, file.mimetype);
+    } catch (uploadError) {
       console.error('Storage upload error:', uploadError);
       return res.status(500).json({ error: 'Failed to upload file to storage' });
     }
 
-    // Get public URL
-    const { data: urlData } = supabase.storage
-      .from('workspace-files')
-      .getPublicUrl(filePath);
-
     // Save file metadata to database
-    const { data: fileRecord, error: dbError } = await supabase
-      .from('files')
-      .insert([{
+    let fileRecord;
+    try {
+      fileRecord = await FileRepository.create({
         workspace_id: workspaceId,
         uploaded_by: req.userId,
         file_name: file.originalname,
         file_size: file.size,
         file_type: file.mimetype,
-        file_url: urlData.publicUrl,
+        file_url: fileUrl,
         storage_path: filePath,
         description: description || null
-      }])
-      .select(`
-        *,
-        uploader:users!uploaded_by (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .single();
-
-    if (dbError) {
+      });
+    } catch (dbError) {
       console.error('Database insert error:', dbError);
       // Try to delete the uploaded file
-      await supabase.storage.from('workspace-files').remove([filePath]);
+      await FileRepository.removeObjects([filePath]).catch(() => {});
       return res.status(500).json({ error: 'Failed to save file metadata' });
     }
 
+    await recordActivity({
+      workspaceId,
+      actorId: req.userId,
+      type: ACTIVITY_TYPES.FILE_UPLOADED,
+      targetId: fileRecord.id,
+      metadata: { name: fileRecord.file_name, size: fileRecord.file_size }
+    });
+
+    await emitWebhookEvent({
+      workspaceId,
+      event: WEBHOOK_EVENTS.FILE_UPLOADED,
+      actorId: req.userId,
+      data: {
+        file: {
+          id: fileRecord.id,
+          name: fileRecord.file_name,
+          size: fileRecord.file_size,
+          type: fileRecord.file_type,
+          url: fileRecord.file_url,
+          description: fileRecord.description
+        }
+      }
+    });
+
     res.status(201).json({ 
       message: 'File uploaded successfully',
       file: fileRecord
@@ -127,44 +122,23 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 });
 
 // Get files for a workspace
-router.get('/workspace/:workspaceId', async (req, res) => {
+router.get('/workspace/:workspaceId', validate({
+  summary: 'List files in a workspace',
+  params: { workspaceId: uuid },
+  query: object({ limit: integer({ minimum: 1, maximum: 100 }), offset: integer({ minimum: 0 }) })
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
 
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to workspace' });
-    }
-
     // Get files
-    const { data: files, error, count } = await supabase
-      .from('files')
-      .select(`
-        *,
-        uploader:users!uploaded_by (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `, { count: 'exact' })
-      .eq('workspace_id', workspaceId)
-      .order('created_at', { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-
-    if (error) throw error;
+    const { files, total: count } = await FileRepository.listForWorkspace(workspaceId, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
 
     res.json({ 
-      files: files || [],
+      files,
       total: count,
       hasMore: count > parseInt(offset) + parseInt(limit)
     });
@@ -175,54 +149,55 @@ router.get('/workspace/:workspaceId', async (req, res) => {
 });
 
 // Delete file
-router.delete('/:fileId', async (req, res) => {
+router.delete('/:fileId', validate({
+  summary: 'Delete a file',
+  params: { fileId: uuid }
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE, fileWorkspace), async (req, res) => {
   try {
     const { fileId } = req.params;
 
     // Get file info
-    const { data: file, error: fetchError } = await supabase
-      .from('files')
-      .select('*, workspace_id')
-      .eq('id', fileId)
-      .single();
+    const file = await FileRepository.findById(fileId);
 
-    if (fetchError || !file) {
+    if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Verify user has access (either uploader or workspace admin)
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('role')
-      .eq('workspace_id', file.workspace_id)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (req.workspaceArchived) {
+      return res.status(403).json({ error: 'This workspace is archived and read-only', code: 'WORKSPACE_ARCHIVED' });
     }
 
-    // Check if user is uploader or admin
-    if (file.uploaded_by !== req.userId && membership.role !== 'admin') {
+    // Uploaders may remove their own files; anyone else needs the delete capability
+    const canDelete = file.uploaded_by === req.userId
+      ? hasCapability(req.workspaceRole, CAPABILITIES.UPLOAD_FILES)
+      : hasCapability(req.workspaceRole, CAPABILITIES.DELETE_FILES);
+
+    if (!canDelete) {
       return res.status(403).json({ error: 'Only the uploader or workspace admin can delete this file' });
     }
 
     // Delete from storage
-    const { error: storageError } = await supabase.storage
-      .from('workspace-files')
-      .remove([file.storage_path]);
-
-    if (storageError) {
+    try {
+      await FileRepository.removeObjects([file.storage_path]);
+    } catch (storageError) {
       console.error('Storage delete error:', storageError);
     }
 
     // Delete from database
-    const { error: deleteError } = await supabase
-      .from('files')
-      .delete()
-      .eq('id', fileId);
+    await FileRepository.delete(fileId);
 
-    if (deleteError) throw deleteError;
+    await recordAudit(req, AUDIT_ACTIONS.FILE_DELETED, {
+      targetType: 'file',
+      targetId: fileId,
+      metadata: { name: file.file_name, size: file.file_size, uploadedBy: file.uploaded_by }
+    });
+
+    await emitWebhookEvent({
+      workspaceId: req.workspaceId,
+      event: WEBHOOK_EVENTS.FILE_DELETED,
+      actorId: req.userId,
+      data: { file: { id: fileId, name: file.file_name, size: file.file_size } }
+    });
 
     res.json({ message: 'File deleted successfully' });
   } catch (error) {
@@ -232,41 +207,19 @@ router.delete('/:fileId', async (req, res) => {
 });
 
 // Get file info
-router.get('/:fileId', async (req, res) => {
+router.get('/:fileId', validate({
+  summary: 'Get a file',
+  params: { fileId: uuid }
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE, fileWorkspace), async (req, res) => {
   try {
     const { fileId } = req.params;
 
-    const { data: file, error } = await supabase
-      .from('files')
-      .select(`
-        *,
-        uploader:users!uploaded_by (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .eq('id', fileId)
-      .single();
+    const file = await FileRepository.findWithUploader(fileId);
 
-    if (error || !file) {
+    if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', file.workspace_id)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     res.json({ file });
   } catch (error) {
     console.error('Error fetching file:', error);
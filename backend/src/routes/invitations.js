@@ -0,0 +1,61 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { acceptInvitation, formatInvitation, resolveInvitation } from '../services/invitations.js';
+import { validate } from '../middleware/validate.js';
+import { object, string } from '../services/validation.js';
+import { UserRepository } from '../repositories/UserRepository.js';
+
+const router = express.Router();
+
+// Invite links carry a signed JWT, well over 200 characters
+const invitationToken = string({ minLength: 1, maxLength: 500 });
+
+// Preview an invitation from its link (no sign-in needed, so the invitee can
+// see what they're joining before they log in or register)
+router.get('/:token', validate({
+  summary: 'Preview an invitation',
+  params: { token: invitationToken }
+}), async (req, res) => {
+  try {
+    const result = await resolveInvitation(req.params.token);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({ invitation: formatInvitation(result.invitation) });
+  } catch (error) {
+    console.error('Error fetching invitation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept an invitation as the signed-in user
+router.post('/accept', authenticateUser, validate({
+  summary: 'Accept an invitation',
+  body: object({ token: invitationToken }, ['token'])
+}), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await UserRepository.findById(req.userId, ['id', 'email']);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await acceptInvitation(token, user);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      message: result.alreadyMember ? 'You are already a member of this workspace' : 'Invitation accepted',
+      workspaceId: result.workspaceId,
+      role: result.role
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
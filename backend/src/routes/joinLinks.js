@@ -0,0 +1,55 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { formatJoinLink, redeemJoinLink, resolveJoinLink } from '../services/joinLinks.js';
+import { validate } from '../middleware/validate.js';
+import { string } from '../services/validation.js';
+
+const router = express.Router();
+
+// Join links only work for signed-in users
+router.use(authenticateUser);
+
+const joinLinkParams = { code: string({ minLength: 1, maxLength: 100 }) };
+
+// Preview the workspace behind a join link
+router.get('/:code', validate({
+  summary: 'Preview a join link',
+  params: joinLinkParams
+}), async (req, res) => {
+  try {
+    const result = await resolveJoinLink(req.params.code);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
+
+    const { workspace, role, expiresAt } = formatJoinLink(result.link);
+    res.json({ joinLink: { workspace, role, expiresAt } });
+  } catch (error) {
+    console.error('Error fetching join link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Join the workspace behind a join link
+router.post('/:code', validate({
+  summary: 'Join a workspace with a join link',
+  params: joinLinkParams
+}), async (req, res) => {
+  try {
+    const result = await redeemJoinLink(req.params.code, req.userId);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      message: result.alreadyMember ? 'You are already a member of this workspace' : 'Joined workspace',
+      workspaceId: result.workspaceId,
+      role: result.role
+    });
+  } catch (error) {
+    console.error('Error joining workspace:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,188 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { NotificationModel } from '../models/Notification.js';
+import { NotificationPreferenceModel } from '../models/NotificationPreference.js';
+import { formatNotification } from '../services/notifications.js';
+import { CAPABILITIES } from '../services/permissions.js';
+import {
+  DIGEST_FREQUENCIES,
+  channelsSchema,
+  getPreferences,
+  isValidTimezone,
+  validateQuietHours
+} from '../services/notificationPreferences.js';
+import { broadcastNotificationsRead } from '../sockets/notificationHandlers.js';
+import { validate } from '../middleware/validate.js';
+import { arrayOf, boolean, dateTime, integer, nullable, object, oneOf, string, uuid } from '../services/validation.js';
+
+const router = express.Router();
+
+router.use(authenticateUser);
+
+// The current user's notifications, newest first. `unread=true` limits the
+// list to unread ones; paginated with `before` (a createdAt) and limit.
+router.get('/', validate({
+  summary: 'List notifications',
+  query: object({ unread: boolean, before: dateTime, limit: integer({ minimum: 1, maximum: 50 }) })
+}), async (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const [notifications, unreadCount] = await Promise.all([
+      NotificationModel.list(req.userId, {
+        unreadOnly: req.query.unread === 'true',
+        before: before && new Date(before).toISOString(),
+        limit
+      }),
+      NotificationModel.countUnread(req.userId)
+    ]);
+
+    res.json({
+      notifications: notifications.map(formatNotification),
+      unreadCount,
+      hasMore: notifications.length === limit
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/unread-count', validate({ summary: 'Count unread notifications' }), async (req, res) => {
+  try {
+    res.json({ unreadCount: await NotificationModel.countUnread(req.userId) });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark notifications read: the given `ids`, or all of them with `all: true`
+router.post('/read', validate({
+  summary: 'Mark notifications read',
+  body: object({ ids: arrayOf(uuid, { maxItems: 500 }), all: boolean })
+}), async (req, res) => {
+  try {
+    const { ids, all } = req.body;
+
+    if (!all && (!ids || ids.length === 0)) {
+      return res.status(400).json({ error: 'Provide notification ids or all: true' });
+    }
+
+    const readIds = await NotificationModel.markRead(req.userId, all ? null : ids);
+    const unreadCount = await NotificationModel.countUnread(req.userId);
+    broadcastNotificationsRead(req.userId, all ? null : readIds, unreadCount);
+
+    res.json({ success: true, readIds, unreadCount });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The user's notification preferences: default channels per type,
+// per-workspace overrides, quiet hours and digest settings
+router.get('/preferences', validate({ summary: 'Get notification preferences' }), async (req, res) => {
+  try {
+    res.json({ preferences: await getPreferences(req.userId), digestFrequencies: DIGEST_FREQUENCIES });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update default channels, quiet hours, timezone and digest frequency. Any
+// field left out stays as it was.
+router.put('/preferences', validate({
+  summary: 'Update notification preferences',
+  body: object({
+    channels: channelsSchema,
+    quietHoursStart: nullable(string({ format: 'time' })),
+    quietHoursEnd: nullable(string({ format: 'time' })),
+    timezone: string({ maxLength: 100 }),
+    digestFrequency: oneOf(DIGEST_FREQUENCIES)
+  })
+}), async (req, res) => {
+  try {
+    const { channels, quietHoursStart, quietHoursEnd, timezone, digestFrequency } = req.body;
+    const current = await getPreferences(req.userId);
+
+    const quietHoursChanged = quietHoursStart !== undefined || quietHoursEnd !== undefined;
+    const start = quietHoursStart !== undefined ? quietHoursStart : current.settings.quietHoursStart;
+    const end = quietHoursEnd !== undefined ? quietHoursEnd : current.settings.quietHoursEnd;
+
+    if (quietHoursChanged) {
+      const quietHoursError = validateQuietHours(start, end);
+      if (quietHoursError) {
+        return res.status(400).json({ error: quietHoursError });
+      }
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Unknown timezone' });
+    }
+
+    if (channels !== undefined) {
+      await NotificationPreferenceModel.setChannels(req.userId, null, { ...current.channels, ...channels });
+    }
+
+    if (quietHoursChanged || timezone !== undefined || digestFrequency !== undefined) {
+      const updates = {
+        quiet_hours_start: start,
+        quiet_hours_end: end,
+        timezone: timezone ?? current.settings.timezone,
+        digest_frequency: digestFrequency ?? current.settings.digestFrequency
+      };
+
+      // A newly enabled digest covers the period from now, not all history
+      if (digestFrequency && digestFrequency !== current.settings.digestFrequency) {
+        updates.last_digest_sent_at = new Date().toISOString();
+      }
+
+      await NotificationPreferenceModel.saveSettings(req.userId, updates);
+    }
+
+    res.json({ preferences: await getPreferences(req.userId) });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Override the default channels for one workspace
+router.put('/preferences/workspaces/:workspaceId', validate({
+  summary: 'Override notification channels in a workspace',
+  params: { workspaceId: uuid },
+  body: object({ channels: channelsSchema }, ['channels'])
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
+  try {
+    const { channels } = req.body;
+
+    const current = await getPreferences(req.userId);
+    await NotificationPreferenceModel.setChannels(req.userId, req.params.workspaceId, { ...current.channels, ...channels });
+
+    res.json({ preferences: await getPreferences(req.userId) });
+  } catch (error) {
+    console.error('Error updating workspace notification preferences:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Go back to the default channels in a workspace. Membership isn't required
+// so former members can still clean up.
+router.delete('/preferences/workspaces/:workspaceId', validate({
+  summary: 'Reset notification channels in a workspace',
+  params: { workspaceId: uuid }
+}), async (req, res) => {
+  try {
+    await NotificationPreferenceModel.clearChannels(req.userId, req.params.workspaceId);
+    res.json({ preferences: await getPreferences(req.userId) });
+  } catch (error) {
+    console.error('Error resetting workspace notification preferences:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
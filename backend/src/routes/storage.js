@@ -0,0 +1,75 @@
+import express from 'express';
+import { extname } from 'path';
+import { authenticateUser } from '../middleware/auth.js';
+import { CAPABILITIES, checkPermission } from '../services/permissions.js';
+import { fileStorage } from '../db/index.js';
+import { FILE_BUCKET, FileRepository } from '../repositories/FileRepository.js';
+import { AVATAR_BUCKET } from '../repositories/UserRepository.js';
+
+// Serves uploads from stores that keep files themselves (see db/index.js);
+// Supabase Storage serves its own.
+const router = express.Router();
+
+// Image types a browser can show without running anything. SVG is left out
+// because it can carry scripts.
+const INLINE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif']);
+
+// Links and <img> tags can't set headers, so the token may come in the
+// `token` query parameter instead, as for document WebSockets
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Send a stored object. Safe images are shown inline; everything else is
+// downloaded as `downloadName`, so an uploaded page never runs on our origin.
+async function sendObject(res, bucket, objectPath, downloadName) {
+  const object = await fileStorage.read(bucket, objectPath);
+  if (!object) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  res.type(object.contentType || extname(objectPath) || 'application/octet-stream');
+  res.set('X-Content-Type-Options', 'nosniff');
+
+  if (!INLINE_TYPES.has(res.get('Content-Type').split(';')[0])) {
+    res.attachment(downloadName);
+    res.type('application/octet-stream');
+  }
+
+  res.send(object.buffer);
+}
+
+// Avatars are shown next to people's names everywhere, so anyone may load them
+router.get(`/${AVATAR_BUCKET}/*`, async (req, res) => {
+  try {
+    await sendObject(res, AVATAR_BUCKET, req.params[0], 'avatar');
+  } catch (error) {
+    console.error('Error reading stored avatar:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Workspace files only go to members of the file's workspace
+router.get(`/${FILE_BUCKET}/*`, tokenFromQuery, authenticateUser, async (req, res) => {
+  try {
+    const file = await FileRepository.findByStoragePath(req.params[0]);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const access = await checkPermission(req.userId, file.workspace_id, CAPABILITIES.VIEW_WORKSPACE);
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+
+    await sendObject(res, FILE_BUCKET, file.storage_path, file.file_name);
+  } catch (error) {
+    console.error('Error reading stored file:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
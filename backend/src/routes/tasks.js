@@ -1,65 +1,56 @@
 import express from 'express';
-import { TaskBoardModel } from '../models/TaskBoard.js';
-import { createClient } from '@supabase/supabase-js';
+import { TaskRepository } from '../repositories/TaskRepository.js';
+import { authenticateUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { CAPABILITIES, workspaceOfList, workspaceOfTask } from '../services/permissions.js';
+import { AUDIT_ACTIONS, recordAudit } from '../services/auditLog.js';
+import { ACTIVITY_TYPES, recordActivity } from '../services/activity.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from '../services/webhooks.js';
+import { validate } from '../middleware/validate.js';
+import { arrayOf, boolean, dateTime, integer, nullable, object, oneOf, string, uuid } from '../services/validation.js';
 
 const router = express.Router();
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-// Middleware to extract user ID
-const authenticateUser = (req, res, next) => {
-  const userId = req.headers['user-id'];
-  if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  req.userId = userId;
-  next();
-};
 
 router.use(authenticateUser);
 
+// Resolve the workspace from the list or task a request targets
+const listWorkspace = {
+  resolve: (req) => workspaceOfList(req.params.listId || req.body.listId),
+  notFound: 'List not found'
+};
+
+const taskWorkspace = {
+  resolve: (req) => workspaceOfTask(req.params.taskId),
+  notFound: 'Task not found'
+};
+
+const manageTasks = (options) => requirePermission(CAPABILITIES.MANAGE_TASKS, options);
+
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const listName = string({ minLength: 1, maxLength: 100 });
+const taskFields = {
+  title: string({ minLength: 1, maxLength: 500 }),
+  description: nullable(string({ maxLength: 10000 })),
+  assigneeId: nullable(uuid),
+  dueDate: nullable(dateTime),
+  priority: oneOf(TASK_PRIORITIES)
+};
+
 // Get all lists and tasks for a workspace
-// Get all lists and tasks for a workspace
-router.get('/workspace/:workspaceId', async (req, res) => {
+router.get('/workspace/:workspaceId', validate({
+  summary: 'Get the task board',
+  params: { workspaceId: uuid }
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     console.log('=== FETCHING TASK BOARD ===');
     console.log('Workspace ID:', workspaceId);
     console.log('User ID:', req.userId);
 
-    if (!workspaceId) {
-      return res.status(400).json({ error: 'Workspace ID is required' });
-    }
-
-    // Verify user has access to workspace
-    console.log('🔍 Checking workspace access...');
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError) {
-      console.error('❌ Membership check error:', membershipError);
-      if (membershipError.code === 'PGRST116') { // No rows returned
-        return res.status(403).json({ error: 'Access denied to workspace' });
-      }
-      throw membershipError;
-    }
-
-    if (!membership) {
-      console.log('❌ User not a member of workspace');
-      return res.status(403).json({ error: 'Access denied to workspace' });
-    }
-
-    console.log('✅ User has workspace access');
-
     // Get lists with tasks
     console.log('📋 Fetching lists and tasks...');
-    const lists = await TaskBoardModel.getLists(workspaceId);
+    const lists = await TaskRepository.getLists(workspaceId);
     console.log('✅ Lists fetched successfully:', lists.length);
     
     res.json({ lists });
@@ -79,27 +70,14 @@ router.get('/workspace/:workspaceId', async (req, res) => {
   }
 });
 // Create a new list
-router.post('/lists', async (req, res) => {
+router.post('/lists', validate({
+  summary: 'Create a task list',
+  body: object({ workspaceId: uuid, name: listName, position: integer({ minimum: 0 }) }, ['workspaceId', 'name'])
+}), manageTasks(), async (req, res) => {
   try {
     const { workspaceId, name, position } = req.body;
 
-    if (!workspaceId || !name) {
-      return res.status(400).json({ error: 'Workspace ID and name are required' });
-    }
-
-    // Verify user has access to workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied to workspace' });
-    }
-
-    const list = await TaskBoardModel.createList(workspaceId, name, position);
+    const list = await TaskRepository.createList(workspaceId, name, position);
     res.status(201).json({ list });
   } catch (error) {
     console.error('Error creating list:', error);
@@ -108,16 +86,16 @@ router.post('/lists', async (req, res) => {
 });
 
 // Update a list
-router.put('/lists/:listId', async (req, res) => {
+router.put('/lists/:listId', validate({
+  summary: 'Rename a task list',
+  params: { listId: uuid },
+  body: object({ name: listName }, ['name'])
+}), manageTasks(listWorkspace), async (req, res) => {
   try {
     const { listId } = req.params;
     const { name } = req.body;
 
-    if (!name) {
-      return res.status(400).json({ error: 'List name is required' });
-    }
-
-    const list = await TaskBoardModel.updateList(listId, { name });
+    const list = await TaskRepository.updateList(listId, { name });
     res.json({ list });
   } catch (error) {
     console.error('Error updating list:', error);
@@ -126,10 +104,20 @@ router.put('/lists/:listId', async (req, res) => {
 });
 
 // Delete a list
-router.delete('/lists/:listId', async (req, res) => {
+router.delete('/lists/:listId', validate({
+  summary: 'Delete a task list and its tasks',
+  params: { listId: uuid }
+}), manageTasks(listWorkspace), async (req, res) => {
   try {
     const { listId } = req.params;
-    await TaskBoardModel.deleteList(listId);
+    const { list, taskCount } = await TaskRepository.deleteList(listId);
+
+    await recordAudit(req, AUDIT_ACTIONS.TASK_LIST_DELETED, {
+      targetType: 'task_list',
+      targetId: listId,
+      metadata: { name: list?.name, taskCount }
+    });
+
     res.json({ success: true, message: 'List deleted successfully' });
   } catch (error) {
     console.error('Error deleting list:', error);
@@ -138,15 +126,17 @@ router.delete('/lists/:listId', async (req, res) => {
 });
 
 // Reorder lists
-router.post('/lists/reorder', async (req, res) => {
+router.post('/lists/reorder', validate({
+  summary: 'Reorder task lists',
+  body: object({ workspaceId: uuid, listOrders: arrayOf(uuid, { uniqueItems: true }) }, ['workspaceId', 'listOrders'])
+}), manageTasks(), async (req, res) => {
   try {
     const { workspaceId, listOrders } = req.body;
 
-    if (!workspaceId || !Array.isArray(listOrders)) {
-      return res.status(400).json({ error: 'Workspace ID and list orders are required' });
+    if (!(await TaskRepository.reorderLists(workspaceId, listOrders))) {
+      return res.status(404).json({ error: 'List not found' });
     }
 
-    await TaskBoardModel.reorderLists(workspaceId, listOrders);
     res.json({ success: true, message: 'Lists reordered successfully' });
   } catch (error) {
     console.error('Error reordering lists:', error);
@@ -155,15 +145,14 @@ router.post('/lists/reorder', async (req, res) => {
 });
 
 // Create a new task
-router.post('/tasks', async (req, res) => {
+router.post('/tasks', validate({
+  summary: 'Create a task',
+  body: object({ listId: uuid, ...taskFields }, ['listId', 'title'])
+}), manageTasks(listWorkspace), async (req, res) => {
   try {
     const { listId, title, description, assigneeId, dueDate, priority } = req.body;
 
-    if (!listId || !title) {
-      return res.status(400).json({ error: 'List ID and title are required' });
-    }
-
-    const task = await TaskBoardModel.createTask(listId, {
+    const task = await TaskRepository.createTask(listId, {
       title,
       description,
       assigneeId,
@@ -171,6 +160,21 @@ router.post('/tasks', async (req, res) => {
       priority
     }, req.userId);
 
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: req.userId,
+      type: ACTIVITY_TYPES.TASK_CREATED,
+      targetId: task.id,
+      metadata: { title: task.title, listName: await TaskRepository.getListName(listId) }
+    });
+
+    await emitWebhookEvent({
+      workspaceId: req.workspaceId,
+      event: WEBHOOK_EVENTS.TASK_CREATED,
+      actorId: req.userId,
+      data: { task }
+    });
+
     res.status(201).json({ task });
   } catch (error) {
     console.error('Error creating task:', error);
@@ -179,18 +183,44 @@ router.post('/tasks', async (req, res) => {
 });
 
 // Update a task
-router.put('/tasks/:taskId', async (req, res) => {
+router.put('/tasks/:taskId', validate({
+  summary: 'Update a task',
+  params: { taskId: uuid },
+  body: object({ ...taskFields, completed: boolean })
+}), manageTasks(taskWorkspace), async (req, res) => {
   try {
     const { taskId } = req.params;
-    const { title, description, assigneeId, dueDate, priority } = req.body;
+    const { title, description, assigneeId, dueDate, priority, completed } = req.body;
+
+    const before = completed !== undefined ? await TaskRepository.getTaskSummary(taskId) : null;
 
-    const task = await TaskBoardModel.updateTask(taskId, {
+    const task = await TaskRepository.updateTask(taskId, {
       title,
       description,
       assignee_id: assigneeId,
       due_date: dueDate,
       priority,
+      completed_at: completed === undefined
+        ? undefined
+        : completed ? before?.completed_at || new Date().toISOString() : null,
       updated_at: new Date().toISOString()
+    }, req.userId);
+
+    if (completed && !before?.completed_at) {
+      await recordActivity({
+        workspaceId: req.workspaceId,
+        actorId: req.userId,
+        type: ACTIVITY_TYPES.TASK_COMPLETED,
+        targetId: taskId,
+        metadata: { title: task.title }
+      });
+    }
+
+    await emitWebhookEvent({
+      workspaceId: req.workspaceId,
+      event: WEBHOOK_EVENTS.TASK_UPDATED,
+      actorId: req.userId,
+      data: { task }
     });
 
     res.json({ task });
@@ -201,10 +231,27 @@ router.put('/tasks/:taskId', async (req, res) => {
 });
 
 // Delete a task
-router.delete('/tasks/:taskId', async (req, res) => {
+router.delete('/tasks/:taskId', validate({
+  summary: 'Delete a task',
+  params: { taskId: uuid }
+}), manageTasks(taskWorkspace), async (req, res) => {
   try {
     const { taskId } = req.params;
-    await TaskBoardModel.deleteTask(taskId);
+    const { task } = await TaskRepository.deleteTask(taskId);
+
+    await recordAudit(req, AUDIT_ACTIONS.TASK_DELETED, {
+      targetType: 'task',
+      targetId: taskId,
+      metadata: { title: task?.title, listId: task?.list_id }
+    });
+
+    await emitWebhookEvent({
+      workspaceId: req.workspaceId,
+      event: WEBHOOK_EVENTS.TASK_DELETED,
+      actorId: req.userId,
+      data: { task: { id: taskId, title: task?.title, listId: task?.list_id } }
+    });
+
     res.json({ success: true, message: 'Task deleted successfully' });
   } catch (error) {
     console.error('Error deleting task:', error);
@@ -213,16 +260,45 @@ router.delete('/tasks/:taskId', async (req, res) => {
 });
 
 // Move task to different list
-router.post('/tasks/:taskId/move', async (req, res) => {
+router.post('/tasks/:taskId/move', validate({
+  summary: 'Move a task to another list or position',
+  params: { taskId: uuid },
+  body: object({ newListId: uuid, newPosition: integer({ minimum: 0 }) }, ['newListId'])
+}), manageTasks(taskWorkspace), async (req, res) => {
   try {
     const { taskId } = req.params;
     const { newListId, newPosition } = req.body;
 
-    if (!newListId) {
-      return res.status(400).json({ error: 'New list ID is required' });
+    // Tasks can only move between lists of the same workspace
+    if (await workspaceOfList(newListId) !== req.workspaceId) {
+      return res.status(400).json({ error: 'Invalid destination list' });
+    }
+
+    const before = await TaskRepository.getTaskSummary(taskId);
+    const task = await TaskRepository.moveTask(taskId, newListId, newPosition);
+
+    // Reordering within the same list isn't worth a feed entry
+    if (before && before.list_id !== newListId) {
+      await recordActivity({
+        workspaceId: req.workspaceId,
+        actorId: req.userId,
+        type: ACTIVITY_TYPES.TASK_MOVED,
+        targetId: taskId,
+        metadata: {
+          title: task.title,
+          fromListName: before.list?.name || null,
+          toListName: await TaskRepository.getListName(newListId)
+        }
+      });
+
+      await emitWebhookEvent({
+        workspaceId: req.workspaceId,
+        event: WEBHOOK_EVENTS.TASK_MOVED,
+        actorId: req.userId,
+        data: { task, fromListId: before.list_id, toListId: newListId }
+      });
     }
 
-    const task = await TaskBoardModel.moveTask(taskId, newListId, newPosition);
     res.json({ task });
   } catch (error) {
     console.error('Error moving task:', error);
@@ -231,15 +307,17 @@ router.post('/tasks/:taskId/move', async (req, res) => {
 });
 
 // Reorder tasks within a list
-router.post('/tasks/reorder', async (req, res) => {
+router.post('/tasks/reorder', validate({
+  summary: 'Reorder tasks within a list',
+  body: object({ listId: uuid, taskOrders: arrayOf(uuid, { uniqueItems: true }) }, ['listId', 'taskOrders'])
+}), manageTasks(listWorkspace), async (req, res) => {
   try {
     const { listId, taskOrders } = req.body;
 
-    if (!listId || !Array.isArray(taskOrders)) {
-      return res.status(400).json({ error: 'List ID and task orders are required' });
+    if (!(await TaskRepository.reorderTasks(listId, taskOrders))) {
+      return res.status(404).json({ error: 'Task not found' });
     }
 
-    await TaskBoardModel.reorderTasks(listId, taskOrders);
     res.json({ success: true, message: 'Tasks reordered successfully' });
   } catch (error) {
     console.error('Error reordering tasks:', error);
@@ -0,0 +1,177 @@
+import express from 'express';
+import QRCode from 'qrcode';
+import { authenticateUser } from '../middleware/auth.js';
+import { TwoFactorModel } from '../models/TwoFactor.js';
+import { generateSecret, buildOtpAuthUrl, verifyTotp } from '../services/totp.js';
+import { totpIssuer, issueRecoveryCodes, verifySecondFactor } from '../services/twoFactor.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../services/loginThrottle.js';
+import { validate } from '../middleware/validate.js';
+import { object, string } from '../services/validation.js';
+
+const router = express.Router();
+
+// Apply authentication to all two-factor routes
+router.use(authenticateUser);
+
+const totpCode = string({ minLength: 1, maxLength: 20 });
+
+// Check a code protecting an account change. Guesses count against the same
+// per-account backoff as sign-in, so a stolen session can't be used to
+// brute-force the authenticator. Responds and returns null when refused.
+const verifyAccountCode = async (req, res, settings, factors) => {
+  const throttle = checkLoginAllowed(settings.email, req.ip);
+  if (!throttle.allowed) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    res.status(429).json({
+      error: 'Too many failed attempts. Please wait before trying again.',
+      code: throttle.code,
+      retryAfter: throttle.retryAfter
+    });
+    return null;
+  }
+
+  const method = await verifySecondFactor(settings, factors);
+  if (!method) {
+    recordLoginFailure(settings.email, req.ip);
+    res.status(400).json({ error: 'Invalid verification code', code: 'INVALID_TWO_FACTOR_CODE' });
+    return null;
+  }
+
+  recordLoginSuccess(settings.email);
+  return method;
+};
+
+// Get the current user's two-factor status
+router.get('/status', validate({ summary: 'Get two-factor status' }), async (req, res) => {
+  try {
+    const settings = await TwoFactorModel.getSettings(req.userId);
+    const enabled = !!settings.totp_enabled_at;
+
+    res.json({
+      enabled,
+      enabledAt: settings.totp_enabled_at,
+      recoveryCodesRemaining: enabled
+        ? await TwoFactorModel.countRemainingRecoveryCodes(req.userId)
+        : 0
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start enrollment: generate a secret and the QR code to scan
+router.post('/setup', validate({ summary: 'Start two-factor setup' }), async (req, res) => {
+  try {
+    const settings = await TwoFactorModel.getSettings(req.userId);
+
+    if (settings.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await TwoFactorModel.setPendingSecret(req.userId, secret);
+
+    const otpauthUrl = buildOtpAuthUrl(secret, settings.email, totpIssuer());
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finish enrollment by confirming a code from the authenticator app
+router.post('/enable', validate({
+  summary: 'Enable two-factor authentication',
+  body: object({ code: totpCode }, ['code'])
+}), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const settings = await TwoFactorModel.getSettings(req.userId);
+
+    if (settings.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!settings.totp_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(settings.totp_secret, code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code', code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+
+    await TwoFactorModel.enable(req.userId, step);
+    const recoveryCodes = await issueRecoveryCodes(req.userId);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn two-factor off; requires a current code or a recovery code
+router.post('/disable', validate({
+  summary: 'Disable two-factor authentication',
+  body: object({ code: totpCode, recoveryCode: totpCode })
+}), async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Code or recovery code is required' });
+    }
+
+    const settings = await TwoFactorModel.getSettings(req.userId);
+
+    if (!settings.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const method = await verifyAccountCode(req, res, settings, { code, recoveryCode });
+    if (!method) return;
+
+    await TwoFactorModel.disable(req.userId);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the recovery codes with a new set; requires a current code
+router.post('/recovery-codes', validate({
+  summary: 'Regenerate recovery codes',
+  body: object({ code: totpCode }, ['code'])
+}), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const settings = await TwoFactorModel.getSettings(req.userId);
+
+    if (!settings.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const method = await verifyAccountCode(req, res, settings, { code });
+    if (!method) return;
+
+    const recoveryCodes = await issueRecoveryCodes(req.userId);
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -1,23 +1,16 @@
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
+import { authenticateUser } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { nullable, object, string } from '../services/validation.js';
+import { UserRepository } from '../repositories/UserRepository.js';
 
 const router = express.Router();
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY // Use service key for storage
-);
-
-// Middleware to extract user ID from token
-const authenticateUser = (req, res, next) => {
-  const userId = req.headers['user-id'];
-  if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  req.userId = userId;
-  next();
-};
+
+// Profile fields returned to the user themselves
+const PROFILE_COLUMNS = ['id', 'first_name', 'last_name', 'email', 'avatar_url', 'bio', 'phone', 'job_title', 'created_at'];
 
 // Configure multer for avatar upload
 const storage = multer.memoryStorage();
@@ -37,23 +30,16 @@ const avatarUpload = multer({
 });
 
 // Search users by email (for invitations)
-router.get('/search', async (req, res) => {
+router.get('/search', authenticateUser, validate({
+  summary: 'Search users by email',
+  query: object({ email: string({ minLength: 3, maxLength: 320 }) }, ['email'])
+}), async (req, res) => {
   try {
     const { email } = req.query;
 
-    if (!email || email.length < 3) {
-      return res.status(400).json({ error: 'Email query must be at least 3 characters' });
-    }
-
-    const { data: users, error } = await supabase
-      .from('users')
-      .select('id, first_name, last_name, email, avatar_url')
-      .ilike('email', `${email}%`)
-      .limit(10);
+    const users = await UserRepository.searchByEmail(email);
 
-    if (error) throw error;
-
-    res.json({ users: users || [] });
+    res.json({ users });
   } catch (error) {
     console.error('Error searching users:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -61,15 +47,12 @@ router.get('/search', async (req, res) => {
 });
 
 // Get user profile
-router.get('/profile', authenticateUser, async (req, res) => {
+router.get('/profile', authenticateUser, validate({ summary: 'Get your profile' }), async (req, res) => {
   try {
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, first_name, last_name, email, avatar_url, bio, phone, job_title, created_at')
-      .eq('id', req.userId)
-      .single();
-
-    if (error) throw error;
+    const user = await UserRepository.findById(req.userId, PROFILE_COLUMNS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     res.json({ user });
   } catch (error) {
@@ -79,7 +62,16 @@ router.get('/profile', authenticateUser, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateUser, async (req, res) => {
+router.put('/profile', authenticateUser, validate({
+  summary: 'Update your profile',
+  body: object({
+    first_name: string({ minLength: 1, maxLength: 100 }),
+    last_name: string({ minLength: 1, maxLength: 100 }),
+    bio: nullable(string({ maxLength: 1000 })),
+    phone: nullable(string({ maxLength: 50 })),
+    job_title: nullable(string({ maxLength: 100 }))
+  })
+}), async (req, res) => {
   try {
     const { first_name, last_name, bio, phone, job_title } = req.body;
     
@@ -94,14 +86,7 @@ router.put('/profile', authenticateUser, async (req, res) => {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    const { data: user, error } = await supabase
-      .from('users')
-      .update(updates)
-      .eq('id', req.userId)
-      .select('id, first_name, last_name, email, avatar_url, bio, phone, job_title, created_at')
-      .single();
-
-    if (error) throw error;
+    const user = await UserRepository.update(req.userId, updates, PROFILE_COLUMNS);
 
     res.json({ 
       message: 'Profile updated successfully',
@@ -114,61 +99,41 @@ router.put('/profile', authenticateUser, async (req, res) => {
 });
 
 // Upload avatar
-router.post('/avatar', authenticateUser, avatarUpload.single('avatar'), async (req, res) => {
+router.post('/avatar', authenticateUser, rateLimit('upload'), avatarUpload.single('avatar'), validate({
+  summary: 'Upload a profile picture',
+  files: ['avatar']
+}), async (req, res) => {
   try {
     const file = req.file;
 
     if (!file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+      return res.status(400).json({
+        error: 'No file uploaded',
+        code: 'VALIDATION_FAILED',
+        fields: [{ field: 'avatar', message: 'avatar is required' }]
+      });
     }
 
     // Delete old avatar if exists
-    const { data: currentUser } = await supabase
-      .from('users')
-      .select('avatar_url')
-      .eq('id', req.userId)
-      .single();
-
-    if (currentUser?.avatar_url) {
-      // Extract path from URL and delete
-      const oldPath = currentUser.avatar_url.split('/avatars/')[1];
-      if (oldPath) {
-        await supabase.storage.from('avatars').remove([oldPath]);
-      }
-    }
+    const currentUser = await UserRepository.findById(req.userId, ['avatar_url']);
+    await UserRepository.removeAvatar(currentUser?.avatar_url);
 
     // Generate unique file path
     const fileExt = file.originalname.split('.').pop();
     const fileName = `${uuidv4()}.${fileExt}`;
     const filePath = `${req.userId}/${fileName}`;
 
-    // Upload to Supabase Storage
-    const { error: uploadError } = await supabase.storage
-      .from('avatars')
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        cacheControl: '3600',
-      });
-
-    if (uploadError) {
+    // Upload to storage
+    let avatarUrl;
+    try {
+      avatarUrl = await UserRepository.storeAvatar(filePath, file.buffer, file.mimetype);
+    } catch (uploadError) {
       console.error('Storage upload error:', uploadError);
       return res.status(500).json({ error: 'Failed to upload avatar' });
     }
 
-    // Get public URL
-    const { data: urlData } = supabase.storage
-      .from('avatars')
-      .getPublicUrl(filePath);
-
     // Update user record
-    const { data: user, error: updateError } = await supabase
-      .from('users')
-      .update({ avatar_url: urlData.publicUrl })
-      .eq('id', req.userId)
-      .select('id, first_name, last_name, email, avatar_url, bio, phone, job_title, created_at')
-      .single();
-
-    if (updateError) throw updateError;
+    const user = await UserRepository.update(req.userId, { avatar_url: avatarUrl }, PROFILE_COLUMNS);
 
     res.json({ 
       message: 'Avatar uploaded successfully',
@@ -181,31 +146,13 @@ router.post('/avatar', authenticateUser, avatarUpload.single('avatar'), async (r
 });
 
 // Delete avatar
-router.delete('/avatar', authenticateUser, async (req, res) => {
+router.delete('/avatar', authenticateUser, validate({ summary: 'Remove your profile picture' }), async (req, res) => {
   try {
-    const { data: currentUser } = await supabase
-      .from('users')
-      .select('avatar_url')
-      .eq('id', req.userId)
-      .single();
-
-    if (currentUser?.avatar_url) {
-      // Extract path from URL and delete
-      const path = currentUser.avatar_url.split('/avatars/')[1];
-      if (path) {
-        await supabase.storage.from('avatars').remove([path]);
-      }
-    }
+    const currentUser = await UserRepository.findById(req.userId, ['avatar_url']);
+    await UserRepository.removeAvatar(currentUser?.avatar_url);
 
     // Update user record
-    const { data: user, error } = await supabase
-      .from('users')
-      .update({ avatar_url: null })
-      .eq('id', req.userId)
-      .select('id, first_name, last_name, email, avatar_url, bio, phone, job_title, created_at')
-      .single();
-
-    if (error) throw error;
+    const user = await UserRepository.update(req.userId, { avatar_url: null }, PROFILE_COLUMNS);
 
     res.json({ 
       message: 'Avatar deleted successfully',
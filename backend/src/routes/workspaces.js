@@ -1,62 +1,125 @@
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
+import { authenticateUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { TwoFactorModel } from '../models/TwoFactor.js';
+import { OwnershipTransferModel } from '../models/OwnershipTransfer.js';
+import { WorkspaceInvitationModel } from '../models/WorkspaceInvitation.js';
+import { WorkspaceJoinLinkModel } from '../models/WorkspaceJoinLink.js';
+import { WebhookModel } from '../models/Webhook.js';
+import { db } from '../db/index.js';
+import { UserRepository } from '../repositories/UserRepository.js';
+import { WorkspaceRepository } from '../repositories/WorkspaceRepository.js';
+import { MemberRepository } from '../repositories/MemberRepository.js';
+import { TaskRepository } from '../repositories/TaskRepository.js';
+import {
+  ASSIGNABLE_ROLES,
+  CAPABILITIES,
+  canAssignRole,
+  canManageMember,
+  getCapabilities
+} from '../services/permissions.js';
+import {
+  formatInvitation,
+  invitationExpiry,
+  invitationPath,
+  normalizeEmail,
+  sendInvitationEmail
+} from '../services/invitations.js';
+import { formatJoinLink, generateJoinCode } from '../services/joinLinks.js';
+import { deleteWorkspace, workspaceDocumentIds } from '../services/workspaces.js';
+import { AUDIT_ACTIONS, formatAuditEntry, recordAudit } from '../services/auditLog.js';
+import { AuditLogModel } from '../models/AuditLog.js';
+import { ActivityModel } from '../models/Activity.js';
+import { formatActivity } from '../services/activity.js';
+import { SEARCH_TYPES, searchWorkspace } from '../services/search.js';
+import { NOTIFICATION_TYPES, notify } from '../services/notifications.js';
+import {
+  WEBHOOK_EVENTS,
+  formatDelivery,
+  formatWebhook,
+  generateWebhookSecret,
+  pingWebhook,
+  redeliver,
+  webhookEventsSchema,
+  webhookUrlSchema
+} from '../services/webhooks.js';
+import { checkWebhookUrl } from '../services/webhookTargets.js';
+import { closeDocuments } from '../sockets/documentServer.js';
+import { applyMemberAccess, applyWorkspaceArchived } from '../sockets/workspaceAccess.js';
+import { validate } from '../middleware/validate.js';
+import { arrayOf, boolean, dateTime, integer, nullable, object, oneOf, string, uuid } from '../services/validation.js';
 
 const router = express.Router();
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-// Middleware to extract user ID from token (simplified for now)
-const authenticateUser = (req, res, next) => {
-  // In a real app, you'd verify JWT token
-  const userId = req.headers['user-id'];
-  if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  req.userId = userId;
-  next();
-};
 
 // Apply authentication to all workspace routes
 router.use(authenticateUser);
 
+// Check whether a user has two-factor authentication turned on
+const hasTwoFactor = async (userId) => {
+  const settings = await TwoFactorModel.getSettings(userId);
+  return !!settings.totp_enabled_at;
+};
+
+// Who can join through join links: 'private' workspaces only take invited
+// members, 'public' ones also accept anyone holding an active join link
+const VISIBILITIES = ['private', 'public'];
+
+// How long the new owner has to confirm an ownership transfer
+const OWNERSHIP_TRANSFER_TTL_DAYS = 7;
+
+const WORKSPACE_NAME_MAX_LENGTH = 100;
+const WORKSPACE_DESCRIPTION_MAX_LENGTH = 1000;
+const MIN_SEARCH_LENGTH = 2;
+const WEBHOOK_DESCRIPTION_MAX_LENGTH = 200;
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Request fields shared by several endpoints
+const workspaceParams = { workspaceId: uuid };
+const memberParams = { workspaceId: uuid, userId: uuid };
+const invitationParams = { workspaceId: uuid, invitationId: uuid };
+const webhookParams = { workspaceId: uuid, webhookId: uuid };
+const workspaceName = string({ minLength: 1, maxLength: WORKSPACE_NAME_MAX_LENGTH, pattern: '\\S' });
+const workspaceDescription = nullable(string({ maxLength: WORKSPACE_DESCRIPTION_MAX_LENGTH }));
+const assignableRole = oneOf(ASSIGNABLE_ROLES);
+const webhookDescription = nullable(string({ maxLength: WEBHOOK_DESCRIPTION_MAX_LENGTH }));
+
+// Workspace row as returned to the current member
+const workspaceForMember = (workspace, role) => ({
+  ...workspace,
+  userRole: role,
+  capabilities: getCapabilities(role, { archived: !!workspace.archived_at })
+});
+
+// A user's email, kept in audit entries so they stay readable after the user leaves
+const getUserEmail = async (userId) => {
+  const user = await UserRepository.findById(userId, ['email']);
+  return user?.email || null;
+};
+
+// Look up another member's role (null when they aren't a member)
+const getMemberRole = (workspaceId, userId) => MemberRepository.findRole(workspaceId, userId);
+
 // Get user's workspaces with member count
-router.get('/', async (req, res) => {
-  try {
-    const { data: workspaceMembers, error } = await supabase
-      .from('workspace_members')
-      .select(`
-        workspace:workspaces (
-          id,
-          name,
-          description,
-          created_at,
-          created_by
-        ),
-        role
-      `)
-      .eq('user_id', req.userId)
-      .order('joined_at', { ascending: false });
-
-    if (error) throw error;
+router.get('/', validate({ summary: 'List your workspaces' }), async (req, res) => {
+  try {
+    const workspaceMembers = await MemberRepository.listForUser(req.userId, [
+      'id',
+      'name',
+      'description',
+      'created_at',
+      'created_by',
+      'require_two_factor',
+      'visibility',
+      'archived_at'
+    ]);
 
     // Get member counts for each workspace
     const workspacesWithMembers = await Promise.all(
-      workspaceMembers.map(async (wm) => {
-        const { count, error: countError } = await supabase
-          .from('workspace_members')
-          .select('*', { count: 'exact', head: true })
-          .eq('workspace_id', wm.workspace.id);
-
-        if (countError) throw countError;
-
-        return {
-          ...wm.workspace,
-          userRole: wm.role,
-          memberCount: count || 0
-        };
-      })
+      workspaceMembers.map(async (wm) => ({
+        ...wm.workspace,
+        userRole: wm.role,
+        memberCount: await MemberRepository.count(wm.workspace.id)
+      }))
     );
 
     res.json({ workspaces: workspacesWithMembers });
@@ -67,60 +130,40 @@ router.get('/', async (req, res) => {
 });
 
 // Get specific workspace details with members
-router.get('/:workspaceId', async (req, res) => {
+router.get('/:workspaceId', validate({
+  summary: 'Get a workspace with its members',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify user has access to this workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('role')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     // Get workspace details
-    const { data: workspace, error: workspaceError } = await supabase
-      .from('workspaces')
-      .select('*')
-      .eq('id', workspaceId)
-      .single();
-
-    if (workspaceError) throw workspaceError;
+    const workspace = await WorkspaceRepository.findById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
 
     // Get workspace members with user details
-    const { data: members, error: membersError } = await supabase
-      .from('workspace_members')
-      .select(`
-        role,
-        joined_at,
-        user:users (
-          id,
-          first_name,
-          last_name,
-          email,
-          avatar_url
-        )
-      `)
-      .eq('workspace_id', workspaceId)
-      .order('joined_at', { ascending: true });
-
-    if (membersError) throw membersError;
+    const members = await MemberRepository.listForWorkspace(workspaceId, [
+      'id',
+      'first_name',
+      'last_name',
+      'email',
+      'avatar_url',
+      'totp_enabled_at'
+    ]);
 
     res.json({
-      workspace: {
-        ...workspace,
-        userRole: membership.role
-      },
-      members: members.map(m => ({
-        ...m.user,
-        role: m.role,
-        joinedAt: m.joined_at
-      }))
+      workspace: workspaceForMember(workspace, req.workspaceRole),
+      members: members.map(m => {
+        const { totp_enabled_at, ...user } = m.user;
+        return {
+          ...user,
+          twoFactorEnabled: !!totp_enabled_at,
+          role: m.role,
+          joinedAt: m.joined_at
+        };
+      })
     });
   } catch (error) {
     console.error('Error fetching workspace:', error);
@@ -129,42 +172,29 @@ router.get('/:workspaceId', async (req, res) => {
 });
 
 // Create new workspace
-router.post('/', async (req, res) => {
+router.post('/', validate({
+  summary: 'Create a workspace',
+  body: object({ name: workspaceName, description: workspaceDescription }, ['name'])
+}), async (req, res) => {
   try {
     const { name, description } = req.body;
 
-    if (!name) {
-      return res.status(400).json({ error: 'Workspace name is required' });
-    }
-
     // Create workspace
-    const { data: workspace, error: workspaceError } = await supabase
-      .from('workspaces')
-      .insert([{ 
-        name, 
-        description, 
-        created_by: req.userId 
-      }])
-      .select()
-      .single();
-
-    if (workspaceError) throw workspaceError;
-
-    // Add creator as admin member
-    const { error: memberError } = await supabase
-      .from('workspace_members')
-      .insert([{ 
-        workspace_id: workspace.id, 
-        user_id: req.userId, 
-        role: 'admin' 
-      }]);
-
-    if (memberError) throw memberError;
+    const workspace = await WorkspaceRepository.create({
+      name,
+      description,
+      visibility: 'private',
+      created_by: req.userId
+    });
+
+    // Add creator as the workspace owner
+    await MemberRepository.add(workspace.id, req.userId, 'owner');
 
     res.status(201).json({ 
       workspace: {
         ...workspace,
-        userRole: 'admin',
+        userRole: 'owner',
+        capabilities: getCapabilities('owner'),
         memberCount: 1
       }
     });
@@ -174,69 +204,232 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Invite user to workspace
-router.post('/:workspaceId/invite', async (req, res) => {
+// Update workspace name, description and visibility
+router.patch('/:workspaceId', validate({
+  summary: 'Update workspace details',
+  params: workspaceParams,
+  body: object({ name: workspaceName, description: workspaceDescription, visibility: oneOf(VISIBILITIES) })
+}), requirePermission(CAPABILITIES.MANAGE_WORKSPACE), async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const { email, role = 'member' } = req.body;
+    const { name, description, visibility } = req.body;
+    const updates = {};
+
+    if (name !== undefined) updates.name = name.trim();
+    if (description !== undefined) updates.description = description?.trim() || null;
+    if (visibility !== undefined) updates.visibility = visibility;
 
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
     }
 
-    // Verify user has admin access to this workspace
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('role')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
+    const workspace = await WorkspaceRepository.update(workspaceId, updates);
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
 
-    if (membershipError || !membership || membership.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    await recordAudit(req, AUDIT_ACTIONS.WORKSPACE_UPDATED, {
+      targetType: 'workspace',
+      targetId: workspaceId,
+      metadata: { changes: updates }
+    });
+
+    res.json({
+      message: 'Workspace updated successfully',
+      workspace: workspaceForMember(workspace, req.workspaceRole)
+    });
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Archive or unarchive the workspace. Archived workspaces stay visible to
+// their members but every module treats them as read-only.
+const setArchived = (archived) => async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const workspace = await WorkspaceRepository.update(workspaceId, {
+      archived_at: archived ? new Date().toISOString() : null
+    });
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    // Open task boards and whiteboards switch over in place; open editors
+    // reconnect and pick up the new access level
+    applyWorkspaceArchived(workspaceId, archived);
+    await closeDocuments(await workspaceDocumentIds(workspaceId));
+
+    await recordAudit(req, archived ? AUDIT_ACTIONS.WORKSPACE_ARCHIVED : AUDIT_ACTIONS.WORKSPACE_UNARCHIVED, {
+      targetType: 'workspace',
+      targetId: workspaceId
+    });
+
+    console.log(`🗄️  Workspace ${workspaceId} ${archived ? 'archived' : 'unarchived'} by ${req.userId}`);
+    res.json({
+      message: archived ? 'Workspace archived' : 'Workspace restored',
+      workspace: workspaceForMember(workspace, req.workspaceRole)
+    });
+  } catch (error) {
+    console.error(`Error ${archived ? 'archiving' : 'unarchiving'} workspace:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+router.post('/:workspaceId/archive', validate({
+  summary: 'Archive a workspace',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.MANAGE_WORKSPACE), setArchived(true));
+
+router.post('/:workspaceId/unarchive', validate({
+  summary: 'Unarchive a workspace',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.MANAGE_WORKSPACE), setArchived(false));
+
+// Permanently delete the workspace and all of its content
+router.delete('/:workspaceId', validate({
+  summary: 'Delete a workspace',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.DELETE_WORKSPACE), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { confirmName } = req.body || {};
+
+    const workspace = await WorkspaceRepository.findById(workspaceId, ['name']);
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    // Guard against deleting the wrong workspace by accident
+    if (confirmName !== workspace.name) {
+      return res.status(400).json({
+        error: 'Type the workspace name to confirm deletion',
+        code: 'CONFIRMATION_REQUIRED'
+      });
+    }
+
+    await deleteWorkspace(workspaceId);
+
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update workspace security settings
+router.patch('/:workspaceId/security', validate({
+  summary: 'Update workspace security settings',
+  params: workspaceParams,
+  body: object({ requireTwoFactor: boolean }, ['requireTwoFactor'])
+}), requirePermission(CAPABILITIES.MANAGE_WORKSPACE), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { requireTwoFactor } = req.body;
+
+    // Don't let an admin lock themselves out
+    if (requireTwoFactor && !(await hasTwoFactor(req.userId))) {
+      return res.status(400).json({
+        error: 'Enable two-factor authentication on your own account first',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
     }
 
-    // Find user by email
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('email', email)
-      .single();
+    const previous = await WorkspaceRepository.findById(workspaceId, ['require_two_factor']);
+    const workspace = await WorkspaceRepository.update(workspaceId, { require_two_factor: requireTwoFactor });
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    await recordAudit(req, AUDIT_ACTIONS.SECURITY_UPDATED, {
+      targetType: 'workspace',
+      targetId: workspaceId,
+      metadata: {
+        changes: { require_two_factor: requireTwoFactor },
+        previous: { require_two_factor: !!previous?.require_two_factor }
+      }
+    });
+
+    res.json({
+      message: 'Security settings updated successfully',
+      workspace: workspaceForMember(workspace, req.workspaceRole)
+    });
+  } catch (error) {
+    console.error('Error updating workspace security:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Invite someone to the workspace by email. They join once they accept the
+// emailed link, creating an account first if they don't have one.
+router.post('/:workspaceId/invite', validate({
+  summary: 'Invite someone by email',
+  params: workspaceParams,
+  body: object({ email: string({ format: 'email', maxLength: 320 }), role: assignableRole }, ['email'])
+}), requirePermission(CAPABILITIES.INVITE_MEMBERS), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { role = 'member' } = req.body;
+    const email = normalizeEmail(req.body.email);
 
-    if (userError || !user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!canAssignRole(req.workspaceRole, role)) {
+      return res.status(403).json({ error: 'You cannot invite members with that role', code: 'FORBIDDEN' });
     }
 
-    // Check if user is already a member
-    const { data: existingMember, error: checkError } = await supabase
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', user.id)
-      .single();
+    // Check if the address already belongs to a member
+    const user = await UserRepository.findByEmail(email, ['id']);
 
-    if (existingMember) {
+    if (user && await getMemberRole(workspaceId, user.id)) {
       return res.status(400).json({ error: 'User is already a member' });
     }
 
-    // Add user to workspace
-    const { error: inviteError } = await supabase
-      .from('workspace_members')
-      .insert([{ 
-        workspace_id: workspaceId, 
-        user_id: user.id, 
-        role 
-      }]);
+    if (await WorkspaceInvitationModel.findPendingByEmail(workspaceId, email)) {
+      return res.status(409).json({
+        error: 'An invitation is already pending for this email. Resend it instead.',
+        code: 'INVITATION_PENDING'
+      });
+    }
 
-    if (inviteError) throw inviteError;
+    const invitation = await WorkspaceInvitationModel.create({
+      workspaceId,
+      email,
+      role,
+      invitedBy: req.userId,
+      expiresAt: invitationExpiry()
+    });
 
-    res.json({ 
-      message: 'User invited successfully',
-      user: {
-        id: user.id,
-        email,
-        role
-      }
+    // The invitation stands even if the email fails; it can be resent
+    let emailSent = true;
+    try {
+      await sendInvitationEmail(invitation);
+    } catch (mailError) {
+      emailSent = false;
+      console.error('Error sending invitation email:', mailError);
+    }
+
+    await recordAudit(req, AUDIT_ACTIONS.MEMBER_INVITED, {
+      targetType: 'invitation',
+      targetId: invitation.id,
+      metadata: { email, role }
+    });
+
+    // Invitees who already have an account also see it in the app
+    if (user) {
+      await notify({
+        userIds: [user.id],
+        workspaceId,
+        actorId: req.userId,
+        type: NOTIFICATION_TYPES.WORKSPACE_INVITED,
+        data: { invitationId: invitation.id, role, link: invitationPath(invitation) }
+      });
+    }
+
+    res.status(201).json({
+      message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+      emailSent,
+      invitation: formatInvitation(invitation)
     });
   } catch (error) {
     console.error('Error inviting user:', error);
@@ -244,36 +437,368 @@ router.post('/:workspaceId/invite', async (req, res) => {
   }
 });
 
+// List pending invitations
+router.get('/:workspaceId/invitations', validate({
+  summary: 'List pending invitations',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.INVITE_MEMBERS), async (req, res) => {
+  try {
+    const invitations = await WorkspaceInvitationModel.listPending(req.params.workspaceId);
+    res.json({ invitations: invitations.map(formatInvitation) });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resend a pending invitation with a fresh expiry
+router.post('/:workspaceId/invitations/:invitationId/resend', validate({
+  summary: 'Resend an invitation',
+  params: invitationParams
+}), requirePermission(CAPABILITIES.INVITE_MEMBERS), async (req, res) => {
+  try {
+    const { workspaceId, invitationId } = req.params;
+
+    const invitation = await WorkspaceInvitationModel.renew(workspaceId, invitationId, invitationExpiry());
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await sendInvitationEmail(invitation);
+
+    res.json({ message: 'Invitation resent', invitation: formatInvitation(invitation) });
+  } catch (error) {
+    console.error('Error resending invitation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:workspaceId/invitations/:invitationId', validate({
+  summary: 'Revoke an invitation',
+  params: invitationParams
+}), requirePermission(CAPABILITIES.INVITE_MEMBERS), async (req, res) => {
+  try {
+    const { workspaceId, invitationId } = req.params;
+
+    const invitation = await WorkspaceInvitationModel.revoke(workspaceId, invitationId);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await recordAudit(req, AUDIT_ACTIONS.INVITATION_REVOKED, {
+      targetType: 'invitation',
+      targetId: invitation.id,
+      metadata: { email: invitation.email, role: invitation.role }
+    });
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List join links that haven't been revoked
+router.get('/:workspaceId/join-links', validate({
+  summary: 'List join links',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.INVITE_MEMBERS), async (req, res) => {
+  try {
+    const links = await WorkspaceJoinLinkModel.listActive(req.params.workspaceId);
+    res.json({ joinLinks: links.map(formatJoinLink) });
+  } catch (error) {
+    console.error('Error fetching join links:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a shareable join link. maxUses and expiresInDays are optional;
+// leaving them out makes the link unlimited / non-expiring.
+router.post('/:workspaceId/join-links', validate({
+  summary: 'Create a join link',
+  params: workspaceParams,
+  body: object({
+    role: assignableRole,
+    maxUses: nullable(integer({ minimum: 1 })),
+    expiresInDays: nullable(integer({ minimum: 1 }))
+  })
+}), requirePermission(CAPABILITIES.INVITE_MEMBERS), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { role = 'member', maxUses = null, expiresInDays = null } = req.body;
+
+    if (!canAssignRole(req.workspaceRole, role)) {
+      return res.status(403).json({ error: 'You cannot create join links with that role', code: 'FORBIDDEN' });
+    }
+
+    const link = await WorkspaceJoinLinkModel.create({
+      workspaceId,
+      code: generateJoinCode(),
+      role,
+      maxUses,
+      expiresAt: expiresInDays !== null
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      createdBy: req.userId
+    });
+
+    res.status(201).json({ message: 'Join link created', joinLink: formatJoinLink(link) });
+  } catch (error) {
+    console.error('Error creating join link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a join link
+router.delete('/:workspaceId/join-links/:linkId', validate({
+  summary: 'Revoke a join link',
+  params: { workspaceId: uuid, linkId: uuid }
+}), requirePermission(CAPABILITIES.INVITE_MEMBERS), async (req, res) => {
+  try {
+    const { workspaceId, linkId } = req.params;
+
+    const link = await WorkspaceJoinLinkModel.revoke(workspaceId, linkId);
+    if (!link) {
+      return res.status(404).json({ error: 'Join link not found' });
+    }
+
+    res.json({ message: 'Join link revoked' });
+  } catch (error) {
+    console.error('Error revoking join link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Shape a pending ownership transfer for API responses
+const formatTransfer = (transfer) => {
+  const person = (user) => user && {
+    id: user.id,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    email: user.email
+  };
+
+  return {
+    id: transfer.id,
+    from: person(transfer.from_user) || { id: transfer.from_user_id },
+    to: person(transfer.to_user) || { id: transfer.to_user_id },
+    expiresAt: transfer.expires_at,
+    createdAt: transfer.created_at
+  };
+};
+
+// Leave a workspace. Membership is checked directly rather than through a
+// capability so members locked out by a 2FA requirement can still leave.
+router.post('/:workspaceId/leave', validate({
+  summary: 'Leave a workspace',
+  params: workspaceParams
+}), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const role = await getMemberRole(workspaceId, req.userId);
+    if (!role) {
+      return res.status(404).json({ error: 'You are not a member of this workspace' });
+    }
+
+    if (role === 'owner') {
+      return res.status(409).json({
+        error: 'Transfer ownership to another member before leaving',
+        code: 'OWNERSHIP_TRANSFER_REQUIRED'
+      });
+    }
+
+    if (role === 'admin') {
+      // The count includes this admin
+      const admins = await MemberRepository.count(workspaceId, { roles: ['owner', 'admin'] });
+
+      if (admins <= 1) {
+        return res.status(409).json({
+          error: 'You are the last admin. Make another member an admin before leaving.',
+          code: 'LAST_ADMIN'
+        });
+      }
+    }
+
+    await MemberRepository.remove(workspaceId, req.userId);
+    applyMemberAccess(workspaceId, req.userId, null);
+
+    await OwnershipTransferModel.cancelPending(workspaceId, req.userId);
+
+    await recordAudit(req, AUDIT_ACTIONS.MEMBER_LEFT, {
+      workspaceId,
+      targetType: 'member',
+      targetId: req.userId,
+      metadata: { email: await getUserEmail(req.userId), role }
+    });
+
+    res.json({ message: 'You left the workspace' });
+  } catch (error) {
+    console.error('Error leaving workspace:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the pending ownership transfer, if any
+router.get('/:workspaceId/ownership-transfer', validate({
+  summary: 'Get the pending ownership transfer',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
+  try {
+    const transfer = await OwnershipTransferModel.findPending(req.params.workspaceId);
+    res.json({ transfer: transfer ? formatTransfer(transfer) : null });
+  } catch (error) {
+    console.error('Error fetching ownership transfer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Offer ownership to another member. Nothing changes until they accept.
+router.post('/:workspaceId/ownership-transfer', validate({
+  summary: 'Offer ownership to another member',
+  params: workspaceParams,
+  body: object({ userId: uuid }, ['userId'])
+}), requirePermission(CAPABILITIES.TRANSFER_OWNERSHIP), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { userId } = req.body;
+
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'You already own this workspace' });
+    }
+
+    if (!(await getMemberRole(workspaceId, userId))) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const transfer = await OwnershipTransferModel.create({
+      workspaceId,
+      fromUserId: req.userId,
+      toUserId: userId,
+      expiresAt: new Date(Date.now() + OWNERSHIP_TRANSFER_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    await recordAudit(req, AUDIT_ACTIONS.OWNERSHIP_TRANSFER_REQUESTED, {
+      targetType: 'member',
+      targetId: userId,
+      metadata: { email: await getUserEmail(userId), transferId: transfer.id, expiresAt: transfer.expires_at }
+    });
+
+    res.status(201).json({
+      message: 'Ownership transfer requested. The new owner needs to accept it.',
+      transfer: formatTransfer(transfer)
+    });
+  } catch (error) {
+    console.error('Error requesting ownership transfer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept a pending ownership transfer offered to you
+router.post('/:workspaceId/ownership-transfer/accept', validate({
+  summary: 'Accept an ownership transfer',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const transfer = await OwnershipTransferModel.findPending(workspaceId);
+    if (!transfer || transfer.to_user_id !== req.userId) {
+      return res.status(404).json({ error: 'No ownership transfer is waiting for you' });
+    }
+
+    // The offer is only good while the person who made it still owns the workspace
+    if (await getMemberRole(workspaceId, transfer.from_user_id) !== 'owner') {
+      await OwnershipTransferModel.cancelPending(workspaceId);
+      return res.status(409).json({ error: 'This ownership transfer is no longer valid', code: 'TRANSFER_INVALID' });
+    }
+
+    if (!(await OwnershipTransferModel.markAccepted(transfer.id))) {
+      return res.status(409).json({ error: 'This ownership transfer is no longer valid', code: 'TRANSFER_INVALID' });
+    }
+
+    // Promote first so the workspace always has an owner
+    await MemberRepository.setRole(workspaceId, req.userId, 'owner');
+    await MemberRepository.setRole(workspaceId, transfer.from_user_id, 'admin');
+    applyMemberAccess(workspaceId, req.userId, 'owner');
+    applyMemberAccess(workspaceId, transfer.from_user_id, 'admin');
+
+    await recordAudit(req, AUDIT_ACTIONS.OWNERSHIP_TRANSFERRED, {
+      targetType: 'member',
+      targetId: req.userId,
+      metadata: { email: await getUserEmail(req.userId), previousOwnerId: transfer.from_user_id }
+    });
+
+    console.log(`👑 Ownership of workspace ${workspaceId} moved from ${transfer.from_user_id} to ${req.userId}`);
+    res.json({ message: 'You are now the owner of this workspace' });
+  } catch (error) {
+    console.error('Error accepting ownership transfer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel (as the owner) or decline (as the new owner) a pending transfer
+router.delete('/:workspaceId/ownership-transfer', validate({
+  summary: 'Cancel or decline an ownership transfer',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
+  try {
+    const transfer = await OwnershipTransferModel.cancelPending(req.params.workspaceId, req.userId);
+    if (!transfer) {
+      return res.status(404).json({ error: 'No pending ownership transfer' });
+    }
+
+    await recordAudit(req, AUDIT_ACTIONS.OWNERSHIP_TRANSFER_CANCELLED, {
+      targetType: 'member',
+      targetId: transfer.to_user_id,
+      metadata: {
+        email: await getUserEmail(transfer.to_user_id),
+        transferId: transfer.id,
+        declined: transfer.to_user_id === req.userId
+      }
+    });
+
+    res.json({ message: 'Ownership transfer cancelled' });
+  } catch (error) {
+    console.error('Error cancelling ownership transfer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Remove member from workspace
-router.delete('/:workspaceId/members/:userId', async (req, res) => {
+router.delete('/:workspaceId/members/:userId', validate({
+  summary: 'Remove a member',
+  params: memberParams
+}), requirePermission(CAPABILITIES.MANAGE_MEMBERS), async (req, res) => {
   try {
     const { workspaceId, userId } = req.params;
 
-    // Verify user has admin access
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('role')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
+    // Leaving goes through POST /:workspaceId/leave
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'Use leave workspace to remove yourself' });
+    }
 
-    if (membershipError || !membership || membership.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    const targetRole = await getMemberRole(workspaceId, userId);
+    if (!targetRole) {
+      return res.status(404).json({ error: 'Member not found' });
     }
 
-    // Prevent removing yourself
-    if (userId === req.userId) {
-      return res.status(400).json({ error: 'Cannot remove yourself from workspace' });
+    if (!canManageMember(req.workspaceRole, targetRole)) {
+      return res.status(403).json({ error: 'You cannot remove this member', code: 'FORBIDDEN' });
     }
 
-    // Remove member
-    const { error: removeError } = await supabase
-      .from('workspace_members')
-      .delete()
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', userId);
+    // Remove member, cutting off their open connections too
+    await MemberRepository.remove(workspaceId, userId);
+    applyMemberAccess(workspaceId, userId, null);
+
+    await OwnershipTransferModel.cancelPending(workspaceId, userId);
 
-    if (removeError) throw removeError;
+    await recordAudit(req, AUDIT_ACTIONS.MEMBER_REMOVED, {
+      targetType: 'member',
+      targetId: userId,
+      metadata: { email: await getUserEmail(userId), role: targetRole }
+    });
 
     res.json({ message: 'Member removed successfully' });
   } catch (error) {
@@ -283,35 +808,37 @@ router.delete('/:workspaceId/members/:userId', async (req, res) => {
 });
 
 // Update member role
-router.patch('/:workspaceId/members/:userId/role', async (req, res) => {
+router.patch('/:workspaceId/members/:userId/role', validate({
+  summary: 'Change a member\'s role',
+  params: memberParams,
+  body: object({ role: assignableRole }, ['role'])
+}), requirePermission(CAPABILITIES.MANAGE_MEMBERS), async (req, res) => {
   try {
     const { workspaceId, userId } = req.params;
     const { role } = req.body;
 
-    if (!['admin', 'member'].includes(role)) {
-      return res.status(400).json({ error: 'Invalid role' });
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'Cannot change your own role' });
     }
 
-    // Verify user has admin access
-    const { data: membership, error: membershipError } = await supabase
-      .from('workspace_members')
-      .select('role')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', req.userId)
-      .single();
+    const targetRole = await getMemberRole(workspaceId, userId);
+    if (!targetRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
 
-    if (membershipError || !membership || membership.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    if (!canManageMember(req.workspaceRole, targetRole, role)) {
+      return res.status(403).json({ error: 'You cannot change this member\'s role', code: 'FORBIDDEN' });
     }
 
-    // Update role
-    const { error: updateError } = await supabase
-      .from('workspace_members')
-      .update({ role })
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', userId);
+    // Update role, including on the member's open connections
+    await MemberRepository.setRole(workspaceId, userId, role);
+    applyMemberAccess(workspaceId, userId, role);
 
-    if (updateError) throw updateError;
+    await recordAudit(req, AUDIT_ACTIONS.MEMBER_ROLE_CHANGED, {
+      targetType: 'member',
+      targetId: userId,
+      metadata: { email: await getUserEmail(userId), from: targetRole, to: role }
+    });
 
     res.json({ message: 'Member role updated successfully' });
   } catch (error) {
@@ -320,4 +847,359 @@ router.patch('/:workspaceId/members/:userId/role', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// Activity feed, newest first. Pass the createdAt of the last item shown as
+// `before` to get the next page.
+router.get('/:workspaceId/activity', validate({
+  summary: 'Get the activity feed',
+  params: workspaceParams,
+  query: object({ before: dateTime, limit: integer({ minimum: 1, maximum: 50 }) })
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const activities = await ActivityModel.list(req.params.workspaceId, {
+      before: before && new Date(before).toISOString(),
+      limit
+    });
+
+    res.json({
+      activities: activities.map(formatActivity),
+      hasMore: activities.length === limit
+    });
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Count a workspace's rows in `table`
+const countInWorkspace = (table, workspaceId) => db.table(table).count({ workspace_id: workspaceId });
+
+// Aggregate counts for the overview tab
+router.get('/:workspaceId/stats', validate({
+  summary: 'Get workspace statistics',
+  params: workspaceParams
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const listIds = await TaskRepository.listIdsForWorkspace(workspaceId);
+
+    const [members, activeTasks, completedTasks, documents, files, messages] = await Promise.all([
+      MemberRepository.count(workspaceId),
+      TaskRepository.countTasks(listIds, { completed: false }),
+      TaskRepository.countTasks(listIds, { completed: true }),
+      countInWorkspace('documents', workspaceId),
+      countInWorkspace('files', workspaceId),
+      countInWorkspace('chat_messages', workspaceId)
+    ]);
+
+    res.json({ stats: { members, activeTasks, completedTasks, documents, files, messages } });
+  } catch (error) {
+    console.error('Error fetching workspace stats:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Search messages, tasks, documents and files. `type` is a comma-separated
+// subset of SEARCH_TYPES; results are ranked and paginated with limit (max
+// 50) and offset.
+router.get('/:workspaceId/search', validate({
+  summary: 'Search the workspace',
+  params: workspaceParams,
+  query: object({
+    q: string({ minLength: MIN_SEARCH_LENGTH, maxLength: 200 }),
+    type: arrayOf(oneOf(SEARCH_TYPES)),
+    limit: integer({ minimum: 1, maximum: 50 }),
+    offset: integer({ minimum: 0 })
+  }, ['q'])
+}), requirePermission(CAPABILITIES.VIEW_WORKSPACE), async (req, res) => {
+  try {
+    const query = req.query.q.trim();
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+    const types = req.query.type
+      ? [].concat(req.query.type).flatMap((type) => type.split(',')).filter(Boolean)
+      : SEARCH_TYPES;
+
+    if (query.length < MIN_SEARCH_LENGTH) {
+      return res.status(400).json({ error: `Search query must be at least ${MIN_SEARCH_LENGTH} characters` });
+    }
+
+    const { results, total, counts } = await searchWorkspace(req.params.workspaceId, query, { types, limit, offset });
+
+    res.json({ results, total, counts, hasMore: offset + results.length < total });
+  } catch (error) {
+    console.error('Error searching workspace:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Audit log, newest first. Filters: action, actorId, targetType, since and
+// until (ISO dates); paginated with limit (max 100) and offset.
+router.get('/:workspaceId/audit-log', validate({
+  summary: 'Get the audit log',
+  params: workspaceParams,
+  query: object({
+    action: string({ maxLength: 100 }),
+    actorId: uuid,
+    targetType: string({ maxLength: 100 }),
+    since: dateTime,
+    until: dateTime,
+    limit: integer({ minimum: 1, maximum: 100 }),
+    offset: integer({ minimum: 0 })
+  })
+}), requirePermission(CAPABILITIES.VIEW_AUDIT_LOG), async (req, res) => {
+  try {
+    const { action, actorId, targetType, since, until } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { entries, total } = await AuditLogModel.list(req.params.workspaceId, {
+      action,
+      actorId,
+      targetType,
+      since: since && new Date(since).toISOString(),
+      until: until && new Date(until).toISOString(),
+      limit,
+      offset
+    });
+
+    res.json({
+      entries: entries.map(formatAuditEntry),
+      total,
+      hasMore: total > offset + entries.length,
+      actions: Object.values(AUDIT_ACTIONS)
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const manageWebhooks = requirePermission(CAPABILITIES.MANAGE_WEBHOOKS);
+
+// List the workspace's webhooks and the events they can subscribe to
+router.get('/:workspaceId/webhooks', validate({
+  summary: 'List webhooks',
+  params: workspaceParams
+}), manageWebhooks, async (req, res) => {
+  try {
+    const webhooks = await WebhookModel.list(req.params.workspaceId);
+    res.json({ webhooks: webhooks.map(formatWebhook), events: Object.values(WEBHOOK_EVENTS) });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Register a webhook. The signing secret is only returned here and when
+// it is rotated.
+router.post('/:workspaceId/webhooks', validate({
+  summary: 'Register a webhook',
+  params: workspaceParams,
+  body: object({ url: webhookUrlSchema, events: webhookEventsSchema, description: webhookDescription }, ['url', 'events'])
+}), manageWebhooks, async (req, res) => {
+  try {
+    const { url, events, description = null } = req.body;
+
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError, code: 'WEBHOOK_URL_NOT_ALLOWED' });
+    }
+
+    const webhook = await WebhookModel.create({
+      workspaceId: req.params.workspaceId,
+      url,
+      description: description?.trim() || null,
+      events: [...new Set(events)],
+      secret: generateWebhookSecret(),
+      createdBy: req.userId
+    });
+
+    await recordAudit(req, AUDIT_ACTIONS.WEBHOOK_CREATED, {
+      targetType: 'webhook',
+      targetId: webhook.id,
+      metadata: { url: webhook.url, events: webhook.events }
+    });
+
+    res.status(201).json({ webhook: formatWebhook(webhook), secret: webhook.secret });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a webhook's URL, events, description or whether it is active
+router.patch('/:workspaceId/webhooks/:webhookId', validate({
+  summary: 'Update a webhook',
+  params: webhookParams,
+  body: object({ url: webhookUrlSchema, events: webhookEventsSchema, description: webhookDescription, active: boolean })
+}), manageWebhooks, async (req, res) => {
+  try {
+    const { workspaceId, webhookId } = req.params;
+    const { url, events, description, active } = req.body;
+    const updates = {};
+
+    if (url !== undefined) updates.url = url;
+    if (events !== undefined) updates.events = [...new Set(events)];
+    if (description !== undefined) updates.description = description?.trim() || null;
+    if (active !== undefined) updates.active = active;
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const urlError = url !== undefined && await checkWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError, code: 'WEBHOOK_URL_NOT_ALLOWED' });
+    }
+
+    const webhook = await WebhookModel.update(workspaceId, webhookId, updates);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await recordAudit(req, AUDIT_ACTIONS.WEBHOOK_UPDATED, {
+      targetType: 'webhook',
+      targetId: webhookId,
+      metadata: { url: webhook.url, changes: Object.keys(updates) }
+    });
+
+    res.json({ webhook: formatWebhook(webhook) });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace a webhook's signing secret. The old one stops working at once.
+router.post('/:workspaceId/webhooks/:webhookId/rotate-secret', validate({
+  summary: 'Rotate a webhook\'s signing secret',
+  params: webhookParams
+}), manageWebhooks, async (req, res) => {
+  try {
+    const { workspaceId, webhookId } = req.params;
+
+    const webhook = await WebhookModel.update(workspaceId, webhookId, { secret: generateWebhookSecret() });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await recordAudit(req, AUDIT_ACTIONS.WEBHOOK_UPDATED, {
+      targetType: 'webhook',
+      targetId: webhookId,
+      metadata: { url: webhook.url, changes: ['secret'] }
+    });
+
+    res.json({ webhook: formatWebhook(webhook), secret: webhook.secret });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:workspaceId/webhooks/:webhookId', validate({
+  summary: 'Delete a webhook',
+  params: webhookParams
+}), manageWebhooks, async (req, res) => {
+  try {
+    const { workspaceId, webhookId } = req.params;
+
+    const webhook = await WebhookModel.find(workspaceId, webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await WebhookModel.delete(workspaceId, webhookId);
+
+    await recordAudit(req, AUDIT_ACTIONS.WEBHOOK_DELETED, {
+      targetType: 'webhook',
+      targetId: webhookId,
+      metadata: { url: webhook.url }
+    });
+
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a test "ping" event to a webhook
+router.post('/:workspaceId/webhooks/:webhookId/ping', validate({
+  summary: 'Send a test ping to a webhook',
+  params: webhookParams
+}), manageWebhooks, async (req, res) => {
+  try {
+    const webhook = await WebhookModel.find(req.params.workspaceId, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await pingWebhook(webhook, req.userId);
+    res.status(202).json({ delivery: formatDelivery(delivery) });
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A webhook's delivery log, newest first. Filter with status; paginate with
+// before (the createdAt of the last delivery shown) and limit (max 100).
+router.get('/:workspaceId/webhooks/:webhookId/deliveries', validate({
+  summary: 'List a webhook\'s deliveries',
+  params: webhookParams,
+  query: object({
+    status: oneOf(WEBHOOK_DELIVERY_STATUSES),
+    before: dateTime,
+    limit: integer({ minimum: 1, maximum: 100 })
+  })
+}), manageWebhooks, async (req, res) => {
+  try {
+    const { status, before } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const webhook = await WebhookModel.find(req.params.workspaceId, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const deliveries = await WebhookModel.listDeliveries(webhook.id, { status, before, limit });
+
+    res.json({
+      deliveries: deliveries.map(formatDelivery),
+      hasMore: deliveries.length === limit
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a logged delivery again, as a new delivery with its own retries
+router.post('/:workspaceId/webhooks/:webhookId/deliveries/:deliveryId/redeliver', validate({
+  summary: 'Redeliver a webhook delivery',
+  params: { ...webhookParams, deliveryId: uuid }
+}), manageWebhooks, async (req, res) => {
+  try {
+    const webhook = await WebhookModel.find(req.params.workspaceId, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await WebhookModel.findDelivery(webhook.id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const redelivery = await redeliver(webhook, delivery);
+    res.status(202).json({ delivery: formatDelivery(redelivery) });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
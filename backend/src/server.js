@@ -4,23 +4,49 @@ import { Server } from 'socket.io';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
 import workspaceRoutes from './routes/workspaces.js';
+import invitationRoutes from './routes/invitations.js';
+import joinLinkRoutes from './routes/joinLinks.js';
 import userRoutes from './routes/users.js';
 import chatRoutes from './routes/chat.js';
 import taskRoutes from './routes/tasks.js';
 import fileRoutes from './routes/files.js';
 import documentRoutes from './routes/documents.js';
 import documentSnapshotRoutes from './routes/documentSnapshots.js';
+import notificationRoutes from './routes/notifications.js';
+import apiTokenRoutes from './routes/apiTokens.js';
+import storageRoutes from './routes/storage.js';
+import { authenticateSocket, tokenScope } from './middleware/auth.js';
+import { apiErrorHandler, apiNotFound, normalizeErrorBodies } from './middleware/apiErrors.js';
+import { limitSocketEvents, rateLimit } from './middleware/rateLimit.js';
 import { setupChatHandlers } from './sockets/chatHandlers.js';
 import { setupTaskHandlers } from './sockets/taskHandlers.js';
 import { setupDocumentServer, getActiveDocuments } from './sockets/documentServer.js';
 import { setupVideoHandlers } from './sockets/videoHandlers.js';
 import { setupWhiteboardHandlers } from './sockets/whiteboardHandlers.js';
+import { setupActivityHandlers } from './sockets/activityHandlers.js';
+import { setupNotificationHandlers } from './sockets/notificationHandlers.js';
+import { setupSessionHandlers } from './sockets/sessionHandlers.js';
+import { setupWorkspaceAccess } from './sockets/workspaceAccess.js';
+import { startNotificationJobs } from './services/notificationJobs.js';
+import { startWebhookRetries } from './services/webhooks.js';
+import { buildOpenApiDocument } from './services/openapi.js';
+import { fileStorage } from './db/index.js';
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
+
+// Behind a reverse proxy, trust it so req.ip is the real client address
+// (TRUST_PROXY may be true, a hop count, or a list of proxy addresses)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  const hops = Number(trustProxy);
+  app.set('trust proxy', trustProxy === 'true' ? true : (Number.isInteger(hops) ? hops : trustProxy));
+}
+
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
@@ -36,19 +62,40 @@ app.use(cors({
   credentials: true
 }));
 app.use(express.json());
+app.use('/api', normalizeErrorBodies);
+app.use('/api', rateLimit('api', { by: ['ip'] }));
 
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/workspaces', workspaceRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/chat', chatRoutes);
-app.use('/api/tasks', taskRoutes);
-app.use('/api/documents', documentRoutes);
-app.use('/api/document-snapshots', documentSnapshotRoutes);
-app.use('/api/files', fileRoutes);
+// Routes, with the token scope area for those personal access tokens may
+// call. The API is served under /api/v1; the unversioned /api paths stay as
+// an alias so existing clients and OAuth redirect URIs keep working.
+const API_ROUTES = [
+  ['/auth/2fa', twoFactorRoutes],
+  ['/auth', authRoutes],
+  ['/tokens', apiTokenRoutes],
+  ['/workspaces', workspaceRoutes, 'workspaces'],
+  ['/invitations', invitationRoutes],
+  ['/join', joinLinkRoutes],
+  ['/users', userRoutes],
+  ['/chat', chatRoutes, 'chat'],
+  ['/tasks', taskRoutes, 'tasks'],
+  ['/documents', documentRoutes, 'documents'],
+  ['/document-snapshots', documentSnapshotRoutes, 'documents'],
+  ['/files', fileRoutes, 'files'],
+  ['/notifications', notificationRoutes, 'notifications']
+];
+
+for (const base of ['/api/v1', '/api']) {
+  for (const [path, routes, scopeArea] of API_ROUTES) {
+    if (scopeArea) {
+      app.use(`${base}${path}`, tokenScope(scopeArea), routes);
+    } else {
+      app.use(`${base}${path}`, routes);
+    }
+  }
+}
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get(['/api/v1/health', '/api/health'], (req, res) => {
   res.json({ 
     status: 'OK', 
     message: 'Remote Collab Suite API is running',
@@ -56,6 +103,20 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// OpenAPI description of the routes above, generated from their request
+// schemas
+const openApiDocument = buildOpenApiDocument(API_ROUTES);
+
+app.get(['/api/v1/openapi.json', '/api/openapi.json'], (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Unless they are in Supabase Storage, uploaded avatars and files are
+// served from here
+if (fileStorage.read) {
+  app.use(['/api/v1/storage', '/api/storage'], tokenScope('files'), storageRoutes);
+}
+
 // Document server status endpoint
 app.get('/api/document-server/status', (req, res) => {
   try {
@@ -74,11 +135,24 @@ app.get('/api/document-server/status', (req, res) => {
   }
 });
 
+app.use('/api', apiNotFound);
+app.use('/api', apiErrorHandler);
+
+// Authenticate every Socket.io connection before any handler runs
+io.use(authenticateSocket);
+
+// Throttle each connection's events before any handler sees them
+io.on('connection', limitSocketEvents);
+
 // Setup Socket.io handlers BEFORE server.listen()
 setupChatHandlers(io);
 setupTaskHandlers(io);
 setupVideoHandlers(io);
 setupWhiteboardHandlers(io);
+setupActivityHandlers(io);
+setupNotificationHandlers(io);
+setupSessionHandlers(io);
+setupWorkspaceAccess(io);
 
 // Setup document WebSocket server BEFORE server.listen()
 // IMPORTANT: This must be set up before listening because it registers the 'upgrade' event handler
@@ -98,4 +172,10 @@ server.listen(PORT, () => {
   console.log(`   - Documents: /documents/:documentId`);
   console.log(`📹 Video call server ready (Socket.io)`);
   console.log(`🎨 Whiteboard server ready (Socket.io)`);
+
+  startNotificationJobs();
+  console.log(`📬 Notification jobs running every ${process.env.NOTIFICATION_JOBS_INTERVAL_MINUTES || 15} minutes`);
+
+  startWebhookRetries();
+  console.log(`🪝 Webhook deliveries retrying with backoff`);
 });
\ No newline at end of file
@@ -0,0 +1,41 @@
+import { ActivityModel } from '../models/Activity.js';
+import { broadcastActivity } from '../sockets/activityHandlers.js';
+
+// Everything that shows up in a workspace's activity feed
+export const ACTIVITY_TYPES = {
+  TASK_CREATED: 'task.created',
+  TASK_MOVED: 'task.moved',
+  TASK_COMPLETED: 'task.completed',
+  DOCUMENT_EDITED: 'document.edited',
+  FILE_UPLOADED: 'file.uploaded',
+  CALL_STARTED: 'call.started',
+  MEMBER_JOINED: 'member.joined'
+};
+
+// Shape an activity for API responses and socket events
+export const formatActivity = (activity) => ({
+  id: activity.id,
+  type: activity.type,
+  actor: activity.actor
+    ? {
+        id: activity.actor.id,
+        firstName: activity.actor.first_name,
+        lastName: activity.actor.last_name,
+        avatarUrl: activity.actor.avatar_url
+      }
+    : { id: activity.actor_id },
+  targetId: activity.target_id,
+  metadata: activity.metadata || {},
+  createdAt: activity.created_at
+});
+
+// Store an activity and push it to the workspace's live feed. Failures are
+// logged rather than thrown; the feed is never worth failing the action for.
+export const recordActivity = async ({ workspaceId, actorId, type, targetId = null, metadata = {} }) => {
+  try {
+    const activity = await ActivityModel.record({ workspaceId, actorId, type, targetId, metadata });
+    broadcastActivity(workspaceId, formatActivity(activity));
+  } catch (error) {
+    console.error(`Error recording activity ${type}:`, error);
+  }
+};
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { PersonalAccessTokenModel } from '../models/PersonalAccessToken.js';
+import { arrayOf, integer, nullable, object, oneOf, string } from './validation.js';
+
+// Personal access tokens look like "pat_<random>" so they can be told apart
+// from session JWTs in an Authorization header
+export const API_TOKEN_PREFIX = 'pat_';
+
+// What a token may be granted. Each API area has a read scope (GET
+// requests) and a write scope (everything else).
+export const TOKEN_SCOPES = [
+  'workspaces:read',
+  'workspaces:write',
+  'tasks:read',
+  'tasks:write',
+  'documents:read',
+  'documents:write',
+  'files:read',
+  'files:write',
+  'chat:read',
+  'chat:write',
+  'notifications:read',
+  'notifications:write'
+];
+
+const TOKEN_NAME_MAX_LENGTH = 100;
+const TOKEN_MAX_LIFETIME_DAYS = 365;
+
+// last_used_at is written at most this often per token so busy scripts
+// don't turn every request into a database write
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const lastTouched = new Map();
+
+export const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const isApiToken = (token) => token?.startsWith(API_TOKEN_PREFIX);
+
+// A new token, its hash for storage and the prefix shown in listings
+export const generateApiToken = () => {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, hash: hashApiToken(token), prefix: token.slice(0, API_TOKEN_PREFIX.length + 6) };
+};
+
+// Request body for creating a token (see middleware/validate.js)
+export const tokenRequestSchema = object({
+  name: string({ minLength: 1, maxLength: TOKEN_NAME_MAX_LENGTH, pattern: '\\S' }),
+  scopes: arrayOf(oneOf(TOKEN_SCOPES), { minItems: 1 }),
+  expiresInDays: nullable(integer({ minimum: 1, maximum: TOKEN_MAX_LIFETIME_DAYS }))
+}, ['name', 'scopes']);
+
+// Shape a token for API responses; the token itself is never included
+export const formatApiToken = (token) => ({
+  id: token.id,
+  name: token.name,
+  prefix: token.token_prefix,
+  scopes: token.scopes,
+  expiresAt: token.expires_at,
+  lastUsedAt: token.last_used_at,
+  createdAt: token.created_at,
+  expired: !!token.expires_at && new Date(token.expires_at) <= new Date()
+});
+
+// Find the active token a request presented and record that it was used.
+// Returns null for unknown, revoked or expired tokens.
+export const authenticateApiToken = async (token) => {
+  const record = await PersonalAccessTokenModel.findActiveByHash(hashApiToken(token));
+  if (!record) return null;
+
+  const now = Date.now();
+  if (now - (lastTouched.get(record.id) || 0) >= TOUCH_INTERVAL_MS) {
+    lastTouched.set(record.id, now);
+    PersonalAccessTokenModel.touch(record.id, new Date(now).toISOString())
+      .catch((error) => console.error('Error recording token use:', error));
+  }
+
+  return record;
+};
@@ -0,0 +1,61 @@
+import { AuditLogModel } from '../models/AuditLog.js';
+
+// Everything that ends up in a workspace's audit log
+export const AUDIT_ACTIONS = {
+  MEMBER_INVITED: 'member.invited',
+  MEMBER_REMOVED: 'member.removed',
+  MEMBER_ROLE_CHANGED: 'member.role_changed',
+  MEMBER_LEFT: 'member.left',
+  INVITATION_REVOKED: 'invitation.revoked',
+  OWNERSHIP_TRANSFER_REQUESTED: 'ownership.transfer_requested',
+  OWNERSHIP_TRANSFER_CANCELLED: 'ownership.transfer_cancelled',
+  OWNERSHIP_TRANSFERRED: 'ownership.transferred',
+  WORKSPACE_UPDATED: 'workspace.updated',
+  SECURITY_UPDATED: 'workspace.security_updated',
+  WORKSPACE_ARCHIVED: 'workspace.archived',
+  WORKSPACE_UNARCHIVED: 'workspace.unarchived',
+  FILE_DELETED: 'file.deleted',
+  DOCUMENT_DELETED: 'document.deleted',
+  SNAPSHOT_RESTORED: 'document.snapshot_restored',
+  TASK_LIST_DELETED: 'task_list.deleted',
+  TASK_DELETED: 'task.deleted',
+  WEBHOOK_CREATED: 'webhook.created',
+  WEBHOOK_UPDATED: 'webhook.updated',
+  WEBHOOK_DELETED: 'webhook.deleted'
+};
+
+// Append an entry for the request's user without failing the request. The
+// workspace defaults to the one resolved by requirePermission.
+export const recordAudit = async (req, action, { workspaceId = req.workspaceId, targetType, targetId = null, metadata = {} }) => {
+  try {
+    await AuditLogModel.record({
+      workspaceId,
+      actorId: req.userId,
+      action,
+      targetType,
+      targetId,
+      metadata,
+      ipAddress: req.ip
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry ${action}:`, error);
+  }
+};
+
+// Shape an audit entry for API responses
+export const formatAuditEntry = (entry) => ({
+  id: entry.id,
+  action: entry.action,
+  actor: entry.actor
+    ? {
+        id: entry.actor.id,
+        firstName: entry.actor.first_name,
+        lastName: entry.actor.last_name,
+        email: entry.actor.email
+      }
+    : { id: entry.actor_id },
+  targetType: entry.target_type,
+  targetId: entry.target_id,
+  metadata: entry.metadata || {},
+  createdAt: entry.created_at
+});
@@ -0,0 +1,128 @@
+import { NotificationPreferenceModel } from '../models/NotificationPreference.js';
+import { NotificationModel } from '../models/Notification.js';
+import { formatSettings, isQuietTime } from './notificationPreferences.js';
+import { sendMail } from './mailer.js';
+import { digestEmail } from './emails.js';
+import { MemberRepository } from '../repositories/MemberRepository.js';
+import { MessageRepository } from '../repositories/MessageRepository.js';
+import { DocumentRepository } from '../repositories/DocumentRepository.js';
+import { TaskRepository } from '../repositories/TaskRepository.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far apart digests are and how far ahead "due soon" looks
+const DIGEST_PERIODS = {
+  daily: { interval: DAY_MS, dueWithinDays: 2 },
+  weekly: { interval: 7 * DAY_MS, dueWithinDays: 7 }
+};
+
+// Digests run on a timer, so allow them to go out a little early rather
+// than slipping a whole timer tick every period
+const SCHEDULE_SLACK_MS = 30 * 60 * 1000;
+
+const MAX_DOCUMENTS_PER_WORKSPACE = 5;
+
+const userWorkspaces = async (userId) => {
+  const memberships = await MemberRepository.listForUser(userId, ['id', 'name', 'archived_at']);
+  return memberships
+    .map((membership) => membership.workspace)
+    .filter((workspace) => workspace && !workspace.archived_at);
+};
+
+// Open tasks assigned to the user that are due within `days` (or overdue),
+// each with the id of its workspace
+const tasksDueSoon = async (userId, workspaceIds, days, now) => {
+  const workspaceOfList = new Map();
+  for (const workspaceId of workspaceIds) {
+    for (const listId of await TaskRepository.listIdsForWorkspace(workspaceId)) {
+      workspaceOfList.set(listId, workspaceId);
+    }
+  }
+  if (workspaceOfList.size === 0) return [];
+
+  const dueBy = new Date(now.getTime() + days * DAY_MS).toISOString();
+  const tasks = await TaskRepository.listOpenDueBy(userId, [...workspaceOfList.keys()], dueBy);
+  return tasks.map((task) => ({ ...task, workspaceId: workspaceOfList.get(task.list_id) }));
+};
+
+// What a user missed since `since`, grouped by workspace. Workspaces with
+// nothing to report are left out.
+export const buildDigest = async (userId, { since, dueWithinDays, now = new Date() }) => {
+  const workspaces = await userWorkspaces(userId);
+  const tasks = await tasksDueSoon(userId, workspaces.map((workspace) => workspace.id), dueWithinDays, now);
+
+  const sections = [];
+  for (const workspace of workspaces) {
+    const [unreadMessages, documents] = await Promise.all([
+      MessageRepository.getUnreadCount(workspace.id, userId, { since }),
+      DocumentRepository.listChangedSince(workspace.id, since, MAX_DOCUMENTS_PER_WORKSPACE)
+    ]);
+    const dueTasks = tasks.filter((task) => task.workspaceId === workspace.id);
+
+    if (unreadMessages || documents.length || dueTasks.length) {
+      sections.push({
+        workspace: { id: workspace.id, name: workspace.name },
+        unreadMessages,
+        documents: documents.map((document) => ({ id: document.id, title: document.title, updatedAt: document.updated_at })),
+        tasksDueSoon: dueTasks.map((task) => ({
+          id: task.id,
+          title: task.title,
+          dueDate: task.due_date,
+          overdue: new Date(task.due_date) < now
+        }))
+      });
+    }
+  }
+
+  return {
+    since,
+    unreadNotifications: await NotificationModel.countUnread(userId),
+    workspaces: sections
+  };
+};
+
+const isDue = (settings, now) => {
+  const period = DIGEST_PERIODS[settings.digestFrequency];
+  if (!period) return false;
+  if (!settings.lastDigestSentAt) return true;
+  return now - new Date(settings.lastDigestSentAt) >= period.interval - SCHEDULE_SLACK_MS;
+};
+
+// Build and send one user's digest. Empty digests aren't emailed but still
+// count as sent, so the next one covers the period after this.
+export const sendDigest = async (subscriber, now = new Date()) => {
+  const settings = formatSettings(subscriber);
+  const period = DIGEST_PERIODS[settings.digestFrequency];
+  const since = settings.lastDigestSentAt || new Date(now.getTime() - period.interval).toISOString();
+
+  const digest = await buildDigest(subscriber.user_id, { since, dueWithinDays: period.dueWithinDays, now });
+  const hasNews = digest.workspaces.length > 0 || digest.unreadNotifications > 0;
+
+  if (hasNews) {
+    await sendMail({ to: subscriber.user.email, ...digestEmail(subscriber.user, digest, settings.digestFrequency) });
+  }
+
+  await NotificationPreferenceModel.markDigestSent(subscriber.user_id, now.toISOString());
+  return hasNews;
+};
+
+// Send every digest that is due and not in its user's quiet hours; `force`
+// sends them all regardless. Returns how many emails went out.
+export const sendDueDigests = async ({ force = false, now = new Date() } = {}) => {
+  const subscribers = await NotificationPreferenceModel.listDigestSubscribers();
+  let sent = 0;
+
+  for (const subscriber of subscribers) {
+    const settings = formatSettings(subscriber);
+    if (!subscriber.user?.email) continue;
+    if (!force && (!isDue(settings, now) || isQuietTime(settings, now))) continue;
+
+    try {
+      if (await sendDigest(subscriber, now)) sent += 1;
+    } catch (error) {
+      console.error(`Error sending digest to ${subscriber.user_id}:`, error);
+    }
+  }
+
+  return sent;
+};
@@ -0,0 +1,124 @@
+// Email templates. Each returns { subject, text, html } for sendMail.
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const appUrl = (pathname) => `${process.env.CLIENT_URL || 'http://localhost:5173'}${pathname}`;
+
+const layout = (heading, body, actionLabel, actionUrl) => `
+  <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+    <h2>${heading}</h2>
+    <p>${body}</p>
+    <p><a href="${actionUrl}" style="display: inline-block; padding: 10px 16px; background: #4f46e5; color: #fff; border-radius: 6px; text-decoration: none;">${actionLabel}</a></p>
+    <p style="color: #6b7280; font-size: 12px;">If the button doesn't work, open this link: ${actionUrl}</p>
+  </div>
+`;
+
+export const passwordResetEmail = (user, token, expiresInMinutes) => {
+  const url = appUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${user.first_name},\n\nUse the link below to reset your password. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n${url}\n\nIf you didn't request this, you can ignore this email.`,
+    html: layout(
+      'Reset your password',
+      `Hi ${escapeHtml(user.first_name)}, use the button below to reset your password. It expires in ${expiresInMinutes} minutes and can only be used once. If you didn't request this, you can ignore this email.`,
+      'Reset password',
+      url
+    )
+  };
+};
+
+export const verificationEmail = (user, token, expiresInHours) => {
+  const url = appUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${user.first_name},\n\nPlease confirm your email address by opening the link below. It expires in ${expiresInHours} hours.\n\n${url}`,
+    html: layout(
+      'Verify your email address',
+      `Hi ${escapeHtml(user.first_name)}, please confirm your email address. The link expires in ${expiresInHours} hours.`,
+      'Verify email',
+      url
+    )
+  };
+};
+
+export const workspaceInvitationEmail = (invitation, token, expiresInDays) => {
+  const url = appUrl(`/invite?token=${encodeURIComponent(token)}`);
+  const workspaceName = invitation.workspace?.name || 'a workspace';
+  const inviterName = invitation.inviter
+    ? `${invitation.inviter.first_name} ${invitation.inviter.last_name}`.trim()
+    : 'A teammate';
+
+  return {
+    subject: `${inviterName} invited you to ${workspaceName}`,
+    text: `Hi,\n\n${inviterName} invited you to join "${workspaceName}" as ${invitation.role === 'admin' ? 'an' : 'a'} ${invitation.role}. Open the link below to accept. You can create an account with this email address if you don't have one yet. The invitation expires in ${expiresInDays} days.\n\n${url}\n\nIf you weren't expecting this, you can ignore this email.`,
+    html: layout(
+      `Join ${escapeHtml(workspaceName)}`,
+      `${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(workspaceName)}</strong> as ${invitation.role === 'admin' ? 'an' : 'a'} ${escapeHtml(invitation.role)}. You can create an account with this email address if you don't have one yet. The invitation expires in ${expiresInDays} days. If you weren't expecting this, you can ignore this email.`,
+      'Accept invitation',
+      url
+    )
+  };
+};
+
+export const notificationEmail = (user, summary, pathname) => {
+  const url = appUrl(pathname);
+
+  return {
+    subject: summary.length > 80 ? `${summary.slice(0, 77)}...` : summary,
+    text: `Hi ${user.first_name},\n\n${summary}\n\n${url}\n\nYou can change which notifications you get by email in your profile.`,
+    html: layout(
+      'New notification',
+      `Hi ${escapeHtml(user.first_name)}, ${escapeHtml(summary)}. You can change which notifications you get by email in your profile.`,
+      'Open',
+      url
+    )
+  };
+};
+
+export const digestEmail = (user, digest, frequency) => {
+  const period = frequency === 'weekly' ? 'week' : 'day';
+  const url = appUrl('/');
+
+  const textSections = digest.workspaces.map((section) => {
+    const lines = [section.workspace.name];
+    if (section.unreadMessages) lines.push(`  ${section.unreadMessages} unread chat message${section.unreadMessages === 1 ? '' : 's'}`);
+    section.tasksDueSoon.forEach((task) => {
+      lines.push(`  Task ${task.overdue ? 'overdue' : 'due'} ${new Date(task.dueDate).toDateString()}: ${task.title}`);
+    });
+    section.documents.forEach((document) => lines.push(`  Document updated: ${document.title || 'Untitled'}`));
+    return lines.join('\n');
+  });
+
+  const htmlSections = digest.workspaces.map((section) => `
+    <h3>${escapeHtml(section.workspace.name)}</h3>
+    <ul>
+      ${section.unreadMessages ? `<li>${section.unreadMessages} unread chat message${section.unreadMessages === 1 ? '' : 's'}</li>` : ''}
+      ${section.tasksDueSoon.map((task) => `<li>Task ${task.overdue ? 'overdue' : 'due'} ${escapeHtml(new Date(task.dueDate).toDateString())}: ${escapeHtml(task.title)}</li>`).join('')}
+      ${section.documents.map((document) => `<li>Document updated: ${escapeHtml(document.title || 'Untitled')}</li>`).join('')}
+    </ul>
+  `).join('');
+
+  const unread = digest.unreadNotifications
+    ? `You have ${digest.unreadNotifications} unread notification${digest.unreadNotifications === 1 ? '' : 's'}.`
+    : '';
+
+  return {
+    subject: `Your ${frequency} summary`,
+    text: `Hi ${user.first_name},\n\nHere's what happened in your workspaces this ${period}. ${unread}\n\n${textSections.join('\n\n')}\n\n${url}\n\nYou can change or turn off this summary in your profile.`,
+    html: `
+  <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+    <h2>Your ${frequency} summary</h2>
+    <p>Hi ${escapeHtml(user.first_name)}, here's what happened in your workspaces this ${period}. ${unread}</p>
+    ${htmlSections}
+    <p><a href="${url}" style="display: inline-block; padding: 10px 16px; background: #4f46e5; color: #fff; border-radius: 6px; text-decoration: none;">Open Remote Collab Suite</a></p>
+    <p style="color: #6b7280; font-size: 12px;">You can change or turn off this summary in your profile.</p>
+  </div>
+`
+  };
+};
@@ -0,0 +1,139 @@
+import jwt from 'jsonwebtoken';
+import { WorkspaceInvitationModel } from '../models/WorkspaceInvitation.js';
+import { MemberRepository } from '../repositories/MemberRepository.js';
+import { sendMail } from './mailer.js';
+import { workspaceInvitationEmail } from './emails.js';
+import { ACTIVITY_TYPES, recordActivity } from './activity.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from './webhooks.js';
+
+// Invite tokens use their own audience so they can't pass as any other token
+const INVITATION_AUDIENCE = 'workspace-invite';
+
+const invitationTtlDays = () => parseInt(process.env.WORKSPACE_INVITE_TTL_DAYS || '7');
+
+export const invitationExpiry = () =>
+  new Date(Date.now() + invitationTtlDays() * 24 * 60 * 60 * 1000).toISOString();
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Shape an invitation row for API responses
+export const formatInvitation = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  role: invitation.role,
+  workspace: invitation.workspace
+    ? { id: invitation.workspace.id, name: invitation.workspace.name }
+    : { id: invitation.workspace_id },
+  invitedBy: invitation.inviter
+    ? {
+        id: invitation.inviter.id,
+        firstName: invitation.inviter.first_name,
+        lastName: invitation.inviter.last_name
+      }
+    : null,
+  expiresAt: invitation.expires_at,
+  lastSentAt: invitation.last_sent_at,
+  createdAt: invitation.created_at
+});
+
+// Sign the token carried by the invite link. It expires together with the
+// invitation; the row id is the JWT id so revoking the row kills the link.
+const signInvitationToken = (invitation) => {
+  const expiresIn = Math.max(1, Math.floor((new Date(invitation.expires_at) - Date.now()) / 1000));
+
+  return jwt.sign({ workspaceId: invitation.workspace_id }, process.env.JWT_SECRET, {
+    jwtid: invitation.id,
+    audience: INVITATION_AUDIENCE,
+    expiresIn
+  });
+};
+
+// App path that accepts the invitation, for users who are already signed in
+export const invitationPath = (invitation) =>
+  `/invite?token=${encodeURIComponent(signInvitationToken(invitation))}`;
+
+export const sendInvitationEmail = async (invitation) => {
+  const token = signInvitationToken(invitation);
+  await sendMail({ to: invitation.email, ...workspaceInvitationEmail(invitation, token, invitationTtlDays()) });
+};
+
+const deny = (status, error, code) => ({ ok: false, status, error, code });
+
+// Look up the invitation behind a token and check it can still be accepted.
+// Returns { ok: true, invitation } or { ok: false, status, error, code }.
+export const resolveInvitation = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token || '', process.env.JWT_SECRET, { audience: INVITATION_AUDIENCE });
+  } catch (error) {
+    return error.name === 'TokenExpiredError'
+      ? deny(410, 'This invitation has expired. Ask for a new one.', 'INVITATION_EXPIRED')
+      : deny(400, 'This invitation link is invalid', 'INVITATION_INVALID');
+  }
+
+  const invitation = await WorkspaceInvitationModel.findById(payload.jti);
+
+  if (!invitation) {
+    return deny(400, 'This invitation link is invalid', 'INVITATION_INVALID');
+  }
+  if (invitation.revoked_at) {
+    return deny(410, 'This invitation has been revoked', 'INVITATION_REVOKED');
+  }
+  if (invitation.accepted_at) {
+    return deny(410, 'This invitation has already been used', 'INVITATION_USED');
+  }
+  if (new Date(invitation.expires_at) <= new Date()) {
+    return deny(410, 'This invitation has expired. Ask for a new one.', 'INVITATION_EXPIRED');
+  }
+
+  return { ok: true, invitation };
+};
+
+// Accept an invitation on behalf of `user` ({ id, email }) and add them to the
+// workspace with the invited role. Only the invited address may accept.
+// Returns { ok: true, workspaceId, role } or { ok: false, status, error, code }.
+export const acceptInvitation = async (token, user) => {
+  const result = await resolveInvitation(token);
+  if (!result.ok) return result;
+
+  const { invitation } = result;
+
+  if (normalizeEmail(user.email) !== invitation.email) {
+    return deny(
+      403,
+      `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.`,
+      'INVITATION_EMAIL_MISMATCH'
+    );
+  }
+
+  const membership = await MemberRepository.find(invitation.workspace_id, user.id);
+
+  // Claim the invitation first so it can only ever be used once
+  const accepted = await WorkspaceInvitationModel.markAccepted(invitation.id, user.id);
+  if (!accepted) {
+    return deny(410, 'This invitation has already been used', 'INVITATION_USED');
+  }
+
+  if (membership) {
+    return { ok: true, workspaceId: invitation.workspace_id, role: membership.role, alreadyMember: true };
+  }
+
+  await MemberRepository.add(invitation.workspace_id, user.id, invitation.role);
+
+  await recordActivity({
+    workspaceId: invitation.workspace_id,
+    actorId: user.id,
+    type: ACTIVITY_TYPES.MEMBER_JOINED,
+    metadata: { role: invitation.role, via: 'invitation' }
+  });
+
+  await emitWebhookEvent({
+    workspaceId: invitation.workspace_id,
+    event: WEBHOOK_EVENTS.MEMBER_JOINED,
+    actorId: user.id,
+    data: { userId: user.id, role: invitation.role, via: 'invitation' }
+  });
+
+  console.log(`✉️  ${invitation.email} accepted an invitation to workspace ${invitation.workspace_id}`);
+  return { ok: true, workspaceId: invitation.workspace_id, role: invitation.role };
+};
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { WorkspaceJoinLinkModel } from '../models/WorkspaceJoinLink.js';
+import { MemberRepository } from '../repositories/MemberRepository.js';
+import { ACTIVITY_TYPES, recordActivity } from './activity.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from './webhooks.js';
+
+// How many times to retry counting a use when another join raced us
+const RECORD_USE_ATTEMPTS = 3;
+
+export const generateJoinCode = () => crypto.randomBytes(12).toString('base64url');
+
+const isExpired = (link) => !!link.expires_at && new Date(link.expires_at) <= new Date();
+const isUsedUp = (link) => link.max_uses != null && link.use_count >= link.max_uses;
+
+// Shape a join link row for API responses
+export const formatJoinLink = (link) => ({
+  id: link.id,
+  code: link.code,
+  role: link.role,
+  workspace: link.workspace
+    ? { id: link.workspace.id, name: link.workspace.name }
+    : { id: link.workspace_id },
+  createdBy: link.creator
+    ? {
+        id: link.creator.id,
+        firstName: link.creator.first_name,
+        lastName: link.creator.last_name
+      }
+    : null,
+  maxUses: link.max_uses,
+  useCount: link.use_count,
+  expiresAt: link.expires_at,
+  createdAt: link.created_at,
+  status: isExpired(link) ? 'expired' : isUsedUp(link) ? 'used_up' : 'active'
+});
+
+const deny = (status, error, code) => ({ ok: false, status, error, code });
+
+// Look up a join link by code and check it can still be used.
+// Returns { ok: true, link } or { ok: false, status, error, code }.
+export const resolveJoinLink = async (code) => {
+  const link = code ? await WorkspaceJoinLinkModel.findByCode(code) : null;
+
+  if (!link) {
+    return deny(404, 'This join link is invalid', 'JOIN_LINK_INVALID');
+  }
+  if (link.revoked_at) {
+    return deny(410, 'This join link has been revoked', 'JOIN_LINK_REVOKED');
+  }
+  if (isExpired(link)) {
+    return deny(410, 'This join link has expired', 'JOIN_LINK_EXPIRED');
+  }
+  if (isUsedUp(link)) {
+    return deny(410, 'This join link has reached its usage limit', 'JOIN_LINK_USED_UP');
+  }
+  if (link.workspace?.visibility !== 'public') {
+    return deny(403, 'This workspace is not accepting members through join links', 'JOIN_LINKS_DISABLED');
+  }
+  if (link.workspace?.archived_at) {
+    return deny(403, 'This workspace is archived', 'WORKSPACE_ARCHIVED');
+  }
+
+  return { ok: true, link };
+};
+
+// Add a user to the workspace behind a join link with the link's role.
+// Users who are already members keep their role and don't use up the link.
+// Returns { ok: true, workspaceId, role, alreadyMember? } or a denial.
+export const redeemJoinLink = async (code, userId) => {
+  let result = await resolveJoinLink(code);
+  if (!result.ok) return result;
+
+  const workspaceId = result.link.workspace_id;
+
+  const membership = await MemberRepository.find(workspaceId, userId);
+
+  if (membership) {
+    return { ok: true, workspaceId, role: membership.role, alreadyMember: true };
+  }
+
+  let counted = null;
+  for (let attempt = 0; attempt < RECORD_USE_ATTEMPTS && !counted; attempt++) {
+    if (attempt > 0) {
+      result = await resolveJoinLink(code);
+      if (!result.ok) return result;
+    }
+    counted = await WorkspaceJoinLinkModel.recordUse(result.link.id, result.link.use_count);
+  }
+
+  if (!counted) {
+    return deny(409, 'This join link is busy. Please try again.', 'JOIN_LINK_BUSY');
+  }
+
+  await MemberRepository.add(workspaceId, userId, result.link.role);
+
+  await recordActivity({
+    workspaceId,
+    actorId: userId,
+    type: ACTIVITY_TYPES.MEMBER_JOINED,
+    metadata: { role: result.link.role, via: 'join_link' }
+  });
+
+  await emitWebhookEvent({
+    workspaceId,
+    event: WEBHOOK_EVENTS.MEMBER_JOINED,
+    actorId: userId,
+    data: { userId, role: result.link.role, via: 'join_link' }
+  });
+
+  console.log(`🔗 User ${userId} joined workspace ${workspaceId} via join link ${result.link.id}`);
+  return { ok: true, workspaceId, role: result.link.role };
+};
@@ -0,0 +1,124 @@
+// In-memory login attempt tracking with exponential backoff and lockout.
+// Failures are tracked per account (email) and per IP address; whichever
+// key is more restricted decides whether the next attempt may proceed.
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const config = {
+  // Failures allowed before backoff delays kick in
+  backoffThreshold: numberFromEnv('LOGIN_BACKOFF_THRESHOLD', 3),
+  backoffBaseSeconds: numberFromEnv('LOGIN_BACKOFF_BASE_SECONDS', 1),
+  backoffMaxSeconds: numberFromEnv('LOGIN_BACKOFF_MAX_SECONDS', 60),
+  // Failures that trigger a temporary lockout
+  accountLockoutThreshold: numberFromEnv('LOGIN_ACCOUNT_LOCKOUT_THRESHOLD', 10),
+  ipLockoutThreshold: numberFromEnv('LOGIN_IP_LOCKOUT_THRESHOLD', 50),
+  lockoutMinutes: numberFromEnv('LOGIN_LOCKOUT_MINUTES', 15),
+  // Failure counters reset after this long without a new failure
+  windowMinutes: numberFromEnv('LOGIN_ATTEMPT_WINDOW_MINUTES', 15)
+};
+
+const attempts = new Map(); // key -> { failures, lastFailureAt, lockedUntil }
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const getEntry = (key, now) => {
+  const entry = attempts.get(key);
+  if (!entry) return null;
+
+  const expired = now - entry.lastFailureAt > config.windowMinutes * 60 * 1000
+    && (!entry.lockedUntil || entry.lockedUntil <= now);
+
+  if (expired) {
+    attempts.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+// Seconds the caller must wait before this key may try again (0 = allowed)
+const getWaitSeconds = (entry, now) => {
+  if (!entry) return { seconds: 0 };
+
+  if (entry.lockedUntil && entry.lockedUntil > now) {
+    return { seconds: Math.ceil((entry.lockedUntil - now) / 1000), locked: true };
+  }
+
+  if (entry.failures < config.backoffThreshold) return { seconds: 0 };
+
+  const exponent = entry.failures - config.backoffThreshold;
+  const delay = Math.min(config.backoffBaseSeconds * 2 ** exponent, config.backoffMaxSeconds);
+  const readyAt = entry.lastFailureAt + delay * 1000;
+
+  return { seconds: readyAt > now ? Math.ceil((readyAt - now) / 1000) : 0 };
+};
+
+// Check whether a login attempt may proceed. A refusal's code says whether
+// the account (ACCOUNT_LOCKED) or the client address (IP_LOCKED) is locked
+// out, or the caller just has to back off (TOO_MANY_ATTEMPTS).
+export const checkLoginAllowed = (email, ip) => {
+  const now = Date.now();
+  const waits = [
+    { ...getWaitSeconds(getEntry(accountKey(email), now), now), lockedCode: 'ACCOUNT_LOCKED' },
+    { ...getWaitSeconds(getEntry(ipKey(ip), now), now), lockedCode: 'IP_LOCKED' }
+  ];
+
+  const longest = waits.reduce((a, b) => (b.seconds > a.seconds ? b : a));
+
+  if (longest.seconds > 0) {
+    return {
+      allowed: false,
+      retryAfter: longest.seconds,
+      code: longest.locked ? longest.lockedCode : 'TOO_MANY_ATTEMPTS'
+    };
+  }
+
+  return { allowed: true };
+};
+
+const bumpFailures = (key, threshold, now) => {
+  const entry = getEntry(key, now) || { failures: 0, lastFailureAt: now, lockedUntil: null };
+
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+
+  let lockedNow = false;
+  if (entry.failures >= threshold && !(entry.lockedUntil > now)) {
+    entry.lockedUntil = now + config.lockoutMinutes * 60 * 1000;
+    lockedNow = true;
+  }
+
+  attempts.set(key, entry);
+  return { failures: entry.failures, lockedNow };
+};
+
+// Record a failed attempt; returns the resulting counters
+export const recordLoginFailure = (email, ip) => {
+  const now = Date.now();
+  const account = bumpFailures(accountKey(email), config.accountLockoutThreshold, now);
+  const address = bumpFailures(ipKey(ip), config.ipLockoutThreshold, now);
+
+  return {
+    accountFailures: account.failures,
+    ipFailures: address.failures,
+    accountLocked: account.lockedNow,
+    ipLocked: address.lockedNow
+  };
+};
+
+// Clear the account counter after a successful login. The IP counter is kept
+// so one good login can't reset a password-spraying run from the same address.
+export const recordLoginSuccess = (email) => {
+  attempts.delete(accountKey(email));
+};
+
+// Periodically drop stale entries so the map doesn't grow unbounded
+setInterval(() => {
+  const now = Date.now();
+  for (const key of attempts.keys()) {
+    getEntry(key, now);
+  }
+}, 60 * 1000).unref();
@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pluggable mailer. A transport is any object with an async `send(message)`
+// method; `message` has { from, to, subject, text, html }.
+
+// Log messages to stdout - handy for local development
+const consoleTransport = {
+  async send(message) {
+    console.log('📧 Mail (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+// Write each message as a JSON file into a directory
+export const createFileTransport = (directory) => ({
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(directory, `${id}.json`);
+
+    await fs.writeFile(filePath, JSON.stringify({
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+
+    console.log(`📧 Mail written to ${filePath}`);
+    return { id, path: filePath };
+  }
+});
+
+const transports = new Map([
+  ['console', consoleTransport],
+  ['file', createFileTransport(process.env.MAIL_FILE_DIR || 'mail-outbox')]
+]);
+
+// Register an additional transport (e.g. SMTP or a provider API)
+export const registerMailTransport = (name, transport) => {
+  if (typeof transport?.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports.set(name, transport);
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports.get(name);
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Mail requires a recipient and subject');
+  }
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Remote Collab Suite <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
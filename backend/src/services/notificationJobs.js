@@ -0,0 +1,23 @@
+import { sendPendingEmails } from './notifications.js';
+import { sendDueDigests } from './digests.js';
+
+const intervalMinutes = () => parseInt(process.env.NOTIFICATION_JOBS_INTERVAL_MINUTES || '15');
+
+// Send emails held back by quiet hours and any digests that are due
+export const runNotificationJobs = async () => {
+  try {
+    const emails = await sendPendingEmails();
+    const digests = await sendDueDigests();
+
+    if (emails || digests) {
+      console.log(`📬 Sent ${emails} held notification email(s) and ${digests} digest(s)`);
+    }
+  } catch (error) {
+    console.error('Error running notification jobs:', error);
+  }
+};
+
+// Run the jobs on a timer for as long as the server is up
+export const startNotificationJobs = () => {
+  setInterval(runNotificationJobs, intervalMinutes() * 60 * 1000).unref();
+};
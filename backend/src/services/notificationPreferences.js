@@ -0,0 +1,144 @@
+import { NotificationPreferenceModel } from '../models/NotificationPreference.js';
+import { boolean, object } from './validation.js';
+
+// Everything a user can be notified about. Defined here rather than in
+// services/notifications.js, which re-exports it, so the two modules don't
+// import each other.
+export const NOTIFICATION_TYPES = {
+  TASK_ASSIGNED: 'task.assigned',
+  CHAT_MENTION: 'chat.mention',
+  WORKSPACE_INVITED: 'workspace.invited',
+  CALL_MISSED: 'call.missed'
+};
+
+const PREFERENCE_TYPES = Object.values(NOTIFICATION_TYPES);
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// Everything shows in the app by default; email is opt-in
+export const DEFAULT_CHANNELS = Object.fromEntries(
+  PREFERENCE_TYPES.map((type) => [type, { inApp: true, email: false }])
+);
+
+const DEFAULT_SETTINGS = {
+  quietHoursStart: null,
+  quietHoursEnd: null,
+  timezone: 'UTC',
+  digestFrequency: 'off',
+  lastDigestSentAt: null
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// A { type: { inApp, email } } map; types left out keep their current
+// channels (see middleware/validate.js)
+export const channelsSchema = object(
+  Object.fromEntries(PREFERENCE_TYPES.map((type) => [type, object({ inApp: boolean, email: boolean }, ['inApp', 'email'])])),
+  [],
+  { additionalProperties: false }
+);
+
+// Check quiet hours as "HH:MM" strings; both null turns them off
+export const validateQuietHours = (start, end) => {
+  if (start === null && end === null) return null;
+  if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+    return 'Quiet hours need a start and end time as HH:MM';
+  }
+  if (start === end) {
+    return 'Quiet hours must start and end at different times';
+  }
+  return null;
+};
+
+export const formatSettings = (settings) => settings
+  ? {
+      quietHoursStart: settings.quiet_hours_start,
+      quietHoursEnd: settings.quiet_hours_end,
+      timezone: settings.timezone || 'UTC',
+      digestFrequency: settings.digest_frequency || 'off',
+      lastDigestSentAt: settings.last_digest_sent_at
+    }
+  : { ...DEFAULT_SETTINGS };
+
+// Channels for a type in a workspace: the workspace override, else the
+// user's defaults, else the built-in default
+const channelsFor = (rows, workspaceId, type) => {
+  const override = workspaceId && rows.find((row) => row.workspace_id === workspaceId);
+  const defaults = rows.find((row) => !row.workspace_id);
+
+  return override?.channels?.[type] || defaults?.channels?.[type] || DEFAULT_CHANNELS[type];
+};
+
+// Minutes since midnight in the given timezone
+const localMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = (unit) => parseInt(parts.find((part) => part.type === unit).value);
+  return value('hour') * 60 + value('minute');
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether `date` falls in the user's quiet hours. Ranges may wrap past
+// midnight, e.g. 22:00 to 07:00.
+export const isQuietTime = (settings, date = new Date()) => {
+  const { quietHoursStart, quietHoursEnd, timezone } = settings;
+  if (!quietHoursStart || !quietHoursEnd) return false;
+
+  const now = localMinutes(date, isValidTimezone(timezone) ? timezone : 'UTC');
+  const start = toMinutes(quietHoursStart);
+  const end = toMinutes(quietHoursEnd);
+
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// How a notification of `type` in `workspaceId` reaches the user right now:
+// { inApp, email, quiet }
+export const resolveDelivery = async (userId, workspaceId, type) => {
+  const [rows, settings] = await Promise.all([
+    NotificationPreferenceModel.listChannels(userId),
+    NotificationPreferenceModel.getSettings(userId)
+  ]);
+
+  return {
+    ...channelsFor(rows, workspaceId, type),
+    quiet: isQuietTime(formatSettings(settings))
+  };
+};
+
+// The user's defaults and workspace overrides, filled in with built-in
+// defaults for types they never set
+export const getPreferences = async (userId) => {
+  const [rows, settings] = await Promise.all([
+    NotificationPreferenceModel.listChannels(userId),
+    NotificationPreferenceModel.getSettings(userId)
+  ]);
+
+  const defaults = rows.find((row) => !row.workspace_id)?.channels || {};
+
+  return {
+    types: PREFERENCE_TYPES,
+    channels: { ...DEFAULT_CHANNELS, ...defaults },
+    workspaces: rows
+      .filter((row) => row.workspace_id)
+      .map((row) => ({ workspaceId: row.workspace_id, channels: { ...DEFAULT_CHANNELS, ...defaults, ...row.channels } })),
+    settings: formatSettings(settings)
+  };
+};
@@ -0,0 +1,162 @@
+import { NotificationModel } from '../models/Notification.js';
+import { deliverNotification } from '../sockets/notificationHandlers.js';
+import { NotificationPreferenceModel } from '../models/NotificationPreference.js';
+import { formatSettings, isQuietTime, resolveDelivery } from './notificationPreferences.js';
+import { sendMail } from './mailer.js';
+import { notificationEmail } from './emails.js';
+import { UserRepository } from '../repositories/UserRepository.js';
+import { MemberRepository } from '../repositories/MemberRepository.js';
+
+export { NOTIFICATION_TYPES } from './notificationPreferences.js';
+
+// Shape a notification for API responses and socket events
+export const formatNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  actor: notification.actor
+    ? {
+        id: notification.actor.id,
+        firstName: notification.actor.first_name,
+        lastName: notification.actor.last_name,
+        avatarUrl: notification.actor.avatar_url
+      }
+    : null,
+  workspace: notification.workspace
+    ? { id: notification.workspace.id, name: notification.workspace.name }
+    : null,
+  data: notification.data || {},
+  readAt: notification.read_at,
+  createdAt: notification.created_at
+});
+
+// One-line description, used in emails and digests
+export const describeNotification = ({ type, data, actor, workspace }) => {
+  const actorName = actor ? `${actor.firstName} ${actor.lastName}` : 'Someone';
+  const workspaceName = workspace?.name || 'a workspace';
+
+  switch (type) {
+    case 'task.assigned':
+      return `${actorName} assigned you "${data.title}" in ${workspaceName}`;
+    case 'chat.mention':
+      return `${actorName} mentioned you in ${workspaceName}: "${data.excerpt}"`;
+    case 'workspace.invited':
+      return `${actorName} invited you to join ${workspaceName} as ${data.role}`;
+    case 'call.missed':
+      return `You missed a call started by ${actorName} in ${workspaceName}`;
+    default:
+      return type;
+  }
+};
+
+// App path a notification links to
+export const notificationPath = ({ type, data, workspace }) => {
+  if (type === 'workspace.invited') return data.link;
+  return workspace ? `/workspace/${workspace.id}` : '/';
+};
+
+// Email the notification to its recipient and record that it went out
+export const emailNotification = async (notification, recipient) => {
+  const formatted = formatNotification(notification);
+  const email = notificationEmail(recipient, describeNotification(formatted), notificationPath(formatted));
+
+  await sendMail({ to: recipient.email, ...email });
+  await NotificationModel.markEmailed(notification.id);
+};
+
+const recipientOf = async (userId) => {
+  const user = await UserRepository.findById(userId, ['id', 'first_name', 'email']);
+  if (!user) throw new Error(`User ${userId} not found`);
+  return user;
+};
+
+// Store a notification for each recipient and deliver it over the channels
+// they chose for its type. During quiet hours nothing is pushed; emails wait
+// for the notification jobs to send them afterwards. Nobody is notified
+// about their own actions. Failures are logged rather than thrown so a
+// notification never fails the action behind it.
+export const notify = async ({ userIds, workspaceId = null, actorId = null, type, data = {} }) => {
+  const recipients = [...new Set(userIds)].filter((userId) => userId && userId !== actorId);
+
+  for (const userId of recipients) {
+    try {
+      const delivery = await resolveDelivery(userId, workspaceId, type);
+      if (!delivery.inApp && !delivery.email) continue;
+
+      const notification = await NotificationModel.create({
+        userId,
+        workspaceId,
+        actorId,
+        type,
+        data,
+        inApp: delivery.inApp,
+        emailPending: delivery.email
+      });
+
+      if (delivery.quiet) continue;
+
+      if (delivery.inApp) {
+        deliverNotification(userId, formatNotification(notification));
+      }
+      if (delivery.email) {
+        await emailNotification(notification, await recipientOf(userId));
+      }
+    } catch (error) {
+      console.error(`Error sending ${type} notification to ${userId}:`, error);
+    }
+  }
+};
+
+const workspaceMembers = (workspaceId) =>
+  MemberRepository.listForWorkspace(workspaceId, ['first_name', 'last_name', 'email']);
+
+export const workspaceMemberIds = async (workspaceId) =>
+  (await workspaceMembers(workspaceId)).map((member) => member.user_id);
+
+// Handles a member answers to in chat: @first, @first.last and the local
+// part of their email, all case-insensitive
+const mentionHandles = ({ user }) => {
+  if (!user) return [];
+  const first = (user.first_name || '').toLowerCase();
+  const last = (user.last_name || '').toLowerCase();
+
+  return [first, first && last && `${first}.${last}`, user.email?.split('@')[0].toLowerCase()]
+    .filter(Boolean);
+};
+
+// Members mentioned in a chat message
+export const mentionedMemberIds = async (workspaceId, content) => {
+  const handles = new Set(
+    [...content.matchAll(/(?:^|\s)@([\w.+-]+)/g)].map((match) => match[1].toLowerCase().replace(/\.+$/, ''))
+  );
+  if (handles.size === 0) return [];
+
+  const members = await workspaceMembers(workspaceId);
+  return members
+    .filter((member) => mentionHandles(member).some((handle) => handles.has(handle)))
+    .map((member) => member.user_id);
+};
+
+// Send emails held back by quiet hours (or a failed send) once the
+// recipient is out of their quiet hours. Returns how many went out.
+export const sendPendingEmails = async (now = new Date()) => {
+  const pending = await NotificationModel.listPendingEmails();
+  const settingsByUser = new Map();
+  let sent = 0;
+
+  for (const notification of pending) {
+    try {
+      if (!settingsByUser.has(notification.user_id)) {
+        const settings = await NotificationPreferenceModel.getSettings(notification.user_id);
+        settingsByUser.set(notification.user_id, formatSettings(settings));
+      }
+      if (isQuietTime(settingsByUser.get(notification.user_id), now)) continue;
+
+      await emailNotification(notification, notification.recipient);
+      sent += 1;
+    } catch (error) {
+      console.error(`Error emailing notification ${notification.id}:`, error);
+    }
+  }
+
+  return sent;
+};
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Generic OpenID Connect authorization-code flow (with PKCE) against any
+// provider that publishes /.well-known/openid-configuration
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+let discoveryCache = null;
+let jwksCache = null;
+
+// Provider settings from the environment, or null when SSO is not configured
+export const getOidcConfig = () => {
+  const issuer = process.env.OIDC_ISSUER;
+  const clientId = process.env.OIDC_CLIENT_ID;
+  if (!issuer || !clientId) return null;
+
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+  return {
+    issuer: issuer.replace(/\/$/, ''),
+    clientId,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${apiUrl}/api/auth/oidc/callback`,
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO'
+  };
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${detail}`);
+  }
+  return body;
+};
+
+// Fetch (and cache) the provider's discovery document
+const discover = async (config) => {
+  if (discoveryCache && discoveryCache.issuer === config.issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/$/, '') !== config.issuer) {
+    throw new Error(`OIDC issuer mismatch: expected ${config.issuer}, got ${metadata.issuer}`);
+  }
+
+  discoveryCache = { issuer: config.issuer, metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+  return metadata;
+};
+
+// Look up the signing key for an ID token, refetching the JWKS once when
+// the key id is unknown (the provider may have rotated keys)
+const getSigningKey = async (metadata, kid) => {
+  const findKey = () => jwksCache?.keys.find(key => !kid || key.kid === kid);
+
+  if (!jwksCache || jwksCache.uri !== metadata.jwks_uri || !findKey()) {
+    const { keys } = await fetchJson(metadata.jwks_uri);
+    jwksCache = { uri: metadata.jwks_uri, keys };
+  }
+
+  const jwk = findKey();
+  if (!jwk) throw new Error('No matching OIDC signing key');
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Random values for a new sign-in attempt
+export const createAuthRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+// URL to send the browser to at the identity provider
+export const buildAuthorizationUrl = async (config, { state, nonce, codeChallenge }) => {
+  const metadata = await discover(config);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Exchange an authorization code for tokens and return the verified ID token claims
+export const exchangeCode = async (config, { code, codeVerifier, nonce }) => {
+  const metadata = await discover(config);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+  if (!tokens.id_token) throw new Error('OIDC token response has no id_token');
+
+  const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+  if (!header) throw new Error('Malformed OIDC id_token');
+
+  const key = await getSigningKey(metadata, header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: metadata.issuer,
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) throw new Error('OIDC nonce mismatch');
+
+  // Some providers only put profile claims in the userinfo response
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userInfo.sub === claims.sub) {
+      return { ...userInfo, ...claims };
+    }
+  }
+
+  return claims;
+};
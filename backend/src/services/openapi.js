@@ -0,0 +1,152 @@
+import { readFileSync } from 'fs';
+import { authenticateUser } from '../middleware/auth.js';
+
+const { version } = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'A session access token, or a personal access token (pat_...) with one of the operation\'s x-token-scopes'
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      properties: {
+        error: { type: 'string' },
+        code: { type: 'string' }
+      },
+      required: ['error', 'code']
+    },
+    ValidationError: {
+      type: 'object',
+      properties: {
+        error: { type: 'string' },
+        code: { type: 'string', enum: ['VALIDATION_FAILED'] },
+        fields: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string' }, message: { type: 'string' } },
+            required: ['field', 'message']
+          }
+        }
+      },
+      required: ['error', 'code', 'fields']
+    }
+  }
+};
+
+// "/:workspaceId/tasks" -> "/{workspaceId}/tasks"
+const openApiPath = (mountPath, routePath) =>
+  `${mountPath}${routePath === '/' ? '' : routePath}`.replace(/:(\w+)/g, '{$1}');
+
+const parametersFor = ({ params, query }) => [
+  ...Object.entries(params || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+  ...Object.entries(query?.properties || {}).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: (query.required || []).includes(name),
+    schema,
+    ...(schema.type === 'array' ? { style: 'form', explode: false } : {})
+  }))
+];
+
+// JSON bodies, or multipart forms for routes taking file uploads
+const requestBodyFor = ({ body, files }) => {
+  if (files?.length) {
+    return {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              ...Object.fromEntries(files.map((name) => [name, { type: 'string', format: 'binary' }])),
+              ...body?.properties
+            },
+            required: [...files, ...(body?.required || [])]
+          }
+        }
+      }
+    };
+  }
+
+  return body && {
+    required: !!body.required?.length,
+    content: { 'application/json': { schema: body } }
+  };
+};
+
+const operationFor = (method, tag, apiSchema, { authenticated, scopeArea }) => {
+  const hasInput = apiSchema.params || apiSchema.query || apiSchema.body || apiSchema.files;
+  const parameters = parametersFor(apiSchema);
+  const requestBody = requestBodyFor(apiSchema);
+
+  return {
+    tags: [tag],
+    summary: apiSchema.summary,
+    ...(parameters.length ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    ...(authenticated ? { security: [{ bearerAuth: [] }] } : {}),
+    ...(authenticated && scopeArea ? { 'x-token-scopes': [`${scopeArea}:${method === 'get' ? 'read' : 'write'}`] } : {}),
+    responses: {
+      '2XX': { description: 'Success' },
+      ...(hasInput ? { 400: errorResponse('Invalid request', 'ValidationError') } : {}),
+      ...(authenticated ? { 401: errorResponse('Missing or invalid token') } : {}),
+      429: errorResponse('Rate limit exceeded; see the Retry-After header'),
+      default: errorResponse('Error')
+    }
+  };
+};
+
+// Build the OpenAPI document from the mounted routers: each route's
+// validate() middleware supplies its summary and schemas, and routes behind
+// authenticateUser (for the whole router or just that route) get bearer
+// auth. `routes` is server.js's API_ROUTES list of [path, router, scopeArea].
+export const buildOpenApiDocument = (routes) => {
+  const paths = {};
+
+  for (const [mountPath, router, scopeArea] of routes) {
+    const tag = mountPath.slice(1);
+    let routerAuthenticated = false;
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        if (layer.handle === authenticateUser) routerAuthenticated = true;
+        continue;
+      }
+
+      const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle);
+      const apiSchema = handlers.find((handle) => handle.apiSchema)?.apiSchema || {};
+      const authenticated = routerAuthenticated || handlers.includes(authenticateUser);
+      const path = openApiPath(mountPath, layer.route.path);
+
+      for (const method of METHODS.filter((name) => layer.route.methods[name])) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = operationFor(method, tag, apiSchema, { authenticated, scopeArea });
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Remote Collab Suite API',
+      version,
+      description: 'Errors are returned as { error, code }. Requests that fail validation get a 400 with code VALIDATION_FAILED and a fields list naming each problem.'
+    },
+    servers: [{ url: '/api/v1' }],
+    paths,
+    components: COMPONENTS
+  };
+};
@@ -0,0 +1,138 @@
+import { MemberRepository } from '../repositories/MemberRepository.js';
+import { DocumentRepository } from '../repositories/DocumentRepository.js';
+import { SnapshotRepository } from '../repositories/SnapshotRepository.js';
+import { FileRepository } from '../repositories/FileRepository.js';
+import { TaskRepository } from '../repositories/TaskRepository.js';
+
+// Workspace roles, most to least privileged
+export const ROLES = ['owner', 'admin', 'member', 'guest'];
+
+// Roles that can be handed out through invites and role changes
+// (ownership only moves through an explicit transfer)
+export const ASSIGNABLE_ROLES = ['admin', 'member', 'guest'];
+
+export const CAPABILITIES = {
+  VIEW_WORKSPACE: 'workspace:view',
+  MANAGE_WORKSPACE: 'workspace:manage',
+  DELETE_WORKSPACE: 'workspace:delete',
+  TRANSFER_OWNERSHIP: 'workspace:transfer',
+  INVITE_MEMBERS: 'members:invite',
+  MANAGE_MEMBERS: 'members:manage',
+  VIEW_AUDIT_LOG: 'audit:view',
+  MANAGE_WEBHOOKS: 'webhooks:manage',
+  EDIT_DOCUMENTS: 'documents:edit',
+  MANAGE_TASKS: 'tasks:manage',
+  UPLOAD_FILES: 'files:upload',
+  DELETE_FILES: 'files:delete',
+  SEND_MESSAGES: 'chat:send',
+  START_CALLS: 'calls:start',
+  DRAW_WHITEBOARD: 'whiteboard:draw'
+};
+
+const {
+  VIEW_WORKSPACE, MANAGE_WORKSPACE, DELETE_WORKSPACE, TRANSFER_OWNERSHIP, INVITE_MEMBERS, MANAGE_MEMBERS,
+  VIEW_AUDIT_LOG, MANAGE_WEBHOOKS, EDIT_DOCUMENTS, MANAGE_TASKS, UPLOAD_FILES, DELETE_FILES, SEND_MESSAGES,
+  START_CALLS, DRAW_WHITEBOARD
+} = CAPABILITIES;
+
+const MEMBER_CAPABILITIES = [
+  VIEW_WORKSPACE, EDIT_DOCUMENTS, MANAGE_TASKS, UPLOAD_FILES, SEND_MESSAGES, START_CALLS, DRAW_WHITEBOARD
+];
+
+const ADMIN_CAPABILITIES = [
+  ...MEMBER_CAPABILITIES, MANAGE_WORKSPACE, INVITE_MEMBERS, MANAGE_MEMBERS, DELETE_FILES, VIEW_AUDIT_LOG,
+  MANAGE_WEBHOOKS
+];
+
+// Which role may do what. Guests can look at everything and chat, but not change content.
+const ROLE_CAPABILITIES = {
+  owner: new Set([...ADMIN_CAPABILITIES, DELETE_WORKSPACE, TRANSFER_OWNERSHIP]),
+  admin: new Set(ADMIN_CAPABILITIES),
+  member: new Set(MEMBER_CAPABILITIES),
+  guest: new Set([VIEW_WORKSPACE, SEND_MESSAGES])
+};
+
+// Archived workspaces are read-only: members can still look around, and
+// admins can change settings (to unarchive), read the audit log, delete or
+// hand over the workspace
+const ARCHIVED_CAPABILITIES = new Set([
+  VIEW_WORKSPACE, MANAGE_WORKSPACE, DELETE_WORKSPACE, TRANSFER_OWNERSHIP, VIEW_AUDIT_LOG
+]);
+
+export const hasCapability = (role, capability, { archived = false } = {}) =>
+  !!ROLE_CAPABILITIES[role]?.has(capability) && (!archived || ARCHIVED_CAPABILITIES.has(capability));
+
+export const getCapabilities = (role, { archived = false } = {}) =>
+  Array.from(ROLE_CAPABILITIES[role] || []).filter((capability) => !archived || ARCHIVED_CAPABILITIES.has(capability));
+
+const roleRank = (role) => ROLES.length - ROLES.indexOf(role);
+
+// Whether `actorRole` may remove a member or change their role to `newRole`.
+// Owners manage everyone below them; admins manage members and guests.
+export const canManageMember = (actorRole, targetRole, newRole = null) => {
+  if (!hasCapability(actorRole, MANAGE_MEMBERS)) return false;
+  if (targetRole === 'owner') return false;
+  if (newRole && !ASSIGNABLE_ROLES.includes(newRole)) return false;
+
+  if (actorRole === 'owner') return true;
+  return roleRank(targetRole) < roleRank(actorRole);
+};
+
+// Whether `actorRole` may invite someone with `role`
+export const canAssignRole = (actorRole, role) =>
+  hasCapability(actorRole, INVITE_MEMBERS) && ASSIGNABLE_ROLES.includes(role);
+
+const deny = (status, error, code) => ({ allowed: false, status, error, code });
+
+// Look up a user's membership of a workspace and check it grants `capability`.
+// Returns { allowed: true, role, archived } or { allowed: false, status, error, code }.
+export const checkPermission = async (userId, workspaceId, capability) => {
+  if (!workspaceId) {
+    return deny(400, 'Workspace ID is required', 'WORKSPACE_REQUIRED');
+  }
+
+  const membership = await MemberRepository.findAccess(workspaceId, userId);
+
+  if (!membership) {
+    return deny(403, 'Access denied to workspace', 'NOT_A_MEMBER');
+  }
+
+  if (membership.workspace?.require_two_factor && !membership.user?.totp_enabled_at) {
+    return deny(
+      403,
+      'This workspace requires two-factor authentication. Enable it in your profile to continue.',
+      'TWO_FACTOR_REQUIRED'
+    );
+  }
+
+  const archived = !!membership.workspace?.archived_at;
+
+  if (archived && hasCapability(membership.role, capability) && !hasCapability(membership.role, capability, { archived })) {
+    return deny(403, 'This workspace is archived and read-only', 'WORKSPACE_ARCHIVED');
+  }
+
+  if (!hasCapability(membership.role, capability)) {
+    return deny(403, 'You do not have permission to do that in this workspace', 'FORBIDDEN');
+  }
+
+  return { allowed: true, role: membership.role, archived };
+};
+
+// Find the workspace a resource belongs to (null when the resource doesn't exist)
+
+export const workspaceOfDocument = async (documentId) =>
+  documentId ? (await DocumentRepository.findById(documentId, ['workspace_id']))?.workspace_id || null : null;
+
+export const workspaceOfList = async (listId) => (listId ? TaskRepository.workspaceOfList(listId) : null);
+
+export const workspaceOfFile = async (fileId) =>
+  fileId ? (await FileRepository.findById(fileId))?.workspace_id || null : null;
+
+export const workspaceOfTask = async (taskId) => (taskId ? TaskRepository.workspaceOfTask(taskId) : null);
+
+export const workspaceOfSnapshot = async (snapshotId) => {
+  if (!snapshotId) return null;
+
+  const snapshot = await SnapshotRepository.findById(snapshotId, ['document_id']);
+  return snapshot ? workspaceOfDocument(snapshot.document_id) : null;
+};
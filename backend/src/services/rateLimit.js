@@ -0,0 +1,117 @@
+// Token-bucket rate limiting for HTTP requests and Socket.io events.
+// Each limit is "<burst>/<seconds>": a bucket holds up to <burst> tokens and
+// refills at <burst> per <seconds>; every request or event takes one.
+// Limits are read from RATE_LIMIT_* environment variables (see README).
+
+const parseLimit = (value) => {
+  const [burst, seconds] = String(value).split('/').map(Number);
+  return burst > 0 && seconds > 0 ? { burst, refillPerSecond: burst / seconds } : null;
+};
+
+const limitFromEnv = (name, fallback) => {
+  const value = process.env[name];
+  if (value && !parseLimit(value)) {
+    console.warn(`⚠️ Ignoring invalid ${name}="${value}"; using ${fallback}`);
+  }
+  return (value && parseLimit(value)) || parseLimit(fallback);
+};
+
+export const RATE_LIMITS_ENABLED = process.env.RATE_LIMITS_ENABLED !== 'false';
+
+// HTTP limits, per signed-in user and per client IP
+export const HTTP_LIMITS = {
+  api: {
+    user: limitFromEnv('RATE_LIMIT_API_USER', '300/60'),
+    ip: limitFromEnv('RATE_LIMIT_API_IP', '600/60')
+  },
+  upload: {
+    user: limitFromEnv('RATE_LIMIT_UPLOAD_USER', '20/60'),
+    ip: limitFromEnv('RATE_LIMIT_UPLOAD_IP', '40/60')
+  }
+};
+
+// Socket.io limits per user and event name. Events not listed share the
+// default; any event can be overridden with RATE_LIMIT_SOCKET_<EVENT>, e.g.
+// RATE_LIMIT_SOCKET_SEND_MESSAGE=10/10.
+const SOCKET_DEFAULTS = {
+  'send-message': '10/10',
+  'typing-start': '10/10',
+  'whiteboard-cursor-move': '60/1',
+  'whiteboard-draw': '120/1',
+  'whiteboard-update-element': '60/1',
+  'ice-candidate': '100/10'
+};
+const SOCKET_DEFAULT_LIMIT = process.env.RATE_LIMIT_SOCKET_DEFAULT || '30/10';
+
+const socketLimits = new Map();
+
+// Only called for events with a handler, so the cache stays small
+export const socketLimitFor = (event) => {
+  if (!socketLimits.has(event)) {
+    socketLimits.set(event, limitFromEnv(
+      `RATE_LIMIT_SOCKET_${event.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`,
+      SOCKET_DEFAULTS[event] || SOCKET_DEFAULT_LIMIT
+    ));
+  }
+  return socketLimits.get(event);
+};
+
+// Buckets idle long enough to be full again are dropped
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// The default store keeps buckets in this process. A shared store (for
+// several server instances) implements the same async
+// take(key, { burst, refillPerSecond }) -> { allowed, remaining, retryAfter }
+// and is installed with setRateLimitStore.
+export class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map(); // key -> { tokens, updatedAt, limit }
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  async take(key, limit, now = Date.now()) {
+    const bucket = this.buckets.get(key) || { tokens: limit.burst, updatedAt: now };
+    const refilled = Math.min(limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.refillPerSecond);
+
+    if (refilled < 1) {
+      this.buckets.set(key, { tokens: refilled, updatedAt: now, limit });
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - refilled) / limit.refillPerSecond) };
+    }
+
+    this.buckets.set(key, { tokens: refilled - 1, updatedAt: now, limit });
+    return { allowed: true, remaining: Math.floor(refilled - 1), retryAfter: 0 };
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      const fullAt = bucket.updatedAt + ((bucket.limit.burst - bucket.tokens) / bucket.limit.refillPerSecond) * 1000;
+      if (fullAt <= now) this.buckets.delete(key);
+    }
+  }
+}
+
+let store = new MemoryRateLimitStore();
+
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+};
+
+// Take a token from each bucket; the result of the first one that is empty,
+// else the one with the fewest tokens left. A store that fails lets the
+// request through rather than taking the API down with it.
+export const consume = async (buckets) => {
+  let result = { allowed: true, remaining: Infinity, retryAfter: 0 };
+
+  for (const { key, limit } of buckets) {
+    try {
+      const taken = await store.take(key, limit);
+      if (!taken.allowed) return taken;
+      if (taken.remaining < result.remaining) result = taken;
+    } catch (error) {
+      console.error('Error checking rate limit:', error);
+    }
+  }
+
+  return result;
+};
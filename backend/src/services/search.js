@@ -0,0 +1,195 @@
+import * as Y from 'yjs';
+import { MessageRepository } from '../repositories/MessageRepository.js';
+import { TaskRepository } from '../repositories/TaskRepository.js';
+import { DocumentRepository } from '../repositories/DocumentRepository.js';
+import { FileRepository } from '../repositories/FileRepository.js';
+
+export const SEARCH_TYPES = ['message', 'task', 'document', 'file'];
+
+// Matches fetched per type and column before ranking; pagination works
+// within these
+const CANDIDATE_LIMIT = 100;
+const SNIPPET_RADIUS = 60;
+
+// Plain text of each document, keyed by id and invalidated by version, so a
+// search only decodes the Yjs state of documents that changed since the last
+// one
+const documentTextCache = new Map();
+
+// Escape LIKE wildcards so the query is matched literally
+const likePattern = (query) => `%${query.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+
+// Rows from `findMatching(column, pattern, limit)` where any of `columns`
+// contains the query, merged by id. Each column is matched separately to
+// keep the query out of `or`.
+const matchAnyColumn = async (columns, findMatching, query) => {
+  const rows = new Map();
+
+  for (const column of columns) {
+    for (const row of await findMatching(column, likePattern(query), CANDIDATE_LIMIT)) rows.set(row.id, row);
+  }
+
+  return [...rows.values()];
+};
+
+// How well `text` matches: whole value, prefix, word start, anywhere
+const matchScore = (text, query) => {
+  if (!text) return 0;
+  const haystack = text.toLowerCase();
+  const index = haystack.indexOf(query);
+
+  if (index === -1) return 0;
+  if (haystack === query) return 100;
+  if (index === 0) return 80;
+  if (/\W/.test(haystack[index - 1])) return 60;
+  return 40;
+};
+
+// A slice of `text` around the first match, for showing in results
+const snippet = (text, query) => {
+  if (!text) return null;
+  const index = text.toLowerCase().indexOf(query);
+  if (index === -1) return null;
+
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + query.length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Newer items win ties: up to 10 points, fading over 30 days
+const recencyBonus = (date) => {
+  const ageDays = (Date.now() - new Date(date).getTime()) / 86400000;
+  return Math.max(0, 10 - ageDays / 3);
+};
+
+// Title matches count for more than matches in the body
+const rank = ({ title, body, date }, query) => {
+  const titleScore = matchScore(title, query);
+  const bodyScore = matchScore(body, query);
+  if (!titleScore && !bodyScore) return 0;
+  return titleScore * 2 + bodyScore + recencyBonus(date);
+};
+
+// Decode the text the editor keeps in the document's Yjs state
+const decodeDocumentText = (content) => {
+  if (!content) return '';
+  try {
+    const ydoc = new Y.Doc();
+    Y.applyUpdate(ydoc, new Uint8Array(Buffer.from(content, 'base64')));
+    const text = ydoc.getText('content').toString();
+    ydoc.destroy();
+    return text;
+  } catch (error) {
+    console.error('Error decoding document for search:', error);
+    return '';
+  }
+};
+
+const searchMessages = async (workspaceId, query) => {
+  const messages = await matchAnyColumn(['content'], (column, pattern, limit) =>
+    MessageRepository.findMatching(workspaceId, column, pattern, limit), query);
+
+  return messages.map((message) => ({
+    type: 'message',
+    id: message.id,
+    title: message.user ? `${message.user.first_name} ${message.user.last_name}` : 'Message',
+    snippet: snippet(message.content, query),
+    score: rank({ body: message.content, date: message.created_at }, query),
+    createdAt: message.created_at
+  }));
+};
+
+const searchTasks = async (workspaceId, query) => {
+  const listIds = await TaskRepository.listIdsForWorkspace(workspaceId);
+  const tasks = await matchAnyColumn(['title', 'description'], (column, pattern, limit) =>
+    TaskRepository.findMatching(listIds, column, pattern, limit), query);
+
+  return tasks.map((task) => ({
+    type: 'task',
+    id: task.id,
+    title: task.title,
+    snippet: snippet(task.description, query),
+    score: rank({ title: task.title, body: task.description, date: task.created_at }, query),
+    createdAt: task.created_at,
+    listName: task.list?.name || null,
+    completed: !!task.completed_at
+  }));
+};
+
+const searchDocuments = async (workspaceId, query) => {
+  const documents = await DocumentRepository.listColumnsForWorkspace(workspaceId, ['id', 'title', 'current_version', 'updated_at']);
+
+  const stale = documents.filter((document) => {
+    const cached = documentTextCache.get(document.id);
+    return !cached || cached.version !== document.current_version;
+  });
+
+  if (stale.length > 0) {
+    const contents = await DocumentRepository.findByIds(stale.map((document) => document.id), ['id', 'content', 'current_version']);
+    for (const document of contents) {
+      documentTextCache.set(document.id, {
+        version: document.current_version,
+        text: decodeDocumentText(document.content)
+      });
+    }
+  }
+
+  return documents
+    .map((document) => {
+      const text = documentTextCache.get(document.id)?.text || '';
+      return {
+        type: 'document',
+        id: document.id,
+        title: document.title,
+        snippet: snippet(text, query),
+        score: rank({ title: document.title, body: text, date: document.updated_at }, query),
+        createdAt: document.updated_at
+      };
+    })
+    .filter((result) => result.score > 0);
+};
+
+const searchFiles = async (workspaceId, query) => {
+  const files = await matchAnyColumn(['file_name', 'description'], (column, pattern, limit) =>
+    FileRepository.findMatching(workspaceId, column, pattern, limit), query);
+
+  return files.map((file) => ({
+    type: 'file',
+    id: file.id,
+    title: file.file_name,
+    snippet: snippet(file.description, query),
+    score: rank({ title: file.file_name, body: file.description, date: file.created_at }, query),
+    createdAt: file.created_at,
+    fileType: file.file_type,
+    url: file.file_url
+  }));
+};
+
+const SEARCHERS = {
+  message: searchMessages,
+  task: searchTasks,
+  document: searchDocuments,
+  file: searchFiles
+};
+
+// Forget a deleted document's decoded text
+export const forgetDocumentText = (documentId) => {
+  documentTextCache.delete(documentId);
+};
+
+// Ranked matches for `query` across the given types of workspace content.
+// Returns one page of results plus the number of matches per type.
+export const searchWorkspace = async (workspaceId, query, { types = SEARCH_TYPES, limit = 20, offset = 0 } = {}) => {
+  const needle = query.trim().toLowerCase();
+
+  const groups = await Promise.all(types.map((type) => SEARCHERS[type](workspaceId, needle)));
+  const results = groups.flat().sort((a, b) => b.score - a.score);
+
+  const counts = Object.fromEntries(types.map((type, index) => [type, groups[index].length]));
+
+  return {
+    results: results.slice(offset, offset + limit),
+    total: results.length,
+    counts
+  };
+};
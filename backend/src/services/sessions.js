@@ -0,0 +1,34 @@
+import { SessionModel } from '../models/Session.js';
+
+// Access tokens outlive a logout by up to ACCESS_TOKEN_TTL, so the session
+// they were issued for is looked up on every request. The answer is kept
+// this long so a busy client doesn't turn each request into a query;
+// revoking a session through endSessions drops it from here at once.
+const SESSION_CHECK_TTL_MS = 30 * 1000;
+const checkedSessions = new Map(); // sessionId -> { active, checkedAt }
+
+// Whether the session a token was issued for is still signed in
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const now = Date.now();
+  const cached = checkedSessions.get(sessionId);
+  if (cached && now - cached.checkedAt < SESSION_CHECK_TTL_MS) return cached.active;
+
+  const active = await SessionModel.isActive(sessionId);
+  checkedSessions.set(sessionId, { active, checkedAt: now });
+
+  // Keep the cache from growing with sessions nobody uses any more
+  if (checkedSessions.size > 10000) {
+    checkedSessions.forEach((entry, id) => {
+      if (now - entry.checkedAt >= SESSION_CHECK_TTL_MS) checkedSessions.delete(id);
+    });
+  }
+
+  return active;
+};
+
+// Forget cached answers for sessions that were just revoked
+export const forgetSessions = (sessionIds) => {
+  sessionIds.forEach((sessionId) => checkedSessions.delete(sessionId));
+};
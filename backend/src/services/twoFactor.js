@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import { TwoFactorModel } from '../models/TwoFactor.js';
+import { verifyTotp, generateRecoveryCodes, normalizeRecoveryCode } from './totp.js';
+
+// Name shown next to the account in authenticator apps
+export const totpIssuer = () => process.env.TOTP_ISSUER || 'Remote Collab Suite';
+
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Generate a new set of recovery codes, store their hashes and return the
+// plaintext codes (the only time they are ever visible)
+export const issueRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await TwoFactorModel.replaceRecoveryCodes(userId, codes.map(hashRecoveryCode));
+  return codes;
+};
+
+// Check an authenticator code or a recovery code for a user with 2FA enabled.
+// Returns the method that succeeded ('totp' | 'recovery_code') or null.
+export const verifySecondFactor = async (settings, { code, recoveryCode }) => {
+  if (!settings?.totp_enabled_at || !settings.totp_secret) return null;
+
+  if (code) {
+    const step = verifyTotp(settings.totp_secret, code);
+    if (step === null) return null;
+
+    const fresh = await TwoFactorModel.markStepUsed(settings.id, step);
+    return fresh ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const consumed = await TwoFactorModel.consumeRecoveryCode(settings.id, hashRecoveryCode(recoveryCode));
+    return consumed ? 'recovery_code' : null;
+  }
+
+  return null;
+};
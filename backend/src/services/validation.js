@@ -0,0 +1,176 @@
+// A small validator for the subset of JSON Schema (as used by OpenAPI 3.0)
+// that request schemas are written in: type, nullable, enum, format,
+// pattern, min/maxLength, minimum/maximum, items, min/maxItems,
+// uniqueItems, properties, required and additionalProperties.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const FORMATS = {
+  uuid: (value) => UUID_PATTERN.test(value),
+  email: (value) => EMAIL_PATTERN.test(value),
+  'date-time': (value) => !isNaN(Date.parse(value)),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  time: (value) => TIME_PATTERN.test(value),
+  uri: (value) => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+const FORMAT_NAMES = {
+  uuid: 'a UUID',
+  email: 'an email address',
+  'date-time': 'a date',
+  date: 'a date (YYYY-MM-DD)',
+  time: 'a time (HH:MM)',
+  uri: 'a URL'
+};
+
+// Schema building blocks, so route schemas stay short
+export const uuid = { type: 'string', format: 'uuid' };
+export const dateTime = { type: 'string', format: 'date-time' };
+export const email = { type: 'string', format: 'email', maxLength: 320 };
+export const boolean = { type: 'boolean' };
+export const string = (options = {}) => ({ type: 'string', ...options });
+export const integer = (options = {}) => ({ type: 'integer', ...options });
+export const number = (options = {}) => ({ type: 'number', ...options });
+export const oneOf = (values, options = {}) => ({ type: 'string', enum: values, ...options });
+export const arrayOf = (items, options = {}) => ({ type: 'array', items, ...options });
+export const nullable = (schema) => ({ ...schema, nullable: true });
+export const object = (properties, required = [], options = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length ? { required } : {}),
+  ...options
+});
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list'
+};
+
+// Check `value` against `schema`, collecting { field, message } errors with
+// dotted field paths
+export const validateValue = (schema, value, field = '', errors = []) => {
+  const name = field || 'value';
+
+  if (value === null) {
+    if (!schema.nullable) errors.push({ field: name, message: `${name} cannot be null` });
+    return errors;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ field: name, message: `${name} must be ${TYPE_NAMES[schema.type]}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: name, message: `${name} must be one of: ${schema.enum.join(', ')}` });
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        field: name,
+        message: schema.minLength === 1 ? `${name} is required` : `${name} must be at least ${schema.minLength} characters`
+      });
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field: name, message: `${name} must be at most ${schema.maxLength} characters` });
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ field: name, message: `${name} must be ${FORMAT_NAMES[schema.format]}` });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field: name, message: `${name} is not in the expected format` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: name, message: `${name} must be at least ${schema.minimum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: name, message: `${name} must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: name, message: `${name} needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: name, message: `${name} can have at most ${schema.maxItems} items` });
+    } else if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+      errors.push({ field: name, message: `${name} must not contain duplicates` });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, `${name}[${index}]`, errors));
+    }
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const prefix = field ? `${field}.` : '';
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: `${prefix}${key}`, message: `${prefix}${key} is required` });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties[key];
+      if (propertySchema) {
+        if (item !== undefined) validateValue(propertySchema, item, `${prefix}${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${prefix}${key}`, message: `${prefix}${key} is not allowed` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateValue(schema.additionalProperties, item, `${prefix}${key}`, errors);
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Query strings and route params arrive as strings; turn them into the
+// type their schema asks for so they can be checked like body fields
+export const coerceValue = (schema, value) => {
+  // A repeated query parameter (?type=a&type=b,c) arrives as a list
+  if (schema.type === 'array' && Array.isArray(value)) {
+    return value.flatMap((item) => coerceValue(schema, item));
+  }
+
+  if (typeof value !== 'string') return value;
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      return value.split(',').filter(Boolean).map((item) => coerceValue(schema.items || {}, item));
+    default:
+      return value;
+  }
+};
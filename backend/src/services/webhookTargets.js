@@ -0,0 +1,87 @@
+import dns from 'dns';
+import net from 'net';
+
+// Webhooks are requested by the server, so their URLs must not reach
+// anything only the server can: loopback, private networks, link-local
+// addresses (including cloud metadata at 169.254.169.254) and other
+// reserved ranges. Set WEBHOOK_ALLOW_PRIVATE_URLS=true to deliver to
+// services on your own network.
+
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['fc00::', 7, 'ipv6'], // Unique local
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the
+// IPv4 ranges by BlockList itself
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const isBlockedAddress = (address) => {
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return blockList.check(address, type);
+};
+
+const blockedError = (hostname) => {
+  const error = new Error(`Webhook URL host ${hostname} resolves to a private or reserved address`);
+  error.code = 'WEBHOOK_URL_NOT_ALLOWED';
+  return error;
+};
+
+// Check a webhook URL before it is saved. Returns an error message, or null
+// if the URL may be used.
+export const checkWebhookUrl = async (url) => {
+  if (allowPrivateUrls()) return null;
+
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, ''); // IPv6 literals come bracketed
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((entry) => entry.address);
+    } catch {
+      return `Webhook URL host ${host} could not be resolved`;
+    }
+  }
+
+  return addresses.some(isBlockedAddress) ? blockedError(host).message : null;
+};
+
+// `lookup` for http.request that refuses private and reserved addresses,
+// so the address checked at delivery time is the one connected to (a
+// hostname can't pass the check and then re-resolve somewhere else)
+export const publicAddressLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    if (allowPrivateUrls()) return callback(null, address, family);
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (addresses.some(isBlockedAddress)) return callback(blockedError(hostname));
+
+    callback(null, address, family);
+  });
+};
+
+// Whether a literal IP host may be requested. http.request skips `lookup`
+// for these, so deliveries check them separately.
+export const isAllowedIpHost = (host) => allowPrivateUrls() || !isBlockedAddress(host);
@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { WebhookModel } from '../models/Webhook.js';
+import { isAllowedIpHost, publicAddressLookup } from './webhookTargets.js';
+import { arrayOf, oneOf, string } from './validation.js';
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = {
+  TASK_CREATED: 'task.created',
+  TASK_UPDATED: 'task.updated',
+  TASK_MOVED: 'task.moved',
+  TASK_DELETED: 'task.deleted',
+  MESSAGE_CREATED: 'message.created',
+  FILE_UPLOADED: 'file.uploaded',
+  FILE_DELETED: 'file.deleted',
+  DOCUMENT_SAVED: 'document.saved',
+  MEMBER_JOINED: 'member.joined'
+};
+
+// Sent on demand to check an endpoint; every webhook receives it
+export const PING_EVENT = 'ping';
+
+const SUBSCRIBABLE_EVENTS = Object.values(WEBHOOK_EVENTS);
+
+// Attempts per delivery, and the wait before the first retry. Each retry
+// waits twice as long as the one before: 30s, 1m, 2m, 4m, 8m.
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const URL_MAX_LENGTH = 2000;
+
+// How often the retry worker looks for due deliveries
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+// New deliveries are attempted straight away; their first scheduled attempt
+// is pushed back this far so the retry worker doesn't send them as well
+const FIRST_ATTEMPT_GRACE_MS = 60 * 1000;
+
+// Deliveries being sent by this process right now
+const inFlight = new Set();
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+// Request fields for registering or changing a webhook (see
+// middleware/validate.js)
+export const webhookUrlSchema = string({ format: 'uri', pattern: '^https?://', maxLength: URL_MAX_LENGTH });
+export const webhookEventsSchema = arrayOf(oneOf(SUBSCRIBABLE_EVENTS), { minItems: 1 });
+
+// Signature header for a request body: `t=<unix seconds>,v1=<hex>` where
+// the hex is the HMAC-SHA256 of "<t>.<body>" keyed with the webhook secret.
+// Receivers recompute it and reject stale timestamps to stop replays.
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Shape a webhook for API responses. The secret is only shown when it is
+// created or rotated.
+export const formatWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  active: webhook.active,
+  secretHint: webhook.secret.slice(-4),
+  createdBy: webhook.created_by,
+  createdAt: webhook.created_at,
+  updatedAt: webhook.updated_at
+});
+
+export const formatDelivery = (delivery) => ({
+  id: delivery.id,
+  webhookId: delivery.webhook_id,
+  event: delivery.event,
+  payload: delivery.payload,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+  lastAttemptAt: delivery.last_attempt_at,
+  responseStatus: delivery.response_status,
+  error: delivery.error,
+  durationMs: delivery.duration_ms,
+  createdAt: delivery.created_at,
+  deliveredAt: delivery.delivered_at
+});
+
+const retryDelayMs = (attempts) => RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+// POST a body to a webhook URL and resolve with the response status. Only
+// public addresses are connected to (see webhookTargets.js), redirects are
+// not followed, and the response body is discarded unread so endpoints
+// can't use deliveries to read anything back.
+const postToEndpoint = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(host) && !isAllowedIpHost(host)) {
+    reject(new Error(`Webhook URL host ${host} is a private or reserved address`));
+    return;
+  }
+
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: publicAddressLookup
+  }, (response) => {
+    clearTimeout(timer);
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  const timer = setTimeout(() => request.destroy(new Error('Request timed out')), REQUEST_TIMEOUT_MS);
+  request.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end(body);
+});
+
+// POST a delivery's payload to its webhook once and record the outcome.
+// Failures schedule a retry until the attempts run out.
+const attemptDelivery = async (delivery, webhook) => {
+  if (inFlight.has(delivery.id)) return delivery;
+  inFlight.add(delivery.id);
+
+  const body = JSON.stringify(delivery.payload);
+  const attempts = delivery.attempts + 1;
+  const startedAt = Date.now();
+  let outcome;
+
+  try {
+    const status = await postToEndpoint(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'RemoteCollabSuite-Webhooks/1.0',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Signature': signPayload(webhook.secret, body)
+    }, body);
+
+    const ok = status >= 200 && status < 300;
+    outcome = {
+      ok,
+      response_status: status,
+      error: ok ? null : `Endpoint responded with ${status}${status >= 300 && status < 400 ? ' (redirects are not followed)' : ''}`
+    };
+  } catch (error) {
+    outcome = {
+      ok: false,
+      response_status: null,
+      error: error.message
+    };
+  }
+
+  const now = new Date();
+  const { ok, ...result } = outcome;
+
+  try {
+    return await WebhookModel.updateDelivery(delivery.id, {
+      ...result,
+      attempts,
+      duration_ms: Date.now() - startedAt,
+      last_attempt_at: now.toISOString(),
+      status: ok ? 'succeeded' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+      next_attempt_at: ok || attempts >= MAX_ATTEMPTS
+        ? null
+        : new Date(now.getTime() + retryDelayMs(attempts)).toISOString(),
+      delivered_at: ok ? now.toISOString() : null
+    });
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+};
+
+// Record a delivery of `payload` to a webhook and attempt it in the
+// background. Returns the stored delivery.
+const queueDelivery = async (webhook, event, payload) => {
+  const delivery = await WebhookModel.createDelivery({
+    webhookId: webhook.id,
+    workspaceId: webhook.workspace_id,
+    event,
+    payload,
+    nextAttemptAt: new Date(Date.now() + FIRST_ATTEMPT_GRACE_MS).toISOString()
+  });
+
+  attemptDelivery(delivery, webhook)
+    .catch((error) => console.error(`Error delivering webhook ${delivery.id}:`, error));
+
+  return delivery;
+};
+
+const buildPayload = ({ event, workspaceId, actorId, data }) => ({
+  id: crypto.randomUUID(),
+  event,
+  workspaceId,
+  actorId,
+  occurredAt: new Date().toISOString(),
+  data
+});
+
+// Send an event to every active webhook in the workspace subscribed to it.
+// Like recordActivity, failures are logged rather than thrown.
+export const emitWebhookEvent = async ({ workspaceId, event, actorId = null, data = {} }) => {
+  try {
+    const webhooks = await WebhookModel.listSubscribed(workspaceId, event);
+    if (webhooks.length === 0) return;
+
+    const payload = buildPayload({ event, workspaceId, actorId, data });
+    for (const webhook of webhooks) {
+      await queueDelivery(webhook, event, payload);
+    }
+  } catch (error) {
+    console.error(`Error emitting webhook event ${event}:`, error);
+  }
+};
+
+// Send a ping event to one webhook, whatever it subscribes to
+export const pingWebhook = (webhook, actorId) =>
+  queueDelivery(webhook, PING_EVENT, buildPayload({
+    event: PING_EVENT,
+    workspaceId: webhook.workspace_id,
+    actorId,
+    data: { webhookId: webhook.id }
+  }));
+
+// Send a delivery's payload again as a new delivery with its own attempts.
+// The payload keeps its event id so receivers can spot the duplicate.
+export const redeliver = (webhook, delivery) => queueDelivery(webhook, delivery.event, delivery.payload);
+
+// Retry every pending delivery that is due. Deliveries whose webhook was
+// turned off are given up on.
+export const retryDueDeliveries = async (now = new Date()) => {
+  const deliveries = await WebhookModel.listDueDeliveries(now);
+  const webhooks = new Map();
+  let succeeded = 0;
+
+  for (const delivery of deliveries) {
+    try {
+      if (!webhooks.has(delivery.webhook_id)) {
+        webhooks.set(delivery.webhook_id, await WebhookModel.findById(delivery.webhook_id));
+      }
+
+      const webhook = webhooks.get(delivery.webhook_id);
+      if (!webhook?.active) {
+        await WebhookModel.updateDelivery(delivery.id, {
+          status: 'failed',
+          next_attempt_at: null,
+          error: 'Webhook was disabled or deleted'
+        });
+        continue;
+      }
+
+      const result = await attemptDelivery(delivery, webhook);
+      if (result.status === 'succeeded') succeeded += 1;
+    } catch (error) {
+      console.error(`Error retrying webhook delivery ${delivery.id}:`, error);
+    }
+  }
+
+  return { attempted: deliveries.length, succeeded };
+};
+
+// Retry failed deliveries on a timer for as long as the server is up
+export const startWebhookRetries = () => {
+  setInterval(async () => {
+    try {
+      const { attempted, succeeded } = await retryDueDeliveries();
+      if (attempted) {
+        console.log(`🪝 Retried ${attempted} webhook delivery(s), ${succeeded} succeeded`);
+      }
+    } catch (error) {
+      console.error('Error retrying webhook deliveries:', error);
+    }
+  }, RETRY_INTERVAL_MS).unref();
+};
@@ -0,0 +1,75 @@
+import { db } from '../db/index.js';
+import { closeDocuments } from '../sockets/documentServer.js';
+import { FileRepository } from '../repositories/FileRepository.js';
+import { WorkspaceRepository } from '../repositories/WorkspaceRepository.js';
+
+// Storage and `in` filters take ids in batches
+const BATCH_SIZE = 100;
+
+const inBatches = async (items, handler) => {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    await handler(items.slice(i, i + BATCH_SIZE));
+  }
+};
+
+// Values of `column` in the rows of `table` whose `filterColumn` is one of `values`
+const selectColumn = async (table, column, filterColumn, values) => {
+  if (values.length === 0) return [];
+
+  const rows = await db.table(table).find({ [filterColumn]: { in: values } }, { columns: [column] });
+  return rows.map((row) => row[column]);
+};
+
+const deleteWhereIn = async (table, column, values) => {
+  await inBatches(values, (batch) => db.table(table).delete({ [column]: { in: batch } }));
+};
+
+const deleteWhereWorkspace = (table, workspaceId) => db.table(table).delete({ workspace_id: workspaceId });
+
+// Ids of the workspace's documents
+export const workspaceDocumentIds = (workspaceId) =>
+  selectColumn('documents', 'id', 'workspace_id', [workspaceId]);
+
+// Permanently delete a workspace and everything in it: stored files, chat
+// messages, documents with their snapshots, task lists and items, invitations,
+// join links, ownership transfers, the audit log, activity and memberships.
+// Children go first so a failure part-way leaves the workspace itself in place
+// and the delete can simply be retried.
+export const deleteWorkspace = async (workspaceId) => {
+  // Files: remove the stored objects, then their rows
+  const storagePaths = await selectColumn('files', 'storage_path', 'workspace_id', [workspaceId]);
+  await inBatches(storagePaths, (batch) => FileRepository.removeObjects(batch));
+  await deleteWhereWorkspace('files', workspaceId);
+
+  // Chat messages and their read receipts
+  const messageIds = await selectColumn('chat_messages', 'id', 'workspace_id', [workspaceId]);
+  await deleteWhereIn('message_reads', 'message_id', messageIds);
+  await deleteWhereWorkspace('chat_messages', workspaceId);
+
+  // Documents: close live editing sessions without saving, then delete snapshots and documents
+  const documentIds = await workspaceDocumentIds(workspaceId);
+  await closeDocuments(documentIds, { discard: true });
+  await deleteWhereIn('document_snapshots', 'document_id', documentIds);
+  await deleteWhereWorkspace('documents', workspaceId);
+
+  // Task lists and their items
+  const listIds = await selectColumn('task_lists', 'id', 'workspace_id', [workspaceId]);
+  await deleteWhereIn('task_items', 'list_id', listIds);
+  await deleteWhereWorkspace('task_lists', workspaceId);
+
+  // Access to the workspace
+  await deleteWhereWorkspace('workspace_invitations', workspaceId);
+  await deleteWhereWorkspace('workspace_join_links', workspaceId);
+  await deleteWhereWorkspace('workspace_ownership_transfers', workspaceId);
+  await deleteWhereWorkspace('workspace_audit_log', workspaceId);
+  await deleteWhereWorkspace('workspace_activity', workspaceId);
+  await deleteWhereWorkspace('notifications', workspaceId);
+  await deleteWhereWorkspace('notification_preferences', workspaceId);
+  await deleteWhereWorkspace('webhook_deliveries', workspaceId);
+  await deleteWhereWorkspace('webhooks', workspaceId);
+  await deleteWhereWorkspace('workspace_members', workspaceId);
+
+  await WorkspaceRepository.delete(workspaceId);
+
+  console.log(`🗑️  Deleted workspace ${workspaceId} (${storagePaths.length} files, ${documentIds.length} documents, ${listIds.length} task lists, ${messageIds.length} messages)`);
+};
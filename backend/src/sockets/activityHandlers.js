@@ -0,0 +1,48 @@
+import { CAPABILITIES, checkPermission } from '../services/permissions.js';
+
+// Set once the handlers are installed so activity can be pushed from anywhere
+let activityIo = null;
+
+export const setupActivityHandlers = (io) => {
+  activityIo = io;
+
+  io.on('connection', (socket) => {
+    // Follow a workspace's activity feed
+    socket.on('join-activity-feed', async (data, acknowledge) => {
+      const { workspaceId } = data || {};
+      const { userId } = socket.data;
+
+      if (!workspaceId) {
+        acknowledge && acknowledge({ error: { message: 'Workspace ID is required' } });
+        return;
+      }
+
+      try {
+        const access = await checkPermission(userId, workspaceId, CAPABILITIES.VIEW_WORKSPACE);
+
+        if (!access.allowed) {
+          acknowledge && acknowledge({ error: { message: access.error, code: access.code } });
+          return;
+        }
+
+        socket.join(`activity:${workspaceId}`);
+        acknowledge && acknowledge({ success: true });
+      } catch (error) {
+        console.error('Error joining activity feed:', error);
+        acknowledge && acknowledge({ error: { message: 'Failed to join activity feed' } });
+      }
+    });
+
+    socket.on('leave-activity-feed', (data) => {
+      const { workspaceId } = data || {};
+      if (workspaceId) {
+        socket.leave(`activity:${workspaceId}`);
+      }
+    });
+  });
+};
+
+// Push a new activity to everyone following the workspace's feed
+export const broadcastActivity = (workspaceId, activity) => {
+  activityIo?.to(`activity:${workspaceId}`).emit('activity', { workspaceId, activity });
+};
@@ -1,40 +1,47 @@
-import { ChatModel } from '../models/Chat.js';
-import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+import { MessageRepository } from '../repositories/MessageRepository.js';
+import { CAPABILITIES, checkPermission } from '../services/permissions.js';
+import { NOTIFICATION_TYPES, mentionedMemberIds, notify } from '../services/notifications.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from '../services/webhooks.js';
 
 // Store online users
 const onlineUsers = new Map();
 
+// Notify members @mentioned in a message
+const notifyMentions = async (workspaceId, userId, message) => {
+  const mentioned = await mentionedMemberIds(workspaceId, message.content);
+  if (mentioned.length === 0) return;
+
+  await notify({
+    userIds: mentioned,
+    workspaceId,
+    actorId: userId,
+    type: NOTIFICATION_TYPES.CHAT_MENTION,
+    data: { messageId: message.id, excerpt: message.content.slice(0, 200) }
+  });
+};
+
 export const setupChatHandlers = (io) => {
   io.on('connection', (socket) => {
     console.log('User connected for chat:', socket.id);
 
     // Join workspace chat room
     socket.on('join-workspace-chat', async (data, acknowledge) => {
-      const { workspaceId, userId } = data;
+      const { workspaceId } = data;
+      const { userId } = socket.data;
       
-      if (!workspaceId || !userId) {
-        const error = { message: 'Workspace ID and User ID are required' };
+      if (!workspaceId) {
+        const error = { message: 'Workspace ID is required' };
         acknowledge && acknowledge({ error });
         socket.emit('error', error);
         return;
       }
 
       try {
-        // Verify user has access to workspace
-        const { data: membership, error } = await supabase
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', workspaceId)
-          .eq('user_id', userId)
-          .single();
-
-        if (error || !membership) {
-          const errorMsg = { message: 'Access denied to workspace' };
+        // Verify user may do this in the workspace
+        const access = await checkPermission(userId, workspaceId, CAPABILITIES.VIEW_WORKSPACE);
+
+        if (!access.allowed) {
+          const errorMsg = { message: access.error, code: access.code };
           acknowledge && acknowledge({ error: errorMsg });
           socket.emit('error', errorMsg);
           return;
@@ -73,9 +80,10 @@ export const setupChatHandlers = (io) => {
 
     // Send message with acknowledgment
     socket.on('send-message', async (data, acknowledge) => {
-      const { workspaceId, userId, content, messageType = 'text' } = data;
+      const { workspaceId, content, messageType = 'text' } = data;
+      const { userId } = socket.data;
 
-      if (!workspaceId || !userId || !content?.trim()) {
+      if (!workspaceId || !content?.trim()) {
         const error = { message: 'Missing required fields' };
         acknowledge && acknowledge({ error });
         socket.emit('error', error);
@@ -83,23 +91,18 @@ export const setupChatHandlers = (io) => {
       }
 
       try {
-        // Verify user has access to workspace
-        const { data: membership, error } = await supabase
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', workspaceId)
-          .eq('user_id', userId)
-          .single();
-
-        if (error || !membership) {
-          const errorMsg = { message: 'Access denied to workspace' };
+        // Verify user may do this in the workspace
+        const access = await checkPermission(userId, workspaceId, CAPABILITIES.SEND_MESSAGES);
+
+        if (!access.allowed) {
+          const errorMsg = { message: access.error, code: access.code };
           acknowledge && acknowledge({ error: errorMsg });
           socket.emit('error', errorMsg);
           return;
         }
 
         // Create message in database
-        const message = await ChatModel.createMessage(workspaceId, userId, content.trim(), messageType);
+        const message = await MessageRepository.createMessage(workspaceId, userId, content.trim(), messageType);
 
         // Broadcast message to all users in the workspace
         io.to(`workspace:${workspaceId}`).emit('new-message', message);
@@ -112,6 +115,24 @@ export const setupChatHandlers = (io) => {
         });
 
         console.log(`Message sent in workspace ${workspaceId} by user ${userId}`);
+
+        // Mentions are notified after the sender has their acknowledgment
+        notifyMentions(workspaceId, userId, message)
+          .catch((error) => console.error('Error notifying mentions:', error));
+        emitWebhookEvent({
+          workspaceId,
+          event: WEBHOOK_EVENTS.MESSAGE_CREATED,
+          actorId: userId,
+          data: {
+            message: {
+              id: message.id,
+              content: message.content,
+              messageType: message.message_type,
+              userId: message.user_id,
+              createdAt: message.created_at
+            }
+          }
+        });
       } catch (error) {
         console.error('Error sending message:', error);
         const errorMsg = { message: 'Failed to send message' };
@@ -122,10 +143,25 @@ export const setupChatHandlers = (io) => {
 
     // Mark message as read with acknowledgment
     socket.on('mark-message-read', async (data, acknowledge) => {
-      const { messageId, userId, workspaceId } = data;
+      const { messageId, workspaceId } = data;
+      const { userId } = socket.data;
 
       try {
-        await ChatModel.markAsRead(messageId, userId);
+        const access = await checkPermission(userId, workspaceId, CAPABILITIES.VIEW_WORKSPACE);
+
+        if (!access.allowed) {
+          acknowledge && acknowledge({ error: { message: access.error, code: access.code } });
+          return;
+        }
+
+        // Only messages from this workspace
+        const [ownMessageId] = await MessageRepository.idsInWorkspace(workspaceId, [messageId]);
+        if (!ownMessageId) {
+          acknowledge && acknowledge({ error: { message: 'Message not found' } });
+          return;
+        }
+
+        await MessageRepository.markAsRead(messageId, userId);
         
         // Notify others that message was read
         socket.to(`workspace:${workspaceId}`).emit('message-read', {
@@ -141,9 +177,15 @@ export const setupChatHandlers = (io) => {
       }
     });
 
-    // Typing indicator
+    // Typing indicator, only sent to a chat the socket has joined (joining
+    // checks membership, and removed members are taken out of the room)
+    const inWorkspaceChat = (workspaceId) => socket.rooms.has(`workspace:${workspaceId}`);
+
     socket.on('typing-start', (data) => {
-      const { workspaceId, userId } = data;
+      const { workspaceId } = data;
+      const { userId } = socket.data;
+      if (!inWorkspaceChat(workspaceId)) return;
+
       socket.to(`workspace:${workspaceId}`).emit('user-typing', {
         userId,
         isTyping: true,
@@ -152,7 +194,10 @@ export const setupChatHandlers = (io) => {
     });
 
     socket.on('typing-stop', (data) => {
-      const { workspaceId, userId } = data;
+      const { workspaceId } = data;
+      const { userId } = socket.data;
+      if (!inWorkspaceChat(workspaceId)) return;
+
       socket.to(`workspace:${workspaceId}`).emit('user-typing', {
         userId,
         isTyping: false,
@@ -179,7 +224,8 @@ export const setupChatHandlers = (io) => {
 
     // Leave workspace chat room
     socket.on('leave-workspace-chat', (data, acknowledge) => {
-      const { workspaceId, userId } = data;
+      const { workspaceId } = data;
+      const { userId } = socket.data;
       
       socket.leave(`workspace:${workspaceId}`);
       
@@ -1,11 +1,6 @@
 import { WebSocketServer } from 'ws';
-import { createClient } from '@supabase/supabase-js';
 import * as Y from 'yjs';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+import { DocumentRepository } from '../repositories/DocumentRepository.js';
 
 // Store active documents
 const documents = new Map();
@@ -153,18 +148,11 @@ function broadcastToOtherClients(documentId, sender, message) {
 // Load document content from database
 async function loadDocumentContent(documentId, ydoc) {
   try {
-    const { data: document, error } = await supabase
-      .from('documents')
-      .select('content')
-      .eq('id', documentId)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        console.log(`Creating new document: ${documentId}`);
-        return;
-      }
-      throw error;
+    const document = await DocumentRepository.findById(documentId, ['content']);
+
+    if (!document) {
+      console.log(`Creating new document: ${documentId}`);
+      return;
     }
 
     if (document?.content) {
@@ -196,21 +184,13 @@ async function saveDocumentContent(documentId, ydoc) {
       const buffer = Buffer.from(update);
       const base64Content = buffer.toString('base64');
       
-      const { error } = await supabase
-        .from('documents')
-        .upsert({
-          id: documentId,
-          content: base64Content,
-          updated_at: new Date().toISOString()
-        }, {
-          onConflict: 'id'
-        });
+      await DocumentRepository.upsert({
+        id: documentId,
+        content: base64Content,
+        updated_at: new Date().toISOString()
+      });
 
-      if (error) {
-        console.error('Error saving document:', error);
-      } else {
-        console.log(`💾 Document saved: ${documentId}`);
-      }
+      console.log(`💾 Document saved: ${documentId}`);
     } catch (error) {
       console.error('Error encoding/saving document:', error);
     } finally {
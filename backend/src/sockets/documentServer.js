@@ -1,15 +1,20 @@
 import { WebSocketServer } from 'ws';
-import { createClient } from '@supabase/supabase-js';
 import * as Y from 'yjs';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+import { verifyToken, extractBearerToken } from '../middleware/auth.js';
+import { isSessionActive } from '../services/sessions.js';
+import { CAPABILITIES, checkPermission, hasCapability, workspaceOfDocument } from '../services/permissions.js';
+import { ACTIVITY_TYPES, recordActivity } from '../services/activity.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent } from '../services/webhooks.js';
+import { DocumentRepository } from '../repositories/DocumentRepository.js';
+import { SnapshotRepository } from '../repositories/SnapshotRepository.js';
 
 // Store active documents and their WebSocket connections
 const documents = new Map();
 
+// The upgrade request each connection was authorized with (user, session
+// and workspace), so connections can be closed when that access ends
+const clientRequests = new WeakMap();
+
 export const setupDocumentServer = (server) => {
   const wss = new WebSocketServer({ 
     noServer: true,
@@ -24,10 +29,23 @@ export const setupDocumentServer = (server) => {
     const documentMatch = pathname.match(/^\/documents\/([a-f0-9-]+)$/);
     
     if (documentMatch) {
-      // Handle document WebSocket upgrade
-      wss.handleUpgrade(request, socket, head, (ws) => {
-        wss.emit('connection', ws, request);
-      });
+      // Authorize before upgrading so no Yjs state reaches unauthorized sockets
+      authorizeDocumentUpgrade(request, documentMatch[1])
+        .then(({ userId, sessionId, workspaceId, role, archived }) => {
+          request.userId = userId;
+          request.sessionId = sessionId;
+          request.workspaceId = workspaceId;
+          request.canEdit = hasCapability(role, CAPABILITIES.EDIT_DOCUMENTS, { archived });
+
+          // Handle document WebSocket upgrade
+          wss.handleUpgrade(request, socket, head, (ws) => {
+            wss.emit('connection', ws, request);
+          });
+        })
+        .catch((error) => {
+          console.warn(`📄 Document WebSocket rejected: ${documentMatch[1]} (${error.status || 500})`);
+          rejectUpgrade(socket, error.status || 500, error.message);
+        });
     }
     // IMPORTANT: Don't destroy socket if it doesn't match
     // Let Socket.io handle its own paths (like /socket.io/)
@@ -36,6 +54,7 @@ export const setupDocumentServer = (server) => {
   wss.on('connection', async (ws, request) => {
     let documentId;
     let ydoc;
+    let edited = false; // Whether this connection changed the document
 
     try {
       const { pathname } = new URL(request.url, `http://${request.headers.host}`);
@@ -51,7 +70,7 @@ export const setupDocumentServer = (server) => {
         throw new Error('Document ID required');
       }
 
-      console.log(`📄 Document WebSocket connected: ${documentId}`);
+      console.log(`📄 Document WebSocket connected: ${documentId} (user ${request.userId}${request.canEdit ? '' : ', read-only'})`);
 
       // Get or create Yjs document
       if (!documents.has(documentId)) {
@@ -63,13 +82,14 @@ export const setupDocumentServer = (server) => {
         });
         
         // Load existing document content
-        await loadDocumentFromSupabase(documentId, ydoc);
+        await loadDocument(documentId, ydoc);
       } else {
         ydoc = documents.get(documentId).ydoc;
       }
 
       // Add client to document
       documents.get(documentId).clients.add(ws);
+      clientRequests.set(ws, request);
 
       // Send current document state to new client
       const update = Y.encodeStateAsUpdate(ydoc);
@@ -81,15 +101,19 @@ export const setupDocumentServer = (server) => {
       ws.on('message', async (message) => {
         try {
           if (message instanceof Buffer) {
+            // Read-only members (guests) receive updates but never change the document
+            if (!request.canEdit) return;
+
             const update = new Uint8Array(message);
             
             // Apply update to Yjs document
             Y.applyUpdate(ydoc, update, ws);
+            edited = true;
             
             // Broadcast to other clients
             broadcastToOtherClients(documentId, ws, message);
             
-            // Auto-save to Supabase (debounced)
+            // Auto-save to the database (debounced)
             await autoSaveDocument(documentId, ydoc);
           }
         } catch (error) {
@@ -109,6 +133,11 @@ export const setupDocumentServer = (server) => {
       // Handle connection close
       ws.on('close', (code, reason) => {
         console.log(`📄 Document WebSocket disconnected: ${documentId}`, code, reason.toString());
+
+        // One feed entry per editing session rather than per keystroke
+        if (edited) {
+          recordDocumentEdit(documentId, request.workspaceId, request.userId);
+        }
         
         // Clean up
         if (documents.has(documentId)) {
@@ -118,7 +147,8 @@ export const setupDocumentServer = (server) => {
           
           // Remove document if no clients left and save final state
           if (documentData.clients.size === 0) {
-            saveDocumentToSupabase(documentId, ydoc, 'final').finally(() => {
+            cancelAutoSave(documentId);
+            saveDocument(documentId, ydoc, 'final').finally(() => {
               documents.delete(documentId);
               ydoc.destroy();
             });
@@ -140,6 +170,91 @@ export const setupDocumentServer = (server) => {
   return wss;
 };
 
+// Add a "document edited" entry to the workspace activity feed
+async function recordDocumentEdit(documentId, workspaceId, userId) {
+  try {
+    const document = await DocumentRepository.findById(documentId, ['title']);
+    if (!document) return; // Deleted while open
+
+    await recordActivity({
+      workspaceId,
+      actorId: userId,
+      type: ACTIVITY_TYPES.DOCUMENT_EDITED,
+      targetId: documentId,
+      metadata: { title: document.title }
+    });
+  } catch (error) {
+    console.error('Error recording document edit:', error);
+  }
+}
+
+// Status codes sent back when a document upgrade is refused
+const HTTP_STATUS_TEXT = {
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  500: 'Internal Server Error'
+};
+
+// Create an error carrying the HTTP status to reject an upgrade with
+function upgradeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Verify the caller's token and workspace membership for a document upgrade.
+// Browsers cannot set headers on WebSocket requests, so the token is read
+// from the `token` query parameter, falling back to an Authorization header.
+async function authorizeDocumentUpgrade(request, documentId) {
+  const { searchParams } = new URL(request.url, `http://${request.headers.host}`);
+  const token = searchParams.get('token') || extractBearerToken(request.headers.authorization);
+
+  if (!token) {
+    throw upgradeError(401, 'Authentication required');
+  }
+
+  let userId;
+  let sessionId;
+  try {
+    ({ userId, sessionId } = verifyToken(token));
+  } catch (error) {
+    throw upgradeError(401, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+
+  if (!(await isSessionActive(sessionId))) {
+    throw upgradeError(401, 'Session has ended');
+  }
+
+  const workspaceId = await workspaceOfDocument(documentId);
+  if (!workspaceId) {
+    throw upgradeError(404, 'Document not found');
+  }
+
+  const access = await checkPermission(userId, workspaceId, CAPABILITIES.VIEW_WORKSPACE);
+  if (!access.allowed) {
+    throw upgradeError(access.status, access.error);
+  }
+
+  return { userId, sessionId, workspaceId, role: access.role, archived: access.archived };
+}
+
+// Write a plain HTTP response on the raw socket and close it
+function rejectUpgrade(socket, status, message) {
+  if (!socket.writable) return;
+
+  const body = JSON.stringify({ error: message });
+  socket.write(
+    `HTTP/1.1 ${status} ${HTTP_STATUS_TEXT[status] || 'Error'}\r\n` +
+    'Connection: close\r\n' +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    '\r\n' +
+    body
+  );
+  socket.destroy();
+}
+
 // Broadcast message to all other clients in the same document
 function broadcastToOtherClients(documentId, sender, message) {
   const documentData = documents.get(documentId);
@@ -152,21 +267,14 @@ function broadcastToOtherClients(documentId, sender, message) {
   });
 }
 
-// Load document content from Supabase
-async function loadDocumentFromSupabase(documentId, ydoc) {
+// Load document content from the database
+async function loadDocument(documentId, ydoc) {
   try {
-    const { data: document, error } = await supabase
-      .from('documents')
-      .select('content, current_version')
-      .eq('id', documentId)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        console.log(`📝 Creating new document: ${documentId}`);
-        return;
-      }
-      throw error;
+    const document = await DocumentRepository.findById(documentId, ['content', 'current_version']);
+
+    if (!document) {
+      console.log(`📝 Creating new document: ${documentId}`);
+      return;
     }
 
     if (document?.content) {
@@ -175,13 +283,13 @@ async function loadDocumentFromSupabase(documentId, ydoc) {
         const buffer = Buffer.from(document.content, 'base64');
         const update = new Uint8Array(buffer);
         Y.applyUpdate(ydoc, update);
-        console.log(`📖 Loaded document from Supabase: ${documentId} (v${document.current_version})`);
+        console.log(`📖 Loaded document: ${documentId} (v${document.current_version})`);
       } catch (error) {
         console.error('Error applying document update:', error);
       }
     }
   } catch (error) {
-    console.error('Error loading document from Supabase:', error);
+    console.error('Error loading document:', error);
   }
 }
 
@@ -202,32 +310,30 @@ async function autoSaveDocument(documentId, ydoc) {
     }
     
     saveTimeouts.set(documentId, setTimeout(() => {
-      saveDocumentToSupabase(documentId, ydoc, 'auto');
+      saveDocument(documentId, ydoc, 'auto');
       saveTimeouts.delete(documentId);
     }, 2000));
     return;
   }
 
-  await saveDocumentToSupabase(documentId, ydoc, 'auto');
+  await saveDocument(documentId, ydoc, 'auto');
+}
+
+// Drop a pending debounced save so it can't run after the document closed
+function cancelAutoSave(documentId) {
+  clearTimeout(saveTimeouts.get(documentId));
+  saveTimeouts.delete(documentId);
 }
 
-// Save document to Supabase and create snapshot
-async function saveDocumentToSupabase(documentId, ydoc, saveType = 'auto') {
+// Save document to the database and create snapshot
+async function saveDocument(documentId, ydoc, saveType = 'auto') {
   try {
     const update = Y.encodeStateAsUpdate(ydoc);
     const buffer = Buffer.from(update);
     const base64Content = buffer.toString('base64');
 
     // Get current document info
-    const { data: currentDoc, error: fetchError } = await supabase
-      .from('documents')
-      .select('current_version, workspace_id, created_by')
-      .eq('id', documentId)
-      .single();
-
-    if (fetchError && fetchError.code !== 'PGRST116') {
-      throw fetchError;
-    }
+    const currentDoc = await DocumentRepository.findById(documentId, ['title', 'current_version', 'workspace_id', 'created_by']);
 
     const documentData = documents.get(documentId);
     if (documentData) {
@@ -238,16 +344,11 @@ async function saveDocumentToSupabase(documentId, ydoc, saveType = 'auto') {
       // Update existing document
       const newVersion = currentDoc.current_version + 1;
       
-      const { error: updateError } = await supabase
-        .from('documents')
-        .update({
-          content: base64Content,
-          current_version: newVersion,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', documentId);
-
-      if (updateError) throw updateError;
+      await DocumentRepository.update(documentId, {
+        content: base64Content,
+        current_version: newVersion,
+        updated_at: new Date().toISOString()
+      });
 
       // Create snapshot for version history (only for final saves to reduce snapshots)
       if (saveType === 'final') {
@@ -258,47 +359,32 @@ async function saveDocumentToSupabase(documentId, ydoc, saveType = 'auto') {
           currentDoc.created_by,
           'Auto-saved version on disconnect'
         );
+
+        // Autosaves are too frequent to be worth an event; the save when
+        // the last editor leaves marks the end of an editing session
+        await emitWebhookEvent({
+          workspaceId: currentDoc.workspace_id,
+          event: WEBHOOK_EVENTS.DOCUMENT_SAVED,
+          data: { document: { id: documentId, title: currentDoc.title, version: newVersion }, reason: 'session_ended' }
+        });
       }
 
-      console.log(`💾 Document saved to Supabase: ${documentId} (v${newVersion}) [${saveType}]`);
+      console.log(`💾 Document saved: ${documentId} (v${newVersion}) [${saveType}]`);
     } else {
-      // Create new document (shouldn't happen often, but just in case)
-      const { error: insertError } = await supabase
-        .from('documents')
-        .insert([{
-          id: documentId,
-          content: base64Content,
-          current_version: 1,
-          workspace_id: '00000000-0000-0000-0000-000000000000',
-          created_by: '00000000-0000-0000-0000-000000000000',
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        }]);
-
-      if (insertError) throw insertError;
-      console.log(`📝 Created new document in Supabase: ${documentId}`);
+      // Deleted while open; never bring it back
+      console.log(`🗑️ Skipped saving deleted document: ${documentId}`);
     }
 
   } catch (error) {
-    console.error('Error saving document to Supabase:', error);
+    console.error('Error saving document:', error);
   }
 }
 
-// Create document snapshot in Supabase
+// Create document snapshot
 async function createDocumentSnapshot(documentId, content, version, createdBy, description) {
   try {
-    const { error } = await supabase
-      .from('document_snapshots')
-      .insert([{
-        document_id: documentId,
-        content: content,
-        version: version,
-        created_by: createdBy,
-        description: description
-      }]);
-
-    if (error) throw error;
-    
+    await SnapshotRepository.create({ documentId, content, version, createdBy, description });
+
     console.log(`📸 Created snapshot for document ${documentId} (v${version})`);
   } catch (error) {
     console.error('Error creating document snapshot:', error);
@@ -318,13 +404,10 @@ export async function createManualSnapshot(documentId, userId, description) {
     const base64Content = buffer.toString('base64');
 
     // Get current version
-    const { data: document, error } = await supabase
-      .from('documents')
-      .select('current_version')
-      .eq('id', documentId)
-      .single();
-
-    if (error) throw error;
+    const document = await DocumentRepository.findById(documentId, ['title', 'current_version', 'workspace_id']);
+    if (!document) {
+      throw new Error('Document not found');
+    }
 
     const newVersion = document.current_version + 1;
 
@@ -338,13 +421,17 @@ export async function createManualSnapshot(documentId, userId, description) {
     );
 
     // Update document version
-    await supabase
-      .from('documents')
-      .update({
-        current_version: newVersion,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', documentId);
+    await DocumentRepository.update(documentId, {
+      current_version: newVersion,
+      updated_at: new Date().toISOString()
+    });
+
+    await emitWebhookEvent({
+      workspaceId: document.workspace_id,
+      event: WEBHOOK_EVENTS.DOCUMENT_SAVED,
+      actorId: userId,
+      data: { document: { id: documentId, title: document.title, version: newVersion }, reason: 'snapshot' }
+    });
 
     return { success: true, version: newVersion };
   } catch (error) {
@@ -353,6 +440,50 @@ export async function createManualSnapshot(documentId, userId, description) {
   }
 }
 
+// Disconnect everyone editing the given documents and drop them from memory.
+// Unless `discard` is set the latest state is saved first; clients that
+// reconnect go through authorization again (e.g. read-only once archived).
+export async function closeDocuments(documentIds, { discard = false } = {}) {
+  for (const documentId of documentIds) {
+    const documentData = documents.get(documentId);
+    if (!documentData) continue;
+
+    // Forget the document first so the close handlers don't save it again
+    documents.delete(documentId);
+    cancelAutoSave(documentId);
+
+    if (!discard) {
+      await saveDocument(documentId, documentData.ydoc, 'final');
+    }
+
+    documentData.clients.forEach((ws) => ws.close(4000, discard ? 'Document deleted' : 'Document closed'));
+    documentData.ydoc.destroy();
+  }
+}
+
+// Close every document connection whose upgrade request matches, leaving
+// the documents open for everyone else
+function closeClients(matches, reason) {
+  documents.forEach((documentData) => {
+    documentData.clients.forEach((ws) => {
+      const request = clientRequests.get(ws);
+      if (request && matches(request)) ws.close(4001, reason);
+    });
+  });
+}
+
+// Disconnect the document connections opened by revoked sessions
+export function closeSessionConnections(sessionIds) {
+  const revoked = new Set(sessionIds);
+  closeClients((request) => revoked.has(request.sessionId), 'Session ended');
+}
+
+// Disconnect a member's connections to the workspace's documents after
+// their role changed or they were removed; reconnecting re-authorizes them
+export function closeMemberConnections(workspaceId, userId) {
+  closeClients((request) => request.workspaceId === workspaceId && request.userId === userId, 'Access changed');
+}
+
 // Get active documents (for debugging/monitoring)
 export function getActiveDocuments() {
   const activeDocs = [];
@@ -0,0 +1,25 @@
+// Set once the handlers are installed so notifications can be pushed from anywhere
+let notificationIo = null;
+
+const userRoom = (userId) => `user:${userId}`;
+
+export const setupNotificationHandlers = (io) => {
+  notificationIo = io;
+
+  // Every connection follows its own user's room, so notifications reach
+  // all of the user's open tabs
+  io.on('connection', (socket) => {
+    socket.join(userRoom(socket.data.userId));
+  });
+};
+
+// Push a new notification to the user's open sessions
+export const deliverNotification = (userId, notification) => {
+  notificationIo?.to(userRoom(userId)).emit('notification', notification);
+};
+
+// Tell the user's sessions which notifications were read (all of them when
+// `ids` is null) and how many are left unread
+export const broadcastNotificationsRead = (userId, ids, unreadCount) => {
+  notificationIo?.to(userRoom(userId)).emit('notifications-read', { ids, unreadCount });
+};
@@ -0,0 +1,28 @@
+import { forgetSessions } from '../services/sessions.js';
+import { closeSessionConnections } from './documentServer.js';
+
+// Set once the handlers are installed so sessions can be ended from anywhere
+let sessionIo = null;
+
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+export const setupSessionHandlers = (io) => {
+  sessionIo = io;
+
+  // Every connection follows the room of the session its token was issued
+  // for, so a revoked session can be cut off everywhere at once
+  io.on('connection', (socket) => {
+    socket.join(sessionRoom(socket.data.sessionId));
+  });
+};
+
+// Make revoking sessions take effect now rather than when their access
+// tokens expire: drop the cached check and disconnect their sockets and
+// document connections
+export const endSessions = (sessionIds) => {
+  if (!sessionIds.length) return;
+
+  forgetSessions(sessionIds);
+  sessionIo?.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+  closeSessionConnections(sessionIds);
+};
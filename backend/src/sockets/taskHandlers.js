@@ -1,39 +1,52 @@
-import { TaskBoardModel } from '../models/TaskBoard.js';
-import { createClient } from '@supabase/supabase-js';
+import { CAPABILITIES, checkPermission, hasCapability } from '../services/permissions.js';
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+// Set once the handlers are installed so access changes reach open task boards
+let taskIo = null;
 
 export const setupTaskHandlers = (io) => {
+  taskIo = io;
+
   io.on('connection', (socket) => {
     console.log('User connected for task board:', socket.id);
 
+    // Role (and whether the workspace is archived) on each task board this
+    // socket has joined, keyed by workspace id. Kept on socket.data so
+    // updateTaskBoardMember can change it when the member's role does.
+    const boardAccess = new Map();
+    socket.data.taskBoardAccess = boardAccess;
+
+    // Only sockets that joined the board with a role that manages tasks may broadcast changes
+    const rejectUnlessManager = (workspaceId) => {
+      const access = boardAccess.get(workspaceId);
+      if (hasCapability(access?.role, CAPABILITIES.MANAGE_TASKS, { archived: access?.archived })) return false;
+
+      socket.emit('task-error', access?.archived
+        ? { message: 'This workspace is archived and read-only', code: 'WORKSPACE_ARCHIVED' }
+        : { message: 'You do not have permission to change tasks in this workspace', code: 'FORBIDDEN' });
+      return true;
+    };
+
     // Join workspace task board room
     socket.on('join-task-board', async (data) => {
-      const { workspaceId, userId } = data;
+      const { workspaceId } = data;
+      const { userId } = socket.data;
       
-      if (!workspaceId || !userId) {
-        socket.emit('task-error', { message: 'Workspace ID and User ID are required' });
+      if (!workspaceId) {
+        socket.emit('task-error', { message: 'Workspace ID is required' });
         return;
       }
 
       try {
-        // Verify user has access to workspace
-        const { data: membership, error } = await supabase
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', workspaceId)
-          .eq('user_id', userId)
-          .single();
-
-        if (error || !membership) {
-          socket.emit('task-error', { message: 'Access denied to workspace' });
+        // Verify user may do this in the workspace
+        const access = await checkPermission(userId, workspaceId, CAPABILITIES.VIEW_WORKSPACE);
+
+        if (!access.allowed) {
+          socket.emit('task-error', { message: access.error, code: access.code });
           return;
         }
 
         // Join the workspace task board room
+        boardAccess.set(workspaceId, { role: access.role, archived: access.archived });
         socket.join(`task-board:${workspaceId}`);
         console.log(`User ${userId} joined task board: ${workspaceId}`);
       } catch (error) {
@@ -46,6 +59,7 @@ export const setupTaskHandlers = (io) => {
     socket.on('task-created', async (data) => {
       try {
         const { workspaceId, task } = data;
+        if (rejectUnlessManager(workspaceId)) return;
         
         // Broadcast to all users in the workspace
         socket.to(`task-board:${workspaceId}`).emit('task-created', task);
@@ -60,6 +74,7 @@ export const setupTaskHandlers = (io) => {
     socket.on('task-updated', async (data) => {
       try {
         const { workspaceId, task } = data;
+        if (rejectUnlessManager(workspaceId)) return;
         
         // Broadcast to all users in the workspace
         socket.to(`task-board:${workspaceId}`).emit('task-updated', task);
@@ -74,6 +89,7 @@ export const setupTaskHandlers = (io) => {
     socket.on('task-deleted', async (data) => {
       try {
         const { workspaceId, taskId } = data;
+        if (rejectUnlessManager(workspaceId)) return;
         
         // Broadcast to all users in the workspace
         socket.to(`task-board:${workspaceId}`).emit('task-deleted', { taskId });
@@ -88,6 +104,7 @@ export const setupTaskHandlers = (io) => {
     socket.on('task-moved', async (data) => {
       try {
         const { workspaceId, task, sourceListId, destinationListId } = data;
+        if (rejectUnlessManager(workspaceId)) return;
         
         // Broadcast to all users in the workspace
         socket.to(`task-board:${workspaceId}`).emit('task-moved', {
@@ -106,6 +123,7 @@ export const setupTaskHandlers = (io) => {
     socket.on('list-created', async (data) => {
       try {
         const { workspaceId, list } = data;
+        if (rejectUnlessManager(workspaceId)) return;
         
         // Broadcast to all users in the workspace
         socket.to(`task-board:${workspaceId}`).emit('list-created', list);
@@ -120,6 +138,7 @@ export const setupTaskHandlers = (io) => {
     socket.on('list-updated', async (data) => {
       try {
         const { workspaceId, list } = data;
+        if (rejectUnlessManager(workspaceId)) return;
         
         // Broadcast to all users in the workspace
         socket.to(`task-board:${workspaceId}`).emit('list-updated', list);
@@ -134,6 +153,7 @@ export const setupTaskHandlers = (io) => {
     socket.on('list-deleted', async (data) => {
       try {
         const { workspaceId, listId } = data;
+        if (rejectUnlessManager(workspaceId)) return;
         
         // Broadcast to all users in the workspace
         socket.to(`task-board:${workspaceId}`).emit('list-deleted', { listId });
@@ -146,9 +166,37 @@ export const setupTaskHandlers = (io) => {
 
     // Leave workspace task board room
     socket.on('leave-task-board', (data) => {
-      const { workspaceId, userId } = data;
+      const { workspaceId } = data;
+      const { userId } = socket.data;
+      boardAccess.delete(workspaceId);
       socket.leave(`task-board:${workspaceId}`);
       console.log(`User ${userId} left task board: ${workspaceId}`);
     });
   });
+};
+
+// Apply a member's new role to the task boards their sockets have joined;
+// a role of null means they were removed and are taken off the board
+export const updateTaskBoardMember = (workspaceId, userId, role) => {
+  taskIo?.sockets.sockets.forEach((socket) => {
+    const access = socket.data.userId === userId && socket.data.taskBoardAccess?.get(workspaceId);
+    if (!access) return;
+
+    if (role) {
+      access.role = role;
+      return;
+    }
+
+    socket.data.taskBoardAccess.delete(workspaceId);
+    socket.leave(`task-board:${workspaceId}`);
+  });
+};
+
+// Make open task boards of the workspace read-only (or writable again)
+// after it was archived or restored
+export const setTaskBoardArchived = (workspaceId, archived) => {
+  taskIo?.sockets.sockets.forEach((socket) => {
+    const access = socket.data.taskBoardAccess?.get(workspaceId);
+    if (access) access.archived = archived;
+  });
 };
\ No newline at end of file
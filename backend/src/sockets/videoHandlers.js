@@ -1,39 +1,58 @@
-import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+import { CAPABILITIES, checkPermission, hasCapability } from '../services/permissions.js';
+import { ACTIVITY_TYPES, recordActivity } from '../services/activity.js';
+import { NOTIFICATION_TYPES, notify, workspaceMemberIds } from '../services/notifications.js';
 
 // Store active video calls and participants
-const activeCalls = new Map(); // workspaceId -> { participants: Set, startedAt: Date }
+const activeCalls = new Map(); // workspaceId -> { participants: Set, joined: Set, startedBy, startedAt: Date }
 const socketToUser = new Map(); // socketId -> { userId, workspaceId }
 
+// When a call ends, let members who never joined it know they missed it
+const notifyMissedCall = async (workspaceId, call) => {
+  const memberIds = await workspaceMemberIds(workspaceId);
+
+  await notify({
+    userIds: memberIds.filter((memberId) => !call.joined.has(memberId)),
+    workspaceId,
+    actorId: call.startedBy,
+    type: NOTIFICATION_TYPES.CALL_MISSED,
+    data: { startedAt: call.startedAt.toISOString(), endedAt: new Date().toISOString() }
+  });
+};
+
+// Whether two sockets are in the same workspace's call; signaling only
+// travels between those
+const inSameCall = (socketId, otherSocketId) => {
+  const userInfo = socketToUser.get(socketId);
+  const otherInfo = socketToUser.get(otherSocketId);
+  return !!userInfo && !!otherInfo && userInfo.workspaceId === otherInfo.workspaceId;
+};
+
+// Set once the handlers are installed so access changes reach open calls
+let videoIo = null;
+
 export const setupVideoHandlers = (io) => {
+  videoIo = io;
+
   io.on('connection', (socket) => {
     console.log('User connected for video:', socket.id);
 
     // Join video call room
     socket.on('join-video-call', async (data, acknowledge) => {
-      const { workspaceId, userId, userName } = data;
+      const { workspaceId, userName } = data;
+      const { userId } = socket.data;
       
-      if (!workspaceId || !userId) {
-        const error = { message: 'Workspace ID and User ID are required' };
+      if (!workspaceId) {
+        const error = { message: 'Workspace ID is required' };
         acknowledge && acknowledge({ error });
         return;
       }
 
       try {
-        // Verify user has access to workspace
-        const { data: membership, error } = await supabase
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', workspaceId)
-          .eq('user_id', userId)
-          .single();
-
-        if (error || !membership) {
-          const errorMsg = { message: 'Access denied to workspace' };
+        // Verify user may do this in the workspace
+        const access = await checkPermission(userId, workspaceId, CAPABILITIES.START_CALLS);
+
+        if (!access.allowed) {
+          const errorMsg = { message: access.error, code: access.code };
           acknowledge && acknowledge({ error: errorMsg });
           return;
         }
@@ -49,12 +68,17 @@ export const setupVideoHandlers = (io) => {
         if (!activeCalls.has(workspaceId)) {
           activeCalls.set(workspaceId, {
             participants: new Set(),
+            joined: new Set(),
+            startedBy: userId,
             startedAt: new Date()
           });
+
+          recordActivity({ workspaceId, actorId: userId, type: ACTIVITY_TYPES.CALL_STARTED });
         }
         
         const call = activeCalls.get(workspaceId);
         call.participants.add(userId);
+        call.joined.add(userId);
 
         // Get list of existing participants in the room
         const socketsInRoom = await io.in(roomName).fetchSockets();
@@ -100,7 +124,9 @@ export const setupVideoHandlers = (io) => {
 
     // WebRTC Signaling: Send offer
     socket.on('video-offer', (data) => {
-      const { targetSocketId, offer, userId, userName } = data;
+      const { targetSocketId, offer, userName } = data;
+      const { userId } = socket.data;
+      if (!inSameCall(socket.id, targetSocketId)) return;
       
       console.log(`Sending offer from ${socket.id} to ${targetSocketId}`);
       
@@ -114,7 +140,9 @@ export const setupVideoHandlers = (io) => {
 
     // WebRTC Signaling: Send answer
     socket.on('video-answer', (data) => {
-      const { targetSocketId, answer, userId, userName } = data;
+      const { targetSocketId, answer, userName } = data;
+      const { userId } = socket.data;
+      if (!inSameCall(socket.id, targetSocketId)) return;
       
       console.log(`Sending answer from ${socket.id} to ${targetSocketId}`);
       
@@ -129,6 +157,7 @@ export const setupVideoHandlers = (io) => {
     // WebRTC Signaling: Send ICE candidate
     socket.on('ice-candidate', (data) => {
       const { targetSocketId, candidate } = data;
+      if (!inSameCall(socket.id, targetSocketId)) return;
       
       io.to(targetSocketId).emit('ice-candidate', {
         candidate,
@@ -138,7 +167,8 @@ export const setupVideoHandlers = (io) => {
 
     // Leave video call
     socket.on('leave-video-call', (data, acknowledge) => {
-      const { workspaceId, userId } = data;
+      const { workspaceId } = data;
+      const { userId } = socket.data;
       
       handleUserLeaving(socket, workspaceId, userId);
       
@@ -156,40 +186,11 @@ export const setupVideoHandlers = (io) => {
       }
     });
 
-    // Helper function to handle user leaving
-    function handleUserLeaving(socket, workspaceId, userId) {
-      if (!workspaceId) return;
-
-      const roomName = `video:${workspaceId}`;
-      
-      // Notify others that user left
-      socket.to(roomName).emit('user-left-call', {
-        socketId: socket.id,
-        userId,
-        timestamp: new Date().toISOString()
-      });
-
-      // Leave the room
-      socket.leave(roomName);
-
-      // Clean up tracking
-      socketToUser.delete(socket.id);
-      
-      if (activeCalls.has(workspaceId)) {
-        const call = activeCalls.get(workspaceId);
-        call.participants.delete(userId);
-        
-        // Remove call if no participants left
-        if (call.participants.size === 0) {
-          activeCalls.delete(workspaceId);
-          console.log(`Video call ended in workspace ${workspaceId}`);
-        }
-      }
-    }
-
     // Toggle audio/video status (for UI indicators)
     socket.on('toggle-media', (data) => {
       const { workspaceId, mediaType, enabled } = data;
+      if (socketToUser.get(socket.id)?.workspaceId !== workspaceId) return;
+
       const roomName = `video:${workspaceId}`;
       
       socket.to(roomName).emit('peer-media-toggle', {
@@ -213,4 +214,62 @@ export const setupVideoHandlers = (io) => {
     });
     return calls;
   };
-};
\ No newline at end of file
+};
+
+// Take a socket out of the workspace's call, ending the call when it was
+// the last one in it
+function handleUserLeaving(socket, workspaceId, userId) {
+  if (!workspaceId) return;
+
+  const roomName = `video:${workspaceId}`;
+
+  // Notify others that user left
+  socket.to(roomName).emit('user-left-call', {
+    socketId: socket.id,
+    userId,
+    timestamp: new Date().toISOString()
+  });
+
+  // Leave the room
+  socket.leave(roomName);
+
+  // Clean up tracking
+  socketToUser.delete(socket.id);
+
+  if (activeCalls.has(workspaceId)) {
+    const call = activeCalls.get(workspaceId);
+    call.participants.delete(userId);
+
+    // Remove call if no participants left
+    if (call.participants.size === 0) {
+      activeCalls.delete(workspaceId);
+      console.log(`Video call ended in workspace ${workspaceId}`);
+
+      notifyMissedCall(workspaceId, call)
+        .catch((error) => console.error('Error notifying missed call:', error));
+    }
+  }
+}
+
+// Drop a member from the workspace's call once they were removed or their
+// new role may no longer take part in calls
+export const updateVideoCallMember = (workspaceId, userId, role) => {
+  if (hasCapability(role, CAPABILITIES.START_CALLS)) return;
+
+  socketToUser.forEach((userInfo, socketId) => {
+    if (userInfo.userId !== userId || userInfo.workspaceId !== workspaceId) return;
+
+    const socket = videoIo?.sockets.sockets.get(socketId);
+    if (socket) handleUserLeaving(socket, workspaceId, userId);
+  });
+};
+
+// End the workspace's call for everyone, e.g. once it was archived
+export const endVideoCall = (workspaceId) => {
+  socketToUser.forEach((userInfo, socketId) => {
+    if (userInfo.workspaceId !== workspaceId) return;
+
+    const socket = videoIo?.sockets.sockets.get(socketId);
+    if (socket) handleUserLeaving(socket, workspaceId, userInfo.userId);
+  });
+};
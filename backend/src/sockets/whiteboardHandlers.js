@@ -1,39 +1,42 @@
-import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+import { CAPABILITIES, checkPermission, hasCapability } from '../services/permissions.js';
 
 // Store active whiteboard sessions
 const activeWhiteboards = new Map(); // workspaceId -> { participants: Set, elements: [] }
-const userCursors = new Map(); // socketId -> { userId, userName, x, y, workspaceId }
+const userCursors = new Map(); // socketId -> { userId, userName, x, y, workspaceId, role, archived }
+
+// Set once the handlers are installed so access changes reach open whiteboards
+let whiteboardIo = null;
 
 export const setupWhiteboardHandlers = (io) => {
+  whiteboardIo = io;
+
   io.on('connection', (socket) => {
     console.log('User connected to whiteboard:', socket.id);
 
+    // Whether this socket joined the workspace's whiteboard with a role that may draw
+    const canDraw = (workspaceId) => {
+      const userInfo = userCursors.get(socket.id);
+      return !!userInfo && userInfo.workspaceId === workspaceId
+        && hasCapability(userInfo.role, CAPABILITIES.DRAW_WHITEBOARD, { archived: userInfo.archived });
+    };
+
     // Join whiteboard room
     socket.on('join-whiteboard', async (data, acknowledge) => {
-      const { workspaceId, userId, userName } = data;
+      const { workspaceId, userName } = data;
+      const { userId } = socket.data;
       
-      if (!workspaceId || !userId) {
-        const error = { message: 'Workspace ID and User ID are required' };
+      if (!workspaceId) {
+        const error = { message: 'Workspace ID is required' };
         acknowledge && acknowledge({ error });
         return;
       }
 
       try {
-        // Verify user has access to workspace
-        const { data: membership, error } = await supabase
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', workspaceId)
-          .eq('user_id', userId)
-          .single();
-
-        if (error || !membership) {
-          const errorMsg = { message: 'Access denied to workspace' };
+        // Verify user may do this in the workspace
+        const access = await checkPermission(userId, workspaceId, CAPABILITIES.VIEW_WORKSPACE);
+
+        if (!access.allowed) {
+          const errorMsg = { message: access.error, code: access.code };
           acknowledge && acknowledge({ error: errorMsg });
           return;
         }
@@ -54,7 +57,8 @@ export const setupWhiteboardHandlers = (io) => {
         whiteboard.participants.add(userId);
 
         // Store user cursor info
-        userCursors.set(socket.id, { userId, userName, workspaceId });
+        const drawAllowed = hasCapability(access.role, CAPABILITIES.DRAW_WHITEBOARD, { archived: access.archived });
+        userCursors.set(socket.id, { userId, userName, workspaceId, role: access.role, archived: access.archived });
 
         // Send existing elements to the joining user
         socket.emit('whiteboard-initial-state', {
@@ -71,7 +75,8 @@ export const setupWhiteboardHandlers = (io) => {
         acknowledge && acknowledge({ 
           success: true, 
           message: 'Joined whiteboard',
-          participantCount: whiteboard.participants.size
+          participantCount: whiteboard.participants.size,
+          readOnly: !drawAllowed
         });
 
         console.log(`User ${userId} joined whiteboard in workspace ${workspaceId}`);
@@ -86,7 +91,8 @@ export const setupWhiteboardHandlers = (io) => {
     socket.on('whiteboard-draw', (data) => {
       const { workspaceId, element } = data;
       
-      if (!workspaceId || !element) return;
+      // Read-only members (guests) can watch but not draw
+      if (!workspaceId || !element || !canDraw(workspaceId)) return;
 
       const roomName = `whiteboard:${workspaceId}`;
       
@@ -107,7 +113,7 @@ export const setupWhiteboardHandlers = (io) => {
     socket.on('whiteboard-update-element', (data) => {
       const { workspaceId, elementId, updates } = data;
       
-      if (!workspaceId || !elementId) return;
+      if (!workspaceId || !elementId || !canDraw(workspaceId)) return;
 
       const roomName = `whiteboard:${workspaceId}`;
 
@@ -135,7 +141,7 @@ export const setupWhiteboardHandlers = (io) => {
     socket.on('whiteboard-delete-element', (data) => {
       const { workspaceId, elementId } = data;
       
-      if (!workspaceId || !elementId) return;
+      if (!workspaceId || !elementId || !canDraw(workspaceId)) return;
 
       const roomName = `whiteboard:${workspaceId}`;
 
@@ -156,7 +162,7 @@ export const setupWhiteboardHandlers = (io) => {
     socket.on('whiteboard-clear', (data) => {
       const { workspaceId } = data;
       
-      if (!workspaceId) return;
+      if (!workspaceId || !canDraw(workspaceId)) return;
 
       const roomName = `whiteboard:${workspaceId}`;
 
@@ -200,7 +206,7 @@ export const setupWhiteboardHandlers = (io) => {
     socket.on('whiteboard-undo', (data) => {
       const { workspaceId } = data;
       
-      if (!workspaceId) return;
+      if (!workspaceId || !canDraw(workspaceId)) return;
 
       const roomName = `whiteboard:${workspaceId}`;
 
@@ -221,7 +227,8 @@ export const setupWhiteboardHandlers = (io) => {
 
     // Leave whiteboard
     socket.on('leave-whiteboard', (data, acknowledge) => {
-      const { workspaceId, userId } = data;
+      const { workspaceId } = data;
+      const { userId } = socket.data;
       
       handleUserLeaving(socket, workspaceId, userId);
       
@@ -238,37 +245,6 @@ export const setupWhiteboardHandlers = (io) => {
         handleUserLeaving(socket, userInfo.workspaceId, userInfo.userId);
       }
     });
-
-    // Helper function to handle user leaving
-    function handleUserLeaving(socket, workspaceId, userId) {
-      if (!workspaceId) return;
-
-      const roomName = `whiteboard:${workspaceId}`;
-
-      // Notify others that user left
-      socket.to(roomName).emit('user-left-whiteboard', {
-        socketId: socket.id,
-        userId,
-        timestamp: new Date().toISOString()
-      });
-
-      // Leave the room
-      socket.leave(roomName);
-
-      // Clean up tracking
-      userCursors.delete(socket.id);
-
-      if (activeWhiteboards.has(workspaceId)) {
-        const whiteboard = activeWhiteboards.get(workspaceId);
-        whiteboard.participants.delete(userId);
-
-        // Remove whiteboard if no participants left
-        if (whiteboard.participants.size === 0) {
-          activeWhiteboards.delete(workspaceId);
-          console.log(`Whiteboard session ended in workspace ${workspaceId}`);
-        }
-      }
-    }
   });
 
   // Utility function to get active whiteboards
@@ -284,4 +260,59 @@ export const setupWhiteboardHandlers = (io) => {
     });
     return whiteboards;
   };
+};
+
+// Helper function to handle user leaving
+function handleUserLeaving(socket, workspaceId, userId) {
+  if (!workspaceId) return;
+
+  const roomName = `whiteboard:${workspaceId}`;
+
+  // Notify others that user left
+  socket.to(roomName).emit('user-left-whiteboard', {
+    socketId: socket.id,
+    userId,
+    timestamp: new Date().toISOString()
+  });
+
+  // Leave the room
+  socket.leave(roomName);
+
+  // Clean up tracking
+  userCursors.delete(socket.id);
+
+  if (activeWhiteboards.has(workspaceId)) {
+    const whiteboard = activeWhiteboards.get(workspaceId);
+    whiteboard.participants.delete(userId);
+
+    // Remove whiteboard if no participants left
+    if (whiteboard.participants.size === 0) {
+      activeWhiteboards.delete(workspaceId);
+      console.log(`Whiteboard session ended in workspace ${workspaceId}`);
+    }
+  }
+}
+
+// Apply a member's new role to the whiteboard their sockets have joined; a
+// role of null means they were removed and are taken off the whiteboard
+export const updateWhiteboardMember = (workspaceId, userId, role) => {
+  userCursors.forEach((userInfo, socketId) => {
+    if (userInfo.userId !== userId || userInfo.workspaceId !== workspaceId) return;
+
+    if (role) {
+      userInfo.role = role;
+      return;
+    }
+
+    const socket = whiteboardIo?.sockets.sockets.get(socketId);
+    if (socket) handleUserLeaving(socket, workspaceId, userId);
+  });
+};
+
+// Make the workspace's open whiteboard read-only (or drawable again) after
+// it was archived or restored
+export const setWhiteboardArchived = (workspaceId, archived) => {
+  userCursors.forEach((userInfo) => {
+    if (userInfo.workspaceId === workspaceId) userInfo.archived = archived;
+  });
 };
\ No newline at end of file
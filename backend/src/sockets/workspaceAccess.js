@@ -0,0 +1,47 @@
+import { closeMemberConnections } from './documentServer.js';
+import { setTaskBoardArchived, updateTaskBoardMember } from './taskHandlers.js';
+import { setWhiteboardArchived, updateWhiteboardMember } from './whiteboardHandlers.js';
+import { endVideoCall, updateVideoCallMember } from './videoHandlers.js';
+
+// Set once the handlers are installed so access changes reach open sockets
+let accessIo = null;
+
+// Rooms that stream a workspace's chat, calls and activity to its members.
+// Task boards, whiteboards and calls keep per-socket state and are updated
+// by their own handlers.
+const workspaceRooms = (workspaceId) => [
+  `workspace:${workspaceId}`,
+  `video:${workspaceId}`,
+  `activity:${workspaceId}`
+];
+
+export const setupWorkspaceAccess = (io) => {
+  accessIo = io;
+};
+
+// Apply a member's new role to the connections they already have open
+// rather than waiting for them to reconnect. A role of null means they are
+// no longer a member and stop receiving anything from the workspace.
+export const applyMemberAccess = (workspaceId, userId, role) => {
+  updateTaskBoardMember(workspaceId, userId, role);
+  updateWhiteboardMember(workspaceId, userId, role);
+  updateVideoCallMember(workspaceId, userId, role);
+  closeMemberConnections(workspaceId, userId);
+
+  if (role) return;
+
+  accessIo?.sockets.sockets.forEach((socket) => {
+    if (socket.data.userId !== userId) return;
+    workspaceRooms(workspaceId).forEach((room) => socket.leave(room));
+  });
+};
+
+// Apply archiving or restoring a workspace to its open task boards and
+// whiteboard, and end its call once archived. Document editors are
+// disconnected separately (closeDocuments) and pick up the change when they
+// reconnect.
+export const applyWorkspaceArchived = (workspaceId, archived) => {
+  setTaskBoardArchived(workspaceId, archived);
+  setWhiteboardArchived(workspaceId, archived);
+  if (archived) endVideoCall(workspaceId);
+};
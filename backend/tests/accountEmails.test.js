@@ -0,0 +1,113 @@
+import { registerUser, sentMail, startApi, tokenFromMail } from './helpers.js';
+
+describe('email verification', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(() => api.close());
+
+  test('registering sends a link that verifies the address once', async () => {
+    const user = await registerUser(api);
+    const token = tokenFromMail(user.email, '/verify-email');
+    expect(token).toBeTruthy();
+
+    const verified = await api.request('POST', '/auth/verify-email', { body: { token } });
+    expect(verified.status).toBe(200);
+    expect(verified.body.user.email).toBe(user.email);
+
+    const again = await api.request('POST', '/auth/verify-email', { body: { token } });
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('a resent link replaces the earlier one', async () => {
+    const user = await registerUser(api);
+    const first = tokenFromMail(user.email, '/verify-email');
+
+    const resent = await api.request('POST', '/auth/resend-verification', { body: { email: user.email } });
+    expect(resent.status).toBe(200);
+    const second = tokenFromMail(user.email, '/verify-email');
+    expect(second).not.toBe(first);
+
+    expect((await api.request('POST', '/auth/verify-email', { body: { token: first } })).status).toBe(400);
+    expect((await api.request('POST', '/auth/verify-email', { body: { token: second } })).status).toBe(200);
+  });
+
+  test('resending answers the same for unknown addresses', async () => {
+    const sent = sentMail.length;
+
+    const resent = await api.request('POST', '/auth/resend-verification', { body: { email: 'nobody@example.com' } });
+    expect(resent.status).toBe(200);
+    expect(sentMail.length).toBe(sent);
+  });
+});
+
+describe('password reset', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(() => api.close());
+
+  const requestReset = (email) => api.request('POST', '/auth/forgot-password', { body: { email } });
+
+  test('a reset link sets a new password and signs out everywhere', async () => {
+    const user = await registerUser(api);
+
+    expect((await requestReset(user.email)).status).toBe(200);
+    const token = tokenFromMail(user.email, '/reset-password');
+
+    const reset = await api.request('POST', '/auth/reset-password', { body: { token, password: 'a-brand-new-password' } });
+    expect(reset.status).toBe(200);
+
+    const oldPassword = await api.request('POST', '/auth/login', { body: { email: user.email, password: user.password } });
+    expect(oldPassword.status).toBe(401);
+
+    const newPassword = await api.request('POST', '/auth/login', { body: { email: user.email, password: 'a-brand-new-password' } });
+    expect(newPassword.status).toBe(200);
+
+    const oldSession = await api.request('GET', '/auth/sessions', { token: user.token });
+    expect(oldSession.status).toBe(401);
+
+    const reused = await api.request('POST', '/auth/reset-password', { body: { token, password: 'yet-another-password' } });
+    expect(reused.status).toBe(400);
+    expect(reused.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('only the newest reset link works', async () => {
+    const user = await registerUser(api);
+
+    await requestReset(user.email);
+    const first = tokenFromMail(user.email, '/reset-password');
+    await requestReset(user.email);
+    const second = tokenFromMail(user.email, '/reset-password');
+
+    const stale = await api.request('POST', '/auth/reset-password', { body: { token: first, password: 'a-brand-new-password' } });
+    expect(stale.status).toBe(400);
+
+    const fresh = await api.request('POST', '/auth/reset-password', { body: { token: second, password: 'a-brand-new-password' } });
+    expect(fresh.status).toBe(200);
+  });
+
+  test('a verification link can\'t reset a password', async () => {
+    const user = await registerUser(api);
+    const token = tokenFromMail(user.email, '/verify-email');
+
+    const reset = await api.request('POST', '/auth/reset-password', { body: { token, password: 'a-brand-new-password' } });
+    expect(reset.status).toBe(400);
+  });
+
+  test('requests for unknown addresses look the same and send nothing', async () => {
+    const sent = sentMail.length;
+
+    const response = await requestReset('nobody@example.com');
+    expect(response.status).toBe(200);
+    expect(response.body.message).toMatch(/If an account exists/);
+    expect(sentMail.length).toBe(sent);
+  });
+});
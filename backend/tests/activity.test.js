@@ -0,0 +1,90 @@
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+// Let the clock move on so each activity gets a timestamp of its own
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe('workspace activity feed and stats', () => {
+  let api;
+  let owner;
+  let workspaceId;
+  let todo;
+  let done;
+  let task;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api, { firstName: 'Olive' });
+    workspaceId = await createWorkspace(api, owner);
+
+    const createList = async (name) => (await api.request('POST', '/tasks/lists', {
+      token: owner.token,
+      body: { workspaceId, name }
+    })).body.list;
+    todo = await createList('To do');
+    done = await createList('Done');
+
+    task = (await api.request('POST', '/tasks/tasks', {
+      token: owner.token,
+      body: { listId: todo.id, title: 'Write tests' }
+    })).body.task;
+    await tick();
+    await api.request('POST', `/tasks/tasks/${task.id}/move`, { token: owner.token, body: { newListId: done.id } });
+    await tick();
+    await api.request('PUT', `/tasks/tasks/${task.id}`, { token: owner.token, body: { completed: true } });
+  });
+
+  afterAll(() => api.close());
+
+  const feed = (query = '', token = owner.token) =>
+    api.request('GET', `/workspaces/${workspaceId}/activity${query}`, { token });
+
+  test('lists what happened, newest first', async () => {
+    const { status, body } = await feed();
+    expect(status).toBe(200);
+    expect(body.activities.map((activity) => activity.type)).toEqual(['task.completed', 'task.moved', 'task.created']);
+
+    expect(body.activities[1]).toMatchObject({
+      actor: { id: owner.id, firstName: 'Olive' },
+      targetId: task.id,
+      metadata: { title: 'Write tests', fromListName: 'To do', toListName: 'Done' }
+    });
+    expect(body.activities[2].metadata).toEqual({ title: 'Write tests', listName: 'To do' });
+  });
+
+  test('completing a task twice or reordering within a list adds nothing', async () => {
+    await api.request('PUT', `/tasks/tasks/${task.id}`, { token: owner.token, body: { completed: true } });
+    await api.request('POST', `/tasks/tasks/${task.id}/move`, { token: owner.token, body: { newListId: done.id, newPosition: 0 } });
+
+    const { body } = await feed();
+    expect(body.activities).toHaveLength(3);
+  });
+
+  test('pages with before and limit', async () => {
+    const first = await feed('?limit=2');
+    expect(first.body.activities).toHaveLength(2);
+    expect(first.body.hasMore).toBe(true);
+
+    const before = encodeURIComponent(first.body.activities[1].createdAt);
+    const rest = await feed(`?before=${before}&limit=2`);
+    expect(rest.body.activities.map((activity) => activity.type)).toEqual(['task.created']);
+    expect(rest.body.hasMore).toBe(false);
+  });
+
+  test('counts the workspace\'s members, tasks and content', async () => {
+    await addMember(api, owner, workspaceId, 'guest');
+    await api.request('POST', '/tasks/tasks', { token: owner.token, body: { listId: todo.id, title: 'Ship it' } });
+    await api.request('POST', '/documents', { token: owner.token, body: { workspaceId, title: 'Notes' } });
+
+    const { status, body } = await api.request('GET', `/workspaces/${workspaceId}/stats`, { token: owner.token });
+    expect(status).toBe(200);
+    expect(body.stats).toEqual({ members: 2, activeTasks: 1, completedTasks: 1, documents: 1, files: 0, messages: 0 });
+  });
+
+  test('outsiders see neither', async () => {
+    const outsider = await registerUser(api);
+
+    expect((await feed('', outsider.token)).status).toBe(403);
+    const stats = await api.request('GET', `/workspaces/${workspaceId}/stats`, { token: outsider.token });
+    expect(stats.status).toBe(403);
+  });
+});
@@ -0,0 +1,104 @@
+import { db } from '../src/db/index.js';
+import { createWorkspace, registerUser, startApi } from './helpers.js';
+
+describe('personal access tokens and the versioned API', () => {
+  let api;
+  let owner;
+  let workspaceId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner, 'Scripted');
+  });
+
+  afterAll(() => api.close());
+
+  const createToken = async (scopes, user = owner) => {
+    const { status, body } = await api.request('POST', '/tokens', {
+      token: user.token,
+      body: { name: 'CI script', scopes }
+    });
+    expect(status).toBe(201);
+    return body;
+  };
+
+  test('a token works within its scopes only', async () => {
+    const { token, secret } = await createToken(['workspaces:read']);
+    expect(secret).toMatch(/^pat_/);
+    expect(token).toMatchObject({ name: 'CI script', scopes: ['workspaces:read'], prefix: secret.slice(0, 10) });
+
+    const listed = await api.request('GET', '/v1/workspaces', { token: secret });
+    expect(listed.status).toBe(200);
+    expect(listed.body.workspaces.map((workspace) => workspace.id)).toEqual([workspaceId]);
+
+    const write = await api.request('POST', '/v1/workspaces', { token: secret, body: { name: 'Nope' } });
+    expect(write.status).toBe(403);
+    expect(write.body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', error: 'This token is missing the workspaces:write scope' });
+
+    const otherArea = await api.request('GET', `/v1/tasks/workspace/${workspaceId}`, { token: secret });
+    expect(otherArea.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  test('tokens can\'t reach account endpoints or mint more tokens', async () => {
+    const { secret } = await createToken(['workspaces:read', 'workspaces:write']);
+
+    const tokens = await api.request('POST', '/v1/tokens', { token: secret, body: { name: 'More', scopes: ['tasks:read'] } });
+    expect(tokens.status).toBe(403);
+    expect(tokens.body.code).toBe('TOKEN_NOT_ALLOWED');
+
+    const sessions = await api.request('GET', '/v1/auth/sessions', { token: secret });
+    expect(sessions.body.code).toBe('TOKEN_NOT_ALLOWED');
+  });
+
+  test('a token acts as its owner and no more', async () => {
+    const outsider = await registerUser(api);
+    const { secret } = await createToken(['workspaces:read'], outsider);
+
+    const other = await api.request('GET', `/v1/workspaces/${workspaceId}`, { token: secret });
+    expect(other.status).toBe(403);
+  });
+
+  test('revoked and expired tokens stop working', async () => {
+    const revoked = await createToken(['workspaces:read']);
+    await api.request('DELETE', `/tokens/${revoked.token.id}`, { token: owner.token });
+    const afterRevoke = await api.request('GET', '/v1/workspaces', { token: revoked.secret });
+    expect(afterRevoke.status).toBe(401);
+    expect(afterRevoke.body.code).toBe('TOKEN_INVALID');
+
+    const expiring = await createToken(['workspaces:read']);
+    await db.table('personal_access_tokens').update({ id: expiring.token.id }, {
+      expires_at: new Date(Date.now() - 1000).toISOString()
+    });
+    const afterExpiry = await api.request('GET', '/v1/workspaces', { token: expiring.secret });
+    expect(afterExpiry.status).toBe(401);
+
+    const { body } = await api.request('GET', '/tokens', { token: owner.token });
+    const listed = body.tokens.find((token) => token.id === expiring.token.id);
+    expect(listed.expired).toBe(true);
+    expect(body.tokens.map((token) => token.id)).not.toContain(revoked.token.id);
+    expect(JSON.stringify(body)).not.toContain(expiring.secret);
+  });
+
+  test('invalid token requests are refused', async () => {
+    const noScopes = await api.request('POST', '/tokens', { token: owner.token, body: { name: 'Empty', scopes: [] } });
+    expect(noScopes.status).toBe(400);
+
+    const unknownScope = await api.request('POST', '/tokens', { token: owner.token, body: { name: 'Admin', scopes: ['admin'] } });
+    expect(unknownScope.status).toBe(400);
+
+    const forgedToken = await api.request('GET', '/v1/workspaces', { token: 'pat_not-a-real-token' });
+    expect(forgedToken.status).toBe(401);
+  });
+
+  test('/api/v1 and the unversioned alias serve the same routes', async () => {
+    const versioned = await api.request('GET', `/v1/workspaces/${workspaceId}`, { token: owner.token });
+    const alias = await api.request('GET', `/workspaces/${workspaceId}`, { token: owner.token });
+    expect(versioned.status).toBe(200);
+    expect(versioned.body).toEqual(alias.body);
+
+    const unknown = await api.request('GET', '/v1/nothing-here', { token: owner.token });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body).toEqual({ error: 'No route for GET /api/v1/nothing-here', code: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,58 @@
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+describe('archived workspaces', () => {
+  let api;
+  let owner;
+  let member;
+  let workspaceId;
+  let listId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+    member = await addMember(api, owner, workspaceId, 'member');
+
+    const list = await api.request('POST', '/tasks/lists', { token: owner.token, body: { workspaceId, name: 'To do' } });
+    listId = list.body.list.id;
+
+    const archived = await api.request('POST', `/workspaces/${workspaceId}/archive`, { token: owner.token });
+    expect(archived.status).toBe(200);
+  });
+
+  afterAll(() => api.close());
+
+  test('can still be read', async () => {
+    const board = await api.request('GET', `/tasks/workspace/${workspaceId}`, { token: member.token });
+    expect(board.status).toBe(200);
+
+    const workspace = await api.request('GET', `/workspaces/${workspaceId}`, { token: member.token });
+    expect(workspace.status).toBe(200);
+  });
+
+  test.each([
+    ['a task list', '/tasks/lists', () => ({ workspaceId, name: 'Later' })],
+    ['a task', '/tasks/tasks', () => ({ listId, title: 'Ship it' })],
+    ['a document', '/documents', () => ({ workspaceId, title: 'Notes' })]
+  ])('refuses creating %s, even for the owner', async (label, path, body) => {
+    for (const user of [member, owner]) {
+      const created = await api.request('POST', path, { token: user.token, body: body() });
+      expect(created.status).toBe(403);
+      expect(created.body.code).toBe('WORKSPACE_ARCHIVED');
+    }
+  });
+
+  test('only admins can unarchive, which makes it writable again', async () => {
+    const byMember = await api.request('POST', `/workspaces/${workspaceId}/unarchive`, { token: member.token });
+    expect(byMember.status).toBe(403);
+
+    const byOwner = await api.request('POST', `/workspaces/${workspaceId}/unarchive`, { token: owner.token });
+    expect(byOwner.status).toBe(200);
+
+    const created = await api.request('POST', '/tasks/tasks', { token: member.token, body: { listId, title: 'Ship it' } });
+    expect(created.status).toBe(201);
+
+    // Leave it archived for any test that runs after this one
+    await api.request('POST', `/workspaces/${workspaceId}/archive`, { token: owner.token });
+  });
+});
@@ -0,0 +1,152 @@
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+import { db } from '../src/db/index.js';
+
+// Let the clock move on so each entry gets a timestamp of its own
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe('workspace audit log', () => {
+  let api;
+  let owner;
+  let workspaceId;
+  let member;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+    member = await addMember(api, owner, workspaceId);
+    await tick();
+
+    await api.request('PATCH', `/workspaces/${workspaceId}/members/${member.id}/role`, {
+      token: owner.token,
+      body: { role: 'guest' }
+    });
+    await tick();
+    await api.request('PATCH', `/workspaces/${workspaceId}`, { token: owner.token, body: { name: 'Renamed' } });
+  });
+
+  afterAll(() => api.close());
+
+  const auditLog = (query = '', token = owner.token) =>
+    api.request('GET', `/workspaces/${workspaceId}/audit-log${query}`, { token });
+
+  test('records who did what to whom, newest first', async () => {
+    const { status, body } = await auditLog();
+    expect(status).toBe(200);
+    expect(body.entries.map((entry) => entry.action)).toEqual([
+      'workspace.updated',
+      'member.role_changed',
+      'member.invited'
+    ]);
+
+    expect(body.entries[1]).toMatchObject({
+      actor: { id: owner.id, email: owner.email },
+      targetType: 'member',
+      targetId: member.id,
+      metadata: { email: member.email, from: 'member', to: 'guest' }
+    });
+    expect(body.actions).toContain('ownership.transferred');
+  });
+
+  test('filters by action, actor, target type and date', async () => {
+    const byAction = await auditLog('?action=member.invited');
+    expect(byAction.body.entries).toHaveLength(1);
+    expect(byAction.body.total).toBe(1);
+
+    const byActor = await auditLog(`?actorId=${member.id}`);
+    expect(byActor.body.entries).toEqual([]);
+
+    const byTarget = await auditLog('?targetType=member');
+    expect(byTarget.body.entries.map((entry) => entry.action)).toEqual(['member.role_changed']);
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const since = await auditLog(`?since=${encodeURIComponent(future)}`);
+    expect(since.body.entries).toEqual([]);
+
+    const until = await auditLog(`?until=${encodeURIComponent(future)}`);
+    expect(until.body.total).toBe(3);
+  });
+
+  test('pages through entries', async () => {
+    const first = await auditLog('?limit=2');
+    expect(first.body.entries).toHaveLength(2);
+    expect(first.body.hasMore).toBe(true);
+
+    const second = await auditLog('?limit=2&offset=2');
+    expect(second.body.entries.map((entry) => entry.action)).toEqual(['member.invited']);
+    expect(second.body.hasMore).toBe(false);
+  });
+
+  test('only admins can read it', async () => {
+    const asGuest = await auditLog('', member.token);
+    expect(asGuest.status).toBe(403);
+
+    const badFilter = await auditLog('?since=yesterday');
+    expect(badFilter.status).toBe(400);
+  });
+});
+
+describe('audit of security and ownership changes', () => {
+  let api;
+  let owner;
+  let workspaceId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+  });
+
+  afterAll(() => api.close());
+
+  const latestEntry = async (action) => {
+    const { body } = await api.request('GET', `/workspaces/${workspaceId}/audit-log?action=${action}`, { token: owner.token });
+    return body.entries[0];
+  };
+
+  test('records requiring two-factor authentication, with the setting before and after', async () => {
+    await db.table('users').update({ id: owner.id }, { totp_enabled_at: new Date().toISOString() });
+
+    const updated = await api.request('PATCH', `/workspaces/${workspaceId}/security`, {
+      token: owner.token,
+      body: { requireTwoFactor: true }
+    });
+    expect(updated.status).toBe(200);
+
+    expect(await latestEntry('workspace.security_updated')).toMatchObject({
+      actor: { id: owner.id },
+      targetType: 'workspace',
+      targetId: workspaceId,
+      metadata: { changes: { require_two_factor: true }, previous: { require_two_factor: false } }
+    });
+  });
+
+  test('records ownership being offered, and the offer being declined', async () => {
+    const member = await addMember(api, owner, workspaceId);
+    await db.table('users').update({ id: member.id }, { totp_enabled_at: new Date().toISOString() });
+
+    const offered = await api.request('POST', `/workspaces/${workspaceId}/ownership-transfer`, {
+      token: owner.token,
+      body: { userId: member.id }
+    });
+    expect(offered.status).toBe(201);
+
+    expect(await latestEntry('ownership.transfer_requested')).toMatchObject({
+      actor: { id: owner.id },
+      targetType: 'member',
+      targetId: member.id,
+      metadata: { email: member.email, transferId: offered.body.transfer.id }
+    });
+
+    await tick();
+    const declined = await api.request('DELETE', `/workspaces/${workspaceId}/ownership-transfer`, { token: member.token });
+    expect(declined.status).toBe(200);
+
+    expect(await latestEntry('ownership.transfer_cancelled')).toMatchObject({
+      actor: { id: member.id },
+      targetType: 'member',
+      targetId: member.id,
+      metadata: { email: member.email, transferId: offered.body.transfer.id, declined: true }
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import jwt from 'jsonwebtoken';
+import { registerUser, startApi } from './helpers.js';
+
+describe('bearer token authentication', () => {
+  let api;
+  let user;
+
+  beforeAll(async () => {
+    api = await startApi();
+    user = await registerUser(api);
+  });
+
+  afterAll(() => api.close());
+
+  const listWorkspaces = (headers) => fetch(`${api.baseUrl}/workspaces`, { headers })
+    .then(async (response) => ({ status: response.status, body: await response.json() }));
+
+  test('a valid access token is accepted', async () => {
+    const { status, body } = await listWorkspaces({ Authorization: `Bearer ${user.token}` });
+
+    expect(status).toBe(200);
+    expect(body.workspaces).toEqual([]);
+  });
+
+  test.each([
+    ['no header', {}, 'TOKEN_MISSING'],
+    ['another scheme', { Authorization: 'Basic dXNlcjpwYXNz' }, 'TOKEN_MISSING'],
+    ['a bearer without a token', { Authorization: 'Bearer' }, 'TOKEN_MISSING'],
+    ['a malformed token', { Authorization: 'Bearer not-a-jwt' }, 'TOKEN_INVALID']
+  ])('%s is refused', async (label, headers, code) => {
+    const { status, body } = await listWorkspaces(headers);
+
+    expect(status).toBe(401);
+    expect(body.code).toBe(code);
+  });
+
+  test('a token signed with another secret is refused', async () => {
+    const forged = jwt.sign({ userId: user.id, sessionId: 'x' }, 'not-the-secret');
+
+    const { status, body } = await listWorkspaces({ Authorization: `Bearer ${forged}` });
+    expect(status).toBe(401);
+    expect(body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('a token without a user is refused', async () => {
+    const claimless = jwt.sign({ sessionId: 'x' }, process.env.JWT_SECRET);
+
+    const { status, body } = await listWorkspaces({ Authorization: `Bearer ${claimless}` });
+    expect(status).toBe(401);
+    expect(body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('an expired token is refused as expired', async () => {
+    const { sessionId } = jwt.decode(user.token);
+    const expired = jwt.sign({ userId: user.id, sessionId, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+    const { status, body } = await listWorkspaces({ Authorization: `Bearer ${expired}` });
+    expect(status).toBe(401);
+    expect(body.code).toBe('TOKEN_EXPIRED');
+  });
+
+  test('the profile belongs to the token\'s user', async () => {
+    const other = await registerUser(api);
+
+    const profile = await api.request('GET', '/users/profile', { token: other.token });
+    expect(profile.status).toBe(200);
+    expect(JSON.stringify(profile.body)).toContain(other.email);
+    expect(JSON.stringify(profile.body)).not.toContain(user.email);
+  });
+});
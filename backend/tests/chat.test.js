@@ -0,0 +1,124 @@
+import { setupChatHandlers } from '../src/sockets/chatHandlers.js';
+import { MessageRepository } from '../src/repositories/MessageRepository.js';
+import { db } from '../src/db/index.js';
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+// A stand-in for a Socket.io server and its connections, enough to drive
+// the chat handlers: `sent` collects what each socket broadcast to a room
+const fakeIo = () => {
+  let onConnection;
+  setupChatHandlers({ on: (event, handler) => { onConnection = handler; } });
+
+  return {
+    connect(userId) {
+      const handlers = {};
+      const socket = {
+        id: `socket-${userId}`,
+        data: { userId },
+        rooms: new Set(),
+        sent: [],
+        on: (event, handler) => { handlers[event] = handler; },
+        join: (room) => socket.rooms.add(room),
+        leave: (room) => socket.rooms.delete(room),
+        emit: () => {},
+        to: (room) => ({ emit: (event, payload) => socket.sent.push({ room, event, payload }) }),
+        // Run an event handler; resolves to its acknowledgment
+        call: (event, data) => new Promise((resolve) => {
+          Promise.resolve(handlers[event](data, resolve)).then(() => resolve());
+        })
+      };
+      onConnection(socket);
+      return socket;
+    }
+  };
+};
+
+const readBy = async (userId) =>
+  (await db.table('message_reads').find({ user_id: userId })).map((read) => read.message_id);
+
+describe('workspace chat', () => {
+  let api;
+  let io;
+  let owner;
+  let workspaceId;
+  let otherWorkspaceId;
+  let message;
+  let foreignMessage;
+
+  beforeAll(async () => {
+    api = await startApi();
+    io = fakeIo();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+
+    const stranger = await registerUser(api);
+    otherWorkspaceId = await createWorkspace(api, stranger, 'Elsewhere');
+
+    message = await MessageRepository.createMessage(workspaceId, owner.id, 'Hello team');
+    foreignMessage = await MessageRepository.createMessage(otherWorkspaceId, stranger.id, 'Not for you');
+  });
+
+  afterAll(() => api.close());
+
+  test('only shows typing in a chat the socket has joined', async () => {
+    const member = await addMember(api, owner, workspaceId);
+    const outsider = await registerUser(api);
+
+    const memberSocket = io.connect(member.id);
+    const outsiderSocket = io.connect(outsider.id);
+
+    expect(await outsiderSocket.call('join-workspace-chat', { workspaceId })).toMatchObject({ error: { code: 'NOT_A_MEMBER' } });
+    await outsiderSocket.call('typing-start', { workspaceId });
+    expect(outsiderSocket.sent).toHaveLength(0);
+
+    expect(await memberSocket.call('join-workspace-chat', { workspaceId })).toMatchObject({ success: true });
+    memberSocket.sent.length = 0;
+    await memberSocket.call('typing-start', { workspaceId });
+    await memberSocket.call('typing-stop', { workspaceId });
+    expect(memberSocket.sent.map(({ event, payload }) => [event, payload.isTyping])).toEqual([
+      ['user-typing', true],
+      ['user-typing', false]
+    ]);
+  });
+
+  test('marks messages read over the socket only for members, and only in their workspace', async () => {
+    const member = await addMember(api, owner, workspaceId);
+    const outsider = await registerUser(api);
+
+    const outsiderSocket = io.connect(outsider.id);
+    expect(await outsiderSocket.call('mark-message-read', { messageId: message.id, workspaceId }))
+      .toMatchObject({ error: { code: 'NOT_A_MEMBER' } });
+
+    const memberSocket = io.connect(member.id);
+    expect(await memberSocket.call('mark-message-read', { messageId: foreignMessage.id, workspaceId }))
+      .toEqual({ error: { message: 'Message not found' } });
+    expect(await memberSocket.call('mark-message-read', { messageId: message.id, workspaceId }))
+      .toEqual({ success: true });
+
+    expect(await readBy(outsider.id)).toEqual([]);
+    expect(await readBy(member.id)).toEqual([message.id]);
+  });
+
+  test('marks messages read over the API only in a workspace of the caller\'s', async () => {
+    const member = await addMember(api, owner, workspaceId);
+
+    const outside = await api.request('POST', '/chat/messages/mark-read', {
+      token: member.token,
+      body: { messageIds: [foreignMessage.id], workspaceId: otherWorkspaceId }
+    });
+    expect(outside.status).toBe(403);
+
+    const mixed = await api.request('POST', '/chat/messages/mark-read', {
+      token: member.token,
+      body: { messageIds: [message.id, foreignMessage.id], workspaceId }
+    });
+    expect(mixed.status).toBe(200);
+    expect(await readBy(member.id)).toEqual([message.id]);
+
+    const withoutWorkspace = await api.request('POST', '/chat/messages/mark-read', {
+      token: member.token,
+      body: { messageIds: [message.id] }
+    });
+    expect(withoutWorkspace.status).toBe(400);
+  });
+});
@@ -0,0 +1,111 @@
+import WebSocket from 'ws';
+import * as Y from 'yjs';
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+import { DocumentRepository } from '../src/repositories/DocumentRepository.js';
+
+// Open a document WebSocket; resolves to { ws, messages } once open, or to
+// { status } when the upgrade is refused
+const connect = (api, documentId, token) => new Promise((resolve) => {
+  const query = token ? `?token=${encodeURIComponent(token)}` : '';
+  const ws = new WebSocket(`${api.origin.replace('http', 'ws')}/documents/${documentId}${query}`);
+  const messages = [];
+
+  ws.on('message', (message) => messages.push(message));
+  ws.on('open', () => resolve({ ws, messages }));
+  ws.on('unexpected-response', (request, response) => resolve({ status: response.statusCode }));
+});
+
+const closed = (ws) => new Promise((resolve) => {
+  if (ws.readyState === WebSocket.CLOSED) return resolve();
+  ws.on('close', resolve);
+  ws.close();
+});
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 50 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 20));
+  return check();
+};
+
+// A Yjs update that inserts `text` into the document's shared text
+const textUpdate = (text) => {
+  const doc = new Y.Doc();
+  doc.getText('content').insert(0, text);
+  return Y.encodeStateAsUpdate(doc);
+};
+
+describe('document WebSocket upgrades', () => {
+  let api;
+  let owner;
+  let workspaceId;
+  let documentId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+
+    const created = await api.request('POST', '/documents', { token: owner.token, body: { workspaceId, title: 'Notes' } });
+    documentId = created.body.document.id;
+  });
+
+  afterAll(() => api.close());
+
+  test('are refused without a token', async () => {
+    expect(await connect(api, documentId)).toEqual({ status: 401 });
+    expect(await connect(api, documentId, 'nope')).toEqual({ status: 401 });
+  });
+
+  test('are refused for people outside the workspace', async () => {
+    const outsider = await registerUser(api);
+
+    expect(await connect(api, documentId, outsider.token)).toEqual({ status: 403 });
+  });
+
+  test('are refused for documents that don\'t exist', async () => {
+    expect(await connect(api, '00000000-0000-4000-8000-000000000000', owner.token)).toEqual({ status: 404 });
+  });
+
+  test('let members edit together, while guests only watch', async () => {
+    const member = await addMember(api, owner, workspaceId, 'member');
+    const guest = await addMember(api, owner, workspaceId, 'guest');
+
+    const editor = await connect(api, documentId, owner.token);
+    const colleague = await connect(api, documentId, member.token);
+    const watcher = await connect(api, documentId, guest.token);
+
+    editor.ws.send(textUpdate('hello'));
+    expect(await waitFor(() => colleague.messages.length > 0 && watcher.messages.length > 0)).toBe(true);
+
+    // The guest's change reaches nobody
+    const before = editor.messages.length;
+    watcher.ws.send(textUpdate('graffiti'));
+    colleague.ws.send(textUpdate('world'));
+    expect(await waitFor(() => editor.messages.length > before)).toBe(true);
+
+    const seen = new Y.Doc();
+    editor.messages.concat(colleague.messages).forEach((message) => Y.applyUpdate(seen, new Uint8Array(message)));
+    expect(seen.getText('content').toString()).not.toContain('graffiti');
+
+    await Promise.all([editor.ws, colleague.ws, watcher.ws].map(closed));
+  });
+
+  test('disconnect editors when the document is deleted and never save it again', async () => {
+    const created = await api.request('POST', '/documents', { token: owner.token, body: { workspaceId, title: 'Scratch' } });
+    const scratchId = created.body.document.id;
+
+    const editor = await connect(api, scratchId, owner.token);
+    const closeCode = new Promise((resolve) => editor.ws.on('close', resolve));
+
+    // Queues a debounced autosave
+    editor.ws.send(textUpdate('draft'));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const deleted = await api.request('DELETE', `/documents/${scratchId}`, { token: owner.token });
+    expect(deleted.status).toBe(200);
+    expect(await closeCode).toBe(4000);
+
+    // Past the autosave delay, the document is still gone
+    await new Promise((resolve) => setTimeout(resolve, 2500));
+    expect(await DocumentRepository.findById(scratchId)).toBeNull();
+  });
+});
@@ -0,0 +1,169 @@
+import express from 'express';
+import { createServer } from 'http';
+import authRoutes from '../src/routes/auth.js';
+import twoFactorRoutes from '../src/routes/twoFactor.js';
+import apiTokenRoutes from '../src/routes/apiTokens.js';
+import workspaceRoutes from '../src/routes/workspaces.js';
+import invitationRoutes from '../src/routes/invitations.js';
+import joinLinkRoutes from '../src/routes/joinLinks.js';
+import userRoutes from '../src/routes/users.js';
+import chatRoutes from '../src/routes/chat.js';
+import taskRoutes from '../src/routes/tasks.js';
+import documentRoutes from '../src/routes/documents.js';
+import documentSnapshotRoutes from '../src/routes/documentSnapshots.js';
+import fileRoutes from '../src/routes/files.js';
+import notificationRoutes from '../src/routes/notifications.js';
+import storageRoutes from '../src/routes/storage.js';
+import { tokenScope } from '../src/middleware/auth.js';
+import { apiErrorHandler, apiNotFound, normalizeErrorBodies } from '../src/middleware/apiErrors.js';
+import { buildOpenApiDocument } from '../src/services/openapi.js';
+import { setupDocumentServer } from '../src/sockets/documentServer.js';
+import { registerMailTransport } from '../src/services/mailer.js';
+
+// Every email sent during a test file, newest last (tests/setup.cjs selects
+// this transport)
+export const sentMail = [];
+
+registerMailTransport('test', {
+  async send(message) {
+    sentMail.push(message);
+    return { id: `test-${sentMail.length}` };
+  }
+});
+
+// The routers as server.js mounts them, with the token scope area of those
+// personal access tokens may call
+const API_ROUTES = [
+  ['/auth/2fa', twoFactorRoutes],
+  ['/auth', authRoutes],
+  ['/tokens', apiTokenRoutes],
+  ['/workspaces', workspaceRoutes, 'workspaces'],
+  ['/invitations', invitationRoutes],
+  ['/join', joinLinkRoutes],
+  ['/users', userRoutes],
+  ['/chat', chatRoutes, 'chat'],
+  ['/tasks', taskRoutes, 'tasks'],
+  ['/documents', documentRoutes, 'documents'],
+  ['/document-snapshots', documentSnapshotRoutes, 'documents'],
+  ['/files', fileRoutes, 'files'],
+  ['/notifications', notificationRoutes, 'notifications']
+];
+
+// Start the API on a random port, mounted the way server.js mounts it
+// (including the document WebSocket server). Returns request helpers, the
+// base URL and close().
+export const startApi = async () => {
+  const app = express();
+  app.set('trust proxy', 'loopback'); // lets a request say which client it's from
+  app.use(express.json());
+  app.use('/api', normalizeErrorBodies);
+
+  for (const base of ['/api/v1', '/api']) {
+    for (const [path, routes, scopeArea] of API_ROUTES) {
+      if (scopeArea) {
+        app.use(`${base}${path}`, tokenScope(scopeArea), routes);
+      } else {
+        app.use(`${base}${path}`, routes);
+      }
+    }
+  }
+
+  app.use(['/api/v1/storage', '/api/storage'], tokenScope('files'), storageRoutes);
+
+  const openApiDocument = buildOpenApiDocument(API_ROUTES);
+  app.get(['/api/v1/openapi.json', '/api/openapi.json'], (req, res) => res.json(openApiDocument));
+
+  app.use('/api', apiNotFound);
+  app.use('/api', apiErrorHandler);
+
+  const server = createServer(app);
+  setupDocumentServer(server);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const baseUrl = `${origin}/api`;
+
+  // Send a JSON request, optionally as if from client address `ip`;
+  // resolves to { status, body, headers }
+  const request = async (method, path, { body, token, ip } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(ip ? { 'X-Forwarded-For': ip } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json(), headers: response.headers };
+  };
+
+  return {
+    request,
+    origin,
+    baseUrl,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+let userCount = 0;
+
+// Register a new user; returns their id, email, password and tokens
+export const registerUser = async (api, fields = {}) => {
+  userCount += 1;
+  const user = {
+    email: `user${userCount}@example.com`,
+    password: 'correct-horse-battery',
+    firstName: 'Test',
+    lastName: `User${userCount}`,
+    ...fields
+  };
+
+  const { status, body } = await api.request('POST', '/auth/register', { body: user });
+  if (status !== 201) throw new Error(`Registration failed (${status}): ${body.error}`);
+
+  return { ...user, id: body.user.id, token: body.token, refreshToken: body.refreshToken };
+};
+
+// Create a workspace owned by `owner`; returns its id
+export const createWorkspace = async (api, owner, name = 'Test workspace') => {
+  const { status, body } = await api.request('POST', '/workspaces', { token: owner.token, body: { name } });
+  if (status !== 201) throw new Error(`Workspace creation failed (${status}): ${body.error}`);
+
+  return body.workspace.id;
+};
+
+// The token in the newest emailed link to `path` (e.g. "/invite") sent to
+// `email`
+export const tokenFromMail = (email, path) => {
+  const mail = sentMail.filter((message) => message.to === email).pop();
+  const match = mail?.text.match(new RegExp(`${path}\\?token=([^\\s]+)`));
+  return match && decodeURIComponent(match[1]);
+};
+
+// The token as it appears in the emailed invite link
+export const inviteTokenFromMail = (email) => tokenFromMail(email, '/invite');
+
+// Register a user and bring them into the workspace with `role` through an
+// emailed invite; returns the new member
+export const addMember = async (api, owner, workspaceId, role = 'member') => {
+  const member = await registerUser(api);
+
+  const invited = await api.request('POST', `/workspaces/${workspaceId}/invite`, {
+    token: owner.token,
+    body: { email: member.email, role }
+  });
+  if (invited.status !== 201) throw new Error(`Invite failed (${invited.status}): ${invited.body.error}`);
+
+  const accepted = await api.request('POST', '/invitations/accept', {
+    token: member.token,
+    body: { token: inviteTokenFromMail(member.email) }
+  });
+  if (accepted.status !== 200) throw new Error(`Accepting the invite failed (${accepted.status}): ${accepted.body.error}`);
+
+  return member;
+};
@@ -0,0 +1,58 @@
+import { createWorkspace, inviteTokenFromMail, registerUser, startApi } from './helpers.js';
+
+describe('workspace invitations', () => {
+  let api;
+  let owner;
+  let workspaceId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+  });
+
+  afterAll(() => api.close());
+
+  test('an emailed invite token can be previewed and accepted', async () => {
+    const invitee = await registerUser(api);
+
+    const invited = await api.request('POST', `/workspaces/${workspaceId}/invite`, {
+      token: owner.token,
+      body: { email: invitee.email, role: 'guest' }
+    });
+    expect(invited.status).toBe(201);
+
+    const token = inviteTokenFromMail(invitee.email);
+    expect(token).toBeTruthy();
+
+    const preview = await api.request('GET', `/invitations/${encodeURIComponent(token)}`);
+    expect(preview.status).toBe(200);
+    expect(preview.body.invitation).toMatchObject({ email: invitee.email, role: 'guest' });
+
+    const accepted = await api.request('POST', '/invitations/accept', { token: invitee.token, body: { token } });
+    expect(accepted.status).toBe(200);
+    expect(accepted.body).toMatchObject({ workspaceId, role: 'guest' });
+
+    // The invitee can now open the workspace
+    const workspace = await api.request('GET', `/workspaces/${workspaceId}`, { token: invitee.token });
+    expect(workspace.status).toBe(200);
+
+    // The link is single-use
+    const again = await api.request('POST', '/invitations/accept', { token: invitee.token, body: { token } });
+    expect(again.status).not.toBe(200);
+  });
+
+  test('a tampered invite token is rejected', async () => {
+    const invitee = await registerUser(api);
+
+    await api.request('POST', `/workspaces/${workspaceId}/invite`, {
+      token: owner.token,
+      body: { email: invitee.email }
+    });
+    const token = inviteTokenFromMail(invitee.email);
+
+    const preview = await api.request('GET', `/invitations/${encodeURIComponent(`${token}x`)}`);
+    expect(preview.status).toBe(400);
+    expect(preview.body.code).toBe('INVITATION_INVALID');
+  });
+});
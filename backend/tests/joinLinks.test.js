@@ -0,0 +1,111 @@
+import { db } from '../src/db/index.js';
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+describe('workspace join links', () => {
+  let api;
+  let owner;
+  let workspaceId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+    await api.request('PATCH', `/workspaces/${workspaceId}`, { token: owner.token, body: { visibility: 'public' } });
+  });
+
+  afterAll(() => api.close());
+
+  const createLink = async (body = {}) => {
+    const { status, body: created } = await api.request('POST', `/workspaces/${workspaceId}/join-links`, {
+      token: owner.token,
+      body
+    });
+    expect(status).toBe(201);
+    return created.joinLink;
+  };
+
+  test('a link can be previewed and joined with its role', async () => {
+    const link = await createLink({ role: 'guest' });
+    const joiner = await registerUser(api);
+
+    const preview = await api.request('GET', `/join/${link.code}`, { token: joiner.token });
+    expect(preview.status).toBe(200);
+    expect(preview.body.joinLink).toMatchObject({ workspace: { id: workspaceId }, role: 'guest' });
+
+    const joined = await api.request('POST', `/join/${link.code}`, { token: joiner.token });
+    expect(joined.status).toBe(200);
+    expect(joined.body).toMatchObject({ message: 'Joined workspace', workspaceId, role: 'guest' });
+
+    const workspace = await api.request('GET', `/workspaces/${workspaceId}`, { token: joiner.token });
+    expect(workspace.status).toBe(200);
+  });
+
+  test('joining again keeps the role and doesn\'t use up the link', async () => {
+    const link = await createLink({ role: 'guest', maxUses: 2 });
+    const joiner = await registerUser(api);
+
+    await api.request('POST', `/join/${link.code}`, { token: joiner.token });
+    const again = await api.request('POST', `/join/${link.code}`, { token: joiner.token });
+    expect(again.body).toMatchObject({ message: 'You are already a member of this workspace', role: 'guest' });
+
+    const second = await api.request('POST', `/join/${link.code}`, { token: (await registerUser(api)).token });
+    expect(second.status).toBe(200);
+
+    const listed = await api.request('GET', `/workspaces/${workspaceId}/join-links`, { token: owner.token });
+    expect(listed.body.joinLinks.find(({ id }) => id === link.id)).toMatchObject({ useCount: 2, status: 'used_up' });
+  });
+
+  test('a link stops working once used up, expired or revoked', async () => {
+    const usedUp = await createLink({ maxUses: 1 });
+    await api.request('POST', `/join/${usedUp.code}`, { token: (await registerUser(api)).token });
+    const late = await api.request('POST', `/join/${usedUp.code}`, { token: (await registerUser(api)).token });
+    expect(late.status).toBe(410);
+    expect(late.body.code).toBe('JOIN_LINK_USED_UP');
+
+    const expiring = await createLink({ expiresInDays: 1 });
+    await db.table('workspace_join_links').update({ id: expiring.id }, {
+      expires_at: new Date(Date.now() - 1000).toISOString()
+    });
+    const expired = await api.request('POST', `/join/${expiring.code}`, { token: (await registerUser(api)).token });
+    expect(expired.status).toBe(410);
+    expect(expired.body.code).toBe('JOIN_LINK_EXPIRED');
+
+    const revoking = await createLink();
+    const revoked = await api.request('DELETE', `/workspaces/${workspaceId}/join-links/${revoking.id}`, { token: owner.token });
+    expect(revoked.status).toBe(200);
+    const refused = await api.request('GET', `/join/${revoking.code}`, { token: (await registerUser(api)).token });
+    expect(refused.status).toBe(410);
+    expect(refused.body.code).toBe('JOIN_LINK_REVOKED');
+
+    const listed = await api.request('GET', `/workspaces/${workspaceId}/join-links`, { token: owner.token });
+    expect(listed.body.joinLinks.map((link) => link.id)).not.toContain(revoking.id);
+  });
+
+  test('an unknown code is reported as invalid', async () => {
+    const unknown = await api.request('GET', '/join/not-a-real-code', { token: owner.token });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe('JOIN_LINK_INVALID');
+  });
+
+  test('private workspaces don\'t accept joins', async () => {
+    const privateId = await createWorkspace(api, owner, 'Private');
+    const { body } = await api.request('POST', `/workspaces/${privateId}/join-links`, { token: owner.token, body: {} });
+
+    const refused = await api.request('POST', `/join/${body.joinLink.code}`, { token: (await registerUser(api)).token });
+    expect(refused.status).toBe(403);
+    expect(refused.body.code).toBe('JOIN_LINKS_DISABLED');
+  });
+
+  test('members can\'t create links and admins can\'t hand out the owner role', async () => {
+    const member = await addMember(api, owner, workspaceId);
+    const asMember = await api.request('POST', `/workspaces/${workspaceId}/join-links`, { token: member.token, body: {} });
+    expect(asMember.status).toBe(403);
+
+    const admin = await addMember(api, owner, workspaceId, 'admin');
+    const asAdmin = await api.request('POST', `/workspaces/${workspaceId}/join-links`, {
+      token: admin.token,
+      body: { role: 'owner' }
+    });
+    expect(asAdmin.status).toBe(400);
+  });
+});
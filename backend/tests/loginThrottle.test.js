@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../src/services/loginThrottle.js';
+import { registerUser, startApi } from './helpers.js';
+
+const failTimes = (count, email, ip) => {
+  for (let i = 0; i < count; i++) recordLoginFailure(email, ip);
+};
+
+describe('login throttle', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('a few failures are allowed before backoff starts', () => {
+    failTimes(2, 'few@example.com', '10.0.0.1');
+
+    expect(checkLoginAllowed('few@example.com', '10.0.0.1')).toEqual({ allowed: true });
+  });
+
+  test('backoff doubles with each failure past the threshold', () => {
+    failTimes(3, 'backoff@example.com', '10.0.0.2');
+    expect(checkLoginAllowed('backoff@example.com', '10.0.0.2'))
+      .toEqual({ allowed: false, retryAfter: 1, code: 'TOO_MANY_ATTEMPTS' });
+
+    failTimes(2, 'backoff@example.com', '10.0.0.2');
+    expect(checkLoginAllowed('backoff@example.com', '10.0.0.2'))
+      .toMatchObject({ allowed: false, retryAfter: 4 });
+
+    jest.advanceTimersByTime(4000);
+    expect(checkLoginAllowed('backoff@example.com', '10.0.0.2').allowed).toBe(true);
+  });
+
+  test('a successful login clears the account backoff', () => {
+    failTimes(3, 'success@example.com', '10.0.0.3');
+    recordLoginSuccess('success@example.com');
+
+    expect(checkLoginAllowed('success@example.com', '10.0.0.4').allowed).toBe(true);
+  });
+
+  test('repeated failures lock the account out', () => {
+    failTimes(10, 'locked@example.com', '10.0.0.5');
+
+    const throttle = checkLoginAllowed('LOCKED@example.com', '10.0.0.6');
+    expect(throttle).toMatchObject({ allowed: false, code: 'ACCOUNT_LOCKED' });
+    expect(throttle.retryAfter).toBe(15 * 60);
+
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    expect(checkLoginAllowed('locked@example.com', '10.0.0.6').allowed).toBe(true);
+  });
+
+  test('failures across many accounts lock out the address', () => {
+    for (let i = 0; i < 50; i++) recordLoginFailure(`spray${i}@example.com`, '10.0.0.7');
+
+    expect(checkLoginAllowed('someone-else@example.com', '10.0.0.7'))
+      .toMatchObject({ allowed: false, code: 'IP_LOCKED' });
+    expect(checkLoginAllowed('someone-else@example.com', '10.0.0.8').allowed).toBe(true);
+  });
+});
+
+describe('POST /auth/login throttling', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(() => api.close());
+
+  test('refuses further guesses with 429 and Retry-After', async () => {
+    const user = await registerUser(api);
+
+    for (let i = 0; i < 3; i++) {
+      const failed = await api.request('POST', '/auth/login', { body: { email: user.email, password: 'wrong-password' } });
+      expect(failed.status).toBe(401);
+    }
+
+    // Even the right password has to wait
+    const refused = await api.request('POST', '/auth/login', { body: { email: user.email, password: user.password } });
+    expect(refused.status).toBe(429);
+    expect(refused.body.code).toBe('TOO_MANY_ATTEMPTS');
+    expect(Number(refused.headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+});
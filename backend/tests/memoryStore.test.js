@@ -0,0 +1,102 @@
+import { createMemoryStore } from '../src/db/memory.js';
+
+describe('in-memory store', () => {
+  let store;
+  let tasks;
+
+  beforeEach(async () => {
+    store = createMemoryStore();
+    tasks = store.table('task_items');
+    await tasks.insert([
+      { title: 'Alpha', position: 2, priority: 'high', completed_at: null, tags: ['a', 'b'] },
+      { title: 'beta', position: 1, priority: 'low', completed_at: '2026-01-02T00:00:00.000Z', tags: ['b'] },
+      { title: 'Gamma 100%', position: 3, priority: 'high', completed_at: null, tags: [] }
+    ]);
+  });
+
+  const titles = (rows) => rows.map((row) => row.title);
+
+  test('gives new rows an id and created_at', async () => {
+    const row = await tasks.insert({ title: 'Delta' });
+    expect(row.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(Date.parse(row.created_at)).not.toBeNaN();
+  });
+
+  test('filters with values, null and operators', async () => {
+    expect(titles(await tasks.find({ priority: 'high' }))).toEqual(['Alpha', 'Gamma 100%']);
+    expect(titles(await tasks.find({ completed_at: null }))).toEqual(['Alpha', 'Gamma 100%']);
+    expect(titles(await tasks.find({ completed_at: { neq: null } }))).toEqual(['beta']);
+    expect(titles(await tasks.find({ position: { gte: 2, lt: 3 } }))).toEqual(['Alpha']);
+    expect(titles(await tasks.find({ title: { in: ['beta', 'Zeta'] } }))).toEqual(['beta']);
+    expect(titles(await tasks.find({ tags: { contains: ['b'] } }))).toEqual(['Alpha', 'beta']);
+    expect(titles(await tasks.find({ or: [{ position: 1 }, { priority: 'high', position: 3 }] }))).toEqual(['beta', 'Gamma 100%']);
+    expect(await tasks.count({ completed_at: { lt: '2026-02-01T00:00:00Z' } })).toBe(1);
+  });
+
+  test('ilike is case-insensitive and honours escaped wildcards', async () => {
+    expect(titles(await tasks.find({ title: { ilike: 'a%' } }))).toEqual(['Alpha']);
+    expect(titles(await tasks.find({ title: { ilike: '%ET_' } }))).toEqual(['beta']);
+    expect(titles(await tasks.find({ title: { ilike: '%0\\%' } }))).toEqual(['Gamma 100%']);
+    expect(titles(await tasks.find({ title: { ilike: '%\\_%' } }))).toEqual([]);
+  });
+
+  test('sorts, pages and picks columns', async () => {
+    expect(titles(await tasks.find({}, { orderBy: 'position' }))).toEqual(['beta', 'Alpha', 'Gamma 100%']);
+    expect(titles(await tasks.find({}, { orderBy: ['priority', '-position'] }))).toEqual(['Gamma 100%', 'Alpha', 'beta']);
+    expect(titles(await tasks.find({}, { orderBy: 'position', limit: 1, offset: 1 }))).toEqual(['Alpha']);
+    expect(await tasks.findOne({ title: 'beta' }, { columns: ['title', 'missing'] })).toEqual({ title: 'beta', missing: null });
+    expect(await tasks.findOne({ title: 'nope' })).toBeNull();
+  });
+
+  test('returns copies, not the stored rows', async () => {
+    const row = await tasks.findOne({ title: 'Alpha' });
+    row.tags.push('changed');
+    expect((await tasks.findOne({ title: 'Alpha' })).tags).toEqual(['a', 'b']);
+  });
+
+  test('enforces unique keys like Postgres, all rows or none', async () => {
+    const users = store.table('users');
+    await users.insert({ email: 'a@example.com' });
+
+    await expect(users.insert([{ email: 'b@example.com' }, { email: 'a@example.com' }]))
+      .rejects.toMatchObject({ code: '23505' });
+    expect(await users.count({})).toBe(1);
+
+    const other = await users.insert({ email: 'c@example.com' });
+    await expect(users.update({ id: other.id }, { email: 'a@example.com' })).rejects.toMatchObject({ code: '23505' });
+  });
+
+  test('upserts on a chosen key', async () => {
+    const members = store.table('workspace_members');
+    const key = { workspace_id: 'w1', user_id: 'u1' };
+
+    await members.upsert({ ...key, role: 'member' }, { onConflict: 'workspace_id,user_id' });
+    const [updated] = await members.upsert({ ...key, role: 'admin' }, { onConflict: 'workspace_id,user_id' });
+    expect(updated.role).toBe('admin');
+
+    const ignored = await members.upsert({ ...key, role: 'guest' }, { onConflict: 'workspace_id,user_id', ignoreDuplicates: true });
+    expect(ignored).toEqual([]);
+    expect(await members.find({})).toEqual([expect.objectContaining({ role: 'admin', joined_at: expect.any(String) })]);
+  });
+
+  test('updates and deletes return the affected rows', async () => {
+    const updated = await tasks.update({ priority: 'high' }, { priority: 'urgent', title: undefined });
+    expect(titles(updated)).toEqual(['Alpha', 'Gamma 100%']);
+    expect(updated[0].priority).toBe('urgent');
+
+    const deleted = await tasks.delete({ priority: 'urgent' });
+    expect(deleted).toHaveLength(2);
+    expect(await tasks.count({})).toBe(1);
+  });
+
+  test('keeps uploaded files', async () => {
+    await store.fileStorage.upload('workspace-files', 'w1/a.txt', Buffer.from('hello'), 'text/plain');
+    expect(await store.fileStorage.read('workspace-files', 'w1/a.txt')).toEqual({
+      buffer: Buffer.from('hello'),
+      contentType: 'text/plain'
+    });
+
+    await store.fileStorage.remove('workspace-files', ['w1/a.txt']);
+    expect(await store.fileStorage.read('workspace-files', 'w1/a.txt')).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+import { db } from '../src/db/index.js';
+import { sendDueDigests } from '../src/services/digests.js';
+import { sendPendingEmails } from '../src/services/notifications.js';
+import { isQuietTime } from '../src/services/notificationPreferences.js';
+import { addMember, createWorkspace, registerUser, sentMail, startApi } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// "HH:MM" in UTC, `offsetHours` from now
+const utcTime = (offsetHours) => new Date(Date.now() + offsetHours * HOUR_MS).toISOString().slice(11, 16);
+
+describe('notification preferences, quiet hours and digests', () => {
+  let api;
+  let owner;
+  let workspaceId;
+  let listId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner, 'Prefs');
+    listId = (await api.request('POST', '/tasks/lists', {
+      token: owner.token,
+      body: { workspaceId, name: 'To do' }
+    })).body.list.id;
+  });
+
+  afterAll(() => api.close());
+
+  const savePreferences = (user, body) => api.request('PUT', '/notifications/preferences', { token: user.token, body });
+
+  const assign = (assignee, fields = {}) => api.request('POST', '/tasks/tasks', {
+    token: owner.token,
+    body: { listId, title: 'Assigned work', assigneeId: assignee.id, ...fields }
+  });
+
+  const mailTo = (user) => sentMail.filter((message) => message.to === user.email);
+
+  const unread = async (user) => (await api.request('GET', '/notifications?unread=true', { token: user.token })).body.notifications;
+
+  test('everything is in-app only until changed', async () => {
+    const { status, body } = await api.request('GET', '/notifications/preferences', { token: owner.token });
+    expect(status).toBe(200);
+    expect(body.preferences.channels['task.assigned']).toEqual({ inApp: true, email: false });
+    expect(body.preferences.settings).toMatchObject({ quietHoursStart: null, timezone: 'UTC', digestFrequency: 'off' });
+    expect(body.digestFrequencies).toEqual(['off', 'daily', 'weekly']);
+  });
+
+  test('opting in to email sends a copy of each notification', async () => {
+    const member = await addMember(api, owner, workspaceId);
+    await savePreferences(member, { channels: { 'task.assigned': { inApp: true, email: true } } });
+
+    await assign(member, { title: 'Email me' });
+
+    expect(mailTo(member).pop().subject).toMatch(/assigned you "Email me" in Prefs/);
+  });
+
+  test('a workspace override wins over the defaults', async () => {
+    const member = await addMember(api, owner, workspaceId);
+    await api.request('POST', '/notifications/read', { token: member.token, body: { all: true } });
+
+    const overridden = await api.request('PUT', `/notifications/preferences/workspaces/${workspaceId}`, {
+      token: member.token,
+      body: { channels: { 'task.assigned': { inApp: false, email: false } } }
+    });
+    expect(overridden.body.preferences.workspaces).toEqual([
+      expect.objectContaining({ workspaceId, channels: expect.objectContaining({ 'task.assigned': { inApp: false, email: false } }) })
+    ]);
+
+    await assign(member, { title: 'Muted' });
+    expect(await unread(member)).toEqual([]);
+
+    await api.request('DELETE', `/notifications/preferences/workspaces/${workspaceId}`, { token: member.token });
+    await assign(member, { title: 'Heard' });
+    expect((await unread(member)).map((notification) => notification.data.title)).toEqual(['Heard']);
+
+    const outsider = await registerUser(api);
+    const notMember = await api.request('PUT', `/notifications/preferences/workspaces/${workspaceId}`, {
+      token: outsider.token,
+      body: { channels: {} }
+    });
+    expect(notMember.status).toBe(403);
+  });
+
+  test('quiet hours hold emails back until they end', async () => {
+    const member = await addMember(api, owner, workspaceId);
+    await savePreferences(member, {
+      channels: { 'task.assigned': { inApp: true, email: true } },
+      quietHoursStart: utcTime(-1),
+      quietHoursEnd: utcTime(1)
+    });
+    const mailBefore = mailTo(member).length;
+
+    await assign(member, { title: 'Shh' });
+    expect(mailTo(member)).toHaveLength(mailBefore);
+    expect((await unread(member)).map((notification) => notification.data.title)).toContain('Shh');
+
+    await sendPendingEmails(new Date());
+    expect(mailTo(member)).toHaveLength(mailBefore);
+
+    await sendPendingEmails(new Date(Date.now() + 3 * HOUR_MS));
+    expect(mailTo(member).pop().subject).toMatch(/"Shh"/);
+
+    // Nothing is sent twice
+    await sendPendingEmails(new Date(Date.now() + 3 * HOUR_MS));
+    expect(mailTo(member)).toHaveLength(mailBefore + 1);
+  });
+
+  test('quiet hours can wrap past midnight in the user\'s timezone', () => {
+    const settings = { quietHoursStart: '22:00', quietHoursEnd: '07:00', timezone: 'America/New_York' };
+
+    expect(isQuietTime(settings, new Date('2026-01-15T04:00:00Z'))).toBe(true); // 23:00 in New York
+    expect(isQuietTime(settings, new Date('2026-01-15T11:30:00Z'))).toBe(true); // 06:30
+    expect(isQuietTime(settings, new Date('2026-01-15T17:00:00Z'))).toBe(false); // 12:00
+  });
+
+  test('invalid quiet hours and timezones are refused', async () => {
+    const sameTimes = await savePreferences(owner, { quietHoursStart: '08:00', quietHoursEnd: '08:00' });
+    expect(sameTimes.status).toBe(400);
+
+    const halfSet = await savePreferences(owner, { quietHoursStart: '08:00' });
+    expect(halfSet.status).toBe(400);
+
+    const timezone = await savePreferences(owner, { timezone: 'Mars/Olympus_Mons' });
+    expect(timezone.status).toBe(400);
+    expect(timezone.body.error).toBe('Unknown timezone');
+  });
+
+  test('a daily digest sums up what happened once a day has passed', async () => {
+    const subscriber = await addMember(api, owner, workspaceId);
+    const enabled = await savePreferences(subscriber, { digestFrequency: 'daily' });
+    expect(enabled.body.preferences.settings.digestFrequency).toBe('daily');
+
+    await assign(subscriber, { title: 'Due soon', dueDate: new Date(Date.now() + 30 * HOUR_MS).toISOString() });
+    await api.request('POST', '/documents', { token: owner.token, body: { workspaceId, title: 'Fresh notes' } });
+    await db.table('chat_messages').insert({ workspace_id: workspaceId, user_id: owner.id, content: 'Morning all' });
+
+    // Not due yet: enabling it starts the period now
+    expect(await sendDueDigests()).toBe(0);
+
+    const tomorrow = new Date(Date.now() + 24 * HOUR_MS);
+    expect(await sendDueDigests({ now: tomorrow })).toBe(1);
+
+    const digest = mailTo(subscriber).pop();
+    expect(digest.subject).toBe('Your daily summary');
+    expect(digest.text).toContain('Prefs');
+    expect(digest.text).toContain('1 unread chat message');
+    expect(digest.text).toMatch(/Task due .*: Due soon/);
+    expect(digest.text).toContain('Document updated: Fresh notes');
+
+    // The next one waits another day
+    expect(await sendDueDigests({ now: tomorrow })).toBe(0);
+  });
+});
@@ -0,0 +1,110 @@
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+describe('notification center', () => {
+  let api;
+  let owner;
+  let workspaceId;
+  let member;
+  let listId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api, { firstName: 'Nora' });
+    workspaceId = await createWorkspace(api, owner, 'Notified');
+    member = await addMember(api, owner, workspaceId);
+
+    listId = (await api.request('POST', '/tasks/lists', {
+      token: owner.token,
+      body: { workspaceId, name: 'To do' }
+    })).body.list.id;
+  });
+
+  afterAll(() => api.close());
+
+  const assign = (title, assigneeId, actor = owner) =>
+    api.request('POST', '/tasks/tasks', { token: actor.token, body: { listId, title, assigneeId } });
+
+  // A member whose inbox starts out read, invite included
+  const newMember = async () => {
+    const user = await addMember(api, owner, workspaceId);
+    await api.request('POST', '/notifications/read', { token: user.token, body: { all: true } });
+    return user;
+  };
+
+  const inbox = (user, query = '') => api.request('GET', `/notifications${query}`, { token: user.token });
+
+  test('an invite to an existing account shows up in the app', async () => {
+    const invitee = await registerUser(api);
+    await api.request('POST', `/workspaces/${workspaceId}/invite`, {
+      token: owner.token,
+      body: { email: invitee.email, role: 'guest' }
+    });
+
+    const { body } = await inbox(invitee);
+    expect(body.unreadCount).toBe(1);
+    expect(body.notifications[0]).toMatchObject({
+      type: 'workspace.invited',
+      actor: { id: owner.id, firstName: 'Nora' },
+      workspace: { id: workspaceId, name: 'Notified' },
+      data: { role: 'guest' },
+      readAt: null
+    });
+    expect(body.notifications[0].data.link).toMatch(/^\/invite\?token=/);
+  });
+
+  test('assignees hear about tasks, but not about their own', async () => {
+    const assignee = await newMember();
+
+    await assign('Review the draft', assignee.id);
+    await assign('Self-assigned', assignee.id, assignee);
+
+    const { body } = await inbox(assignee, '?unread=true');
+    expect(body.notifications).toHaveLength(1);
+    expect(body.notifications[0].data.title).toBe('Review the draft');
+    expect(body.notifications[0]).toMatchObject({ type: 'task.assigned', data: { listName: 'To do' } });
+  });
+
+  test('notifications can be marked read one by one or all at once', async () => {
+    const reader = await newMember();
+    await assign('First', reader.id);
+    await assign('Second', reader.id);
+    await assign('Third', reader.id);
+
+    const { body } = await inbox(reader, '?unread=true');
+    expect(body.unreadCount).toBe(3);
+
+    const one = await api.request('POST', '/notifications/read', {
+      token: reader.token,
+      body: { ids: [body.notifications[0].id] }
+    });
+    expect(one.body).toMatchObject({ readIds: [body.notifications[0].id], unreadCount: 2 });
+
+    const unread = await inbox(reader, '?unread=true');
+    expect(unread.body.notifications).toHaveLength(2);
+
+    const all = await api.request('POST', '/notifications/read', { token: reader.token, body: { all: true } });
+    expect(all.body.unreadCount).toBe(0);
+    expect(all.body.readIds).toHaveLength(2);
+
+    const count = await api.request('GET', '/notifications/unread-count', { token: reader.token });
+    expect(count.body.unreadCount).toBe(0);
+
+    const nothing = await api.request('POST', '/notifications/read', { token: reader.token, body: {} });
+    expect(nothing.status).toBe(400);
+  });
+
+  test('nobody can read or mark someone else\'s notifications', async () => {
+    const target = await newMember();
+    await assign('Private', target.id);
+    const [notification] = (await inbox(target, '?unread=true')).body.notifications;
+
+    expect((await inbox(member)).body.notifications.map((item) => item.id)).not.toContain(notification.id);
+
+    const marked = await api.request('POST', '/notifications/read', {
+      token: member.token,
+      body: { ids: [notification.id] }
+    });
+    expect(marked.body.readIds).toEqual([]);
+    expect((await inbox(target)).body.unreadCount).toBe(1);
+  });
+});
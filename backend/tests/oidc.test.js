@@ -0,0 +1,128 @@
+import { spawn } from 'child_process';
+import net from 'net';
+import { registerUser, startApi } from './helpers.js';
+
+const freePort = () => new Promise((resolve) => {
+  const server = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Start scripts/mock-oidc-server.js and wait until it's listening
+const startMockProvider = async () => {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['scripts/mock-oidc-server.js'], {
+    env: { ...process.env, MOCK_OIDC_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (data) => data.toString().includes('running') && resolve());
+    child.on('exit', () => reject(new Error('Mock OIDC provider exited')));
+  });
+
+  return { issuer: `http://localhost:${port}`, stop: () => child.kill() };
+};
+
+const location = (response) => new URL(response.headers.get('location'));
+
+describe('OpenID Connect single sign-on', () => {
+  let api;
+  let provider;
+
+  beforeAll(async () => {
+    api = await startApi();
+    provider = await startMockProvider();
+
+    process.env.OIDC_ISSUER = provider.issuer;
+    process.env.OIDC_CLIENT_ID = 'collab-suite';
+    process.env.OIDC_CLIENT_SECRET = 'collab-suite-secret';
+    process.env.OIDC_REDIRECT_URI = `${api.baseUrl}/auth/oidc/callback`;
+  });
+
+  afterAll(async () => {
+    provider.stop();
+    await api.close();
+  });
+
+  // Go through the browser side of the flow, signing in at the provider as
+  // `profile`; returns where the API finally sends the browser back to
+  const signIn = async (profile, { keepCookie = true } = {}) => {
+    const start = await fetch(`${api.baseUrl}/auth/oidc/login`, { redirect: 'manual' });
+    expect(start.status).toBe(302);
+    const cookie = start.headers.get('set-cookie').split(';')[0];
+    const authorize = location(start);
+    expect(authorize.origin).toBe(provider.issuer);
+
+    const consent = await fetch(`${provider.issuer}/authorize`, {
+      method: 'POST',
+      redirect: 'manual',
+      body: new URLSearchParams({
+        ...Object.fromEntries(authorize.searchParams),
+        email: profile.email,
+        name: profile.name || 'Jane Doe',
+        ...(profile.emailVerified === false ? {} : { email_verified: 'on' }),
+        decision: 'allow'
+      })
+    });
+
+    const callback = await fetch(location(consent), {
+      redirect: 'manual',
+      headers: keepCookie ? { Cookie: cookie } : {}
+    });
+    return location(callback);
+  };
+
+  const exchange = (code) => api.request('POST', '/auth/oidc/exchange', { body: { code } });
+
+  test('reports that it is configured', async () => {
+    const config = await api.request('GET', '/auth/oidc/config');
+    expect(config.body).toEqual({ enabled: true, providerName: 'SSO' });
+  });
+
+  test('provisions an account on first sign-in and reuses it after', async () => {
+    const landing = await signIn({ email: 'sso-new@example.com', name: 'Ada Lovelace' });
+    expect(landing.pathname).toBe('/sso/callback');
+
+    const first = await exchange(landing.searchParams.get('code'));
+    expect(first.status).toBe(200);
+    expect(first.body.user).toMatchObject({ email: 'sso-new@example.com', firstName: 'Ada', lastName: 'Lovelace' });
+
+    const again = await exchange((await signIn({ email: 'sso-new@example.com' })).searchParams.get('code'));
+    expect(again.body.user.id).toBe(first.body.user.id);
+  });
+
+  test('links to an existing account with the same verified email', async () => {
+    const user = await registerUser(api, { email: 'sso-existing@example.com' });
+
+    const landing = await signIn({ email: user.email });
+    const signedIn = await exchange(landing.searchParams.get('code'));
+    expect(signedIn.body.user.id).toBe(user.id);
+  });
+
+  test('the login code works once', async () => {
+    const code = (await signIn({ email: 'sso-once@example.com' })).searchParams.get('code');
+
+    expect((await exchange(code)).status).toBe(200);
+
+    const replayed = await exchange(code);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('won\'t link on an email the provider hasn\'t verified', async () => {
+    await registerUser(api, { email: 'sso-unverified@example.com' });
+
+    const landing = await signIn({ email: 'sso-unverified@example.com', emailVerified: false });
+    expect(landing.searchParams.get('code')).toBeNull();
+    expect(landing.searchParams.get('error')).toMatch(/verified email/);
+  });
+
+  test('a callback from another browser is refused', async () => {
+    const landing = await signIn({ email: 'sso-csrf@example.com' }, { keepCookie: false });
+
+    expect(landing.searchParams.get('code')).toBeNull();
+    expect(landing.searchParams.get('error')).toMatch(/expired/);
+  });
+});
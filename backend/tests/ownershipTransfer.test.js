@@ -0,0 +1,102 @@
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+describe('leaving a workspace and transferring ownership', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(() => api.close());
+
+  const roles = async (viewer, workspaceId) => {
+    const { body } = await api.request('GET', `/workspaces/${workspaceId}`, { token: viewer.token });
+    return Object.fromEntries(body.members.map((member) => [member.id, member.role]));
+  };
+
+  test('ownership only changes hands once the new owner accepts', async () => {
+    const owner = await registerUser(api);
+    const workspaceId = await createWorkspace(api, owner);
+    const member = await addMember(api, owner, workspaceId);
+
+    const offered = await api.request('POST', `/workspaces/${workspaceId}/ownership-transfer`, {
+      token: owner.token,
+      body: { userId: member.id }
+    });
+    expect(offered.status).toBe(201);
+    expect(offered.body.transfer).toMatchObject({ from: { id: owner.id }, to: { id: member.id } });
+    expect(await roles(owner, workspaceId)).toMatchObject({ [owner.id]: 'owner', [member.id]: 'member' });
+
+    const pending = await api.request('GET', `/workspaces/${workspaceId}/ownership-transfer`, { token: member.token });
+    expect(pending.body.transfer.to.id).toBe(member.id);
+
+    // Only the person it was offered to can accept it
+    const admin = await addMember(api, owner, workspaceId, 'admin');
+    const hijack = await api.request('POST', `/workspaces/${workspaceId}/ownership-transfer/accept`, { token: admin.token });
+    expect(hijack.status).toBe(404);
+
+    const accepted = await api.request('POST', `/workspaces/${workspaceId}/ownership-transfer/accept`, { token: member.token });
+    expect(accepted.status).toBe(200);
+    expect(await roles(owner, workspaceId)).toMatchObject({ [owner.id]: 'admin', [member.id]: 'owner' });
+
+    const cleared = await api.request('GET', `/workspaces/${workspaceId}/ownership-transfer`, { token: member.token });
+    expect(cleared.body.transfer).toBeNull();
+  });
+
+  test('the new owner can decline and only the owner can offer', async () => {
+    const owner = await registerUser(api);
+    const workspaceId = await createWorkspace(api, owner);
+    const member = await addMember(api, owner, workspaceId);
+    const admin = await addMember(api, owner, workspaceId, 'admin');
+
+    const byAdmin = await api.request('POST', `/workspaces/${workspaceId}/ownership-transfer`, {
+      token: admin.token,
+      body: { userId: member.id }
+    });
+    expect(byAdmin.status).toBe(403);
+
+    const outsider = await registerUser(api);
+    const toOutsider = await api.request('POST', `/workspaces/${workspaceId}/ownership-transfer`, {
+      token: owner.token,
+      body: { userId: outsider.id }
+    });
+    expect(toOutsider.status).toBe(404);
+
+    await api.request('POST', `/workspaces/${workspaceId}/ownership-transfer`, { token: owner.token, body: { userId: member.id } });
+    const declined = await api.request('DELETE', `/workspaces/${workspaceId}/ownership-transfer`, { token: member.token });
+    expect(declined.status).toBe(200);
+
+    const accepted = await api.request('POST', `/workspaces/${workspaceId}/ownership-transfer/accept`, { token: member.token });
+    expect(accepted.status).toBe(404);
+    expect(await roles(owner, workspaceId)).toMatchObject({ [owner.id]: 'owner' });
+  });
+
+  test('the owner must hand over ownership before leaving', async () => {
+    const owner = await registerUser(api);
+    const workspaceId = await createWorkspace(api, owner);
+
+    const left = await api.request('POST', `/workspaces/${workspaceId}/leave`, { token: owner.token });
+    expect(left.status).toBe(409);
+    expect(left.body.code).toBe('OWNERSHIP_TRANSFER_REQUIRED');
+  });
+
+  test('members can leave, and leaving drops an offer made to them', async () => {
+    const owner = await registerUser(api);
+    const workspaceId = await createWorkspace(api, owner);
+    const member = await addMember(api, owner, workspaceId);
+
+    await api.request('POST', `/workspaces/${workspaceId}/ownership-transfer`, { token: owner.token, body: { userId: member.id } });
+
+    const left = await api.request('POST', `/workspaces/${workspaceId}/leave`, { token: member.token });
+    expect(left.status).toBe(200);
+
+    const workspace = await api.request('GET', `/workspaces/${workspaceId}`, { token: member.token });
+    expect(workspace.status).toBe(403);
+
+    const pending = await api.request('GET', `/workspaces/${workspaceId}/ownership-transfer`, { token: owner.token });
+    expect(pending.body.transfer).toBeNull();
+
+    const again = await api.request('POST', `/workspaces/${workspaceId}/leave`, { token: member.token });
+    expect(again.status).toBe(404);
+  });
+});
@@ -0,0 +1,130 @@
+import { CAPABILITIES, canManageMember, getCapabilities, hasCapability } from '../src/services/permissions.js';
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+const {
+  VIEW_WORKSPACE, MANAGE_WORKSPACE, DELETE_WORKSPACE, TRANSFER_OWNERSHIP, INVITE_MEMBERS, MANAGE_MEMBERS,
+  VIEW_AUDIT_LOG, MANAGE_WEBHOOKS, EDIT_DOCUMENTS, MANAGE_TASKS, UPLOAD_FILES, DELETE_FILES, SEND_MESSAGES,
+  START_CALLS, DRAW_WHITEBOARD
+} = CAPABILITIES;
+
+// What each role may do, written out rather than derived so a change to the
+// role definitions has to be made here too
+const EXPECTED = {
+  owner: [
+    VIEW_WORKSPACE, MANAGE_WORKSPACE, DELETE_WORKSPACE, TRANSFER_OWNERSHIP, INVITE_MEMBERS, MANAGE_MEMBERS,
+    VIEW_AUDIT_LOG, MANAGE_WEBHOOKS, EDIT_DOCUMENTS, MANAGE_TASKS, UPLOAD_FILES, DELETE_FILES, SEND_MESSAGES,
+    START_CALLS, DRAW_WHITEBOARD
+  ],
+  admin: [
+    VIEW_WORKSPACE, MANAGE_WORKSPACE, INVITE_MEMBERS, MANAGE_MEMBERS, VIEW_AUDIT_LOG, MANAGE_WEBHOOKS,
+    EDIT_DOCUMENTS, MANAGE_TASKS, UPLOAD_FILES, DELETE_FILES, SEND_MESSAGES, START_CALLS, DRAW_WHITEBOARD
+  ],
+  member: [VIEW_WORKSPACE, EDIT_DOCUMENTS, MANAGE_TASKS, UPLOAD_FILES, SEND_MESSAGES, START_CALLS, DRAW_WHITEBOARD],
+  guest: [VIEW_WORKSPACE, SEND_MESSAGES]
+};
+
+// Still allowed once a workspace is archived (for roles that had them)
+const ARCHIVED = [VIEW_WORKSPACE, MANAGE_WORKSPACE, DELETE_WORKSPACE, TRANSFER_OWNERSHIP, VIEW_AUDIT_LOG];
+
+const matrix = Object.entries(EXPECTED).flatMap(([role, allowed]) =>
+  Object.values(CAPABILITIES).map((capability) => [role, capability, allowed.includes(capability)]));
+
+describe('role capabilities', () => {
+  test.each(matrix)('%s may %s: %s', (role, capability, allowed) => {
+    expect(hasCapability(role, capability)).toBe(allowed);
+    expect(hasCapability(role, capability, { archived: true })).toBe(allowed && ARCHIVED.includes(capability));
+  });
+
+  test('unknown roles may do nothing', () => {
+    expect(getCapabilities('visitor')).toEqual([]);
+    expect(hasCapability(undefined, VIEW_WORKSPACE)).toBe(false);
+  });
+
+  test('owners manage everyone below them, admins only members and guests', () => {
+    expect(canManageMember('owner', 'admin', 'member')).toBe(true);
+    expect(canManageMember('owner', 'guest')).toBe(true);
+    expect(canManageMember('owner', 'admin', 'owner')).toBe(false);
+
+    expect(canManageMember('admin', 'member', 'guest')).toBe(true);
+    expect(canManageMember('admin', 'admin')).toBe(false);
+    expect(canManageMember('admin', 'owner')).toBe(false);
+
+    expect(canManageMember('member', 'guest')).toBe(false);
+    expect(canManageMember('guest', 'guest')).toBe(false);
+  });
+});
+
+describe('workspace roles over the API', () => {
+  let api;
+  let owner;
+  let workspaceId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+  });
+
+  afterAll(() => api.close());
+
+  const createList = (user) =>
+    api.request('POST', '/tasks/lists', { token: user.token, body: { workspaceId, name: 'To do' } });
+
+  test('outsiders cannot see the workspace', async () => {
+    const outsider = await registerUser(api);
+
+    const board = await api.request('GET', `/tasks/workspace/${workspaceId}`, { token: outsider.token });
+    expect(board.status).toBe(403);
+    expect(board.body.code).toBe('NOT_A_MEMBER');
+  });
+
+  test('guests can look but not change content', async () => {
+    const guest = await addMember(api, owner, workspaceId, 'guest');
+
+    expect((await api.request('GET', `/tasks/workspace/${workspaceId}`, { token: guest.token })).status).toBe(200);
+
+    const created = await createList(guest);
+    expect(created.status).toBe(403);
+    expect(created.body.code).toBe('FORBIDDEN');
+  });
+
+  test('members manage tasks but not people', async () => {
+    const member = await addMember(api, owner, workspaceId, 'member');
+
+    expect((await createList(member)).status).toBe(201);
+
+    const invited = await api.request('POST', `/workspaces/${workspaceId}/invite`, {
+      token: member.token,
+      body: { email: 'friend@example.com' }
+    });
+    expect(invited.status).toBe(403);
+  });
+
+  test('admins cannot change another admin\'s role', async () => {
+    const admin = await addMember(api, owner, workspaceId, 'admin');
+    const otherAdmin = await addMember(api, owner, workspaceId, 'admin');
+
+    const changed = await api.request('PATCH', `/workspaces/${workspaceId}/members/${otherAdmin.id}/role`, {
+      token: admin.token,
+      body: { role: 'guest' }
+    });
+    expect(changed.status).toBe(403);
+
+    const byOwner = await api.request('PATCH', `/workspaces/${workspaceId}/members/${otherAdmin.id}/role`, {
+      token: owner.token,
+      body: { role: 'guest' }
+    });
+    expect(byOwner.status).toBe(200);
+    expect((await createList(otherAdmin)).status).toBe(403);
+  });
+
+  test('removed members lose access at once', async () => {
+    const member = await addMember(api, owner, workspaceId, 'member');
+
+    const removed = await api.request('DELETE', `/workspaces/${workspaceId}/members/${member.id}`, { token: owner.token });
+    expect(removed.status).toBe(200);
+
+    const board = await api.request('GET', `/tasks/workspace/${workspaceId}`, { token: member.token });
+    expect(board.status).toBe(403);
+  });
+});
@@ -0,0 +1,107 @@
+import express from 'express';
+
+// Limits are read when the modules load, so set them before importing
+process.env.RATE_LIMITS_ENABLED = 'true';
+process.env.RATE_LIMIT_API_IP = '3/60';
+process.env.RATE_LIMIT_SOCKET_SEND_MESSAGE = '2/10';
+
+const { MemoryRateLimitStore, consume, setRateLimitStore, socketLimitFor } = await import('../src/services/rateLimit.js');
+const { limitSocketEvents, rateLimit } = await import('../src/middleware/rateLimit.js');
+
+describe('token-bucket rate limits', () => {
+  afterEach(() => setRateLimitStore(new MemoryRateLimitStore()));
+
+  test('a bucket allows its burst, then refills over time', async () => {
+    const store = new MemoryRateLimitStore();
+    const limit = { burst: 2, refillPerSecond: 1 };
+
+    expect(await store.take('key', limit, 0)).toEqual({ allowed: true, remaining: 1, retryAfter: 0 });
+    expect(await store.take('key', limit, 0)).toEqual({ allowed: true, remaining: 0, retryAfter: 0 });
+    expect(await store.take('key', limit, 0)).toEqual({ allowed: false, remaining: 0, retryAfter: 1 });
+
+    expect((await store.take('key', limit, 1000)).allowed).toBe(true);
+    expect((await store.take('other', limit, 1000)).remaining).toBe(1);
+    clearInterval(store.sweeper);
+  });
+
+  test('idle buckets are swept once full again', async () => {
+    const store = new MemoryRateLimitStore();
+    await store.take('key', { burst: 2, refillPerSecond: 1 }, 0);
+
+    store.sweep(500);
+    expect(store.buckets.has('key')).toBe(true);
+    store.sweep(1000);
+    expect(store.buckets.has('key')).toBe(false);
+    clearInterval(store.sweeper);
+  });
+
+  test('the emptiest bucket decides, and a broken store lets requests through', async () => {
+    const limit = { burst: 5, refillPerSecond: 1 };
+    const store = new MemoryRateLimitStore();
+    setRateLimitStore(store);
+    await store.take('busy', limit);
+    await store.take('busy', limit);
+
+    expect((await consume([{ key: 'idle', limit }, { key: 'busy', limit }])).remaining).toBe(2);
+
+    setRateLimitStore({ take: async () => { throw new Error('Store is down'); } });
+    expect((await consume([{ key: 'idle', limit }])).allowed).toBe(true);
+    clearInterval(store.sweeper);
+  });
+
+  test('limits come from the environment, with defaults for the rest', () => {
+    expect(socketLimitFor('send-message')).toEqual({ burst: 2, refillPerSecond: 0.2 });
+    expect(socketLimitFor('some-event')).toEqual({ burst: 30, refillPerSecond: 3 });
+  });
+
+  test('HTTP requests over the limit get a 429 with Retry-After', async () => {
+    const app = express();
+    app.get('/limited', rateLimit('api', { by: ['ip'] }), (req, res) => res.json({ ok: true }));
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/limited`;
+
+    try {
+      const statuses = [];
+      for (let i = 0; i < 4; i++) statuses.push((await fetch(url)).status);
+      expect(statuses).toEqual([200, 200, 200, 429]);
+
+      const throttled = await fetch(url);
+      expect(throttled.headers.get('retry-after')).toBe('20');
+      expect(await throttled.json()).toMatchObject({ code: 'RATE_LIMITED', retryAfter: 20 });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('throttled socket events are dropped with one notice per period', async () => {
+    const emitted = [];
+    let middleware;
+    const socket = {
+      data: { userId: 'user-1' },
+      use: (fn) => { middleware = fn; },
+      listenerCount: (event) => (event === 'send-message' ? 1 : 0),
+      emit: (event, payload) => emitted.push([event, payload])
+    };
+    limitSocketEvents(socket);
+
+    const send = (packet) => new Promise((resolve) => {
+      middleware(packet, () => resolve('passed'));
+      setTimeout(() => resolve('dropped'), 20);
+    });
+
+    expect(await send(['send-message', {}])).toBe('passed');
+    expect(await send(['send-message', {}])).toBe('passed');
+    expect(await send(['send-message', {}])).toBe('dropped');
+    expect(await send(['send-message', {}])).toBe('dropped');
+    expect(emitted).toEqual([['rate-limited', expect.objectContaining({ code: 'RATE_LIMITED', event: 'send-message' })]]);
+
+    // Acknowledgements get the error instead
+    let acknowledged;
+    await send(['send-message', {}, (response) => { acknowledged = response; }]);
+    expect(acknowledged.error.code).toBe('RATE_LIMITED');
+
+    // Events nothing handles aren't counted
+    expect(await send(['unknown-event'])).toBe('passed');
+  });
+});
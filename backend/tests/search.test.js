@@ -0,0 +1,87 @@
+import { db } from '../src/db/index.js';
+import { createWorkspace, registerUser, startApi } from './helpers.js';
+
+describe('workspace search', () => {
+  let api;
+  let owner;
+  let workspaceId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api, { firstName: 'Sam', lastName: 'Search' });
+    workspaceId = await createWorkspace(api, owner);
+
+    const { list } = (await api.request('POST', '/tasks/lists', {
+      token: owner.token,
+      body: { workspaceId, name: 'Backlog' }
+    })).body;
+    for (const task of [
+      { title: 'Launch plan', description: 'Dates for the launch' },
+      { title: 'Tidy up', description: 'After the launch, archive the old board' },
+      { title: '100% done', description: 'Literal percent sign' }
+    ]) {
+      await api.request('POST', '/tasks/tasks', { token: owner.token, body: { listId: list.id, ...task } });
+    }
+
+    await api.request('POST', '/documents', { token: owner.token, body: { workspaceId, title: 'Launch checklist' } });
+    await db.table('chat_messages').insert({ workspace_id: workspaceId, user_id: owner.id, content: 'Is the launch still on?' });
+
+    // Content elsewhere never shows up
+    const otherId = await createWorkspace(api, owner, 'Other');
+    await api.request('POST', '/documents', { token: owner.token, body: { workspaceId: otherId, title: 'Launch secrets' } });
+  });
+
+  afterAll(() => api.close());
+
+  const search = (query, token = owner.token) =>
+    api.request('GET', `/workspaces/${workspaceId}/search?${query}`, { token });
+
+  test('ranks title matches above body matches across content types', async () => {
+    const { status, body } = await search('q=launch');
+    expect(status).toBe(200);
+    expect(body.total).toBe(4);
+    expect(body.counts).toEqual({ message: 1, task: 2, document: 1, file: 0 });
+
+    const titles = body.results.map((result) => result.title);
+    expect(titles.slice(0, 2).sort()).toEqual(['Launch checklist', 'Launch plan']);
+    expect(titles).not.toContain('Launch secrets');
+
+    const message = body.results.find((result) => result.type === 'message');
+    expect(message).toMatchObject({ title: 'Sam Search', snippet: 'Is the launch still on?' });
+
+    const task = body.results.find((result) => result.title === 'Tidy up');
+    expect(task).toMatchObject({ type: 'task', listName: 'Backlog', completed: false });
+  });
+
+  test('narrows to the requested types and pages', async () => {
+    const tasksOnly = await search('q=launch&type=task');
+    expect(tasksOnly.body.results.every((result) => result.type === 'task')).toBe(true);
+    expect(tasksOnly.body.counts).toEqual({ task: 2 });
+
+    const several = await search('q=launch&type=task,document');
+    expect(several.body.total).toBe(3);
+
+    // Repeating the parameter works like a comma-separated list
+    const repeated = await search('q=launch&type=task&type=document');
+    expect(repeated.status).toBe(200);
+    expect(repeated.body.counts).toEqual(several.body.counts);
+
+    const page = await search('q=launch&limit=3&offset=3');
+    expect(page.body.results).toHaveLength(1);
+    expect(page.body.hasMore).toBe(false);
+  });
+
+  test('matches wildcards literally', async () => {
+    const { body } = await search(`q=${encodeURIComponent('0%')}`);
+    expect(body.results.map((result) => result.title)).toEqual(['100% done']);
+  });
+
+  test('rejects short queries, unknown types and outsiders', async () => {
+    expect((await search('q=a')).status).toBe(400);
+    expect((await search('q=launch&type=email')).status).toBe(400);
+    expect((await search('q=launch&type=task&type=email')).status).toBe(400);
+
+    const outsider = await registerUser(api);
+    expect((await search('q=launch', outsider.token)).status).toBe(403);
+  });
+});
@@ -0,0 +1,69 @@
+import { registerUser, startApi } from './helpers.js';
+
+describe('sessions', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(() => api.close());
+
+  test('refreshing rotates the refresh token', async () => {
+    const user = await registerUser(api);
+
+    const refreshed = await api.request('POST', '/auth/refresh', { body: { refreshToken: user.refreshToken } });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refreshToken).not.toBe(user.refreshToken);
+
+    const sessions = await api.request('GET', '/auth/sessions', { token: refreshed.body.token });
+    expect(sessions.status).toBe(200);
+  });
+
+  test('reusing a rotated refresh token revokes the session', async () => {
+    const user = await registerUser(api);
+
+    const refreshed = await api.request('POST', '/auth/refresh', { body: { refreshToken: user.refreshToken } });
+    expect(refreshed.status).toBe(200);
+
+    const replayed = await api.request('POST', '/auth/refresh', { body: { refreshToken: user.refreshToken } });
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.code).toBe('REFRESH_INVALID');
+
+    // The legitimate holder's tokens die with the session
+    const next = await api.request('POST', '/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+    expect(next.status).toBe(401);
+    expect(next.body.code).toBe('REFRESH_INVALID');
+
+    const sessions = await api.request('GET', '/auth/sessions', { token: refreshed.body.token });
+    expect(sessions.status).toBe(401);
+    expect(sessions.body.code).toBe('SESSION_REVOKED');
+  });
+
+  test('logging out ends the access token at once', async () => {
+    const user = await registerUser(api);
+
+    const before = await api.request('GET', '/auth/sessions', { token: user.token });
+    expect(before.status).toBe(200);
+
+    const loggedOut = await api.request('POST', '/auth/logout', { body: { refreshToken: user.refreshToken } });
+    expect(loggedOut.status).toBe(200);
+
+    const after = await api.request('GET', '/auth/sessions', { token: user.token });
+    expect(after.status).toBe(401);
+    expect(after.body.code).toBe('SESSION_REVOKED');
+  });
+
+  test('signing out other sessions keeps the current one', async () => {
+    const user = await registerUser(api);
+    const login = await api.request('POST', '/auth/login', { body: { email: user.email, password: user.password } });
+    expect(login.status).toBe(200);
+
+    const revoked = await api.request('DELETE', '/auth/sessions', { token: login.body.token });
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.revokedCount).toBe(1);
+
+    expect((await api.request('GET', '/auth/sessions', { token: login.body.token })).status).toBe(200);
+    expect((await api.request('GET', '/auth/sessions', { token: user.token })).status).toBe(401);
+  });
+});
@@ -0,0 +1,7 @@
+// Runs before every test file: an in-memory store and no rate limits, so
+// tests need nothing running and can make as many requests as they like
+process.env.DATA_STORE = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMITS_ENABLED = 'false';
+process.env.MAIL_TRANSPORT = 'test';
+process.env.CLIENT_URL = 'http://localhost:5173';
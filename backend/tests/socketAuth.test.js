@@ -0,0 +1,60 @@
+import jwt from 'jsonwebtoken';
+import { authenticateSocket } from '../src/middleware/auth.js';
+import { registerUser, startApi } from './helpers.js';
+
+// Run the Socket.io middleware on a handshake carrying `auth`; resolves to
+// the socket and the error it was refused with, if any
+const handshake = (auth) => new Promise((resolve) => {
+  const socket = { handshake: { auth }, data: {} };
+  authenticateSocket(socket, (error) => resolve({ socket, error }));
+});
+
+describe('Socket.io handshake authentication', () => {
+  let api;
+  let user;
+
+  beforeAll(async () => {
+    api = await startApi();
+    user = await registerUser(api);
+  });
+
+  afterAll(() => api.close());
+
+  test('a valid token identifies the connection', async () => {
+    const { socket, error } = await handshake({ token: user.token });
+
+    expect(error).toBeUndefined();
+    expect(socket.data.userId).toBe(user.id);
+    expect(socket.data.sessionId).toBe(jwt.decode(user.token).sessionId);
+  });
+
+  test.each([
+    ['no token', {}, 'TOKEN_MISSING'],
+    ['a malformed token', { token: 'nope' }, 'TOKEN_INVALID'],
+    ['a forged token', { token: jwt.sign({ userId: 'someone' }, 'wrong-secret') }, 'TOKEN_INVALID']
+  ])('%s is refused', async (label, auth, code) => {
+    const { socket, error } = await handshake(auth);
+
+    expect(error.data.code).toBe(code);
+    expect(socket.data.userId).toBeUndefined();
+  });
+
+  test('an expired token is refused as expired', async () => {
+    const expired = jwt.sign(
+      { userId: user.id, sessionId: jwt.decode(user.token).sessionId, exp: Math.floor(Date.now() / 1000) - 1 },
+      process.env.JWT_SECRET
+    );
+
+    const { error } = await handshake({ token: expired });
+    expect(error.message).toBe('Token expired');
+    expect(error.data.code).toBe('TOKEN_EXPIRED');
+  });
+
+  test('a token from a signed-out session is refused', async () => {
+    const other = await registerUser(api);
+    await api.request('POST', '/auth/logout', { body: { refreshToken: other.refreshToken } });
+
+    const { error } = await handshake({ token: other.token });
+    expect(error.data.code).toBe('SESSION_REVOKED');
+  });
+});
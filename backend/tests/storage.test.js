@@ -0,0 +1,104 @@
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+// Upload a file to the workspace; resolves to its metadata row
+const uploadFile = async (api, user, workspaceId, name, type, content) => {
+  const form = new FormData();
+  form.append('workspaceId', workspaceId);
+  form.append('file', new Blob([content], { type }), name);
+
+  const response = await fetch(`${api.baseUrl}/files/upload`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${user.token}` },
+    body: form
+  });
+  expect(response.status).toBe(201);
+
+  return (await response.json()).file;
+};
+
+// Fetch a stored object through this server (the URLs name the configured
+// API_URL rather than the test port)
+const download = (api, url, { token, query = '' } = {}) =>
+  fetch(`${api.origin}${new URL(url).pathname}${query}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+describe('stored file downloads', () => {
+  let api;
+  let owner;
+  let workspaceId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+  });
+
+  afterAll(() => api.close());
+
+  test('are only served to members of the file\'s workspace', async () => {
+    const file = await uploadFile(api, owner, workspaceId, 'notes.png', 'image/png', 'png-bytes');
+    const member = await addMember(api, owner, workspaceId, 'guest');
+    const outsider = await registerUser(api);
+
+    expect((await download(api, file.file_url)).status).toBe(401);
+    expect((await download(api, file.file_url, { token: outsider.token })).status).toBe(403);
+
+    const response = await download(api, file.file_url, { token: member.token });
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('png-bytes');
+  });
+
+  test('accept the token in the query string, as links can\'t send headers', async () => {
+    const file = await uploadFile(api, owner, workspaceId, 'photo.jpg', 'image/jpeg', 'jpeg-bytes');
+
+    const response = await download(api, file.file_url, { query: `?token=${encodeURIComponent(owner.token)}` });
+    expect(response.status).toBe(200);
+    expect((await download(api, file.file_url, { query: '?token=nope' })).status).toBe(401);
+  });
+
+  test('show safe images inline', async () => {
+    const file = await uploadFile(api, owner, workspaceId, 'chart.png', 'image/png', 'png-bytes');
+
+    const response = await download(api, file.file_url, { token: owner.token });
+    expect(response.headers.get('content-type')).toBe('image/png');
+    expect(response.headers.get('content-disposition')).toBeNull();
+    expect(response.headers.get('x-content-type-options')).toBe('nosniff');
+  });
+
+  test('download anything else as an attachment, so it never runs on our origin', async () => {
+    for (const [name, type] of [['page.html', 'text/html'], ['logo.svg', 'image/svg+xml']]) {
+      const file = await uploadFile(api, owner, workspaceId, name, type, '<script>alert(1)</script>');
+
+      const response = await download(api, file.file_url, { token: owner.token });
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toBe('application/octet-stream');
+      expect(response.headers.get('content-disposition')).toBe(`attachment; filename="${name}"`);
+      expect(response.headers.get('x-content-type-options')).toBe('nosniff');
+    }
+  });
+
+  test('are not found once the file is deleted', async () => {
+    const file = await uploadFile(api, owner, workspaceId, 'old.png', 'image/png', 'png-bytes');
+    await api.request('DELETE', `/files/${file.id}`, { token: owner.token });
+
+    expect((await download(api, file.file_url, { token: owner.token })).status).toBe(404);
+  });
+
+  test('include avatars for anyone, as images only', async () => {
+    const form = new FormData();
+    form.append('avatar', new Blob(['<svg onload="alert(1)"/>'], { type: 'image/svg+xml' }), 'me.svg');
+    const uploaded = await fetch(`${api.baseUrl}/users/avatar`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${owner.token}` },
+      body: form
+    });
+    const { user } = await uploaded.json();
+
+    const response = await download(api, user.avatar_url);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/octet-stream');
+    expect(response.headers.get('content-disposition')).toBe('attachment; filename="avatar"');
+    expect(response.headers.get('x-content-type-options')).toBe('nosniff');
+  });
+});
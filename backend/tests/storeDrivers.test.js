@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createDiskStorage } from '../src/db/diskStorage.js';
+
+// Queries the PostgreSQL store sends, answered with `rows`
+const queries = [];
+let rows = [];
+
+jest.unstable_mockModule('pg', () => ({
+  default: {
+    types: { setTypeParser: () => {} },
+    Pool: class {
+      on() {}
+      async query(sql, values) {
+        queries.push({ sql, values });
+        return { rows };
+      }
+    }
+  }
+}));
+
+const { createPostgresStore } = await import('../src/db/postgres.js');
+
+describe('PostgreSQL store', () => {
+  let table;
+
+  beforeAll(() => {
+    table = createPostgresStore().table('task_items');
+  });
+
+  beforeEach(() => {
+    queries.length = 0;
+    rows = [];
+  });
+
+  const lastQuery = () => queries[queries.length - 1];
+
+  test('builds parameterized selects', async () => {
+    await table.find({
+      list_id: { in: ['l1', 'l2'] },
+      completed_at: null,
+      due_date: { neq: null, lt: '2026-01-01' },
+      title: { ilike: '%plan%' }
+    }, { columns: ['id', 'title'], orderBy: ['position', '-created_at'], limit: 10, offset: 20 });
+
+    expect(lastQuery()).toEqual({
+      sql: 'SELECT "id", "title" FROM "task_items" WHERE "list_id" = ANY($1) AND "completed_at" IS NULL'
+        + ' AND "due_date" IS NOT NULL AND "due_date" < $2 AND "title" ILIKE $3'
+        + ' ORDER BY "position", "created_at" DESC LIMIT $4 OFFSET $5',
+      values: [['l1', 'l2'], '2026-01-01', '%plan%', 10, 20]
+    });
+  });
+
+  test('groups or clauses and quotes identifiers', async () => {
+    rows = [{ count: 2 }];
+    expect(await table.count({ or: [{ assignee_id: 'u1' }, { created_by: 'u1', 'we"ird': 1 }] })).toBe(2);
+
+    expect(lastQuery()).toEqual({
+      sql: 'SELECT count(*)::int AS count FROM "task_items" WHERE (("assignee_id" = $1) OR ("created_by" = $2 AND "we""ird" = $3))',
+      values: ['u1', 'u1', 1]
+    });
+  });
+
+  test('rejects unknown operators instead of guessing', async () => {
+    await expect(table.find({ position: { between: [1, 2] } })).rejects.toThrow('Unknown filter operator: between');
+  });
+
+  test('inserts with defaults for missing columns and leaves out undefined', async () => {
+    rows = [{ id: 'a' }, { id: 'b' }];
+    const inserted = await table.insert([{ title: 'A', position: 1 }, { title: 'B', description: undefined }]);
+
+    expect(inserted).toEqual(rows);
+    expect(lastQuery()).toEqual({
+      sql: 'INSERT INTO "task_items" ("title", "position") VALUES ($1, $2), ($3, DEFAULT) RETURNING *',
+      values: ['A', 1, 'B']
+    });
+
+    rows = [{ id: 'c' }];
+    expect(await table.insert({ title: 'C' })).toEqual({ id: 'c' });
+  });
+
+  test('upserts on the conflict key', async () => {
+    await table.upsert([{ id: 't1', position: 0 }], { onConflict: 'id' });
+    expect(lastQuery().sql).toBe('INSERT INTO "task_items" ("id", "position") VALUES ($1, $2) ON CONFLICT ("id") DO UPDATE SET "position" = EXCLUDED."position" RETURNING *');
+
+    await table.upsert({ workspace_id: 'w', user_id: 'u' }, { onConflict: 'workspace_id, user_id', ignoreDuplicates: true });
+    expect(lastQuery().sql).toMatch(/ON CONFLICT \("workspace_id", "user_id"\) DO NOTHING RETURNING \*$/);
+  });
+
+  test('updates and deletes return the affected rows', async () => {
+    await table.update({ id: 't1' }, { title: 'New', description: undefined });
+    expect(lastQuery()).toEqual({ sql: 'UPDATE "task_items" SET "title" = $1 WHERE "id" = $2 RETURNING *', values: ['New', 't1'] });
+
+    await table.delete({ list_id: 'l1' });
+    expect(lastQuery()).toEqual({ sql: 'DELETE FROM "task_items" WHERE "list_id" = $1 RETURNING *', values: ['l1'] });
+  });
+});
+
+describe('disk file storage', () => {
+  let root;
+  let storage;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'collab-storage-'));
+    storage = createDiskStorage(root);
+  });
+
+  afterAll(() => fs.rm(root, { recursive: true, force: true }));
+
+  test('stores, reads and removes files per bucket', async () => {
+    await storage.upload('workspace-files', 'w1/notes.txt', Buffer.from('hello'));
+    expect(await storage.read('workspace-files', 'w1/notes.txt')).toEqual({ buffer: Buffer.from('hello'), contentType: null });
+
+    await storage.remove('workspace-files', ['w1/notes.txt', 'w1/never-existed.txt']);
+    expect(await storage.read('workspace-files', 'w1/notes.txt')).toBeNull();
+    expect(await storage.read('workspace-files', 'w1')).toBeNull();
+  });
+
+  test('refuses paths outside the storage directory', async () => {
+    await expect(storage.upload('workspace-files', '../../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage path');
+    await expect(storage.read('..', 'etc/passwd')).rejects.toThrow('Invalid storage path');
+  });
+
+  test('links to the storage route', () => {
+    expect(storage.publicUrl('avatars', 'u1/my photo.png')).toMatch(/\/api\/storage\/avatars\/u1\/my%20photo\.png$/);
+  });
+});
+
+describe('migrations', () => {
+  test('are numbered in sequence with no gaps or duplicates', async () => {
+    const files = (await fs.readdir(new URL('../migrations', import.meta.url))).filter((file) => file.endsWith('.sql')).sort();
+    expect(files.map((file) => parseInt(file))).toEqual(files.map((file, index) => index + 1));
+    files.forEach((file) => expect(file).toMatch(/^\d{3}_[a-z0-9_]+\.sql$/));
+  });
+});
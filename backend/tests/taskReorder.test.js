@@ -0,0 +1,86 @@
+import { createWorkspace, registerUser, startApi } from './helpers.js';
+
+describe('reordering the task board', () => {
+  let api;
+  let owner;
+  let workspaceId;
+  let otherWorkspaceId;
+  let listIds;
+  let otherListId;
+
+  const createList = async (inWorkspaceId, name) => (await api.request('POST', '/tasks/lists', {
+    token: owner.token,
+    body: { workspaceId: inWorkspaceId, name }
+  })).body.list.id;
+
+  const createTask = async (listId, title) => (await api.request('POST', '/tasks/tasks', {
+    token: owner.token,
+    body: { listId, title }
+  })).body.task.id;
+
+  // The board's list names and, per list, its task titles, in board order
+  const board = async () => {
+    const { body } = await api.request('GET', `/tasks/workspace/${workspaceId}`, { token: owner.token });
+    return body.lists.map((list) => [list.name, list.tasks.map((task) => task.title)]);
+  };
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+    otherWorkspaceId = await createWorkspace(api, owner, 'Other');
+
+    listIds = [await createList(workspaceId, 'To do'), await createList(workspaceId, 'Done')];
+    otherListId = await createList(otherWorkspaceId, 'Elsewhere');
+  });
+
+  afterAll(() => api.close());
+
+  test('moves lists within the workspace', async () => {
+    const { status } = await api.request('POST', '/tasks/lists/reorder', {
+      token: owner.token,
+      body: { workspaceId, listOrders: [listIds[1], listIds[0]] }
+    });
+
+    expect(status).toBe(200);
+    expect((await board()).map(([name]) => name)).toEqual(['Done', 'To do']);
+  });
+
+  test('refuses lists from another workspace or that don\'t exist, changing nothing', async () => {
+    const before = await board();
+
+    for (const stranger of [otherListId, '00000000-0000-4000-8000-000000000000']) {
+      const { status, body } = await api.request('POST', '/tasks/lists/reorder', {
+        token: owner.token,
+        body: { workspaceId, listOrders: [stranger, ...listIds] }
+      });
+      expect(status).toBe(404);
+      expect(body.error).toBe('List not found');
+    }
+
+    expect(await board()).toEqual(before);
+
+    const others = await api.request('GET', `/tasks/workspace/${otherWorkspaceId}`, { token: owner.token });
+    expect(others.body.lists).toHaveLength(1);
+  });
+
+  test('moves tasks within their list and refuses tasks from other lists', async () => {
+    const [first, second] = [await createTask(listIds[0], 'First'), await createTask(listIds[0], 'Second')];
+    const elsewhere = await createTask(listIds[1], 'Elsewhere');
+
+    const reordered = await api.request('POST', '/tasks/tasks/reorder', {
+      token: owner.token,
+      body: { listId: listIds[0], taskOrders: [second, first] }
+    });
+    expect(reordered.status).toBe(200);
+
+    const refused = await api.request('POST', '/tasks/tasks/reorder', {
+      token: owner.token,
+      body: { listId: listIds[0], taskOrders: [elsewhere, first, second] }
+    });
+    expect(refused.status).toBe(404);
+    expect(refused.body.error).toBe('Task not found');
+
+    expect(await board()).toEqual([['Done', ['Elsewhere']], ['To do', ['Second', 'First']]]);
+  });
+});
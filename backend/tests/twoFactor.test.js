@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { registerUser, startApi } from './helpers.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// What an authenticator app would show, `offset` 30s steps from now. The
+// server accepts one step either side and each step only once.
+const totpCode = (secret, offset = 0) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const code = (hmac.readUInt32BE(hmac[hmac.length - 1] & 0xf) & 0x7fffffff) % 1000000;
+  return code.toString().padStart(6, '0');
+};
+
+// Register a user and turn on two-factor; returns the user with its secret
+// and recovery codes
+const registerTwoFactorUser = async (api) => {
+  const user = await registerUser(api);
+
+  const setup = await api.request('POST', '/auth/2fa/setup', { token: user.token });
+  expect(setup.status).toBe(200);
+
+  const enabled = await api.request('POST', '/auth/2fa/enable', {
+    token: user.token,
+    body: { code: totpCode(setup.body.secret, -1) }
+  });
+  expect(enabled.status).toBe(200);
+  expect(enabled.body.recoveryCodes).toHaveLength(10);
+
+  return { ...user, secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+};
+
+const login = (api, user) =>
+  api.request('POST', '/auth/login', { body: { email: user.email, password: user.password } });
+
+describe('two-factor sign-in', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(() => api.close());
+
+  test('recovery codes are four groups of four', async () => {
+    const user = await registerTwoFactorUser(api);
+
+    user.recoveryCodes.forEach((code) => expect(code).toMatch(/^[A-Z2-7]{4}(-[A-Z2-7]{4}){3}$/));
+    expect(new Set(user.recoveryCodes).size).toBe(10);
+  });
+
+  test('a password alone only yields a challenge', async () => {
+    const user = await registerTwoFactorUser(api);
+
+    const first = await login(api, user);
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ twoFactorRequired: true });
+    expect(first.body.token).toBeUndefined();
+
+    // The challenge is not an access token
+    const misused = await api.request('GET', '/auth/sessions', { token: first.body.challengeToken });
+    expect(misused.status).toBe(401);
+  });
+
+  test('a challenge survives a wrong code but starts only one session', async () => {
+    const user = await registerTwoFactorUser(api);
+    const { challengeToken } = (await login(api, user)).body;
+
+    const wrong = await api.request('POST', '/auth/login/2fa', { body: { challengeToken, code: '000000' } });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+
+    const right = await api.request('POST', '/auth/login/2fa', {
+      body: { challengeToken, code: totpCode(user.secret) }
+    });
+    expect(right.status).toBe(200);
+    expect(right.body.token).toBeTruthy();
+
+    // Replaying the spent challenge fails before any code is checked, so it
+    // can't burn a recovery code either
+    const replayed = await api.request('POST', '/auth/login/2fa', {
+      body: { challengeToken, recoveryCode: user.recoveryCodes[0] }
+    });
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.code).toBe('CHALLENGE_INVALID');
+
+    const fresh = (await login(api, user)).body.challengeToken;
+    const recovered = await api.request('POST', '/auth/login/2fa', {
+      body: { challengeToken: fresh, recoveryCode: user.recoveryCodes[0] }
+    });
+    expect(recovered.status).toBe(200);
+  });
+
+  test('a code is accepted only once', async () => {
+    const user = await registerTwoFactorUser(api);
+    const code = totpCode(user.secret);
+
+    const first = await api.request('POST', '/auth/login/2fa', {
+      body: { challengeToken: (await login(api, user)).body.challengeToken, code }
+    });
+    expect(first.status).toBe(200);
+
+    const second = await api.request('POST', '/auth/login/2fa', {
+      body: { challengeToken: (await login(api, user)).body.challengeToken, code }
+    });
+    expect(second.status).toBe(401);
+    expect(second.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+  });
+
+  test('guessing codes to turn two-factor off is throttled', async () => {
+    const user = await registerTwoFactorUser(api);
+    // A client address no other test has failed from
+    const ip = '203.0.113.7';
+
+    for (let i = 0; i < 3; i++) {
+      const wrong = await api.request('POST', '/auth/2fa/disable', { token: user.token, ip, body: { code: '000000' } });
+      expect(wrong.status).toBe(400);
+    }
+
+    // The account backs off, whichever address the next guess comes from
+    const refused = await api.request('POST', '/auth/2fa/disable', {
+      token: user.token,
+      body: { code: totpCode(user.secret) }
+    });
+    expect(refused.status).toBe(429);
+    expect(refused.body.code).toBe('TOO_MANY_ATTEMPTS');
+
+    const regenerate = await api.request('POST', '/auth/2fa/recovery-codes', {
+      token: user.token,
+      ip,
+      body: { code: totpCode(user.secret) }
+    });
+    expect(regenerate.status).toBe(429);
+  });
+});
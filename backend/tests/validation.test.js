@@ -0,0 +1,78 @@
+import { createWorkspace, registerUser, startApi } from './helpers.js';
+
+describe('request validation and the OpenAPI document', () => {
+  let api;
+  let owner;
+  let workspaceId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+  });
+
+  afterAll(() => api.close());
+
+  test('invalid bodies get a 400 naming every problem', async () => {
+    const { status, body } = await api.request('POST', '/tasks/tasks', {
+      token: owner.token,
+      body: { listId: 'not-a-uuid', title: '', priority: 'someday' }
+    });
+
+    expect(status).toBe(400);
+    expect(body.code).toBe('VALIDATION_FAILED');
+    expect(body.fields.map((field) => field.field).sort()).toEqual(['listId', 'priority', 'title']);
+    expect(body.error).toMatch(/^[A-Z]/);
+  });
+
+  test('required fields, path params and query values are checked', async () => {
+    const missing = await api.request('POST', '/workspaces', { token: owner.token, body: {} });
+    expect(missing.status).toBe(400);
+    expect(missing.body.fields).toEqual([expect.objectContaining({ field: 'name' })]);
+
+    const badParam = await api.request('GET', '/workspaces/123', { token: owner.token });
+    expect(badParam.status).toBe(400);
+    expect(badParam.body.fields[0].field).toBe('workspaceId');
+
+    const badQuery = await api.request('GET', `/workspaces/${workspaceId}/activity?limit=500`, { token: owner.token });
+    expect(badQuery.status).toBe(400);
+    expect(badQuery.body.fields[0].field).toBe('limit');
+
+    // Query values are coerced to their schema types before checking
+    const coerced = await api.request('GET', `/workspaces/${workspaceId}/activity?limit=5`, { token: owner.token });
+    expect(coerced.status).toBe(200);
+  });
+
+  test('malformed JSON is reported as such', async () => {
+    const response = await fetch(`${api.baseUrl}/workspaces`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${owner.token}` },
+      body: '{"name": '
+    });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  });
+
+  test('the OpenAPI document describes the validated routes', async () => {
+    const response = await fetch(`${api.origin}/api/v1/openapi.json`);
+    const document = await response.json();
+
+    expect(document.openapi).toBe('3.0.3');
+    expect(document.servers).toEqual([{ url: '/api/v1' }]);
+
+    const createTask = document.paths['/tasks/tasks'].post;
+    expect(createTask.summary).toBe('Create a task');
+    expect(createTask.requestBody.content['application/json'].schema.required).toEqual(['listId', 'title']);
+    expect(createTask.security).toEqual([{ bearerAuth: [] }]);
+    expect(createTask['x-token-scopes']).toEqual(['tasks:write']);
+    expect(createTask.responses[400].content['application/json'].schema.$ref).toBe('#/components/schemas/ValidationError');
+
+    const getWorkspace = document.paths['/workspaces/{workspaceId}'].get;
+    expect(getWorkspace.parameters).toEqual([
+      expect.objectContaining({ name: 'workspaceId', in: 'path', required: true })
+    ]);
+
+    expect(document.paths['/auth/login'].post.security).toBeUndefined();
+  });
+});
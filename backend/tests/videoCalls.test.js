@@ -0,0 +1,141 @@
+import { setupVideoHandlers } from '../src/sockets/videoHandlers.js';
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+let socketCount = 0;
+
+// A stand-in for a Socket.io server, enough to drive the video handlers:
+// each socket records the events delivered to it in `received`
+const fakeIo = () => {
+  let onConnection;
+  const sockets = new Map();
+
+  const deliver = (socket, event, payload) => socket.received.push({ event, payload });
+  const inRoom = (room) => [...sockets.values()].filter((socket) => socket.rooms.has(room));
+
+  const io = {
+    sockets: { sockets },
+    on: (event, handler) => { onConnection = handler; },
+    to: (target) => ({
+      emit: (event, payload) => [sockets.get(target), ...inRoom(target)]
+        .filter(Boolean)
+        .forEach((socket) => deliver(socket, event, payload))
+    }),
+    in: (room) => ({ fetchSockets: async () => inRoom(room) }),
+
+    connect(userId) {
+      const handlers = {};
+      const socket = {
+        id: `socket-${++socketCount}`,
+        data: { userId },
+        rooms: new Set(),
+        received: [],
+        on: (event, handler) => { handlers[event] = handler; },
+        join: (room) => socket.rooms.add(room),
+        leave: (room) => socket.rooms.delete(room),
+        emit: (event, payload) => deliver(socket, event, payload),
+        to: (room) => ({
+          emit: (event, payload) => inRoom(room)
+            .filter((other) => other !== socket)
+            .forEach((other) => deliver(other, event, payload))
+        }),
+        // Run an event handler; resolves to its acknowledgment
+        call: (event, data) => new Promise((resolve) => {
+          Promise.resolve(handlers[event](data, resolve)).then(() => resolve());
+        })
+      };
+      sockets.set(socket.id, socket);
+      onConnection(socket);
+      return socket;
+    }
+  };
+
+  setupVideoHandlers(io);
+  return io;
+};
+
+const eventsOf = (socket, name) => socket.received.filter(({ event }) => event === name);
+
+// The workspace's ongoing call, if any (calls from earlier tests live on)
+const callIn = (io, workspaceId) => io.getActiveCalls().find((call) => call.workspaceId === workspaceId);
+
+describe('video calls', () => {
+  let api;
+  let io;
+  let owner;
+  let workspaceId;
+
+  beforeEach(async () => {
+    api = await startApi();
+    io = fakeIo();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+  });
+
+  afterEach(() => api.close());
+
+  // Connect `user` and join the workspace's call
+  const joinCall = async (user, inWorkspaceId = workspaceId) => {
+    const socket = io.connect(user.id);
+    expect(await socket.call('join-video-call', { workspaceId: inWorkspaceId, userName: user.firstName }))
+      .toMatchObject({ success: true });
+    return socket;
+  };
+
+  test('only relay signaling between sockets in the same call', async () => {
+    const member = await addMember(api, owner, workspaceId);
+    const outsider = await registerUser(api);
+    const otherWorkspaceId = await createWorkspace(api, outsider, 'Elsewhere');
+
+    const ownerSocket = await joinCall(owner);
+    const memberSocket = await joinCall(member);
+    const outsiderSocket = await joinCall(outsider, otherWorkspaceId);
+    const idleSocket = io.connect(outsider.id);
+
+    await memberSocket.call('video-offer', { targetSocketId: ownerSocket.id, offer: 'sdp' });
+    expect(eventsOf(ownerSocket, 'video-offer')).toHaveLength(1);
+
+    for (const socket of [outsiderSocket, idleSocket]) {
+      await socket.call('video-offer', { targetSocketId: ownerSocket.id, offer: 'sdp' });
+      await socket.call('video-answer', { targetSocketId: ownerSocket.id, answer: 'sdp' });
+      await socket.call('ice-candidate', { targetSocketId: ownerSocket.id, candidate: 'candidate' });
+    }
+    await ownerSocket.call('ice-candidate', { targetSocketId: outsiderSocket.id, candidate: 'candidate' });
+
+    expect(eventsOf(ownerSocket, 'video-offer')).toHaveLength(1);
+    expect(eventsOf(ownerSocket, 'video-answer')).toHaveLength(0);
+    expect(eventsOf(ownerSocket, 'ice-candidate')).toHaveLength(0);
+    expect(eventsOf(outsiderSocket, 'ice-candidate')).toHaveLength(0);
+  });
+
+  test('drop members who are removed or made guests from the call', async () => {
+    const removed = await addMember(api, owner, workspaceId);
+    const demoted = await addMember(api, owner, workspaceId);
+    const promoted = await addMember(api, owner, workspaceId);
+
+    const ownerSocket = await joinCall(owner);
+    const removedSocket = await joinCall(removed);
+    const demotedSocket = await joinCall(demoted);
+    const promotedSocket = await joinCall(promoted);
+
+    await api.request('DELETE', `/workspaces/${workspaceId}/members/${removed.id}`, { token: owner.token });
+    await api.request('PATCH', `/workspaces/${workspaceId}/members/${demoted.id}/role`, { token: owner.token, body: { role: 'guest' } });
+    await api.request('PATCH', `/workspaces/${workspaceId}/members/${promoted.id}/role`, { token: owner.token, body: { role: 'admin' } });
+
+    expect(eventsOf(ownerSocket, 'user-left-call').map(({ payload }) => payload.userId)).toEqual([removed.id, demoted.id]);
+    expect(callIn(io, workspaceId).participants.sort()).toEqual([owner.id, promoted.id].sort());
+
+    // Nor can they keep signaling the ones still in the call
+    await removedSocket.call('video-offer', { targetSocketId: ownerSocket.id, offer: 'sdp' });
+    await demotedSocket.call('ice-candidate', { targetSocketId: promotedSocket.id, candidate: 'candidate' });
+    expect(eventsOf(ownerSocket, 'video-offer')).toHaveLength(0);
+    expect(eventsOf(promotedSocket, 'ice-candidate')).toHaveLength(0);
+  });
+
+  test('end the call when the workspace is archived', async () => {
+    await joinCall(owner);
+    expect(callIn(io, workspaceId)).toBeDefined();
+
+    await api.request('POST', `/workspaces/${workspaceId}/archive`, { token: owner.token });
+    expect(callIn(io, workspaceId)).toBeUndefined();
+  });
+});
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import http from 'http';
+import { retryDueDeliveries } from '../src/services/webhooks.js';
+import { addMember, createWorkspace, registerUser, startApi } from './helpers.js';
+
+// A local endpoint that records what it is sent and answers with `status`
+const startReceiver = () => new Promise((resolve) => {
+  const receiver = { requests: [], status: 200 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.status).end('ok');
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${server.address().port}/hooks`;
+    receiver.close = () => new Promise((done) => server.close(done));
+    resolve(receiver);
+  });
+});
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 100; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting');
+};
+
+const verifySignature = (secret, { headers, body }) => {
+  const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return signature === expected;
+};
+
+describe('outgoing webhooks', () => {
+  let api;
+  let receiver;
+  let owner;
+  let workspaceId;
+  let listId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    receiver = await startReceiver();
+    owner = await registerUser(api);
+    workspaceId = await createWorkspace(api, owner);
+    listId = (await api.request('POST', '/tasks/lists', {
+      token: owner.token,
+      body: { workspaceId, name: 'To do' }
+    })).body.list.id;
+  });
+
+  afterAll(async () => {
+    await receiver.close();
+    await api.close();
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    receiver.requests.length = 0;
+    receiver.status = 200;
+  });
+
+  const register = (body, token = owner.token) =>
+    api.request('POST', `/workspaces/${workspaceId}/webhooks`, { token, body });
+
+  const deliveries = async (webhookId) => (await api.request('GET', `/workspaces/${workspaceId}/webhooks/${webhookId}/deliveries`, {
+    token: owner.token
+  })).body.deliveries;
+
+  const createTask = (title) =>
+    api.request('POST', '/tasks/tasks', { token: owner.token, body: { listId, title } });
+
+  test('refuses URLs that reach the server\'s own network', async () => {
+    for (const url of [
+      receiver.url,
+      'http://localhost/hooks',
+      'http://169.254.169.254/latest/meta-data',
+      'http://10.1.2.3/',
+      'http://[::1]/',
+      'http://[::ffff:127.0.0.1]/'
+    ]) {
+      const { status, body } = await register({ url, events: ['task.created'] });
+      expect([url, status, body.code]).toEqual([url, 400, 'WEBHOOK_URL_NOT_ALLOWED']);
+    }
+
+    const notHttp = await register({ url: 'file:///etc/passwd', events: ['task.created'] });
+    expect(notHttp.status).toBe(400);
+  });
+
+  test('won\'t deliver to a private address even if one was saved', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    const { body } = await register({ url: receiver.url, events: ['task.created'] });
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+    await api.request('POST', `/workspaces/${workspaceId}/webhooks/${body.webhook.id}/ping`, { token: owner.token });
+
+    const [delivery] = await waitFor(async () => {
+      const log = await deliveries(body.webhook.id);
+      return log[0]?.attempts > 0 && log;
+    });
+    expect(delivery).toMatchObject({ event: 'ping', status: 'pending', responseStatus: null });
+    expect(delivery.error).toMatch(/private or reserved address/);
+    expect(receiver.requests).toEqual([]);
+
+    await api.request('DELETE', `/workspaces/${workspaceId}/webhooks/${body.webhook.id}`, { token: owner.token });
+  });
+
+  test('signs each delivery with the webhook\'s secret', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    const { status, body } = await register({ url: receiver.url, events: ['task.created'], description: 'CI' });
+    expect(status).toBe(201);
+    expect(body.secret).toMatch(/^whsec_/);
+    expect(body.webhook).toMatchObject({ events: ['task.created'], active: true, secretHint: body.secret.slice(-4) });
+
+    await createTask('Hooked');
+    const request = await waitFor(() => receiver.requests[0]);
+
+    expect(request.headers['x-webhook-event']).toBe('task.created');
+    expect(verifySignature(body.secret, request)).toBe(true);
+    expect(JSON.parse(request.body)).toMatchObject({
+      event: 'task.created',
+      workspaceId,
+      actorId: owner.id,
+      data: { task: { title: 'Hooked' } }
+    });
+
+    const [delivery] = await waitFor(async () => {
+      const log = await deliveries(body.webhook.id);
+      return log[0]?.status === 'succeeded' && log;
+    });
+    expect(delivery).toMatchObject({ attempts: 1, responseStatus: 200, error: null });
+    expect(delivery.id).toBe(request.headers['x-webhook-delivery']);
+
+    // A rotated secret takes over at once
+    const rotated = await api.request('POST', `/workspaces/${workspaceId}/webhooks/${body.webhook.id}/rotate-secret`, {
+      token: owner.token
+    });
+    await createTask('Rotated');
+    const next = await waitFor(() => receiver.requests[1]);
+    expect(verifySignature(rotated.body.secret, next)).toBe(true);
+    expect(verifySignature(body.secret, next)).toBe(false);
+
+    await api.request('DELETE', `/workspaces/${workspaceId}/webhooks/${body.webhook.id}`, { token: owner.token });
+  });
+
+  test('retries failed deliveries and stops for disabled webhooks', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    const { body } = await register({ url: receiver.url, events: ['task.created'] });
+    receiver.status = 500;
+
+    await createTask('Flaky');
+    const [failed] = await waitFor(async () => {
+      const log = await deliveries(body.webhook.id);
+      return log[0]?.attempts === 1 && log;
+    });
+    expect(failed).toMatchObject({ status: 'pending', responseStatus: 500, error: 'Endpoint responded with 500' });
+    expect(failed.nextAttemptAt).not.toBeNull();
+
+    receiver.status = 200;
+    const inAMinute = new Date(Date.now() + 60 * 1000);
+    expect(await retryDueDeliveries(inAMinute)).toEqual({ attempted: 1, succeeded: 1 });
+    expect((await deliveries(body.webhook.id))[0]).toMatchObject({ status: 'succeeded', attempts: 2 });
+
+    // Events the webhook didn't subscribe to aren't sent
+    const sent = receiver.requests.length;
+    await api.request('POST', `/workspaces/${workspaceId}/webhooks/${body.webhook.id}/ping`, { token: owner.token });
+    await waitFor(() => receiver.requests.length > sent);
+    await api.request('PATCH', `/workspaces/${workspaceId}/webhooks/${body.webhook.id}`, {
+      token: owner.token,
+      body: { active: false }
+    });
+    await createTask('Off');
+    expect((await deliveries(body.webhook.id)).map((delivery) => delivery.event)).toEqual(['ping', 'task.created']);
+
+    await api.request('DELETE', `/workspaces/${workspaceId}/webhooks/${body.webhook.id}`, { token: owner.token });
+  });
+
+  test('only admins manage webhooks', async () => {
+    const member = await addMember(api, owner, workspaceId);
+
+    const listed = await api.request('GET', `/workspaces/${workspaceId}/webhooks`, { token: member.token });
+    expect(listed.status).toBe(403);
+
+    const created = await register({ url: 'https://example.com/hooks', events: ['task.created'] }, member.token);
+    expect(created.status).toBe(403);
+  });
+});
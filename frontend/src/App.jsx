@@ -4,6 +4,12 @@ import { AuthProvider } from './contexts/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import SsoCallback from './pages/SsoCallback';
+import AcceptInvite from './pages/AcceptInvite';
+import JoinWorkspace from './pages/JoinWorkspace';
 import Dashboard from './pages/Dashboard';
 import Workspace from './pages/Workspace';
 import Layout from './components/Layout';
@@ -17,6 +23,11 @@ const createRouter = () => (
     <Routes>
       <Route path="/login" element={<Login />} />
       <Route path="/register" element={<Register />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
+      <Route path="/sso/callback" element={<SsoCallback />} />
+      <Route path="/invite" element={<AcceptInvite />} />
       <Route path="/" element={
         <ProtectedRoute>
           <Layout>
@@ -24,6 +35,11 @@ const createRouter = () => (
           </Layout>
         </ProtectedRoute>
       } />
+      <Route path="/join/:code" element={
+        <ProtectedRoute>
+          <JoinWorkspace />
+        </ProtectedRoute>
+      } />
       <Route path="/workspace/:workspaceId" element={
         <ProtectedRoute>
           <Layout>
@@ -1,14 +1,33 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import ProfileEditorModal from './profile/ProfileEditorModal';
+import CommandPalette from './search/CommandPalette';
+import NotificationBell from './notifications/NotificationBell';
 import Footer from './Footer/Footer';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, matchPath } from 'react-router-dom';
 
 const Layout = ({ children }) => {
   const [showProfile, setShowProfile] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
   const { user, logout } = useAuth();
   const location = useLocation();
 
+  // Search covers the workspace being viewed, if any
+  const workspaceId = matchPath('/workspace/:workspaceId', location.pathname)?.params.workspaceId;
+
+  // Ctrl+K / Cmd+K opens the command palette from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowSearch((open) => !open);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   const navigation = [
     { name: 'Dashboard', href: '/', current: location.pathname === '/' },
   ];
@@ -44,6 +63,20 @@ const Layout = ({ children }) => {
             </div>
 
             <div className="flex items-center space-x-4">
+              <button
+                onClick={() => setShowSearch(true)}
+                className="flex items-center space-x-2 px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-500 hover:bg-gray-50"
+                title="Search (Ctrl+K)"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                </svg>
+                <span className="hidden sm:inline">{workspaceId ? 'Search workspace' : 'Find workspace'}</span>
+                <kbd className="hidden sm:inline text-xs text-gray-400">Ctrl K</kbd>
+              </button>
+
+              <NotificationBell />
+
               <button
                     onClick={() => setShowProfile(true)}
                    className="flex items-center space-x-2 hover:bg-gray-100 rounded-lg p-2 transition-colors"
@@ -87,6 +120,9 @@ const Layout = ({ children }) => {
       {showProfile && (
   <ProfileEditorModal onClose={() => setShowProfile(false)} />
 )}
+      {showSearch && (
+        <CommandPalette workspaceId={workspaceId} onClose={() => setShowSearch(false)} />
+      )}
 
         <Footer />
     </div>
@@ -2,7 +2,7 @@ import  { useState, useRef, useEffect } from 'react';
 import { useChat } from '../../hooks/useChat';
 import { useAuth } from '../../contexts/AuthContext';
 
-const ChatPanel = ({ workspaceId, isOpen = true }) => {
+const ChatPanel = ({ workspaceId, isOpen = true, readOnly = false }) => {
   const { user: currentUser } = useAuth();
   const {
     messages,
@@ -38,7 +38,8 @@ const ChatPanel = ({ workspaceId, isOpen = true }) => {
     e.preventDefault();
     if (!newMessage.trim()) return;
 
-    await sendMessage(newMessage);
+    // Keep the text if it wasn't sent (e.g. rate limited) so it can be retried
+    if (!(await sendMessage(newMessage))) return;
     setNewMessage('');
     stopTyping();
     setIsTyping(false);
@@ -222,27 +223,33 @@ const ChatPanel = ({ workspaceId, isOpen = true }) => {
 
       {/* Message Input */}
       <div className="p-4 border-t border-gray-200">
-        <form onSubmit={handleSubmit} className="flex space-x-3">
-          <input
-            type="text"
-            value={newMessage}
-            onChange={handleInputChange}
-            placeholder={
-              connectionStatus === 'connected' 
-                ? "Type a message..." 
-                : "Connecting..."
-            }
-            className="flex-1 input-field disabled:opacity-50"
-            disabled={connectionStatus !== 'connected' || loading}
-          />
-          <button
-            type="submit"
-            disabled={!newMessage.trim() || loading || connectionStatus !== 'connected'}
-            className="btn-primary px-4 py-2 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Send
-          </button>
-        </form>
+        {readOnly ? (
+          <p className="text-sm text-gray-500 text-center">
+            This workspace is archived. Chat history is read-only.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="flex space-x-3">
+            <input
+              type="text"
+              value={newMessage}
+              onChange={handleInputChange}
+              placeholder={
+                connectionStatus === 'connected' 
+                  ? "Type a message..." 
+                  : "Connecting..."
+              }
+              className="flex-1 input-field disabled:opacity-50"
+              disabled={connectionStatus !== 'connected' || loading}
+            />
+            <button
+              type="submit"
+              disabled={!newMessage.trim() || loading || connectionStatus !== 'connected'}
+              className="btn-primary px-4 py-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Send
+            </button>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -46,7 +46,7 @@ const CustomTextStyle = TextStyle.extend({
   },
 });
 
-const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleChange }) => {
+const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleChange, readOnly = false }) => {
   const { user } = useAuth();
   const { ydoc, connected, loading, error, reconnect } = useDocument(documentId, workspaceId);
   
@@ -57,6 +57,7 @@ const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleCh
   const [isSyncing, setIsSyncing] = useState(false);
 
   const editor = useEditor({
+    editable: !readOnly,
     extensions: [
       Color,
       CustomTextStyle,
@@ -76,6 +77,11 @@ const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleCh
     },
   });
 
+  // Guests get a view-only editor (the server also drops their updates)
+  useEffect(() => {
+    editor?.setEditable(!readOnly);
+  }, [editor, readOnly]);
+
   // Sync editor content with Yjs
   useEffect(() => {
     if (!editor || !ydoc) return;
@@ -175,11 +181,11 @@ const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleCh
   const ToolbarButton = ({ onClick, isActive, children, title, disabled }) => (
     <button
       onClick={onClick}
-      disabled={disabled}
+      disabled={disabled || readOnly}
       title={title}
       className={`p-1.5 rounded hover:bg-gray-200 transition-colors ${
         isActive ? 'bg-blue-100 text-blue-600' : 'text-gray-700'
-      } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+      } ${disabled || readOnly ? 'opacity-50 cursor-not-allowed' : ''}`}
     >
       {children}
     </button>
@@ -222,7 +228,7 @@ const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleCh
         <div className="flex items-center justify-between">
           <div className="flex-1 flex items-center space-x-3">
             <Type className="w-5 h-5" />
-            {isEditingTitle ? (
+            {isEditingTitle && !readOnly ? (
               <input
                 type="text"
                 value={localTitle}
@@ -234,14 +240,15 @@ const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleCh
               />
             ) : (
               <span
-                className="text-sm cursor-pointer hover:bg-blue-700 px-2 py-1 rounded"
-                onClick={() => setIsEditingTitle(true)}
+                className={`text-sm px-2 py-1 rounded ${readOnly ? '' : 'cursor-pointer hover:bg-blue-700'}`}
+                onClick={() => !readOnly && setIsEditingTitle(true)}
               >
                 {documentTitle}
               </span>
             )}
           </div>
           <div className="flex items-center space-x-3">
+            {readOnly && <span className="text-xs bg-blue-700 px-2 py-0.5 rounded">Read-only</span>}
             {isSyncing && <Loader2 className="w-3 h-3 animate-spin" />}
             <div className={`w-2 h-2 rounded-full ${connected ? 'bg-green-400' : 'bg-red-400'}`} />
             <span className="text-xs">{connected ? 'Connected' : 'Disconnected'}</span>
@@ -262,6 +269,7 @@ const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleCh
                   <select 
                     value={fontFamily}
                     onChange={(e) => handleFontFamilyChange(e.target.value)}
+                    disabled={readOnly}
                     className="text-sm border border-gray-300 rounded px-2 py-1 pr-6 bg-white appearance-none cursor-pointer hover:bg-gray-50"
                   >
                     <option value="Calibri">Calibri</option>
@@ -277,6 +285,7 @@ const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleCh
                   <select 
                     value={fontSize}
                     onChange={(e) => handleFontSizeChange(e.target.value)}
+                    disabled={readOnly}
                     className="text-sm border border-gray-300 rounded px-2 py-1 pr-6 bg-white w-16 appearance-none cursor-pointer hover:bg-gray-50"
                   >
                     <option value="8">8</option>
@@ -402,7 +411,7 @@ const CollaborativeEditor = ({ documentId, workspaceId, documentTitle, onTitleCh
 
       {/* Status Bar */}
       <div className="bg-blue-600 text-white px-4 py-1 text-xs flex justify-between items-center">
-        <span>Changes saved automatically</span>
+        <span>{readOnly ? 'View only - you cannot edit this document' : 'Changes saved automatically'}</span>
         <span>{connected ? 'Real-time collaboration enabled' : 'Offline - changes will sync when reconnected'}</span>
       </div>
     </div>
@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { documentAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 
-const DocumentList = ({ workspaceId, onDocumentSelect, onCreateDocument }) => {
+const DocumentList = ({ workspaceId, onDocumentSelect, onCreateDocument, readOnly = false }) => {
   const { user: currentUser } = useAuth();
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -91,12 +91,14 @@ const DocumentList = ({ workspaceId, onDocumentSelect, onCreateDocument }) => {
       {/* Header */}
       <div className="flex justify-between items-center">
         <h3 className="text-lg font-medium text-gray-900">Documents</h3>
-        <button
-          onClick={() => setShowCreateForm(true)}
-          className="btn-primary text-sm"
-        >
-          New Document
-        </button>
+        {!readOnly && (
+          <button
+            onClick={() => setShowCreateForm(true)}
+            className="btn-primary text-sm"
+          >
+            New Document
+          </button>
+        )}
       </div>
 
       {error && (
@@ -157,17 +159,19 @@ const DocumentList = ({ workspaceId, onDocumentSelect, onCreateDocument }) => {
                 </div>
               </div>
 
-              <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                <button
-                  onClick={(e) => handleDeleteDocument(document.id, e)}
-                  className="text-gray-400 hover:text-red-600 p-1"
-                  title="Delete document"
-                >
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                  </svg>
-                </button>
-              </div>
+              {!readOnly && (
+                <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    onClick={(e) => handleDeleteDocument(document.id, e)}
+                    className="text-gray-400 hover:text-red-600 p-1"
+                    title="Delete document"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         ))}
@@ -180,13 +184,19 @@ const DocumentList = ({ workspaceId, onDocumentSelect, onCreateDocument }) => {
               </svg>
             </div>
             <h4 className="text-lg font-medium text-gray-900 mb-2">No documents yet</h4>
-            <p className="text-gray-600 mb-4">Create your first document to start collaborating</p>
-            <button
-              onClick={() => setShowCreateForm(true)}
-              className="btn-primary"
-            >
-              Create Document
-            </button>
+            {readOnly ? (
+              <p className="text-gray-600 mb-4">Documents shared in this workspace will appear here</p>
+            ) : (
+              <>
+                <p className="text-gray-600 mb-4">Create your first document to start collaborating</p>
+                <button
+                  onClick={() => setShowCreateForm(true)}
+                  className="btn-primary"
+                >
+                  Create Document
+                </button>
+              </>
+            )}
           </div>
         )}
       </div>
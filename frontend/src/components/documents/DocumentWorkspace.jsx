@@ -1,12 +1,25 @@
-    import  { useState } from 'react';
+    import  { useState, useEffect } from 'react';
 import DocumentList from './DocumentList';
 import CollaborativeEditor from './CollaborativeEditor';
 import { documentAPI } from '../../services/api';
 
-const DocumentWorkspace = ({ workspaceId }) => {
+const DocumentWorkspace = ({ workspaceId, openDocumentId = null, onDocumentOpened, readOnly = false }) => {
   const [selectedDocument, setSelectedDocument] = useState(null);
   const [documentTitle, setDocumentTitle] = useState('');
 
+  // Open a document picked outside the list, e.g. from search
+  useEffect(() => {
+    if (!openDocumentId) return;
+
+    documentAPI.getDocument(openDocumentId)
+      .then((response) => {
+        setSelectedDocument(response.data.document);
+        setDocumentTitle(response.data.document.title);
+      })
+      .catch((error) => console.error('Error opening document:', error))
+      .finally(() => onDocumentOpened?.());
+  }, [openDocumentId, onDocumentOpened]);
+
   const handleDocumentSelect = (document) => {
     setSelectedDocument(document);
     setDocumentTitle(document.title);
@@ -46,7 +59,9 @@ const DocumentWorkspace = ({ workspaceId }) => {
           <div className="flex justify-between items-center">
             <div>
               <h2 className="text-2xl font-bold text-gray-900">Documents</h2>
-              <p className="text-gray-600 mt-1">Create and collaborate on documents in real-time</p>
+              <p className="text-gray-600 mt-1">
+                {readOnly ? 'You have view-only access to these documents' : 'Create and collaborate on documents in real-time'}
+              </p>
             </div>
           </div>
 
@@ -55,6 +70,7 @@ const DocumentWorkspace = ({ workspaceId }) => {
             workspaceId={workspaceId}
             onDocumentSelect={handleDocumentSelect}
             onCreateDocument={handleCreateDocument}
+            readOnly={readOnly}
           />
         </>
       ) : (
@@ -79,6 +95,7 @@ const DocumentWorkspace = ({ workspaceId }) => {
               workspaceId={workspaceId}
               documentTitle={documentTitle}
               onTitleChange={handleTitleChange}
+              readOnly={readOnly}
             />
           </div>
         </>
@@ -1,5 +1,5 @@
 import  { useState, useEffect } from 'react';
-import { fileAPI } from '../../services/api';
+import { fileAPI, withAccessToken } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 
 const FileBrowser = ({ workspaceId }) => {
@@ -184,7 +184,7 @@ const FileBrowser = ({ workspaceId }) => {
           {/* Actions */}
           <div className="flex items-center space-x-2 ml-4 opacity-0 group-hover:opacity-100 transition-opacity">
             <a
-              href={file.file_url}
+              href={withAccessToken(file.file_url)}
               download
               className="p-2 text-gray-400 hover:text-blue-600 transition-colors"
               title="Download"
@@ -195,7 +195,7 @@ const FileBrowser = ({ workspaceId }) => {
             </a>
             
             <a
-              href={file.file_url}
+              href={withAccessToken(file.file_url)}
               target="_blank"
               rel="noopener noreferrer"
               className="p-2 text-gray-400 hover:text-green-600 transition-colors"
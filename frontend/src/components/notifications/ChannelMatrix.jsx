@@ -0,0 +1,46 @@
+const TYPE_LABELS = {
+  'task.assigned': 'Task assigned to me',
+  'chat.mention': 'Mentioned in chat',
+  'workspace.invited': 'Invited to a workspace',
+  'call.missed': 'Missed call'
+};
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In-app' },
+  { key: 'email', label: 'Email' }
+];
+
+// Grid of notification types against delivery channels. Unchecking both
+// channels turns a type off.
+const ChannelMatrix = ({ types, channels, onChange, disabled = false }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="text-left text-xs text-gray-500">
+        <th className="font-medium pb-2">Notify me when</th>
+        {CHANNELS.map((channel) => (
+          <th key={channel.key} className="font-medium pb-2 text-center w-20">{channel.label}</th>
+        ))}
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-gray-100">
+      {types.map((type) => (
+        <tr key={type}>
+          <td className="py-2 text-gray-700">{TYPE_LABELS[type] || type}</td>
+          {CHANNELS.map((channel) => (
+            <td key={channel.key} className="py-2 text-center">
+              <input
+                type="checkbox"
+                checked={!!channels[type]?.[channel.key]}
+                onChange={(e) => onChange({ ...channels, [type]: { ...channels[type], [channel.key]: e.target.checked } })}
+                disabled={disabled}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+              />
+            </td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+export default ChannelMatrix;
@@ -0,0 +1,210 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationAPI } from '../../services/api';
+import { socketService } from '../../services/socket';
+
+const PAGE_SIZE = 15;
+
+const actorName = (notification) => notification.actor
+  ? `${notification.actor.firstName} ${notification.actor.lastName}`
+  : 'Someone';
+
+// One-line description of a notification
+const describeNotification = (notification) => {
+  const { type, data, workspace } = notification;
+  const workspaceName = workspace?.name || 'a workspace';
+
+  switch (type) {
+    case 'task.assigned':
+      return `${actorName(notification)} assigned you "${data.title}" in ${workspaceName}`;
+    case 'chat.mention':
+      return `${actorName(notification)} mentioned you in ${workspaceName}: "${data.excerpt}"`;
+    case 'workspace.invited':
+      return `${actorName(notification)} invited you to join ${workspaceName} as ${data.role}`;
+    case 'call.missed':
+      return `You missed a call started by ${actorName(notification)} in ${workspaceName}`;
+    default:
+      return type;
+  }
+};
+
+// Where opening a notification takes the user
+const notificationTarget = ({ type, data, workspace }) => {
+  switch (type) {
+    case 'workspace.invited':
+      return { path: data.link };
+    case 'task.assigned':
+      return { path: `/workspace/${workspace?.id}`, state: { tab: 'tasks' } };
+    case 'chat.mention':
+      return { path: `/workspace/${workspace?.id}`, state: { tab: 'chat' } };
+    default:
+      return workspace ? { path: `/workspace/${workspace.id}` } : null;
+  }
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const panelRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const fetchNotifications = useCallback(async (before) => {
+    setLoading(true);
+    try {
+      const response = await notificationAPI.list({ before, limit: PAGE_SIZE });
+      setNotifications((prev) => before ? [...prev, ...response.data.notifications] : response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+      setHasMore(response.data.hasMore);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  // Live delivery over the user's socket room
+  useEffect(() => {
+    const handleNotification = (notification) => {
+      setNotifications((prev) => prev.some((item) => item.id === notification.id) ? prev : [notification, ...prev]);
+      setUnreadCount((count) => count + 1);
+    };
+
+    // Read here or in another tab
+    const handleRead = ({ ids, unreadCount: remaining }) => {
+      const readAt = new Date().toISOString();
+      setNotifications((prev) => prev.map((item) =>
+        !item.readAt && (!ids || ids.includes(item.id)) ? { ...item, readAt } : item
+      ));
+      setUnreadCount(remaining);
+    };
+
+    socketService.connect()
+      .then(() => {
+        socketService.on('notification', handleNotification);
+        socketService.on('notifications-read', handleRead);
+      })
+      .catch((error) => console.error('Error connecting for notifications:', error));
+
+    return () => {
+      socketService.off('notification', handleNotification);
+      socketService.off('notifications-read', handleRead);
+    };
+  }, []);
+
+  // Close when clicking outside the panel
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const markRead = async (ids) => {
+    try {
+      const response = await notificationAPI.markRead(ids);
+      const readAt = new Date().toISOString();
+      setNotifications((prev) => prev.map((item) => ids.includes(item.id) && !item.readAt ? { ...item, readAt } : item));
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Error marking notification read:', error);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      const readAt = new Date().toISOString();
+      setNotifications((prev) => prev.map((item) => item.readAt ? item : { ...item, readAt }));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  const handleOpen = (notification) => {
+    if (!notification.readAt) markRead([notification.id]);
+
+    const target = notificationTarget(notification);
+    if (target) {
+      navigate(target.path, target.state ? { state: target.state } : undefined);
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        onClick={() => setOpen((value) => !value)}
+        className="relative p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+        title="Notifications"
+      >
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-medium flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 max-w-[90vw] bg-white rounded-lg shadow-lg border border-gray-200 z-40">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-medium text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-primary-600 hover:text-primary-700">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 && !loading && (
+              <p className="text-sm text-gray-500 text-center py-6">You&apos;re all caught up</p>
+            )}
+
+            {notifications.map((notification) => (
+              <button
+                key={notification.id}
+                onClick={() => handleOpen(notification)}
+                className={`w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 flex items-start space-x-2 ${
+                  notification.readAt ? '' : 'bg-primary-50'
+                }`}
+              >
+                <span className={`mt-1.5 h-2 w-2 rounded-full flex-shrink-0 ${notification.readAt ? 'bg-transparent' : 'bg-primary-600'}`} />
+                <div className="min-w-0">
+                  <p className="text-sm text-gray-900 line-clamp-2">{describeNotification(notification)}</p>
+                  <p className="text-xs text-gray-500 mt-0.5">{new Date(notification.createdAt).toLocaleString()}</p>
+                </div>
+              </button>
+            ))}
+
+            {hasMore && (
+              <button
+                onClick={() => fetchNotifications(notifications[notifications.length - 1].createdAt)}
+                disabled={loading}
+                className="w-full py-2 text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+              >
+                {loading ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
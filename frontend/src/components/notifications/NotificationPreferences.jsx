@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import { notificationAPI } from '../../services/api';
+import ChannelMatrix from './ChannelMatrix';
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Schedule form state from saved settings; new users get the browser's
+// timezone and a 22:00-07:00 suggestion for quiet hours
+const scheduleFrom = (settings) => ({
+  quietHoursEnabled: !!settings.quietHoursStart,
+  quietHoursStart: settings.quietHoursStart || '22:00',
+  quietHoursEnd: settings.quietHoursEnd || '07:00',
+  timezone: settings.timezone === 'UTC' && !settings.quietHoursStart ? browserTimezone() : settings.timezone,
+  digestFrequency: settings.digestFrequency
+});
+
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    notificationAPI.getPreferences()
+      .then((response) => {
+        setPreferences(response.data.preferences);
+        setSchedule(scheduleFrom(response.data.preferences.settings));
+      })
+      .catch((error) => setError(error.response?.data?.error || 'Failed to load notification settings'));
+  }, []);
+
+  const save = async (body) => {
+    setSaving(true);
+    setError('');
+    setSaved(false);
+
+    try {
+      const response = await notificationAPI.updatePreferences(body);
+      setPreferences(response.data.preferences);
+      setSaved(true);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to save notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleChannelsChange = (channels) => {
+    setPreferences({ ...preferences, channels });
+    save({ channels });
+  };
+
+  const handleScheduleSubmit = (e) => {
+    e.preventDefault();
+    save({
+      quietHoursStart: schedule.quietHoursEnabled ? schedule.quietHoursStart : null,
+      quietHoursEnd: schedule.quietHoursEnabled ? schedule.quietHoursEnd : null,
+      timezone: schedule.timezone,
+      digestFrequency: schedule.digestFrequency
+    });
+  };
+
+  if (!preferences) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <div>
+        <p className="text-sm font-medium text-gray-700">Default channels</p>
+        <p className="text-xs text-gray-500 mb-3">
+          Applies to every workspace unless you change it in that workspace's settings
+        </p>
+        <ChannelMatrix
+          types={preferences.types}
+          channels={preferences.channels}
+          onChange={handleChannelsChange}
+          disabled={saving}
+        />
+      </div>
+
+      <form onSubmit={handleScheduleSubmit} className="space-y-4 border-t border-gray-200 pt-4">
+        <div>
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={schedule.quietHoursEnabled}
+              onChange={(e) => setSchedule({ ...schedule, quietHoursEnabled: e.target.checked })}
+              className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+            />
+            <span>Quiet hours</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-1">
+            Nothing pops up and emails wait until quiet hours are over
+          </p>
+          {schedule.quietHoursEnabled && (
+            <div className="flex items-center space-x-2 mt-2">
+              <input
+                type="time"
+                value={schedule.quietHoursStart}
+                onChange={(e) => setSchedule({ ...schedule, quietHoursStart: e.target.value })}
+                className="input-field w-32"
+                required
+              />
+              <span className="text-sm text-gray-500">to</span>
+              <input
+                type="time"
+                value={schedule.quietHoursEnd}
+                onChange={(e) => setSchedule({ ...schedule, quietHoursEnd: e.target.value })}
+                className="input-field w-32"
+                required
+              />
+            </div>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Timezone</label>
+          <input
+            type="text"
+            value={schedule.timezone}
+            onChange={(e) => setSchedule({ ...schedule, timezone: e.target.value })}
+            placeholder="Europe/Berlin"
+            className="input-field"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Summary email</label>
+          <select
+            value={schedule.digestFrequency}
+            onChange={(e) => setSchedule({ ...schedule, digestFrequency: e.target.value })}
+            className="input-field"
+          >
+            <option value="off">Off</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Unread chat, tasks due soon and document changes across your workspaces
+          </p>
+        </div>
+
+        <div className="flex items-center justify-end space-x-3">
+          {saved && <span className="text-sm text-green-600">Saved</span>}
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium text-sm transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save schedule'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { notificationAPI } from '../../services/api';
+import ChannelMatrix from './ChannelMatrix';
+
+// The current user's notification channels for one workspace: either their
+// profile defaults or an override for this workspace only
+const WorkspaceNotificationSettings = ({ workspaceId }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    notificationAPI.getPreferences()
+      .then((response) => setPreferences(response.data.preferences))
+      .catch((error) => setError(error.response?.data?.error || 'Failed to load notification settings'));
+  }, []);
+
+  const update = async (request) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await request();
+      setPreferences(response.data.preferences);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to save notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!preferences) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  const override = preferences.workspaces.find((entry) => entry.workspaceId === workspaceId);
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="flex items-center space-x-6 text-sm">
+        <label className="flex items-center space-x-2">
+          <input
+            type="radio"
+            checked={!override}
+            onChange={() => update(() => notificationAPI.resetWorkspacePreferences(workspaceId))}
+            disabled={saving}
+          />
+          <span>Use my defaults</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input
+            type="radio"
+            checked={!!override}
+            onChange={() => update(() => notificationAPI.updateWorkspacePreferences(workspaceId, preferences.channels))}
+            disabled={saving}
+          />
+          <span>Customize for this workspace</span>
+        </label>
+      </div>
+
+      <ChannelMatrix
+        types={preferences.types}
+        channels={override ? override.channels : preferences.channels}
+        onChange={(channels) => update(() => notificationAPI.updateWorkspacePreferences(workspaceId, channels))}
+        disabled={saving || !override}
+      />
+    </div>
+  );
+};
+
+export default WorkspaceNotificationSettings;
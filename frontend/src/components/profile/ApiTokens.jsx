@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react';
+import { apiTokenAPI } from '../../services/api';
+
+// Personal access tokens for scripts: create with a name, scopes and
+// lifetime, see when each was last used, and revoke them
+const ApiTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  const [newToken, setNewToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    apiTokenAPI.list()
+      .then((response) => {
+        setTokens(response.data.tokens);
+        setAvailableScopes(response.data.scopes);
+      })
+      .catch((error) => setError(error.response?.data?.error || 'Failed to load access tokens'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const toggleScope = (scope) => {
+    setScopes((prev) => (prev.includes(scope) ? prev.filter((item) => item !== scope) : [...prev, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setCreating(true);
+
+    try {
+      const response = await apiTokenAPI.create({
+        name: name.trim(),
+        scopes,
+        expiresInDays: expiresInDays ? parseInt(expiresInDays) : null
+      });
+      setTokens((prev) => [response.data.token, ...prev]);
+      setNewToken(response.data.secret);
+      setCopied(false);
+      setName('');
+      setScopes([]);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to create access token');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      await apiTokenAPI.revoke(token.id);
+      setTokens((prev) => prev.filter((item) => item.id !== token.id));
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to revoke access token');
+    }
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(newToken);
+    setCopied(true);
+  };
+
+  if (loading) return null;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-gray-500">
+        Use a token as <code className="bg-gray-100 px-1 rounded">Authorization: Bearer &lt;token&gt;</code> against
+        the <code className="bg-gray-100 px-1 rounded">/api/v1</code> endpoints its scopes allow
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {newToken && (
+        <div className="bg-yellow-50 border border-yellow-200 px-4 py-3 rounded-lg text-sm space-y-2">
+          <p className="text-yellow-800">Copy your new token now; it won't be shown again.</p>
+          <code className="block bg-white px-2 py-1 rounded font-mono break-all">{newToken}</code>
+          <div className="flex space-x-3">
+            <button type="button" onClick={handleCopy} className="text-xs text-yellow-800 underline">
+              {copied ? 'Copied!' : 'Copy'}
+            </button>
+            <button type="button" onClick={() => setNewToken(null)} className="text-xs text-yellow-800 underline">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <div className="sm:col-span-2">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Nightly task import"
+              maxLength={100}
+              className="input-field"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Expires after</label>
+            <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} className="input-field">
+              <option value="7">7 days</option>
+              <option value="30">30 days</option>
+              <option value="90">90 days</option>
+              <option value="365">1 year</option>
+              <option value="">Never</option>
+            </select>
+          </div>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Scopes</label>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-1">
+            {availableScopes.map((scope) => (
+              <label key={scope} className="flex items-center space-x-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                />
+                <code className="text-xs">{scope}</code>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={creating || scopes.length === 0}
+            className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium text-sm transition-colors disabled:opacity-50"
+          >
+            {creating ? 'Creating...' : 'Create token'}
+          </button>
+        </div>
+      </form>
+
+      {tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">No access tokens yet</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {tokens.map((token) => (
+            <div key={token.id} className="p-3 flex items-center justify-between">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-800 truncate">{token.name}</span>
+                  <code className="text-xs text-gray-500">{token.prefix}…</code>
+                  {token.expired && (
+                    <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-700">Expired</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {token.scopes.join(', ')}
+                  {' · '}
+                  {token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used'}
+                  {' · '}
+                  {token.expiresAt ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}` : 'Never expires'}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(token)}
+                className="text-xs text-red-600 hover:text-red-800 px-2 py-1 rounded hover:bg-red-50 flex-shrink-0 ml-3"
+              >
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokens;
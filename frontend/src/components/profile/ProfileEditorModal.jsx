@@ -1,5 +1,8 @@
 import  { useState, useRef } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import TwoFactorSettings from './TwoFactorSettings';
+import ApiTokens from './ApiTokens';
+import NotificationPreferences from '../notifications/NotificationPreferences';
 
 const ProfileEditorModal = ({ onClose }) => {
   const { user, updateUserProfile, uploadAvatar, deleteAvatar } = useAuth();
@@ -303,6 +306,24 @@ const ProfileEditorModal = ({ onClose }) => {
             </button>
           </div>
         </form>
+
+        {/* Security */}
+        <div className="p-6 border-t border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Security</h3>
+          <TwoFactorSettings />
+        </div>
+
+        {/* Notifications */}
+        <div className="p-6 border-t border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Notifications</h3>
+          <NotificationPreferences />
+        </div>
+
+        {/* API access */}
+        <div className="p-6 border-t border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">API Tokens</h3>
+          <ApiTokens />
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,264 @@
+import { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../../services/api';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [action, setAction] = useState(null); // 'disable' | 'regenerate'
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchStatus = async () => {
+    try {
+      const response = await twoFactorAPI.getStatus();
+      setStatus(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setCode('');
+    setUseRecoveryCode(false);
+    setAction(null);
+    setError('');
+  };
+
+  const handleStartSetup = async () => {
+    setLoading(true);
+    setError('');
+    setRecoveryCodes(null);
+
+    try {
+      const response = await twoFactorAPI.setup();
+      setSetupData(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to start setup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await twoFactorAPI.enable(code);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetupData(null);
+      resetForm();
+      await fetchStatus();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to enable two-factor authentication');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirmAction = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      if (action === 'disable') {
+        await twoFactorAPI.disable(useRecoveryCode ? { recoveryCode: code } : { code });
+        setRecoveryCodes(null);
+      } else {
+        const response = await twoFactorAPI.regenerateRecoveryCodes(code);
+        setRecoveryCodes(response.data.recoveryCodes);
+      }
+      resetForm();
+      await fetchStatus();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!status) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-700">Two-factor authentication</p>
+          <p className="text-xs text-gray-500">
+            {status.enabled
+              ? `Enabled · ${status.recoveryCodesRemaining} recovery codes left`
+              : 'Protect your account with an authenticator app'}
+          </p>
+        </div>
+        {status.enabled ? (
+          <span className="px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">On</span>
+        ) : (
+          !setupData && (
+            <button
+              type="button"
+              onClick={handleStartSetup}
+              disabled={loading}
+              className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium text-sm transition-colors"
+            >
+              Set up
+            </button>
+          )
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Enrollment */}
+      {setupData && (
+        <form onSubmit={handleEnable} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <p className="text-sm text-gray-700">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setupData.qrCode} alt="Two-factor QR code" className="w-40 h-40" />
+          <p className="text-xs text-gray-500">
+            Can't scan it? Enter this key manually:{' '}
+            <code className="bg-white px-1 py-0.5 rounded font-mono break-all">{setupData.secret}</code>
+          </p>
+          <div className="flex items-center space-x-3">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input-field tracking-widest"
+              placeholder="123456"
+              required
+            />
+            <button type="submit" disabled={loading} className="btn-primary whitespace-nowrap">
+              Verify & enable
+            </button>
+            <button
+              type="button"
+              onClick={() => { setSetupData(null); resetForm(); }}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Freshly issued recovery codes */}
+      {recoveryCodes && (
+        <div className="p-4 bg-yellow-50 rounded-lg border border-yellow-200 space-y-3">
+          <p className="text-sm text-yellow-800">
+            Save these recovery codes somewhere safe. Each can be used once if you lose access to
+            your authenticator app. They won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2">
+            {recoveryCodes.map((recoveryCode) => (
+              <code key={recoveryCode} className="text-sm font-mono bg-white px-2 py-1 rounded text-center">
+                {recoveryCode}
+              </code>
+            ))}
+          </div>
+          <div className="flex items-center space-x-3">
+            <button
+              type="button"
+              onClick={() => navigator.clipboard.writeText(recoveryCodes.join('\n'))}
+              className="text-sm text-primary-600 hover:text-primary-700"
+            >
+              Copy codes
+            </button>
+            <button
+              type="button"
+              onClick={() => setRecoveryCodes(null)}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              I've saved them
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Manage an enabled second factor */}
+      {status.enabled && !action && (
+        <div className="flex items-center space-x-3">
+          <button
+            type="button"
+            onClick={() => setAction('regenerate')}
+            className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium text-sm transition-colors"
+          >
+            New recovery codes
+          </button>
+          <button
+            type="button"
+            onClick={() => setAction('disable')}
+            className="px-4 py-2 bg-red-50 hover:bg-red-100 text-red-600 rounded-lg font-medium text-sm transition-colors"
+          >
+            Disable
+          </button>
+        </div>
+      )}
+
+      {action && (
+        <form onSubmit={handleConfirmAction} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <p className="text-sm text-gray-700">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes to confirm.'
+              : 'Enter the current code from your authenticator app to confirm.'}
+          </p>
+          <div className="flex items-center space-x-3">
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input-field tracking-widest"
+              placeholder={useRecoveryCode ? 'XXXX-XXXX-XXXX-XXXX' : '123456'}
+              required
+            />
+            <button
+              type="submit"
+              disabled={loading}
+              className={action === 'disable'
+                ? 'px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 whitespace-nowrap'
+                : 'btn-primary whitespace-nowrap'}
+            >
+              {action === 'disable' ? 'Disable' : 'Generate'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+          </div>
+          {action === 'disable' && (
+            <button
+              type="button"
+              onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+              className="text-xs text-primary-600 hover:text-primary-700"
+            >
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+          )}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
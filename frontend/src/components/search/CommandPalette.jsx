@@ -0,0 +1,213 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { workspaceAPI } from '../../services/api';
+
+const PAGE_SIZE = 20;
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 250;
+
+const TYPE_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'message', label: 'Messages' },
+  { value: 'task', label: 'Tasks' },
+  { value: 'document', label: 'Documents' },
+  { value: 'file', label: 'Files' }
+];
+
+// Workspace tab each result type opens
+const RESULT_TABS = {
+  message: 'chat',
+  task: 'tasks',
+  document: 'documents',
+  file: 'files'
+};
+
+const TYPE_LABELS = {
+  message: 'Message',
+  task: 'Task',
+  document: 'Document',
+  file: 'File',
+  workspace: 'Workspace'
+};
+
+// Searches the current workspace; outside a workspace it jumps between
+// workspaces by name instead
+const CommandPalette = ({ workspaceId, onClose }) => {
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('');
+  const [results, setResults] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [hasMore, setHasMore] = useState(false);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [selected, setSelected] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    if (workspaceId) return;
+
+    workspaceAPI.getAll()
+      .then((response) => setWorkspaces(response.data.workspaces || []))
+      .catch((error) => console.error('Error fetching workspaces:', error));
+  }, [workspaceId]);
+
+  const search = useCallback(async (offset = 0) => {
+    setLoading(true);
+    try {
+      const response = await workspaceAPI.search(workspaceId, {
+        q: query.trim(),
+        type: type || undefined,
+        limit: PAGE_SIZE,
+        offset
+      });
+      setResults((prev) => offset === 0 ? response.data.results : [...prev, ...response.data.results]);
+      setCounts(response.data.counts);
+      setHasMore(response.data.hasMore);
+      setError('');
+    } catch (error) {
+      console.error('Error searching workspace:', error);
+      setError(error.response?.data?.error || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId, query, type]);
+
+  // Search once typing pauses
+  useEffect(() => {
+    setSelected(0);
+    if (!workspaceId || query.trim().length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setHasMore(false);
+      return;
+    }
+
+    const timeout = setTimeout(() => search(0), DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [workspaceId, query, search]);
+
+  const items = workspaceId
+    ? results
+    : workspaces
+        .filter((workspace) => workspace.name.toLowerCase().includes(query.trim().toLowerCase()))
+        .map((workspace) => ({ type: 'workspace', id: workspace.id, title: workspace.name, snippet: workspace.description }));
+
+  const openItem = (item) => {
+    if (item.type === 'workspace') {
+      navigate(`/workspace/${item.id}`);
+    } else {
+      navigate(`/workspace/${workspaceId}`, {
+        state: {
+          tab: RESULT_TABS[item.type],
+          documentId: item.type === 'document' ? item.id : undefined
+        }
+      });
+    }
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected((index) => Math.min(index + 1, items.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected((index) => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && items[selected]) {
+      e.preventDefault();
+      openItem(items[selected]);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center p-4 pt-24 z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg max-w-2xl w-full shadow-xl overflow-hidden" onClick={(e) => e.stopPropagation()}>
+        <div className="border-b border-gray-200 p-3">
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={workspaceId ? 'Search messages, tasks, documents and files...' : 'Jump to a workspace...'}
+            className="w-full px-2 py-2 text-sm focus:outline-none"
+          />
+          {workspaceId && (
+            <div className="flex flex-wrap gap-2 mt-2">
+              {TYPE_FILTERS.map((filter) => (
+                <button
+                  key={filter.value}
+                  onClick={() => setType(filter.value)}
+                  className={`px-2 py-1 rounded text-xs font-medium ${
+                    type === filter.value
+                      ? 'bg-primary-100 text-primary-700'
+                      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  {filter.label}
+                  {filter.value && counts[filter.value] !== undefined && ` (${counts[filter.value]})`}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="max-h-96 overflow-y-auto">
+          {error && (
+            <div className="bg-red-50 text-red-600 px-4 py-3 text-sm">{error}</div>
+          )}
+
+          {items.map((item, index) => (
+            <button
+              key={`${item.type}-${item.id}`}
+              onClick={() => openItem(item)}
+              onMouseEnter={() => setSelected(index)}
+              className={`w-full text-left px-4 py-3 border-b border-gray-100 ${index === selected ? 'bg-primary-50' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className={`text-sm font-medium text-gray-900 truncate ${item.completed ? 'line-through' : ''}`}>
+                  {item.title}
+                </span>
+                <span className="text-xs text-gray-400 flex-shrink-0 ml-3">
+                  {TYPE_LABELS[item.type]}
+                  {item.listName && ` · ${item.listName}`}
+                </span>
+              </div>
+              {item.snippet && (
+                <p className="text-xs text-gray-500 mt-1 line-clamp-2">{item.snippet}</p>
+              )}
+            </button>
+          ))}
+
+          {workspaceId && query.trim().length >= MIN_QUERY_LENGTH && !loading && !error && items.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-6">No results for &quot;{query.trim()}&quot;</p>
+          )}
+
+          {hasMore && (
+            <button
+              onClick={() => search(results.length)}
+              disabled={loading}
+              className="w-full py-2 text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+
+        <div className="px-4 py-2 bg-gray-50 text-xs text-gray-400 flex justify-between">
+          <span>↑↓ to navigate · Enter to open · Esc to close</span>
+          {loading && <span>Searching...</span>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -6,7 +6,7 @@ import CreateListForm from './CreateListForm';
 import CreateTaskModal from './CreateTaskModal';
 import DebugTaskCreate from './DebugTaskCreate';
 
-const TaskBoard = ({ workspaceId }) => {
+const TaskBoard = ({ workspaceId, readOnly = false }) => {
   const { 
     lists = [], 
     loading, 
@@ -31,6 +31,8 @@ const TaskBoard = ({ workspaceId }) => {
   const onDragEnd = async (result) => {
     const { destination, source, draggableId, type } = result;
 
+    if (readOnly) return;
+
     // If dropped outside any droppable area
     if (!destination) return;
 
@@ -184,18 +186,24 @@ const TaskBoard = ({ workspaceId }) => {
       <div className="flex justify-between items-center">
         <div>
           <h2 className="text-2xl font-bold text-gray-900">Task Board</h2>
-          <p className="text-gray-600 mt-1">Manage your team's tasks with drag and drop</p>
+          <p className="text-gray-600 mt-1">
+            {readOnly ? 'You have view-only access to this board' : "Manage your team's tasks with drag and drop"}
+          </p>
         </div>
-        <button
-          onClick={() => setShowCreateList(true)}
-          className="btn-primary"
-        >
-          Add List
-        </button>
+        {readOnly ? (
+          <span className="px-3 py-1 rounded-full text-xs bg-blue-100 text-blue-800">Read-only</span>
+        ) : (
+          <button
+            onClick={() => setShowCreateList(true)}
+            className="btn-primary"
+          >
+            Add List
+          </button>
+        )}
       </div>
 
       {/* Debug Component - Temporary */}
-      <DebugTaskCreate lists={safeLists} />
+      {!readOnly && <DebugTaskCreate lists={safeLists} />}
 
       {/* Task Board */}
       <DragDropContext onDragEnd={onDragEnd}>
@@ -207,7 +215,7 @@ const TaskBoard = ({ workspaceId }) => {
               className="flex space-x-4 overflow-x-auto pb-4 min-h-96"
             >
               {safeLists.map((list, index) => (
-                <Draggable key={list.id} draggableId={list.id} index={index}>
+                <Draggable key={list.id} draggableId={list.id} index={index} isDragDisabled={readOnly}>
                   {(provided) => (
                     <div
                       ref={provided.innerRef}
@@ -223,6 +231,7 @@ const TaskBoard = ({ workspaceId }) => {
                         onEditStart={() => setEditingList(list.id)}
                         onEditCancel={() => setEditingList(null)}
                         dragHandleProps={provided.dragHandleProps}
+                        readOnly={readOnly}
                       />
                     </div>
                   )}
@@ -231,7 +240,7 @@ const TaskBoard = ({ workspaceId }) => {
               {provided.placeholder}
 
               {/* Create List Form */}
-              {showCreateList && (
+              {showCreateList && !readOnly && (
                 <div className="flex-shrink-0 w-80">
                   <CreateListForm
                     onSubmit={handleCreateList}
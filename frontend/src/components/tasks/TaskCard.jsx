@@ -3,7 +3,7 @@ import { useTaskBoard } from '../../hooks/useTaskBoard';
 import { useAuth } from '../../contexts/AuthContext';
 import TaskModal from './TaskModal';
 
-const TaskCard = ({ task, listId }) => {
+const TaskCard = ({ task, listId, readOnly = false }) => {
   const { updateTask, deleteTask } = useTaskBoard();
   const { user: currentUser } = useAuth();
   const [showModal, setShowModal] = useState(false);
@@ -56,6 +56,15 @@ const TaskCard = ({ task, listId }) => {
     }
   };
 
+  const handleToggleCompleted = async (e) => {
+    e.stopPropagation();
+    try {
+      await updateTask(task.id, { completed: !task.completed_at });
+    } catch (error) {
+      console.error('Error updating task completion:', error);
+    }
+  };
+
   return (
     <>
       <div
@@ -64,23 +73,34 @@ const TaskCard = ({ task, listId }) => {
       >
         {/* Task Header */}
         <div className="flex justify-between items-start mb-2">
-          <h4 className="font-medium text-gray-900 text-sm line-clamp-2 flex-1">
+          <input
+            type="checkbox"
+            checked={!!task.completed_at}
+            onChange={handleToggleCompleted}
+            onClick={(e) => e.stopPropagation()}
+            disabled={readOnly}
+            className="mt-0.5 mr-2 h-4 w-4 rounded border-gray-300 text-primary-600"
+            title={task.completed_at ? 'Mark as not completed' : 'Mark as completed'}
+          />
+          <h4 className={`font-medium text-sm line-clamp-2 flex-1 ${task.completed_at ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
             {task.title}
           </h4>
-          <button
-            onClick={handleDelete}
-            disabled={isDeleting}
-            className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-600 transition-opacity ml-2"
-            title="Delete task"
-          >
-            {isDeleting ? (
-              <div className="w-4 h-4 border-2 border-gray-300 border-t-red-600 rounded-full animate-spin"></div>
-            ) : (
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
-            )}
-          </button>
+          {!readOnly && (
+            <button
+              onClick={handleDelete}
+              disabled={isDeleting}
+              className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-600 transition-opacity ml-2"
+              title="Delete task"
+            >
+              {isDeleting ? (
+                <div className="w-4 h-4 border-2 border-gray-300 border-t-red-600 rounded-full animate-spin"></div>
+              ) : (
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              )}
+            </button>
+          )}
         </div>
 
         {/* Description Preview */}
@@ -98,6 +118,7 @@ const TaskCard = ({ task, listId }) => {
               value={task.priority || 'medium'}
               onChange={(e) => handlePriorityChange(e.target.value)}
               onClick={(e) => e.stopPropagation()}
+              disabled={readOnly}
               className={`text-xs px-2 py-1 rounded border ${getPriorityColor(task.priority)}`}
             >
               <option value="low">Low</option>
@@ -163,6 +184,7 @@ const TaskCard = ({ task, listId }) => {
           onClose={() => setShowModal(false)}
           onUpdate={updateTask}
           onDelete={deleteTask}
+          readOnly={readOnly}
         />
       )}
     </>
@@ -11,7 +11,8 @@ const TaskList = ({
   isEditing, 
   onEditStart, 
   onEditCancel,
-  dragHandleProps 
+  dragHandleProps,
+  readOnly = false
 }) => {
   const [showCreateTask, setShowCreateTask] = React.useState(false);
 
@@ -75,33 +76,35 @@ const TaskList = ({
           <>
             <div 
               {...dragHandleProps}
-              className="flex-1 flex items-center space-x-2 cursor-grab active:cursor-grabbing"
+              className={`flex-1 flex items-center space-x-2 ${readOnly ? '' : 'cursor-grab active:cursor-grabbing'}`}
             >
               <h3 className="font-medium text-gray-900 text-sm">{list.name}</h3>
               <span className="bg-gray-200 text-gray-600 text-xs px-2 py-1 rounded-full">
                 {tasks.length}
               </span>
             </div>
-            <div className="flex space-x-1">
-              <button
-                onClick={onEditStart}
-                className="text-gray-400 hover:text-gray-600 p-1"
-                title="Edit list name"
-              >
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                </svg>
-              </button>
-              <button
-                onClick={() => onDelete(list.id)}
-                className="text-gray-400 hover:text-red-600 p-1"
-                title="Delete list"
-              >
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                </svg>
-              </button>
-            </div>
+            {!readOnly && (
+              <div className="flex space-x-1">
+                <button
+                  onClick={onEditStart}
+                  className="text-gray-400 hover:text-gray-600 p-1"
+                  title="Edit list name"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                  </svg>
+                </button>
+                <button
+                  onClick={() => onDelete(list.id)}
+                  className="text-gray-400 hover:text-red-600 p-1"
+                  title="Delete list"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                </button>
+              </div>
+            )}
           </>
         )}
       </div>
@@ -118,7 +121,7 @@ const TaskList = ({
             style={{ maxHeight: 'calc(100vh - 300px)' }}
           >
             {tasks.map((task, index) => (
-              <Draggable key={task.id} draggableId={task.id} index={index}>
+              <Draggable key={task.id} draggableId={task.id} index={index} isDragDisabled={readOnly}>
                 {(provided, snapshot) => (
                   <div
                     ref={provided.innerRef}
@@ -128,7 +131,7 @@ const TaskList = ({
                       snapshot.isDragging ? 'rotate-5 shadow-lg' : ''
                     }`}
                   >
-                    <TaskCard task={task} listId={list.id} />
+                    <TaskCard task={task} listId={list.id} readOnly={readOnly} />
                   </div>
                 )}
               </Draggable>
@@ -149,7 +152,7 @@ const TaskList = ({
       </Droppable>
 
       {/* Add Task Button */}
-      {!showCreateTask ? (
+      {readOnly ? null : !showCreateTask ? (
         <button
           onClick={handleAddTask}
           className="mt-3 w-full flex items-center space-x-2 text-gray-500 hover:text-gray-700 text-sm py-2 px-3 rounded hover:bg-gray-200 transition-colors"
@@ -1,7 +1,7 @@
 import  { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 
-const TaskModal = ({ task, listId, onClose, onUpdate, onDelete }) => {
+const TaskModal = ({ task, listId, onClose, onUpdate, onDelete, readOnly = false }) => {
   const { user: currentUser } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
@@ -83,7 +83,7 @@ const TaskModal = ({ task, listId, onClose, onUpdate, onDelete }) => {
         </div>
 
         <div className="p-6 overflow-y-auto max-h-[calc(90vh-140px)]">
-          {isEditing ? (
+          {isEditing && !readOnly ? (
             <form onSubmit={handleSubmit} className="space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -243,21 +243,23 @@ const TaskModal = ({ task, listId, onClose, onUpdate, onDelete }) => {
               </div>
 
               {/* Actions */}
-              <div className="flex space-x-3 pt-4 border-t border-gray-200">
-                <button
-                  onClick={() => setIsEditing(true)}
-                  className="btn-primary"
-                >
-                  Edit Task
-                </button>
-                <button
-                  onClick={handleDelete}
-                  disabled={isSubmitting}
-                  className="btn-secondary text-red-600 border-red-200 hover:bg-red-50 disabled:opacity-50"
-                >
-                  {isSubmitting ? 'Deleting...' : 'Delete Task'}
-                </button>
-              </div>
+              {!readOnly && (
+                <div className="flex space-x-3 pt-4 border-t border-gray-200">
+                  <button
+                    onClick={() => setIsEditing(true)}
+                    className="btn-primary"
+                  >
+                    Edit Task
+                  </button>
+                  <button
+                    onClick={handleDelete}
+                    disabled={isSubmitting}
+                    className="btn-secondary text-red-600 border-red-200 hover:bg-red-50 disabled:opacity-50"
+                  >
+                    {isSubmitting ? 'Deleting...' : 'Delete Task'}
+                  </button>
+                </div>
+              )}
             </div>
           )}
         </div>
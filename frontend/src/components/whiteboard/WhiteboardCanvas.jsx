@@ -3,7 +3,7 @@ import { Stage, Layer, Line, Rect, Circle, Text } from 'react-konva';
 import { useWhiteboard } from '../../hooks/useWhiteboard';
 import WhiteboardToolbar from './WhiteboardToolbar';
 
-const WhiteboardCanvas = ({ workspaceId, currentUser, onClose }) => {
+const WhiteboardCanvas = ({ workspaceId, currentUser, onClose, readOnly = false }) => {
   const {
     elements,
     remoteCursors,
@@ -36,6 +36,8 @@ const WhiteboardCanvas = ({ workspaceId, currentUser, onClose }) => {
 
   // Keyboard shortcuts
   useEffect(() => {
+    if (readOnly) return;
+
     const handleKeyDown = (e) => {
       // Prevent shortcuts when typing in input fields
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
@@ -75,7 +77,7 @@ const WhiteboardCanvas = ({ workspaceId, currentUser, onClose }) => {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [canUndo, canRedo, undo, redo]);
+  }, [canUndo, canRedo, undo, redo, readOnly]);
 
   // Handle window resize
   useEffect(() => {
@@ -95,7 +97,7 @@ const WhiteboardCanvas = ({ workspaceId, currentUser, onClose }) => {
 
   // Mouse/Touch handlers
   const handleMouseDown = (e) => {
-    if (!isConnected) return;
+    if (!isConnected || readOnly) return;
 
     const stage = e.target.getStage();
     const point = stage.getPointerPosition();
@@ -296,6 +298,7 @@ const WhiteboardCanvas = ({ workspaceId, currentUser, onClose }) => {
         onUndo={undo}
         onRedo={redo}
         onExport={handleExport}
+        readOnly={readOnly}
       />
 
       {/* Canvas Container */}
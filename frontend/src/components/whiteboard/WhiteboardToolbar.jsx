@@ -12,7 +12,8 @@ const WhiteboardToolbar = ({
   onClear,
   onUndo,
   onRedo,
-  onExport
+  onExport,
+  readOnly = false
 }) => {
   const [showColorPicker, setShowColorPicker] = useState(false);
 
@@ -42,6 +43,34 @@ const WhiteboardToolbar = ({
     onExport(format);
   };
 
+  const exportButton = (
+    <button
+      onClick={handleExportMenu}
+      className="px-3 py-2 bg-blue-50 hover:bg-blue-100 text-blue-600 rounded-lg font-medium text-sm transition-colors flex items-center space-x-1"
+      title="Export as image"
+    >
+      <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+      </svg>
+      <span>Export</span>
+    </button>
+  );
+
+  // Viewers (guests) can watch and export, but get no drawing tools
+  if (readOnly) {
+    return (
+      <div className="bg-white border-b border-gray-200 px-6 py-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <span className="px-3 py-1 rounded-full text-xs bg-blue-100 text-blue-800">Read-only</span>
+            <span className="text-sm text-gray-600">You can view and export this whiteboard, but not draw on it</span>
+          </div>
+          {exportButton}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="bg-white border-b border-gray-200 px-6 py-3">
       <div className="flex items-center justify-between">
@@ -193,16 +222,7 @@ const WhiteboardToolbar = ({
           </button>
 
           {/* Export */}
-          <button
-            onClick={handleExportMenu}
-            className="px-3 py-2 bg-blue-50 hover:bg-blue-100 text-blue-600 rounded-lg font-medium text-sm transition-colors flex items-center space-x-1"
-            title="Export as image"
-          >
-            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-            </svg>
-            <span>Export</span>
-          </button>
+          {exportButton}
         </div>
       </div>
 
@@ -0,0 +1,151 @@
+import { useState, useEffect, useCallback } from 'react';
+import { workspaceAPI } from '../../services/api';
+import { socketService } from '../../services/socket';
+
+const PAGE_SIZE = 15;
+
+const ICON_STYLES = {
+  task: 'bg-green-100 text-green-600',
+  document: 'bg-purple-100 text-purple-600',
+  file: 'bg-yellow-100 text-yellow-600',
+  call: 'bg-red-100 text-red-600',
+  member: 'bg-blue-100 text-blue-600'
+};
+
+const ICON_PATHS = {
+  task: 'M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2',
+  document: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z',
+  file: 'M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12',
+  call: 'M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z',
+  member: 'M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z'
+};
+
+// What the actor did, e.g. "moved Fix login from To Do to Done"
+const describeActivity = ({ type, metadata }) => {
+  switch (type) {
+    case 'task.created':
+      return `created ${metadata.title}${metadata.listName ? ` in ${metadata.listName}` : ''}`;
+    case 'task.moved':
+      return `moved ${metadata.title} from ${metadata.fromListName || 'another list'} to ${metadata.toListName || 'another list'}`;
+    case 'task.completed':
+      return `completed ${metadata.title}`;
+    case 'document.edited':
+      return `edited ${metadata.title || 'a document'}`;
+    case 'file.uploaded':
+      return `uploaded ${metadata.name}`;
+    case 'call.started':
+      return 'started a video call';
+    case 'member.joined':
+      return `joined the workspace as ${metadata.role}`;
+    default:
+      return type;
+  }
+};
+
+const ActivityFeed = ({ workspaceId, currentUserId }) => {
+  const [activities, setActivities] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchActivities = useCallback(async (before) => {
+    setLoading(true);
+    try {
+      const response = await workspaceAPI.getActivity(workspaceId, { before, limit: PAGE_SIZE });
+      setActivities((prev) => before ? [...prev, ...response.data.activities] : response.data.activities);
+      setHasMore(response.data.hasMore);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+      setError(error.response?.data?.error || 'Failed to load activity');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchActivities();
+  }, [fetchActivities]);
+
+  // New activity is pushed over the socket while the overview is open
+  useEffect(() => {
+    const handleActivity = ({ workspaceId: activityWorkspaceId, activity }) => {
+      if (activityWorkspaceId !== workspaceId) return;
+      setActivities((prev) => prev.some((item) => item.id === activity.id) ? prev : [activity, ...prev]);
+    };
+
+    socketService.joinActivityFeed(workspaceId)
+      .then(() => socketService.on('activity', handleActivity))
+      .catch((error) => console.error('Error joining activity feed:', error));
+
+    return () => {
+      socketService.off('activity', handleActivity);
+      socketService.leaveActivityFeed(workspaceId);
+    };
+  }, [workspaceId]);
+
+  const loadMore = () => {
+    const last = activities[activities.length - 1];
+    if (last) fetchActivities(last.createdAt);
+  };
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+        {error}
+      </div>
+    );
+  }
+
+  if (activities.length === 0 && !loading) {
+    return (
+      <div className="text-center text-gray-500 py-8">
+        <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+        <p className="mt-2">No recent activity yet</p>
+        <p className="text-sm mt-1">Tasks, documents, files and calls will show up here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {activities.map((activity) => {
+        const kind = activity.type.split('.')[0];
+        return (
+          <div key={activity.id} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
+            <div className={`h-8 w-8 rounded-full flex items-center justify-center flex-shrink-0 ${ICON_STYLES[kind] || 'bg-gray-100 text-gray-600'}`}>
+              <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={ICON_PATHS[kind] || ICON_PATHS.task} />
+              </svg>
+            </div>
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-gray-900 truncate">
+                <span className="font-medium">
+                  {activity.actor.id === currentUserId
+                    ? 'You'
+                    : activity.actor.firstName ? `${activity.actor.firstName} ${activity.actor.lastName}` : 'Someone'}
+                </span>{' '}
+                {describeActivity(activity)}
+              </p>
+              <p className="text-xs text-gray-500">{new Date(activity.createdAt).toLocaleString()}</p>
+            </div>
+          </div>
+        );
+      })}
+
+      {hasMore && (
+        <button
+          onClick={loadMore}
+          disabled={loading}
+          className="w-full text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ActivityFeed;
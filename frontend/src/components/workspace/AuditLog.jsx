@@ -0,0 +1,171 @@
+import { useState, useEffect, useCallback } from 'react';
+import { workspaceAPI } from '../../services/api';
+
+const PAGE_SIZE = 25;
+
+const ACTION_LABELS = {
+  'member.invited': 'Invited member',
+  'member.removed': 'Removed member',
+  'member.role_changed': 'Changed role',
+  'member.left': 'Left workspace',
+  'invitation.revoked': 'Revoked invitation',
+  'ownership.transfer_requested': 'Offered ownership',
+  'ownership.transfer_cancelled': 'Cancelled ownership transfer',
+  'ownership.transferred': 'Took ownership',
+  'workspace.updated': 'Updated settings',
+  'workspace.security_updated': 'Changed security settings',
+  'workspace.archived': 'Archived workspace',
+  'workspace.unarchived': 'Restored workspace',
+  'file.deleted': 'Deleted file',
+  'document.deleted': 'Deleted document',
+  'document.snapshot_restored': 'Restored document version',
+  'task_list.deleted': 'Deleted task list',
+  'task.deleted': 'Deleted task',
+  'webhook.created': 'Added webhook',
+  'webhook.updated': 'Changed webhook',
+  'webhook.deleted': 'Removed webhook'
+};
+
+// One-line summary of what an entry affected
+const describeTarget = ({ action, metadata }) => {
+  switch (action) {
+    case 'member.invited':
+    case 'invitation.revoked':
+      return `${metadata.email} (${metadata.role})`;
+    case 'member.role_changed':
+      return `${metadata.email}: ${metadata.from} → ${metadata.to}`;
+    case 'member.removed':
+    case 'member.left':
+    case 'ownership.transfer_requested':
+    case 'ownership.transfer_cancelled':
+    case 'ownership.transferred':
+      return metadata.email || '';
+    case 'workspace.updated':
+      return Object.keys(metadata.changes || {}).join(', ');
+    case 'workspace.security_updated':
+      return `Two-factor required: ${metadata.previous?.require_two_factor ? 'yes' : 'no'} → ${metadata.changes?.require_two_factor ? 'yes' : 'no'}`;
+    case 'file.deleted':
+    case 'task_list.deleted':
+      return metadata.name || '';
+    case 'document.deleted':
+    case 'task.deleted':
+      return metadata.title || '';
+    case 'webhook.created':
+    case 'webhook.updated':
+    case 'webhook.deleted':
+      return metadata.url || '';
+    case 'document.snapshot_restored':
+      return `${metadata.title || 'Document'} to version ${metadata.restoredVersion}`;
+    default:
+      return '';
+  }
+};
+
+const AuditLog = ({ workspaceId, members }) => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [action, setAction] = useState('');
+  const [actorId, setActorId] = useState('');
+  const [since, setSince] = useState('');
+
+  const fetchEntries = useCallback(async (offset = 0) => {
+    setLoading(true);
+    try {
+      const response = await workspaceAPI.getAuditLog(workspaceId, {
+        action: action || undefined,
+        actorId: actorId || undefined,
+        since: since || undefined,
+        limit: PAGE_SIZE,
+        offset
+      });
+      setEntries((prev) => offset === 0 ? response.data.entries : [...prev, ...response.data.entries]);
+      setTotal(response.data.total);
+      setHasMore(response.data.hasMore);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      setError(error.response?.data?.error || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId, action, actorId, since]);
+
+  useEffect(() => {
+    fetchEntries(0);
+  }, [fetchEntries]);
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <select value={action} onChange={(e) => setAction(e.target.value)} className="input-field">
+          <option value="">All actions</option>
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select value={actorId} onChange={(e) => setActorId(e.target.value)} className="input-field">
+          <option value="">Anyone</option>
+          {members.map((member) => (
+            <option key={member.id} value={member.id}>
+              {member.first_name} {member.last_name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={since}
+          onChange={(e) => setSince(e.target.value)}
+          className="input-field"
+          title="Show entries since"
+        />
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {entries.length === 0 && !loading ? (
+        <p className="text-sm text-gray-500 text-center py-4">No matching activity</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {entries.map((entry) => (
+            <div key={entry.id} className="p-3 flex items-start justify-between text-sm">
+              <div className="min-w-0">
+                <span className="font-medium text-gray-900">
+                  {entry.actor.firstName ? `${entry.actor.firstName} ${entry.actor.lastName}` : 'Unknown user'}
+                </span>
+                <span className="text-gray-600"> · {ACTION_LABELS[entry.action] || entry.action}</span>
+                {describeTarget(entry) && (
+                  <div className="text-gray-500 truncate">{describeTarget(entry)}</div>
+                )}
+              </div>
+              <span className="text-xs text-gray-400 flex-shrink-0 ml-3">
+                {new Date(entry.createdAt).toLocaleString()}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between text-sm text-gray-500">
+        <span>{entries.length} of {total} entries</span>
+        {hasMore && (
+          <button
+            onClick={() => fetchEntries(entries.length)}
+            disabled={loading}
+            className="text-primary-600 hover:text-primary-700 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
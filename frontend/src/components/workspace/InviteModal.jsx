@@ -1,12 +1,15 @@
 import  { useState, useEffect } from 'react';
 import { userAPI } from '../../services/api';
+import PendingInvitations from './PendingInvitations';
 
-const InviteModal = ({ onClose, onInvite, existingMembers }) => {
+const InviteModal = ({ workspaceId, invitationsVersion, onClose, onInvite, existingMembers }) => {
   const [email, setEmail] = useState('');
   const [role, setRole] = useState('member');
   const [searchResults, setSearchResults] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [sending, setSending] = useState(false);
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
 
   const existingEmails = existingMembers.map(m => m.email);
 
@@ -37,6 +40,7 @@ const InviteModal = ({ onClose, onInvite, existingMembers }) => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
 
     if (!email) {
       setError('Email is required');
@@ -48,12 +52,18 @@ const InviteModal = ({ onClose, onInvite, existingMembers }) => {
       return;
     }
 
+    setSending(true);
     try {
-      await onInvite(email, role);
+      const result = await onInvite(email, role);
+      setNotice(result.emailSent
+        ? `Invitation sent to ${email}. They'll join once they accept it.`
+        : result.message);
       setEmail('');
       setRole('member');
     } catch (error) {
       setError(error);
+    } finally {
+      setSending(false);
     }
   };
 
@@ -64,7 +74,7 @@ const InviteModal = ({ onClose, onInvite, existingMembers }) => {
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className="bg-white rounded-lg max-w-md w-full p-6">
+      <div className="bg-white rounded-lg max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-lg font-medium">Invite to Workspace</h3>
           <button
@@ -82,6 +92,12 @@ const InviteModal = ({ onClose, onInvite, existingMembers }) => {
             </div>
           )}
 
+          {notice && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+              {notice}
+            </div>
+          )}
+
           <div className="relative">
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Email Address
@@ -132,26 +148,32 @@ const InviteModal = ({ onClose, onInvite, existingMembers }) => {
             >
               <option value="member">Member</option>
               <option value="admin">Admin</option>
+              <option value="guest">Guest (read-only)</option>
             </select>
           </div>
 
           <div className="flex space-x-3 pt-4">
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || sending}
               className="btn-primary flex-1"
             >
-              {loading ? 'Sending Invite...' : 'Send Invite'}
+              {sending ? 'Sending Invite...' : 'Send Invite'}
             </button>
             <button
               type="button"
               onClick={onClose}
               className="btn-secondary"
             >
-              Cancel
+              Close
             </button>
           </div>
         </form>
+
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <h4 className="text-sm font-medium text-gray-900 mb-3">Pending Invitations</h4>
+          <PendingInvitations workspaceId={workspaceId} refreshKey={invitationsVersion} />
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,170 @@
+import { useState, useEffect, useCallback } from 'react';
+import { workspaceAPI } from '../../services/api';
+import RoleBadge from './RoleBadge';
+
+const STATUS_LABELS = {
+  expired: 'Expired',
+  used_up: 'Usage limit reached'
+};
+
+const joinUrl = (code) => `${window.location.origin}/join/${code}`;
+
+const JoinLinks = ({ workspaceId }) => {
+  const [joinLinks, setJoinLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+  const [role, setRole] = useState('member');
+  const [maxUses, setMaxUses] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState('7');
+
+  const fetchJoinLinks = useCallback(async () => {
+    try {
+      const response = await workspaceAPI.getJoinLinks(workspaceId);
+      setJoinLinks(response.data.joinLinks);
+    } catch (error) {
+      console.error('Error fetching join links:', error);
+      setError(error.response?.data?.error || 'Failed to load join links');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchJoinLinks();
+  }, [fetchJoinLinks]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setCreating(true);
+
+    try {
+      const response = await workspaceAPI.createJoinLink(workspaceId, {
+        role,
+        maxUses: maxUses ? parseInt(maxUses) : null,
+        expiresInDays: expiresInDays ? parseInt(expiresInDays) : null
+      });
+      setJoinLinks((prev) => [response.data.joinLink, ...prev]);
+      setMaxUses('');
+    } catch (error) {
+      console.error('Error creating join link:', error);
+      setError(error.response?.data?.error || 'Failed to create join link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm('Revoke this join link? People who have it will no longer be able to join.')) {
+      return;
+    }
+
+    try {
+      await workspaceAPI.revokeJoinLink(workspaceId, link.id);
+      setJoinLinks((prev) => prev.filter((item) => item.id !== link.id));
+    } catch (error) {
+      console.error('Error revoking join link:', error);
+      setError(error.response?.data?.error || 'Failed to revoke join link');
+    }
+  };
+
+  const handleCopy = (link) => {
+    navigator.clipboard.writeText(joinUrl(link.code));
+    setCopiedId(link.id);
+    setTimeout(() => setCopiedId(null), 2000);
+  };
+
+  return (
+    <div className="space-y-3">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="grid grid-cols-1 sm:grid-cols-4 gap-2 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Role</label>
+          <select value={role} onChange={(e) => setRole(e.target.value)} className="input-field">
+            <option value="member">Member</option>
+            <option value="admin">Admin</option>
+            <option value="guest">Guest (read-only)</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Max uses</label>
+          <input
+            type="number"
+            min="1"
+            value={maxUses}
+            onChange={(e) => setMaxUses(e.target.value)}
+            placeholder="Unlimited"
+            className="input-field"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Expires after</label>
+          <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} className="input-field">
+            <option value="1">1 day</option>
+            <option value="7">7 days</option>
+            <option value="30">30 days</option>
+            <option value="">Never</option>
+          </select>
+        </div>
+        <button type="submit" disabled={creating} className="btn-primary disabled:opacity-50">
+          {creating ? 'Creating...' : 'Create link'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+        </div>
+      ) : joinLinks.length === 0 ? (
+        <p className="text-sm text-gray-500">No join links yet</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {joinLinks.map((link) => (
+            <div key={link.id} className="p-3 flex items-center justify-between">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <code className="text-xs text-gray-700 truncate">{joinUrl(link.code)}</code>
+                  <RoleBadge role={link.role} />
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {link.useCount}{link.maxUses ? ` / ${link.maxUses}` : ''} uses
+                  {' · '}
+                  {link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleDateString()}` : 'Never expires'}
+                  {STATUS_LABELS[link.status] && (
+                    <span className="text-red-600"> · {STATUS_LABELS[link.status]}</span>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex space-x-1 flex-shrink-0 ml-3">
+                {link.status === 'active' && (
+                  <button
+                    onClick={() => handleCopy(link)}
+                    className="text-xs text-primary-600 hover:text-primary-800 px-2 py-1 rounded hover:bg-primary-50"
+                  >
+                    {copiedId === link.id ? 'Copied!' : 'Copy'}
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRevoke(link)}
+                  className="text-xs text-red-600 hover:text-red-800 px-2 py-1 rounded hover:bg-red-50"
+                >
+                  Revoke
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JoinLinks;
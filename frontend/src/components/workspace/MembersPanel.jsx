@@ -1,28 +1,28 @@
 
 
+import RoleBadge from './RoleBadge';
+
 const MembersPanel = ({ 
   members, 
   currentUser, 
   isAdmin, 
+  currentUserRole,
   onRemoveMember, 
   onUpdateRole,
+  pendingTransfer = null,
+  onTransferOwnership,
+  onRespondToTransfer,
+  onLeave,
   showActions = false 
 }) => {
   const getInitials = (firstName, lastName) => {
     return `${firstName?.[0] || ''}${lastName?.[0] || ''}`.toUpperCase();
   };
 
-  const getRoleBadge = (role) => {
-    const roleStyles = {
-      admin: 'bg-purple-100 text-purple-800',
-      member: 'bg-gray-100 text-gray-800'
-    };
-    
-    return (
-      <span className={`px-2 py-1 rounded-full text-xs ${roleStyles[role] || roleStyles.member}`}>
-        {role}
-      </span>
-    );
+  // Owners can't be managed; admins only manage members and guests
+  const canManage = (member) => {
+    if (!isAdmin || member.id === currentUser?.id || member.role === 'owner') return false;
+    return currentUserRole === 'owner' || member.role !== 'admin';
   };
 
   return (
@@ -33,6 +33,41 @@ const MembersPanel = ({
         </h3>
       </div>
       
+      {showActions && pendingTransfer && (
+        <div className="p-4 bg-amber-50 border-b border-amber-200 flex items-center justify-between">
+          {pendingTransfer.to.id === currentUser?.id ? (
+            <>
+              <span className="text-sm text-amber-800">
+                {pendingTransfer.from.firstName} {pendingTransfer.from.lastName} wants to make you the owner of this workspace.
+              </span>
+              <div className="flex space-x-2 flex-shrink-0 ml-3">
+                <button onClick={() => onRespondToTransfer(true)} className="btn-primary text-xs px-3 py-1">
+                  Accept
+                </button>
+                <button onClick={() => onRespondToTransfer(false)} className="btn-secondary text-xs px-3 py-1">
+                  Decline
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <span className="text-sm text-amber-800">
+                Waiting for {pendingTransfer.to.firstName} {pendingTransfer.to.lastName} to accept ownership
+                (until {new Date(pendingTransfer.expiresAt).toLocaleDateString()}).
+              </span>
+              {pendingTransfer.from.id === currentUser?.id && (
+                <button
+                  onClick={() => onRespondToTransfer(false)}
+                  className="text-xs text-amber-800 underline flex-shrink-0 ml-3"
+                >
+                  Cancel transfer
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+      
       <div className="divide-y divide-gray-200">
         {members.map((member) => (
           <div key={member.id} className="p-4 flex items-center justify-between">
@@ -63,9 +98,9 @@ const MembersPanel = ({
             </div>
             
             <div className="flex items-center space-x-2">
-              {getRoleBadge(member.role)}
+              <RoleBadge role={member.role} />
               
-              {showActions && isAdmin && member.id !== currentUser?.id && (
+              {showActions && canManage(member) && (
                 <div className="flex space-x-1">
                   <select
                     value={member.role}
@@ -74,6 +109,7 @@ const MembersPanel = ({
                   >
                     <option value="member">Member</option>
                     <option value="admin">Admin</option>
+                    <option value="guest">Guest</option>
                   </select>
                   
                   <button
@@ -85,6 +121,26 @@ const MembersPanel = ({
                   </button>
                 </div>
               )}
+
+              {showActions && currentUserRole === 'owner' && member.id !== currentUser?.id && onTransferOwnership && (
+                <button
+                  onClick={() => onTransferOwnership(member)}
+                  disabled={pendingTransfer?.to.id === member.id}
+                  className="text-xs text-amber-700 hover:text-amber-900 px-2 py-1 rounded hover:bg-amber-50 disabled:opacity-50"
+                  title="Make this member the workspace owner"
+                >
+                  {pendingTransfer?.to.id === member.id ? 'Transfer pending' : 'Make owner'}
+                </button>
+              )}
+
+              {showActions && member.id === currentUser?.id && onLeave && (
+                <button
+                  onClick={onLeave}
+                  className="text-xs text-red-600 hover:text-red-800 px-2 py-1 rounded hover:bg-red-50"
+                >
+                  Leave
+                </button>
+              )}
             </div>
           </div>
         ))}
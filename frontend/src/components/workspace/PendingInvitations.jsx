@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback } from 'react';
+import { workspaceAPI } from '../../services/api';
+import RoleBadge from './RoleBadge';
+
+const PendingInvitations = ({ workspaceId, refreshKey = 0, emptyAction = null }) => {
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      const response = await workspaceAPI.getInvitations(workspaceId);
+      setInvitations(response.data.invitations);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+      setError(error.response?.data?.error || 'Failed to load invitations');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations, refreshKey]);
+
+  const handleResend = async (invitation) => {
+    setBusyId(invitation.id);
+    setError('');
+    setNotice('');
+
+    try {
+      await workspaceAPI.resendInvitation(workspaceId, invitation.id);
+      setNotice(`Invitation resent to ${invitation.email}`);
+      fetchInvitations();
+    } catch (error) {
+      console.error('Error resending invitation:', error);
+      setError(error.response?.data?.error || 'Failed to resend invitation');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) {
+      return;
+    }
+
+    setBusyId(invitation.id);
+    setError('');
+    setNotice('');
+
+    try {
+      await workspaceAPI.revokeInvitation(workspaceId, invitation.id);
+      setInvitations((prev) => prev.filter((item) => item.id !== invitation.id));
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+      setError(error.response?.data?.error || 'Failed to revoke invitation');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+          {notice}
+        </div>
+      )}
+
+      {invitations.length === 0 ? (
+        <div className="text-center text-gray-500 py-6">
+          <p className="text-sm">No pending invitations</p>
+          {emptyAction}
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {invitations.map((invitation) => (
+            <div key={invitation.id} className="p-3 flex items-center justify-between">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-900 truncate">{invitation.email}</span>
+                  <RoleBadge role={invitation.role} />
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {invitation.invitedBy && `Invited by ${invitation.invitedBy.firstName} · `}
+                  Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                </div>
+              </div>
+
+              <div className="flex space-x-1 flex-shrink-0 ml-3">
+                <button
+                  onClick={() => handleResend(invitation)}
+                  disabled={busyId === invitation.id}
+                  className="text-xs text-primary-600 hover:text-primary-800 px-2 py-1 rounded hover:bg-primary-50 disabled:opacity-50"
+                >
+                  Resend
+                </button>
+                <button
+                  onClick={() => handleRevoke(invitation)}
+                  disabled={busyId === invitation.id}
+                  className="text-xs text-red-600 hover:text-red-800 px-2 py-1 rounded hover:bg-red-50 disabled:opacity-50"
+                >
+                  Revoke
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PendingInvitations;
@@ -0,0 +1,16 @@
+const roleStyles = {
+  owner: 'bg-amber-100 text-amber-800',
+  admin: 'bg-purple-100 text-purple-800',
+  member: 'bg-gray-100 text-gray-800',
+  guest: 'bg-blue-100 text-blue-800'
+};
+
+const RoleBadge = ({ role, className = '' }) => {
+  return (
+    <span className={`px-2 py-1 rounded-full text-xs ${roleStyles[role] || roleStyles.member} ${className}`}>
+      {role}
+    </span>
+  );
+};
+
+export default RoleBadge;
@@ -0,0 +1,144 @@
+import { useState, useEffect, useCallback } from 'react';
+import { workspaceAPI } from '../../services/api';
+
+const PAGE_SIZE = 20;
+
+const STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+// Delivery log for one webhook, with the payload and response of each
+// delivery and a button to send it again
+const WebhookDeliveries = ({ workspaceId, webhookId, refreshKey }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [redeliveringId, setRedeliveringId] = useState(null);
+
+  const fetchDeliveries = useCallback(async (before = null) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await workspaceAPI.getWebhookDeliveries(workspaceId, webhookId, {
+        status: status || undefined,
+        before: before || undefined,
+        limit: PAGE_SIZE
+      });
+      setDeliveries((prev) => (before ? [...prev, ...response.data.deliveries] : response.data.deliveries));
+      setHasMore(response.data.hasMore);
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      setError(error.response?.data?.error || 'Failed to load deliveries');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId, webhookId, status]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries, refreshKey]);
+
+  const handleRedeliver = async (delivery) => {
+    setRedeliveringId(delivery.id);
+    setError('');
+
+    try {
+      const response = await workspaceAPI.redeliverWebhook(workspaceId, webhookId, delivery.id);
+      setDeliveries((prev) => [response.data.delivery, ...prev]);
+    } catch (error) {
+      console.error('Error redelivering webhook:', error);
+      setError(error.response?.data?.error || 'Failed to redeliver');
+    } finally {
+      setRedeliveringId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-medium text-gray-600">Recent deliveries</p>
+        <div className="flex items-center space-x-2">
+          <select value={status} onChange={(e) => setStatus(e.target.value)} className="text-xs border border-gray-300 rounded px-2 py-1">
+            <option value="">All</option>
+            <option value="succeeded">Succeeded</option>
+            <option value="pending">Retrying</option>
+            <option value="failed">Failed</option>
+          </select>
+          <button
+            onClick={() => fetchDeliveries()}
+            className="text-xs text-primary-600 hover:text-primary-800 px-2 py-1 rounded hover:bg-primary-50"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      {!loading && deliveries.length === 0 ? (
+        <p className="text-xs text-gray-500">No deliveries yet</p>
+      ) : (
+        <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg bg-white">
+          {deliveries.map((delivery) => (
+            <div key={delivery.id} className="p-2 text-xs">
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+                  className="flex items-center space-x-2 min-w-0 text-left"
+                >
+                  <span className={`px-2 py-0.5 rounded-full ${STATUS_STYLES[delivery.status]}`}>
+                    {delivery.status === 'pending' ? 'retrying' : delivery.status}
+                  </span>
+                  <code className="text-gray-700">{delivery.event}</code>
+                  <span className="text-gray-500 truncate">
+                    {new Date(delivery.createdAt).toLocaleString()}
+                    {delivery.responseStatus && ` · HTTP ${delivery.responseStatus}`}
+                    {` · ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`}
+                  </span>
+                </button>
+                <button
+                  onClick={() => handleRedeliver(delivery)}
+                  disabled={redeliveringId === delivery.id}
+                  className="text-primary-600 hover:text-primary-800 px-2 py-1 rounded hover:bg-primary-50 flex-shrink-0 disabled:opacity-50"
+                >
+                  {redeliveringId === delivery.id ? 'Sending...' : 'Redeliver'}
+                </button>
+              </div>
+
+              {expandedId === delivery.id && (
+                <div className="mt-2 space-y-2">
+                  {delivery.error && <p className="text-red-600">{delivery.error}</p>}
+                  {delivery.nextAttemptAt && (
+                    <p className="text-gray-500">Next attempt {new Date(delivery.nextAttemptAt).toLocaleString()}</p>
+                  )}
+                  <div>
+                    <p className="font-medium text-gray-600 mb-1">Payload</p>
+                    <pre className="bg-gray-50 p-2 rounded overflow-x-auto">{JSON.stringify(delivery.payload, null, 2)}</pre>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {hasMore && (
+        <button
+          onClick={() => fetchDeliveries(deliveries[deliveries.length - 1].createdAt)}
+          disabled={loading}
+          className="w-full py-1 text-xs text-primary-600 hover:text-primary-700 disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveries;
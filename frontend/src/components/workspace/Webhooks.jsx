@@ -0,0 +1,256 @@
+import { useState, useEffect, useCallback } from 'react';
+import { workspaceAPI } from '../../services/api';
+import WebhookDeliveries from './WebhookDeliveries';
+
+// Admin view of the workspace's outgoing webhooks
+const Webhooks = ({ workspaceId }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [availableEvents, setAvailableEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const [url, setUrl] = useState('');
+  const [description, setDescription] = useState('');
+  const [events, setEvents] = useState([]);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      const response = await workspaceAPI.getWebhooks(workspaceId);
+      setWebhooks(response.data.webhooks);
+      setAvailableEvents(response.data.events);
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+      setError(error.response?.data?.error || 'Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  const replaceWebhook = (webhook) => {
+    setWebhooks((prev) => prev.map((item) => (item.id === webhook.id ? webhook : item)));
+  };
+
+  const toggleEvent = (event) => {
+    setEvents((prev) => (prev.includes(event) ? prev.filter((item) => item !== event) : [...prev, event]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setCreating(true);
+
+    try {
+      const response = await workspaceAPI.createWebhook(workspaceId, {
+        url: url.trim(),
+        description: description.trim() || null,
+        events
+      });
+      setWebhooks((prev) => [response.data.webhook, ...prev]);
+      setRevealedSecret({ webhookId: response.data.webhook.id, secret: response.data.secret });
+      setUrl('');
+      setDescription('');
+      setEvents([]);
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      setError(error.response?.data?.error || 'Failed to create webhook');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleToggleActive = async (webhook) => {
+    try {
+      const response = await workspaceAPI.updateWebhook(workspaceId, webhook.id, { active: !webhook.active });
+      replaceWebhook(response.data.webhook);
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      setError(error.response?.data?.error || 'Failed to update webhook');
+    }
+  };
+
+  const handleRotateSecret = async (webhook) => {
+    if (!window.confirm('Generate a new signing secret? Deliveries signed with the old one will stop verifying.')) {
+      return;
+    }
+
+    try {
+      const response = await workspaceAPI.rotateWebhookSecret(workspaceId, webhook.id);
+      replaceWebhook(response.data.webhook);
+      setRevealedSecret({ webhookId: webhook.id, secret: response.data.secret });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      setError(error.response?.data?.error || 'Failed to rotate secret');
+    }
+  };
+
+  const handlePing = async (webhook) => {
+    try {
+      await workspaceAPI.pingWebhook(workspaceId, webhook.id);
+      setExpandedId(webhook.id);
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      console.error('Error pinging webhook:', error);
+      setError(error.response?.data?.error || 'Failed to send ping');
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url}? Its delivery log is deleted too.`)) {
+      return;
+    }
+
+    try {
+      await workspaceAPI.deleteWebhook(workspaceId, webhook.id);
+      setWebhooks((prev) => prev.filter((item) => item.id !== webhook.id));
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      setError(error.response?.data?.error || 'Failed to delete webhook');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {revealedSecret && (
+        <div className="bg-yellow-50 border border-yellow-200 px-4 py-3 rounded-lg text-sm space-y-1">
+          <p className="text-yellow-800">
+            Copy this signing secret now; it won't be shown again.
+          </p>
+          <code className="block bg-white px-2 py-1 rounded font-mono break-all">{revealedSecret.secret}</code>
+          <button onClick={() => setRevealedSecret(null)} className="text-xs text-yellow-800 underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-3 p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Payload URL</label>
+            <input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://example.com/hooks/collab"
+              className="input-field"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Description</label>
+            <input
+              type="text"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="Optional"
+              maxLength={200}
+              className="input-field"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Events</label>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {availableEvents.map((event) => (
+              <label key={event} className="flex items-center space-x-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={events.includes(event)}
+                  onChange={() => toggleEvent(event)}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                />
+                <code className="text-xs">{event}</code>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="flex justify-end">
+          <button type="submit" disabled={creating || events.length === 0} className="btn-primary disabled:opacity-50">
+            {creating ? 'Adding...' : 'Add webhook'}
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+        </div>
+      ) : webhooks.length === 0 ? (
+        <p className="text-sm text-gray-500">No webhooks yet</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {webhooks.map((webhook) => (
+            <div key={webhook.id} className="p-3 space-y-2">
+              <div className="flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <code className="text-xs text-gray-700 truncate">{webhook.url}</code>
+                    {!webhook.active && (
+                      <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-600">Disabled</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {webhook.description && `${webhook.description} · `}
+                    {webhook.events.join(', ')}
+                    {` · secret …${webhook.secretHint}`}
+                  </div>
+                </div>
+
+                <div className="flex space-x-1 flex-shrink-0 ml-3">
+                  <button
+                    onClick={() => setExpandedId(expandedId === webhook.id ? null : webhook.id)}
+                    className="text-xs text-primary-600 hover:text-primary-800 px-2 py-1 rounded hover:bg-primary-50"
+                  >
+                    {expandedId === webhook.id ? 'Hide log' : 'Deliveries'}
+                  </button>
+                  <button
+                    onClick={() => handlePing(webhook)}
+                    className="text-xs text-primary-600 hover:text-primary-800 px-2 py-1 rounded hover:bg-primary-50"
+                  >
+                    Ping
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(webhook)}
+                    className="text-xs text-gray-600 hover:text-gray-800 px-2 py-1 rounded hover:bg-gray-100"
+                  >
+                    {webhook.active ? 'Disable' : 'Enable'}
+                  </button>
+                  <button
+                    onClick={() => handleRotateSecret(webhook)}
+                    className="text-xs text-gray-600 hover:text-gray-800 px-2 py-1 rounded hover:bg-gray-100"
+                  >
+                    New secret
+                  </button>
+                  <button
+                    onClick={() => handleDelete(webhook)}
+                    className="text-xs text-red-600 hover:text-red-800 px-2 py-1 rounded hover:bg-red-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+
+              {expandedId === webhook.id && (
+                <WebhookDeliveries workspaceId={workspaceId} webhookId={webhook.id} refreshKey={refreshKey} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Webhooks;
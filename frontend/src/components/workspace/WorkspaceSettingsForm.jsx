@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { workspaceAPI } from '../../services/api';
+
+const WorkspaceSettingsForm = ({ workspace, onSaved }) => {
+  const [name, setName] = useState(workspace.name);
+  const [description, setDescription] = useState(workspace.description || '');
+  const [visibility, setVisibility] = useState(workspace.visibility || 'private');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // Pick up changes made elsewhere (e.g. after archiving)
+  useEffect(() => {
+    setName(workspace.name);
+    setDescription(workspace.description || '');
+    setVisibility(workspace.visibility || 'private');
+  }, [workspace.name, workspace.description, workspace.visibility]);
+
+  const hasChanges = name !== workspace.name
+    || description !== (workspace.description || '')
+    || visibility !== (workspace.visibility || 'private');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+
+    if (!name.trim()) {
+      setError('Workspace name is required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await workspaceAPI.update(workspace.id, { name, description, visibility });
+      onSaved(response.data.workspace);
+      setNotice('Settings saved');
+    } catch (error) {
+      console.error('Error updating workspace:', error);
+      setError(error.response?.data?.error || 'Failed to update workspace');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+          {notice}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Workspace Name
+        </label>
+        <input
+          type="text"
+          className="input-field"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={100}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Description
+        </label>
+        <textarea
+          className="input-field"
+          rows={3}
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          maxLength={1000}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Workspace Visibility
+        </label>
+        <div className="space-y-2">
+          <label className="flex items-center">
+            <input
+              type="radio"
+              name="visibility"
+              className="mr-2"
+              checked={visibility === 'private'}
+              onChange={() => setVisibility('private')}
+            />
+            <span className="text-sm text-gray-700">Private - Only invited members can join</span>
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              name="visibility"
+              className="mr-2"
+              checked={visibility === 'public'}
+              onChange={() => setVisibility('public')}
+            />
+            <span className="text-sm text-gray-700">Public - Anyone with a join link can join</span>
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <button
+          type="submit"
+          disabled={saving || !hasChanges}
+          className="btn-primary disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default WorkspaceSettingsForm;
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI, userAPI } from '../services/api';
+import { authAPI, userAPI, refreshSession, getTokenExpiry } from '../services/api';
+import { socketService } from '../services/socket';
 
 const AuthContext = createContext();
 
@@ -25,20 +26,111 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  // Drop the user when the API layer reports the session can't be refreshed
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      socketService.disconnect();
+      setUser(null);
+    };
+
+    window.addEventListener('auth:session-expired', handleSessionExpired);
+    return () => window.removeEventListener('auth:session-expired', handleSessionExpired);
+  }, []);
+
+  // Refresh the access token shortly before it expires so that sockets and
+  // document connections always pick up a valid token
+  useEffect(() => {
+    if (!user) return;
+
+    let timeoutId;
+
+    const scheduleRefresh = () => {
+      const expiresAt = getTokenExpiry(localStorage.getItem('token'));
+      if (!expiresAt) return;
+
+      const delay = Math.max(expiresAt - Date.now() - 60 * 1000, 0);
+      timeoutId = setTimeout(async () => {
+        try {
+          await refreshSession();
+          scheduleRefresh();
+        } catch (error) {
+          console.error('Session refresh failed:', error);
+        }
+      }, delay);
+    };
+
+    scheduleRefresh();
+    return () => clearTimeout(timeoutId);
+  }, [user]);
+
+  const storeSession = ({ token, refreshToken, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    setUser(user);
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authAPI.login(email, password);
-      const { token, user } = response.data;
 
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
+      // Password accepted; the caller must collect a second factor
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+
+      storeSession(response.data);
 
       return { success: true };
     } catch (error) {
       return { 
         success: false, 
-        error: error.response?.data?.error || 'Login failed' 
+        error: error.response?.data?.error || 'Login failed',
+        code: error.response?.data?.code,
+        retryAfter: error.response?.data?.retryAfter
+      };
+    }
+  };
+
+  const completeSsoLogin = async (code) => {
+    try {
+      const response = await authAPI.exchangeSsoCode(code);
+
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+
+      storeSession(response.data);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Single sign-on failed'
+      };
+    }
+  };
+
+  const completeTwoFactorLogin = async (challengeToken, factor) => {
+    try {
+      const response = await authAPI.verifyTwoFactor(challengeToken, factor);
+      storeSession(response.data);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Verification failed',
+        code: error.response?.data?.code,
+        retryAfter: error.response?.data?.retryAfter
       };
     }
   };
@@ -46,13 +138,16 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       const response = await authAPI.register(userData);
-      const { token, user } = response.data;
 
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
+      // Server may hold back the session until the email is verified
+      if (response.data.requiresVerification) {
+        return { success: true, requiresVerification: true };
+      }
 
-      return { success: true };
+      storeSession(response.data);
+
+      // Set when the user signed up from a workspace invitation
+      return { success: true, workspaceId: response.data.workspaceId };
     } catch (error) {
       return { 
         success: false, 
@@ -61,10 +156,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
+    socketService.disconnect();
     setUser(null);
+
+    // Revoke the session server-side; the local state is already cleared
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error('Logout request failed:', error);
+      }
+    }
   };
 
   // New: Update user profile
@@ -142,6 +250,8 @@ export const AuthProvider = ({ children }) => {
   const value = {
     user,
     login,
+    completeTwoFactorLogin,
+    completeSsoLogin,
     register,
     logout,
     loading,
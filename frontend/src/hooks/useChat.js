@@ -175,9 +175,11 @@ export const useChat = (workspaceId, currentUser) => {
     try {
       setError(null);
       await socketService.sendMessage(workspaceId, currentUser.id, content.trim(), messageType);
+      return true;
     } catch (error) {
       console.error('Error sending message:', error);
       setError(error.message || 'Failed to send message');
+      return false;
     }
   };
 
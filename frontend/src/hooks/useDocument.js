@@ -30,8 +30,10 @@ export const useDocument = (documentId, workspaceId) => {
         const newYdoc = new Y.Doc();
         ydocRef.current = newYdoc;
 
-        // Create WebSocket connection to Y-WebSocket server
-        const wsUrl = `${backendUrl}/documents/${documentId}`;
+        // Create WebSocket connection to Y-WebSocket server.
+        // Browsers can't set headers on WebSockets, so the token goes in the query string.
+        const token = localStorage.getItem('token');
+        const wsUrl = `${backendUrl}/documents/${documentId}?token=${encodeURIComponent(token || '')}`;
         const ws = new WebSocket(wsUrl);
         wsRef.current = ws;
 
@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { invitationAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, loading: authLoading, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(!!token);
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState(token ? '' : 'Invitation link is missing its token');
+
+  useEffect(() => {
+    if (!token) return;
+
+    invitationAPI.get(token)
+      .then((response) => setInvitation(response.data.invitation))
+      .catch((error) => setError(error.response?.data?.error || 'Failed to load invitation'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleAccept = async () => {
+    setError('');
+    setAccepting(true);
+
+    try {
+      const response = await invitationAPI.accept(token);
+      navigate(`/workspace/${response.data.workspaceId}`);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to accept invitation');
+      setAccepting(false);
+    }
+  };
+
+  const invitePath = `/invite?token=${encodeURIComponent(token || '')}`;
+  const emailMatches = user && invitation && user.email.toLowerCase() === invitation.email;
+
+  if (loading || authLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 text-center">
+        {!invitation ? (
+          <>
+            <h2 className="text-3xl font-extrabold text-gray-900">Invitation unavailable</h2>
+            <p className="text-sm text-red-600">{error}</p>
+            <Link to="/" className="font-medium text-primary-600 hover:text-primary-500">
+              Go to dashboard
+            </Link>
+          </>
+        ) : (
+          <>
+            <h2 className="text-3xl font-extrabold text-gray-900">
+              Join {invitation.workspace.name}
+            </h2>
+            <p className="text-sm text-gray-600">
+              {invitation.invitedBy
+                ? `${invitation.invitedBy.firstName} ${invitation.invitedBy.lastName} invited `
+                : 'You were invited '}
+              <strong>{invitation.email}</strong> to join as {invitation.role === 'admin' ? 'an' : 'a'} {invitation.role}.
+              The invitation expires on {new Date(invitation.expiresAt).toLocaleDateString()}.
+            </p>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+                {error}
+              </div>
+            )}
+
+            {!user && (
+              <div className="space-y-3">
+                <Link
+                  to={`/register?invite=${encodeURIComponent(token)}`}
+                  className="btn-primary block w-full"
+                >
+                  Create an account to accept
+                </Link>
+                <p className="text-sm text-gray-600">
+                  Already have an account?{' '}
+                  <Link
+                    to="/login"
+                    state={{ from: invitePath }}
+                    className="font-medium text-primary-600 hover:text-primary-500"
+                  >
+                    Sign in
+                  </Link>
+                </p>
+              </div>
+            )}
+
+            {user && emailMatches && (
+              <button
+                onClick={handleAccept}
+                disabled={accepting}
+                className="btn-primary w-full disabled:opacity-50"
+              >
+                {accepting ? 'Joining...' : 'Accept invitation'}
+              </button>
+            )}
+
+            {user && !emailMatches && (
+              <div className="space-y-3">
+                <p className="text-sm text-gray-600">
+                  You're signed in as <strong>{user.email}</strong>. Sign in with the invited address to accept.
+                </p>
+                <button onClick={logout} className="btn-secondary w-full">
+                  Sign out
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvite;
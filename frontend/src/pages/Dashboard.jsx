@@ -1,6 +1,7 @@
 import  { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { workspaceAPI } from '../services/api';
+import RoleBadge from '../components/workspace/RoleBadge';
 
 const Dashboard = () => {
   const [workspaces, setWorkspaces] = useState([]);
@@ -121,13 +122,14 @@ const Dashboard = () => {
                   {getInitials(workspace.name)}
                 </span>
               </div>
-              <span className={`px-2 py-1 rounded-full text-xs ${
-                workspace.userRole === 'admin' 
-                  ? 'bg-purple-100 text-purple-800' 
-                  : 'bg-gray-100 text-gray-800'
-              }`}>
-                {workspace.userRole}
-              </span>
+              <div className="flex items-center space-x-1">
+                {workspace.archived_at && (
+                  <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-600">
+                    Archived
+                  </span>
+                )}
+                <RoleBadge role={workspace.userRole} />
+              </div>
             </div>
             
             <h3 className="text-lg font-semibold text-gray-900 mb-2 line-clamp-1">
@@ -0,0 +1,83 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { joinLinkAPI } from '../services/api';
+
+const JoinWorkspace = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+
+  const [joinLink, setJoinLink] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    joinLinkAPI.get(code)
+      .then((response) => setJoinLink(response.data.joinLink))
+      .catch((error) => setError(error.response?.data?.error || 'Failed to load join link'))
+      .finally(() => setLoading(false));
+  }, [code]);
+
+  const handleJoin = async () => {
+    setError('');
+    setJoining(true);
+
+    try {
+      const response = await joinLinkAPI.join(code);
+      navigate(`/workspace/${response.data.workspaceId}`);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to join workspace');
+      setJoining(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 text-center">
+        {!joinLink ? (
+          <>
+            <h2 className="text-3xl font-extrabold text-gray-900">Join link unavailable</h2>
+            <p className="text-sm text-red-600">{error}</p>
+          </>
+        ) : (
+          <>
+            <h2 className="text-3xl font-extrabold text-gray-900">
+              Join {joinLink.workspace.name}
+            </h2>
+            <p className="text-sm text-gray-600">
+              You'll join as {joinLink.role === 'admin' ? 'an' : 'a'} {joinLink.role}.
+            </p>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+                {error}
+              </div>
+            )}
+
+            <button
+              onClick={handleJoin}
+              disabled={joining}
+              className="btn-primary w-full disabled:opacity-50"
+            >
+              {joining ? 'Joining...' : 'Join workspace'}
+            </button>
+          </>
+        )}
+
+        <Link to="/" className="block font-medium text-primary-600 hover:text-primary-500">
+          Go to dashboard
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default JoinWorkspace;
@@ -1,32 +1,183 @@
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI, SSO_LOGIN_URL } from '../services/api';
+
+// Render a Retry-After delay in words
+const formatWait = (seconds) => (
+  seconds > 60 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`
+);
 
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const location = useLocation();
+  // SSO sign-ins land here when the account still needs its second factor
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  // Where to go after signing in, e.g. back to an invitation link
+  const redirectTo = location.state?.from || '/';
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [sso, setSso] = useState(null);
   
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    authAPI.getSsoConfig()
+      .then((response) => setSso(response.data.enabled ? response.data : null))
+      .catch(() => setSso(null));
+  }, []);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
     setLoading(true);
 
     const result = await login(email, password);
     
     if (result.success) {
-      navigate('/');
+      navigate(redirectTo);
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setTwoFactorCode('');
     } else {
-      setError(result.error);
+      setError(result.retryAfter
+        ? `${result.error} Try again in ${formatWait(result.retryAfter)}.`
+        : result.error);
+      setNeedsVerification(result.code === 'EMAIL_NOT_VERIFIED');
     }
     
     setLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await completeTwoFactorLogin(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+    );
+
+    if (result.success) {
+      navigate(redirectTo);
+    } else {
+      // The challenge only lives a few minutes - start over with the password
+      if (result.code === 'CHALLENGE_INVALID') {
+        setChallengeToken(null);
+        setPassword('');
+      }
+      setError(result.retryAfter
+        ? `${result.error} Try again in ${formatWait(result.retryAfter)}.`
+        : result.error);
+    }
+
+    setLoading(false);
+  };
+
+  const handleCancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setPassword('');
+    setError('');
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await authAPI.resendVerification(email);
+      setError('');
+      setNeedsVerification(false);
+      setNotice(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to resend verification email');
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                id="twoFactorCode"
+                name="twoFactorCode"
+                type="text"
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                className="input-field mt-1 tracking-widest"
+                placeholder={useRecoveryCode ? 'XXXX-XXXX-XXXX-XXXX' : '123456'}
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+              />
+            </div>
+
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setTwoFactorCode('');
+                  setError('');
+                }}
+                className="font-medium text-primary-600 hover:text-primary-500"
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                onClick={handleCancelTwoFactor}
+                className="text-gray-600 hover:text-gray-900"
+              >
+                Back to sign in
+              </button>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -49,6 +200,21 @@ const Login = () => {
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
               {error}
+              {needsVerification && (
+                <button
+                  type="button"
+                  onClick={handleResendVerification}
+                  className="block mt-2 font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Resend verification email
+                </button>
+              )}
+            </div>
+          )}
+
+          {notice && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+              {notice}
             </div>
           )}
           
@@ -86,6 +252,15 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="flex justify-end">
+            <Link
+              to="/forgot-password"
+              className="text-sm font-medium text-primary-600 hover:text-primary-500"
+            >
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
@@ -95,6 +270,26 @@ const Login = () => {
               {loading ? 'Signing in...' : 'Sign in'}
             </button>
           </div>
+
+          {sso && (
+            <>
+              <div className="relative">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300"></div>
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-gray-50 text-gray-500">or</span>
+                </div>
+              </div>
+
+              <a
+                href={SSO_LOGIN_URL}
+                className="w-full flex justify-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Sign in with {sso.providerName}
+              </a>
+            </>
+          )}
         </form>
       </div>
     </div>
@@ -1,6 +1,7 @@
-import  { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import  { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { invitationAPI } from '../services/api';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -12,10 +13,27 @@ const Register = () => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [verificationSent, setVerificationSent] = useState(false);
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+  const [invitation, setInvitation] = useState(null);
   
   const { register } = useAuth();
   const navigate = useNavigate();
 
+  // Signing up from an invitation: show what they're joining and prefill the invited email
+  useEffect(() => {
+    if (!inviteToken) return;
+
+    invitationAPI.get(inviteToken)
+      .then((response) => {
+        const { invitation } = response.data;
+        setInvitation(invitation);
+        setFormData((prev) => ({ ...prev, email: prev.email || invitation.email }));
+      })
+      .catch((error) => setError(error.response?.data?.error || 'This invitation is no longer valid'));
+  }, [inviteToken]);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -40,9 +58,16 @@ const Register = () => {
     setLoading(true);
 
     const { confirmPassword, ...userData } = formData;
-    const result = await register(userData);
+    const result = await register(inviteToken ? { ...userData, inviteToken } : userData);
     
-    if (result.success) {
+    if (result.success && result.requiresVerification) {
+      setVerificationSent(true);
+    } else if (result.success && result.workspaceId) {
+      navigate(`/workspace/${result.workspaceId}`);
+    } else if (result.success && inviteToken) {
+      // The invitation couldn't be used at sign-up; show why on the invite page
+      navigate(`/invite?token=${encodeURIComponent(inviteToken)}`);
+    } else if (result.success) {
       navigate('/');
     } else {
       setError(result.error);
@@ -51,6 +76,23 @@ const Register = () => {
     setLoading(false);
   };
 
+  if (verificationSent) {
+    return (
+      <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-6 text-center">
+          <h2 className="text-3xl font-extrabold text-gray-900">Check your email</h2>
+          <p className="text-sm text-gray-600">
+            We sent a verification link to <strong>{formData.email}</strong>.
+            Open it to activate your account, then sign in.
+          </p>
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -70,6 +112,12 @@ const Register = () => {
         </div>
         
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {invitation && (
+            <div className="bg-primary-50 border border-primary-200 text-primary-700 px-4 py-3 rounded-lg text-sm">
+              Create an account with <strong>{invitation.email}</strong> to join <strong>{invitation.workspace.name}</strong>.
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg text-sm">
               {error}
@@ -0,0 +1,52 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const SsoCallback = () => {
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get('code');
+  const [error, setError] = useState(searchParams.get('error') || (code ? '' : 'Sign-in response is missing its code'));
+  const requestedRef = useRef(false);
+
+  const { completeSsoLogin } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    // Codes are single-use, so don't send it twice under StrictMode
+    if (!code || requestedRef.current) return;
+    requestedRef.current = true;
+
+    completeSsoLogin(code).then((result) => {
+      if (result.success) {
+        navigate('/', { replace: true });
+      } else if (result.twoFactorRequired) {
+        navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [code, completeSsoLogin, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 text-center">
+        {error ? (
+          <>
+            <h2 className="text-3xl font-extrabold text-gray-900">Sign-in failed</h2>
+            <p className="text-sm text-red-600">{error}</p>
+            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+              Back to sign in
+            </Link>
+          </>
+        ) : (
+          <>
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto"></div>
+            <p className="text-sm text-gray-600">Signing you in...</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
@@ -0,0 +1,59 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'Verification link is missing its token');
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so don't send it twice under StrictMode
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    authAPI.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((error) => {
+        setStatus('error');
+        setError(error.response?.data?.error || 'Failed to verify email');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 text-center">
+        {status === 'verifying' && (
+          <>
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto"></div>
+            <p className="text-sm text-gray-600">Verifying your email...</p>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <h2 className="text-3xl font-extrabold text-gray-900">Email verified</h2>
+            <p className="text-sm text-gray-600">Your email address has been confirmed.</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <h2 className="text-3xl font-extrabold text-gray-900">Verification failed</h2>
+            <p className="text-sm text-red-600">{error}</p>
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Continue to sign in
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
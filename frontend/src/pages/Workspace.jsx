@@ -1,10 +1,18 @@
-import  { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import  { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { workspaceAPI } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { socketService } from '../services/socket';
 import MembersPanel from '../components/workspace/MembersPanel';
 import InviteModal from '../components/workspace/InviteModal';
+import RoleBadge from '../components/workspace/RoleBadge';
+import PendingInvitations from '../components/workspace/PendingInvitations';
+import JoinLinks from '../components/workspace/JoinLinks';
+import WorkspaceSettingsForm from '../components/workspace/WorkspaceSettingsForm';
+import AuditLog from '../components/workspace/AuditLog';
+import Webhooks from '../components/workspace/Webhooks';
+import ActivityFeed from '../components/workspace/ActivityFeed';
+import WorkspaceNotificationSettings from '../components/notifications/WorkspaceNotificationSettings';
 import ChatPanel from '../components/chat/ChatPanel';
 import TaskBoard from '../components/tasks/TaskBoard';
 import DocumentWorkspace from '../components/documents/DocumentWorkspace';
@@ -17,6 +25,7 @@ import FileBrowser from '../components/files/FileBrowser';
 const Workspace = () => {
   const { workspaceId } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const { user } = useAuth();
   
   const [workspace, setWorkspace] = useState(null);
@@ -30,10 +39,34 @@ const Workspace = () => {
   const [incomingCall, setIncomingCall] = useState(null);
   const [showWhiteboard, setShowWhiteboard] = useState(false);
   const [showFileUpload, setShowFileUpload] = useState(false);
+  const [invitationsVersion, setInvitationsVersion] = useState(0);
+  const [pendingTransfer, setPendingTransfer] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [openDocumentId, setOpenDocumentId] = useState(null);
+  const clearOpenDocument = useCallback(() => setOpenDocumentId(null), []);
 
   useEffect(() => {
     fetchWorkspace();
   }, [workspaceId]);
+
+  // Jump to the tab a search result points at
+  useEffect(() => {
+    const tab = location.state?.tab;
+    if (!tab) return;
+
+    setActiveTab(tab);
+    if (tab === 'chat') setShowChat(true);
+    if (location.state.documentId) setOpenDocumentId(location.state.documentId);
+  }, [location.state]);
+
+  // Counters are refreshed whenever the overview is opened
+  useEffect(() => {
+    if (activeTab !== 'overview') return;
+
+    workspaceAPI.getStats(workspaceId)
+      .then((response) => setStats(response.data.stats))
+      .catch((error) => console.error('Error fetching workspace stats:', error));
+  }, [workspaceId, activeTab]);
   
   useEffect(() => {
   const handleIncomingCall = (data) => {
@@ -56,19 +89,31 @@ const Workspace = () => {
       const response = await workspaceAPI.getById(workspaceId);
       setWorkspace(response.data.workspace);
       setMembers(response.data.members);
+      fetchOwnershipTransfer();
     } catch (error) {
       console.error('Error fetching workspace:', error);
-      setError('Failed to load workspace');
+      setError(error.response?.data?.code === 'TWO_FACTOR_REQUIRED'
+        ? error.response.data.error
+        : 'Failed to load workspace');
     } finally {
       setLoading(false);
     }
   };
 
+  const fetchOwnershipTransfer = async () => {
+    try {
+      const response = await workspaceAPI.getOwnershipTransfer(workspaceId);
+      setPendingTransfer(response.data.transfer);
+    } catch (error) {
+      console.error('Error fetching ownership transfer:', error);
+    }
+  };
+
   const handleInviteUser = async (email, role) => {
     try {
-      await workspaceAPI.inviteUser(workspaceId, email, role);
-      setShowInviteModal(false);
-      fetchWorkspace(); // Refresh data
+      const response = await workspaceAPI.inviteUser(workspaceId, email, role);
+      setInvitationsVersion((version) => version + 1);
+      return response.data;
     } catch (error) {
       console.error('Error inviting user:', error);
       throw error.response?.data?.error || 'Failed to invite user';
@@ -99,6 +144,100 @@ const Workspace = () => {
     }
   };
 
+  const handleLeaveWorkspace = async () => {
+    if (!window.confirm(`Leave "${workspace.name}"? You'll need a new invitation to come back.`)) {
+      return;
+    }
+
+    try {
+      await workspaceAPI.leave(workspaceId);
+      navigate('/');
+    } catch (error) {
+      console.error('Error leaving workspace:', error);
+      alert(error.response?.data?.error || 'Failed to leave workspace');
+    }
+  };
+
+  const handleTransferOwnership = async (member) => {
+    if (!window.confirm(`Make ${member.first_name} ${member.last_name} the owner of this workspace? You'll become an admin once they accept.`)) {
+      return;
+    }
+
+    try {
+      const response = await workspaceAPI.requestOwnershipTransfer(workspaceId, member.id);
+      setPendingTransfer(response.data.transfer);
+    } catch (error) {
+      console.error('Error requesting ownership transfer:', error);
+      alert(error.response?.data?.error || 'Failed to request ownership transfer');
+    }
+  };
+
+  // Accept or decline a transfer offered to you, or cancel one you offered
+  const handleRespondToTransfer = async (accept) => {
+    try {
+      if (accept) {
+        await workspaceAPI.acceptOwnershipTransfer(workspaceId);
+        fetchWorkspace(); // Roles changed
+      } else {
+        await workspaceAPI.cancelOwnershipTransfer(workspaceId);
+      }
+      setPendingTransfer(null);
+    } catch (error) {
+      console.error('Error updating ownership transfer:', error);
+      alert(error.response?.data?.error || 'Failed to update ownership transfer');
+      fetchOwnershipTransfer();
+    }
+  };
+
+  const handleToggleRequireTwoFactor = async () => {
+    try {
+      const response = await workspaceAPI.updateSecurity(workspaceId, {
+        requireTwoFactor: !workspace.require_two_factor
+      });
+      setWorkspace(response.data.workspace);
+    } catch (error) {
+      console.error('Error updating security settings:', error);
+      alert(error.response?.data?.error || 'Failed to update security settings');
+    }
+  };
+
+  const handleToggleArchived = async () => {
+    const archiving = !workspace.archived_at;
+    if (archiving && !window.confirm('Archive this workspace? Everything in it becomes read-only until it is restored.')) {
+      return;
+    }
+
+    try {
+      const response = archiving
+        ? await workspaceAPI.archive(workspaceId)
+        : await workspaceAPI.unarchive(workspaceId);
+      setWorkspace(response.data.workspace);
+    } catch (error) {
+      console.error('Error archiving workspace:', error);
+      alert(error.response?.data?.error || 'Failed to update workspace');
+    }
+  };
+
+  const handleDeleteWorkspace = async () => {
+    const confirmName = window.prompt(
+      `This permanently deletes "${workspace.name}" with all of its documents, tasks, messages and files.\n\nType the workspace name to confirm:`
+    );
+    if (confirmName === null) return;
+
+    if (confirmName !== workspace.name) {
+      alert('The name did not match. The workspace was not deleted.');
+      return;
+    }
+
+    try {
+      await workspaceAPI.delete(workspaceId, confirmName);
+      navigate('/');
+    } catch (error) {
+      console.error('Error deleting workspace:', error);
+      alert(error.response?.data?.error || 'Failed to delete workspace');
+    }
+  };
+
   const handleAcceptCall = () => {
   setIncomingCall(null);
   setShowVideoCall(true);
@@ -146,10 +285,28 @@ const handleDeclineCall = () => {
     );
   }
 
-  const isAdmin = workspace.userRole === 'admin';
+  // What the current user may do here, as reported by the server
+  const can = (capability) => !!workspace.capabilities?.includes(capability);
+  const isAdmin = can('workspace:manage');
+  const canInvite = can('members:invite');
+  const canManageMembers = can('members:manage');
+  const isArchived = !!workspace.archived_at;
 
   return (
     <div className="space-y-6">
+      {isArchived && (
+        <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg flex items-center justify-between">
+          <span className="text-sm">
+            This workspace was archived on {new Date(workspace.archived_at).toLocaleDateString()}. Everything in it is read-only.
+          </span>
+          {isAdmin && (
+            <button onClick={handleToggleArchived} className="text-sm font-medium underline hover:text-amber-900">
+              Restore workspace
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Workspace Header */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
         <div className="flex justify-between items-start mb-4">
@@ -170,7 +327,7 @@ const handleDeclineCall = () => {
             >
               {showChat ? 'Hide Chat' : 'Show Chat'}
             </button>
-            {isAdmin && (
+            {canInvite && (
               <button
                 onClick={() => setShowInviteModal(true)}
                 className="btn-primary"
@@ -178,34 +335,31 @@ const handleDeclineCall = () => {
                 Invite Members
               </button>
             )}
-            <button
+            {can('calls:start') && (
+              <button
                 onClick={() => setShowVideoCall(true)}
-                 className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors duration-200 font-medium">
+                className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors duration-200 font-medium"
+              >
                 <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
                 </svg>
-                 <span>Join Video Call</span>
-                </button>
+                <span>Join Video Call</span>
+              </button>
+            )}
           </div>
         </div>
         
         <div className="flex items-center space-x-6 text-sm text-gray-500">
           <span>{members.length} members</span>
           <span>Created {new Date(workspace.created_at).toLocaleDateString()}</span>
-          <span className={`px-2 py-1 rounded-full text-xs ${
-            workspace.userRole === 'admin' 
-              ? 'bg-purple-100 text-purple-800' 
-              : 'bg-gray-100 text-gray-800'
-          }`}>
-            {workspace.userRole}
-          </span>
+          <RoleBadge role={workspace.userRole} />
         </div>
       </div>
 
       {/* Chat Panel */}
       {showChat && (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-          <ChatPanel workspaceId={workspaceId} isOpen={showChat} />
+          <ChatPanel workspaceId={workspaceId} isOpen={showChat} readOnly={!can('chat:send')} />
         </div>
       )}
 
@@ -245,11 +399,11 @@ const handleDeclineCall = () => {
                   <div className="text-sm text-gray-600">Total Members</div>
                 </div>
                 <div className="card text-center">
-                  <div className="text-2xl font-bold text-green-600">0</div>
+                  <div className="text-2xl font-bold text-green-600">{stats ? stats.activeTasks : '–'}</div>
                   <div className="text-sm text-gray-600">Active Tasks</div>
                 </div>
                 <div className="card text-center">
-                  <div className="text-2xl font-bold text-blue-600">0</div>
+                  <div className="text-2xl font-bold text-blue-600">{stats ? stats.documents : '–'}</div>
                   <div className="text-sm text-gray-600">Documents</div>
                 </div>
               </div>
@@ -323,47 +477,7 @@ const handleDeclineCall = () => {
               {/* Recent Activity */}
               <div className="card">
                 <h3 className="text-lg font-medium mb-4">Recent Activity</h3>
-                <div className="space-y-4">
-                  <div className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
-                    <div className="h-8 w-8 rounded-full bg-blue-100 flex items-center justify-center">
-                      <svg className="h-4 w-4 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                      </svg>
-                    </div>
-                    <div className="flex-1">
-                      <p className="text-sm text-gray-900">
-                        <span className="font-medium">You</span> created a new workspace
-                      </p>
-                      <p className="text-xs text-gray-500">{new Date(workspace.created_at).toLocaleDateString()}</p>
-                    </div>
-                  </div>
-                  
-                  {members.slice(0, 3).map((member, index) => (
-                    <div key={member.id} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
-                      <div className="h-8 w-8 rounded-full bg-green-100 flex items-center justify-center">
-                        <svg className="h-4 w-4 text-green-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
-                        </svg>
-                      </div>
-                      <div className="flex-1">
-                        <p className="text-sm text-gray-900">
-                          <span className="font-medium">{member.first_name} {member.last_name}</span> joined the workspace
-                        </p>
-                        <p className="text-xs text-gray-500">{new Date(member.joinedAt).toLocaleDateString()}</p>
-                      </div>
-                    </div>
-                  ))}
-                  
-                  {members.length === 0 && (
-                    <div className="text-center text-gray-500 py-8">
-                      <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                      </svg>
-                      <p className="mt-2">No recent activity yet</p>
-                      <p className="text-sm mt-1">Invite members to get started!</p>
-                    </div>
-                  )}
-                </div>
+                <ActivityFeed workspaceId={workspaceId} currentUserId={user?.id} />
               </div>
             </div>
 
@@ -372,7 +486,8 @@ const handleDeclineCall = () => {
               <MembersPanel 
                 members={members} 
                 currentUser={user}
-                isAdmin={isAdmin}
+                isAdmin={canManageMembers}
+                currentUserRole={workspace.userRole}
                 onRemoveMember={handleRemoveMember}
                 onUpdateRole={handleUpdateRole}
               />
@@ -410,13 +525,7 @@ const handleDeclineCall = () => {
                   
                   <div>
                     <label className="block text-xs font-medium text-gray-500">Your Role</label>
-                    <span className={`inline-block mt-1 px-2 py-1 rounded-full text-xs ${
-                      workspace.userRole === 'admin' 
-                        ? 'bg-purple-100 text-purple-800' 
-                        : 'bg-gray-100 text-gray-800'
-                    }`}>
-                      {workspace.userRole}
-                    </span>
+                    <RoleBadge role={workspace.userRole} className="inline-block mt-1" />
                   </div>
                 </div>
               </div>
@@ -426,13 +535,18 @@ const handleDeclineCall = () => {
 
         {activeTab === 'documents' && (
           <div className="space-y-6">
-            <DocumentWorkspace workspaceId={workspaceId} />
+            <DocumentWorkspace
+              workspaceId={workspaceId}
+              openDocumentId={openDocumentId}
+              onDocumentOpened={clearOpenDocument}
+              readOnly={!can('documents:edit')}
+            />
           </div>
         )}
 
         {activeTab === 'tasks' && (
           <div className="space-y-6">
-            <TaskBoard workspaceId={workspaceId} />
+            <TaskBoard workspaceId={workspaceId} readOnly={!can('tasks:manage')} />
           </div>
         )}
 
@@ -521,19 +635,21 @@ const handleDeclineCall = () => {
             Share and manage files with your team
           </p>
         </div>
-        <button
-          onClick={() => setShowFileUpload(!showFileUpload)}
-          className="btn-primary flex items-center space-x-2"
-        >
-          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-          </svg>
-          <span>{showFileUpload ? 'Cancel' : 'Upload File'}</span>
-        </button>
+        {can('files:upload') && (
+          <button
+            onClick={() => setShowFileUpload(!showFileUpload)}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+            </svg>
+            <span>{showFileUpload ? 'Cancel' : 'Upload File'}</span>
+          </button>
+        )}
       </div>
 
       {/* File Upload Section */}
-      {showFileUpload && (
+      {showFileUpload && can('files:upload') && (
         <div className="mb-6 p-6 bg-gray-50 rounded-lg border border-gray-200">
           <FileUpload
             workspaceId={workspaceId}
@@ -557,7 +673,7 @@ const handleDeclineCall = () => {
 
         {activeTab === 'chat' && (
           <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-            <ChatPanel workspaceId={workspaceId} isOpen={true} />
+            <ChatPanel workspaceId={workspaceId} isOpen={true} readOnly={!can('chat:send')} />
           </div>
         )}
 
@@ -571,7 +687,7 @@ const handleDeclineCall = () => {
                     Manage members and their permissions in this workspace
                   </p>
                 </div>
-                {isAdmin && (
+                {canInvite && (
                   <button
                     onClick={() => setShowInviteModal(true)}
                     className="btn-primary"
@@ -583,24 +699,29 @@ const handleDeclineCall = () => {
               <MembersPanel 
                 members={members} 
                 currentUser={user}
-                isAdmin={isAdmin}
+                isAdmin={canManageMembers}
+                currentUserRole={workspace.userRole}
                 onRemoveMember={handleRemoveMember}
                 onUpdateRole={handleUpdateRole}
+                pendingTransfer={pendingTransfer}
+                onTransferOwnership={handleTransferOwnership}
+                onRespondToTransfer={handleRespondToTransfer}
+                onLeave={handleLeaveWorkspace}
                 showActions={true}
               />
             </div>
 
             {/* Membership Statistics */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
               <div className="card text-center">
                 <div className="text-2xl font-bold text-primary-600">{members.length}</div>
                 <div className="text-sm text-gray-600">Total Members</div>
               </div>
               <div className="card text-center">
                 <div className="text-2xl font-bold text-purple-600">
-                  {members.filter(m => m.role === 'admin').length}
+                  {members.filter(m => m.role === 'owner' || m.role === 'admin').length}
                 </div>
-                <div className="text-sm text-gray-600">Admins</div>
+                <div className="text-sm text-gray-600">Owners &amp; Admins</div>
               </div>
               <div className="card text-center">
                 <div className="text-2xl font-bold text-green-600">
@@ -608,26 +729,32 @@ const handleDeclineCall = () => {
                 </div>
                 <div className="text-sm text-gray-600">Members</div>
               </div>
+              <div className="card text-center">
+                <div className="text-2xl font-bold text-blue-600">
+                  {members.filter(m => m.role === 'guest').length}
+                </div>
+                <div className="text-sm text-gray-600">Guests</div>
+              </div>
             </div>
 
-            {/* Invitation History (Placeholder) */}
-            <div className="card">
-              <h3 className="text-lg font-medium mb-4">Pending Invitations</h3>
-              <div className="text-center text-gray-500 py-8">
-                <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
-                <p className="mt-2">No pending invitations</p>
-                {isAdmin && (
-                  <button
-                    onClick={() => setShowInviteModal(true)}
-                    className="mt-2 text-sm text-primary-600 hover:text-primary-700 underline"
-                  >
-                    Send your first invitation
-                  </button>
-                )}
+            {/* Pending Invitations */}
+            {canInvite && (
+              <div className="card">
+                <h3 className="text-lg font-medium mb-4">Pending Invitations</h3>
+                <PendingInvitations
+                  workspaceId={workspaceId}
+                  refreshKey={invitationsVersion}
+                  emptyAction={
+                    <button
+                      onClick={() => setShowInviteModal(true)}
+                      className="mt-2 text-sm text-primary-600 hover:text-primary-700 underline"
+                    >
+                      Send your first invitation
+                    </button>
+                  }
+                />
               </div>
-            </div>
+            )}
           </div>
         )}
 
@@ -637,53 +764,39 @@ const handleDeclineCall = () => {
               <h3 className="text-lg font-medium mb-4">Workspace Settings</h3>
               {isAdmin ? (
                 <div className="space-y-6">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Workspace Name
-                    </label>
-                    <input
-                      type="text"
-                      className="input-field"
-                      defaultValue={workspace.name}
-                      disabled
-                    />
-                    <p className="text-sm text-gray-500 mt-1">
-                      Workspace name cannot be changed yet. This feature is coming soon.
-                    </p>
-                  </div>
+                  <WorkspaceSettingsForm workspace={workspace} onSaved={setWorkspace} />
                   
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Description
-                    </label>
-                    <textarea
-                      className="input-field"
-                      rows={3}
-                      defaultValue={workspace.description}
-                      disabled
-                    />
-                  </div>
-                  
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Workspace Visibility
-                    </label>
-                    <div className="space-y-2">
-                      <label className="flex items-center">
-                        <input type="radio" name="visibility" className="mr-2" defaultChecked disabled />
-                        <span className="text-sm text-gray-700">Private - Only invited members can join</span>
-                      </label>
-                      <label className="flex items-center opacity-50">
-                        <input type="radio" name="visibility" className="mr-2" disabled />
-                        <span className="text-sm text-gray-700">Public - Anyone with the link can join (Coming Soon)</span>
+                  {canInvite && (
+                    <div className="border-t border-gray-200 pt-4">
+                      <label className="block text-sm font-medium text-gray-700">
+                        Join Links
                       </label>
+                      <p className="text-sm text-gray-500 mb-2">
+                        {workspace.visibility === 'public'
+                          ? 'Anyone signed in with one of these links can join with its role'
+                          : 'Links only work while the workspace is public'}
+                      </p>
+                      <JoinLinks workspaceId={workspaceId} />
                     </div>
-                  </div>
+                  )}
                   
-                  <div className="border-t border-gray-200 pt-4">
-                    <button className="btn-secondary" disabled>
-                      Save Changes (Coming Soon)
-                    </button>
+                  <div className="flex items-center justify-between border-t border-gray-200 pt-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Require Two-Factor Authentication</label>
+                      <p className="text-sm text-gray-500">
+                        Members must enable two-factor authentication to access this workspace
+                        {workspace.require_two_factor && ` (${members.filter(m => !m.twoFactorEnabled).length} not enrolled yet)`}
+                      </p>
+                    </div>
+                    <label className="relative inline-flex items-center cursor-pointer">
+                      <input
+                        type="checkbox"
+                        className="sr-only peer"
+                        checked={!!workspace.require_two_factor}
+                        onChange={handleToggleRequireTwoFactor}
+                      />
+                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                    </label>
                   </div>
                 </div>
               ) : (
@@ -702,6 +815,37 @@ const handleDeclineCall = () => {
               )}
             </div>
 
+            {/* Notifications */}
+            <div className="card">
+              <h3 className="text-lg font-medium mb-1">Notifications</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                How you hear about activity in this workspace
+              </p>
+              <WorkspaceNotificationSettings workspaceId={workspaceId} />
+            </div>
+
+            {/* Audit Log */}
+            {can('audit:view') && (
+              <div className="card">
+                <h3 className="text-lg font-medium mb-1">Audit Log</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Who changed members, settings and content in this workspace
+                </p>
+                <AuditLog workspaceId={workspaceId} members={members} />
+              </div>
+            )}
+
+            {/* Webhooks */}
+            {can('webhooks:manage') && (
+              <div className="card">
+                <h3 className="text-lg font-medium mb-1">Webhooks</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Send signed HTTP requests to your own tools when things happen in this workspace
+                </p>
+                <Webhooks workspaceId={workspaceId} />
+              </div>
+            )}
+
             {/* Danger Zone */}
             {isAdmin && (
               <div className="card border border-red-200">
@@ -709,26 +853,24 @@ const handleDeclineCall = () => {
                   <div>
                     <h4 className="text-lg font-medium text-red-700">Danger Zone</h4>
                     <p className="text-sm text-red-600 mt-1">
-                      Permanent actions that cannot be undone
+                      Archiving makes the workspace read-only; deleting it cannot be undone
                     </p>
                   </div>
                   <div className="space-x-3">
                     <button
-                      onClick={() => alert('This feature will be implemented later')}
+                      onClick={handleToggleArchived}
                       className="px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 transition-colors"
                     >
-                      Archive Workspace
-                    </button>
-                    <button
-                      onClick={() => {
-                        if (window.confirm('Are you absolutely sure? This will delete the workspace and all its data permanently.')) {
-                          alert('Workspace deletion will be implemented later');
-                        }
-                      }}
-                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
-                    >
-                      Delete Workspace
+                      {isArchived ? 'Restore Workspace' : 'Archive Workspace'}
                     </button>
+                    {can('workspace:delete') && (
+                      <button
+                        onClick={handleDeleteWorkspace}
+                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                      >
+                        Delete Workspace
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -776,11 +918,14 @@ const handleDeclineCall = () => {
     workspaceId={workspaceId}
     currentUser={user}
     onClose={() => setShowWhiteboard(false)}
+    readOnly={!can('whiteboard:draw')}
   />
 )}
       {/* Invite Modal */}
       {showInviteModal && (
         <InviteModal
+          workspaceId={workspaceId}
+          invitationsVersion={invitationsVersion}
           onClose={() => setShowInviteModal(false)}
           onInvite={handleInviteUser}
           existingMembers={members}
@@ -1,8 +1,8 @@
 import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_BACKEND_URL
-  ? `${import.meta.env.VITE_BACKEND_URL}/api`
-  : 'http://localhost:3001/api';
+  ? `${import.meta.env.VITE_BACKEND_URL}/api/v1`
+  : 'http://localhost:3001/api/v1';
 
 
 const api = axios.create({
@@ -17,36 +17,204 @@ api.interceptors.request.use((config) => {
   const token = localStorage.getItem('token');
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
-    
-    const user = JSON.parse(localStorage.getItem('user') || '{}');
-    if (user.id) {
-      config.headers['User-ID'] = user.id;
-    }
   }
   return config;
 });
 
+// Share one in-flight refresh between concurrent callers
+let refreshPromise = null;
+
+// Exchange the stored refresh token for a new token pair
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      })
+      .catch((error) => {
+        // Session is gone - let AuthContext log the user out
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('user');
+        window.dispatchEvent(new Event('auth:session-expired'));
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Links to workspace files served by our API carry the access token in the
+// query string, since a link can't send an Authorization header
+export const withAccessToken = (url) => {
+  const token = localStorage.getItem('token');
+  if (!token || !url?.includes('/api/storage/')) return url;
+
+  return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
+// Read the expiry (ms since epoch) from a JWT without verifying it
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+// Retry requests that failed because the access token expired
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+
+    if (response?.status === 401 && response.data?.code === 'TOKEN_EXPIRED' && !config._retried) {
+      config._retried = true;
+      const token = await refreshSession();
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    }
+
+    return Promise.reject(error);
+  }
+);
+
 // Make sure these exports exist
 export const authAPI = {
   login: (email, password) => api.post('/auth/login', { email, password }),
+  verifyTwoFactor: (challengeToken, { code, recoveryCode }) =>
+    api.post('/auth/login/2fa', { challengeToken, code, recoveryCode }),
   register: (userData) => api.post('/auth/register', userData),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: (email) => api.post('/auth/resend-verification', { email }),
+  getSsoConfig: () => api.get('/auth/oidc/config'),
+  exchangeSsoCode: (code) => api.post('/auth/oidc/exchange', { code }),
+};
+
+// Single sign-on starts with a full-page redirect through the API
+export const SSO_LOGIN_URL = `${API_BASE_URL}/auth/oidc/login`;
+
+export const twoFactorAPI = {
+  getStatus: () => api.get('/auth/2fa/status'),
+  setup: () => api.post('/auth/2fa/setup'),
+  enable: (code) => api.post('/auth/2fa/enable', { code }),
+  disable: ({ code, recoveryCode }) => api.post('/auth/2fa/disable', { code, recoveryCode }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
 };
 
 export const workspaceAPI = {
   getAll: () => api.get('/workspaces'),
   getById: (workspaceId) => api.get(`/workspaces/${workspaceId}`),
   create: (workspaceData) => api.post('/workspaces', workspaceData),
+  update: (workspaceId, settings) => api.patch(`/workspaces/${workspaceId}`, settings),
+  archive: (workspaceId) => api.post(`/workspaces/${workspaceId}/archive`),
+  unarchive: (workspaceId) => api.post(`/workspaces/${workspaceId}/unarchive`),
+  delete: (workspaceId, confirmName) =>
+    api.delete(`/workspaces/${workspaceId}`, { data: { confirmName } }),
   inviteUser: (workspaceId, email, role) => 
     api.post(`/workspaces/${workspaceId}/invite`, { email, role }),
   removeMember: (workspaceId, userId) => 
     api.delete(`/workspaces/${workspaceId}/members/${userId}`),
   updateMemberRole: (workspaceId, userId, role) => 
     api.patch(`/workspaces/${workspaceId}/members/${userId}/role`, { role }),
+  updateSecurity: (workspaceId, settings) =>
+    api.patch(`/workspaces/${workspaceId}/security`, settings),
+  getInvitations: (workspaceId) =>
+    api.get(`/workspaces/${workspaceId}/invitations`),
+  resendInvitation: (workspaceId, invitationId) =>
+    api.post(`/workspaces/${workspaceId}/invitations/${invitationId}/resend`),
+  revokeInvitation: (workspaceId, invitationId) =>
+    api.delete(`/workspaces/${workspaceId}/invitations/${invitationId}`),
+  leave: (workspaceId) => api.post(`/workspaces/${workspaceId}/leave`),
+  getOwnershipTransfer: (workspaceId) =>
+    api.get(`/workspaces/${workspaceId}/ownership-transfer`),
+  requestOwnershipTransfer: (workspaceId, userId) =>
+    api.post(`/workspaces/${workspaceId}/ownership-transfer`, { userId }),
+  acceptOwnershipTransfer: (workspaceId) =>
+    api.post(`/workspaces/${workspaceId}/ownership-transfer/accept`),
+  cancelOwnershipTransfer: (workspaceId) =>
+    api.delete(`/workspaces/${workspaceId}/ownership-transfer`),
+  getAuditLog: (workspaceId, params) =>
+    api.get(`/workspaces/${workspaceId}/audit-log`, { params }),
+  getActivity: (workspaceId, params) =>
+    api.get(`/workspaces/${workspaceId}/activity`, { params }),
+  getStats: (workspaceId) =>
+    api.get(`/workspaces/${workspaceId}/stats`),
+  search: (workspaceId, params) =>
+    api.get(`/workspaces/${workspaceId}/search`, { params }),
+  getJoinLinks: (workspaceId) =>
+    api.get(`/workspaces/${workspaceId}/join-links`),
+  createJoinLink: (workspaceId, options) =>
+    api.post(`/workspaces/${workspaceId}/join-links`, options),
+  revokeJoinLink: (workspaceId, linkId) =>
+    api.delete(`/workspaces/${workspaceId}/join-links/${linkId}`),
+  getWebhooks: (workspaceId) =>
+    api.get(`/workspaces/${workspaceId}/webhooks`),
+  createWebhook: (workspaceId, webhook) =>
+    api.post(`/workspaces/${workspaceId}/webhooks`, webhook),
+  updateWebhook: (workspaceId, webhookId, updates) =>
+    api.patch(`/workspaces/${workspaceId}/webhooks/${webhookId}`, updates),
+  deleteWebhook: (workspaceId, webhookId) =>
+    api.delete(`/workspaces/${workspaceId}/webhooks/${webhookId}`),
+  rotateWebhookSecret: (workspaceId, webhookId) =>
+    api.post(`/workspaces/${workspaceId}/webhooks/${webhookId}/rotate-secret`),
+  pingWebhook: (workspaceId, webhookId) =>
+    api.post(`/workspaces/${workspaceId}/webhooks/${webhookId}/ping`),
+  getWebhookDeliveries: (workspaceId, webhookId, params) =>
+    api.get(`/workspaces/${workspaceId}/webhooks/${webhookId}/deliveries`, { params }),
+  redeliverWebhook: (workspaceId, webhookId, deliveryId) =>
+    api.post(`/workspaces/${workspaceId}/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`),
  
   getMembers: (workspaceId) => 
     api.get(`/workspaces/${workspaceId}/members`),
 };
 
+export const invitationAPI = {
+  get: (token) => api.get(`/invitations/${encodeURIComponent(token)}`),
+  accept: (token) => api.post('/invitations/accept', { token }),
+};
+
+export const joinLinkAPI = {
+  get: (code) => api.get(`/join/${encodeURIComponent(code)}`),
+  join: (code) => api.post(`/join/${encodeURIComponent(code)}`),
+};
+
+export const notificationAPI = {
+  list: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (ids) => api.post('/notifications/read', { ids }),
+  markAllRead: () => api.post('/notifications/read', { all: true }),
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (preferences) => api.put('/notifications/preferences', preferences),
+  updateWorkspacePreferences: (workspaceId, channels) =>
+    api.put(`/notifications/preferences/workspaces/${workspaceId}`, { channels }),
+  resetWorkspacePreferences: (workspaceId) => api.delete(`/notifications/preferences/workspaces/${workspaceId}`),
+};
+
+export const apiTokenAPI = {
+  list: () => api.get('/tokens'),
+  create: (token) => api.post('/tokens', token),
+  revoke: (tokenId) => api.delete(`/tokens/${tokenId}`),
+};
+
 export const userAPI = {
   search: (email) => api.get(`/users/search?email=${email}`),
   getProfile: () => api.get('/users/profile'),
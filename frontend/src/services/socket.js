@@ -1,4 +1,5 @@
 import { io } from 'socket.io-client';
+import { refreshSession } from './api';
 
 class SocketService {
   constructor() {
@@ -7,6 +8,7 @@ class SocketService {
     this.isConnecting = false;
     this.listeners = new Map();
     this.queuedActions = [];
+    this.retriedAfterRefresh = false;
   }
 
   async connect() {
@@ -32,6 +34,8 @@ class SocketService {
     return new Promise((resolve, reject) => {
       this.socket = io(import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001', {
         withCredentials: true,
+        // Read the token on every (re)connect so a fresh login is picked up
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
         autoConnect: true,
         transports: ['websocket', 'polling']
       });
@@ -39,6 +43,7 @@ class SocketService {
       this.socket.on('connect', () => {
         console.log('✅ Connected to server');
         this.isConnected = true;
+        this.retriedAfterRefresh = false;
         this.isConnecting = false;
         this.emit('socket-connected');
         
@@ -56,7 +61,25 @@ class SocketService {
         this.emit('socket-disconnected', reason);
       });
 
-      this.socket.on('connect_error', (error) => {
+      // The server dropped events sent too fast (ones with an
+      // acknowledgement get the error there instead)
+      this.socket.on('rate-limited', (error) => {
+        console.warn(`⏳ ${error.event} rate limited; retry in ${error.retryAfter}s`);
+      });
+
+      this.socket.on('connect_error', async (error) => {
+        // Handshake rejected an expired token: refresh it and try again
+        if (error.data?.code === 'TOKEN_EXPIRED' && !this.retriedAfterRefresh) {
+          this.retriedAfterRefresh = true;
+          try {
+            await refreshSession();
+            this.socket?.connect();
+            return;
+          } catch (refreshError) {
+            console.error('🔌 Token refresh failed:', refreshError);
+          }
+        }
+
         console.error('🔌 Connection error:', error);
         this.isConnecting = false;
         this.emit('socket-error', error);
@@ -123,16 +146,33 @@ class SocketService {
     this.socket.emit('leave-task-board', { workspaceId, userId });
   }
 
-  // Send a message
+  // Send a message. Rejects if the server refuses it, e.g. when sending
+  // too fast (code RATE_LIMITED).
   async sendMessage(workspaceId, userId, content, messageType = 'text') {
     if (!content.trim()) {
       throw new Error('Message content is required');
     }
 
     await this.ensureConnection();
-    
-    this.socket.emit('send-message', { workspaceId, userId, content, messageType });
-    console.log(`📨 Message sent to workspace: ${workspaceId}`);
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new Error('Sending the message timed out'));
+      }, 10000);
+
+      this.socket.emit('send-message', { workspaceId, userId, content, messageType }, (response) => {
+        clearTimeout(timeout);
+
+        if (response?.error) {
+          const error = new Error(response.error.message);
+          error.code = response.error.code;
+          reject(error);
+        } else {
+          console.log(`📨 Message sent to workspace: ${workspaceId}`);
+          resolve(response);
+        }
+      });
+    });
   }
 
   // Task events
@@ -342,6 +382,33 @@ class SocketService {
     });
   }
 
+  async joinActivityFeed(workspaceId) {
+    await this.ensureConnection();
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new Error('Join activity feed timeout'));
+      }, 10000);
+
+      this.socket.emit('join-activity-feed', { workspaceId }, (response) => {
+        clearTimeout(timeout);
+
+        if (response?.error) {
+          console.error('❌ Failed to join activity feed:', response.error);
+          reject(new Error(response.error.message));
+        } else {
+          console.log(`✅ Joined activity feed: ${workspaceId}`);
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  leaveActivityFeed(workspaceId) {
+    if (!this.socket || !this.isConnected) return;
+    this.socket.emit('leave-activity-feed', { workspaceId });
+  }
+
   emitWhiteboardDraw(workspaceId, element) {
     if (!this.socket || !this.isConnected) return;
     this.socket.emit('whiteboard-draw', { workspaceId, element });